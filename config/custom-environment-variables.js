@@ -0,0 +1,113 @@
+/*
+ * WebThings Gateway Environment Variable Overrides.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+module.exports = {
+  stateStore: {
+    backend: 'STATE_STORE_BACKEND',
+  },
+  instrumentation: {
+    enabled: {
+      __name: 'INSTRUMENTATION',
+      __format: 'json',
+    },
+    capacity: 'INSTRUMENTATION_CAPACITY',
+    sampleRate: 'INSTRUMENTATION_SAMPLE_RATE',
+  },
+  forwarding: {
+    enabled: {
+      __name: 'FORWARDING',
+      __format: 'json',
+    },
+    secret: 'FORWARDING_SECRET',
+    rejectUnauthorized: {
+      __name: 'FORWARDING_REJECT_UNAUTHORIZED',
+      __format: 'json',
+    },
+  },
+  cassandra: {
+    // Comma-separated list, e.g. "10.0.0.1,10.0.0.2"
+    contactPoints: 'CASSANDRA_CONTACT_POINTS',
+    port: 'CASSANDRA_PORT',
+    localDataCenter: 'CASSANDRA_LOCAL_DATACENTER',
+    keyspace: 'CASSANDRA_KEYSPACE',
+    singleNodeHost: 'CASSANDRA_SINGLE_NODE_HOST',
+    credentials: {
+      username: 'CASSANDRA_USERNAME',
+      password: 'CASSANDRA_PASSWORD',
+    },
+    ssl: {
+      enabled: {
+        __name: 'CASSANDRA_SSL',
+        __format: 'json',
+      },
+      ca: 'CASSANDRA_SSL_CA',
+      rejectUnauthorized: {
+        __name: 'CASSANDRA_SSL_REJECT_UNAUTHORIZED',
+        __format: 'json',
+      },
+    },
+    deleteStateOnRemove: {
+      __name: 'CASSANDRA_DELETE_STATE_ON_REMOVE',
+      __format: 'json',
+    },
+    compareAndSet: {
+      __name: 'CASSANDRA_COMPARE_AND_SET',
+      __format: 'json',
+    },
+    initPolicy: 'CASSANDRA_INIT_POLICY',
+    history: {
+      enabled: {
+        __name: 'CASSANDRA_HISTORY',
+        __format: 'json',
+      },
+      ttl: 'CASSANDRA_HISTORY_TTL',
+    },
+    consistency: {
+      read: 'CASSANDRA_READ_CONSISTENCY',
+      write: 'CASSANDRA_WRITE_CONSISTENCY',
+      serial: 'CASSANDRA_SERIAL_CONSISTENCY',
+    },
+    cache: {
+      enabled: {
+        __name: 'CASSANDRA_CACHE',
+        __format: 'json',
+      },
+      maxAge: 'CASSANDRA_CACHE_MAX_AGE',
+    },
+    retry: {
+      attempts: 'CASSANDRA_RETRY_ATTEMPTS',
+    },
+    delay: {
+      timeout: 'CASSANDRA_DELAY_TIMEOUT',
+    },
+    outbox: {
+      enabled: {
+        __name: 'CASSANDRA_OUTBOX',
+        __format: 'json',
+      },
+      maxSize: 'CASSANDRA_OUTBOX_MAX_SIZE',
+    },
+    changeFeed: {
+      enabled: {
+        __name: 'CASSANDRA_CHANGE_FEED',
+        __format: 'json',
+      },
+      interval: 'CASSANDRA_CHANGE_FEED_INTERVAL',
+    },
+    registry: {
+      enabled: {
+        __name: 'CASSANDRA_REGISTRY',
+        __format: 'json',
+      },
+      name: 'GATEWAY_NAME',
+      address: 'GATEWAY_ADDRESS',
+    },
+  },
+};
@@ -35,6 +35,166 @@ module.exports = {
   database: {
     removeBeforeOpen: false,
   },
+  // Where the current value of device properties is kept: 'memory', 'sqlite'
+  // (the local gateway database) or 'cassandra' (the cluster below).
+  stateStore: {
+    backend: 'cassandra',
+  },
+  // Recording of property requests, notifications and Cassandra writes for
+  // the /metrics/consistency report and offline analysis. Can be changed at
+  // runtime through the /metrics/instrumentation API.
+  instrumentation: {
+    enabled: false,
+    // Entries kept per timeline; older ones are dropped
+    capacity: 10000,
+    // Fraction of entries to record, between 0 and 1
+    sampleRate: 1,
+  },
+  // Every activation and deactivation of a rule is recorded, with its
+  // inputs and the outcome of its effects, for /rules/:id/history. Entries
+  // older than `maxAge` milliseconds are dropped, as are all but the last
+  // `maxEntries` of each rule. Can be changed at runtime through the
+  // /settings/rules/history API.
+  rulesHistory: {
+    enabled: true,
+    maxAge: 7 * 24 * 60 * 60 * 1000,
+    maxEntries: 200,
+  },
+  // Property sets and action requests for things hosted by another gateway
+  // of the Cassandra cluster are forwarded to it, at the address it
+  // registered. Gateways authenticate each other with a shared secret.
+  forwarding: {
+    enabled: false,
+    secret: '',
+    // Milliseconds to wait for the other gateway to answer
+    timeout: 10000,
+    // Milliseconds a signed request stays valid, to bound replays
+    maxClockSkew: 30000,
+    // Set to false for gateways using self-signed certificates
+    rejectUnauthorized: true,
+  },
+  // Cassandra cluster used to store device state. Any of these can be
+  // overridden through the environment (see custom-environment-variables.js)
+  // or at runtime through the /settings/cassandra API.
+  cassandra: {
+    contactPoints: [
+      '45.56.103.71',
+      '172.104.25.116',
+      '50.116.63.121',
+      '172.104.9.37',
+      '23.239.10.53',
+    ],
+    port: 9042,
+    localDataCenter: 'datacenter1',
+    keyspace: 'iot',
+    // Host which receives queries restricted to a single node
+    singleNodeHost: '45.56.103.71',
+    credentials: {
+      username: '',
+      password: '',
+    },
+    ssl: {
+      enabled: false,
+      // Path to a PEM-encoded CA certificate, if the cluster uses a private CA
+      ca: '',
+      rejectUnauthorized: true,
+    },
+    // Whether to delete a thing's stored state when it is removed from the
+    // gateway.
+    deleteStateOnRemove: false,
+    // Write property values with lightweight transactions, so that a write
+    // based on a stale value is rejected as a conflict instead of
+    // overwriting a newer one.
+    compareAndSet: false,
+    // How the initial property values an adapter reports when a device is
+    // added are reconciled with the state already stored, e.g. by another
+    // gateway or before a restart: 'keep-existing', 'adapter-wins' or
+    // 'newest-timestamp-wins', which needs adapters to report when each
+    // value last changed.
+    initPolicy: 'keep-existing',
+    history: {
+      // Also record logged property values in the cluster, so that every
+      // gateway sharing it can serve their history through /logs.
+      enabled: false,
+      // Seconds to keep values for, unless their log has a shorter max age
+      ttl: 30 * 24 * 60 * 60,
+    },
+    // Any of the driver's consistency levels, e.g. 'one', 'quorum',
+    // 'localQuorum' or 'all'. Can also be changed at runtime through the
+    // /settings/cassandra/consistency API.
+    consistency: {
+      read: 'localOne',
+      write: 'localOne',
+      // Used by lightweight transactions: 'serial' or 'localSerial'
+      serial: 'serial',
+      // Overrides for individual things and properties, e.g.
+      // {thingId: {write: 'all', properties: {on: {read: 'quorum'}}}}
+      things: {},
+    },
+    // Property values read or written are served from a local cache for up
+    // to `maxAge` milliseconds, unless changed meanwhile by this gateway or,
+    // as the change feed tells, by another one. Disabled by default so that
+    // benchmarks and consistency experiments read from the cluster. Can also
+    // be changed at runtime through the /settings/cassandra/cache API.
+    cache: {
+      enabled: false,
+      maxAge: 1000,
+      maxEntries: 10000,
+    },
+    // Requests which fail because the cluster is unavailable or overloaded
+    // are sent again, up to `attempts` times in all, waiting twice as long
+    // each time, starting at `delay` milliseconds.
+    retry: {
+      attempts: 3,
+      delay: 200,
+      maxDelay: 5000,
+    },
+    // Delays, in milliseconds, between attempts to reach the cluster or a
+    // host which is down, doubling after each failed attempt.
+    reconnect: {
+      delay: 1000,
+      maxDelay: 60000,
+    },
+    // Writes the server delays are confirmed by a finishedProcessing event.
+    // Milliseconds to wait for it before failing the write, and to keep
+    // events which arrive before their write knows it was delayed.
+    delay: {
+      timeout: 10000,
+      retention: 60000,
+    },
+    // While the cluster can't be reached, property writes are kept in the
+    // local database and replayed in order once it is back. Not used for
+    // compare-and-set writes.
+    outbox: {
+      enabled: true,
+      maxSize: 10000,
+    },
+    // Property writes are logged in the cluster, and the log is polled every
+    // `interval` milliseconds so that changes made by other gateways reach
+    // this gateway's clients, rules and logs. Changes are looked for up to
+    // `lag` milliseconds before the last poll, to catch writes from gateways
+    // whose clocks are behind, and are kept for `ttl` seconds.
+    changeFeed: {
+      enabled: true,
+      interval: 1000,
+      lag: 5000,
+      ttl: 24 * 60 * 60,
+    },
+    // Each gateway registers itself in the cluster under a persistent id,
+    // and claims a lease on the devices its adapters provide, so that a
+    // device adopted by several gateways keeps the state of the one hosting
+    // it. Registrations and leases are renewed every `heartbeatInterval`
+    // milliseconds, and expire after `leaseTtl` seconds without one.
+    // `address` is the URL other gateways can reach this one at; `name`
+    // defaults to the host name.
+    registry: {
+      enabled: true,
+      name: '',
+      address: '',
+      heartbeatInterval: 10000,
+      leaseTtl: 30,
+    },
+  },
   settings: {
     defaults: {
       mdns: {
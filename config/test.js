@@ -25,5 +25,8 @@ module.exports = {
   database: {
     removeBeforeOpen: true,
   },
+  stateStore: {
+    backend: 'memory',
+  },
   oauthTestClients: true,
 };
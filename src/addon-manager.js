@@ -16,10 +16,13 @@ const config = require('config');
 const Constants = require('./constants');
 const Deferred = require('./deferred');
 const EventEmitter = require('events').EventEmitter;
+const gatewayForwarder = require('./forwarding/gateway-forwarder');
 const Platform = require('./platform');
+const RemoteProperty = require('./plugin/remote-property');
 const Settings = require('./models/settings');
 const UserProfile = require('./user-profile');
 const Utils = require('./utils');
+const stateStore = require('./state-stores');
 const fs = require('fs');
 const path = require('path');
 const rimraf = require('rimraf');
@@ -34,8 +37,6 @@ const {ncp} = require('ncp');
 
 const pkg = require('../package.json');
 
-const cassie = require('./cassie');
-
 let PluginServer;
 
 /**
@@ -47,7 +48,6 @@ class AddonManager extends EventEmitter {
 
   constructor() {
     super();
-    this.cassie = cassie; // create instance of cassie class which creates connection to Cassandra
     this.adapters = new Map();
     this.notifiers = new Map();
     this.apiHandlers = new Map();
@@ -63,6 +63,7 @@ class AddonManager extends EventEmitter {
     this.pluginServer = null;
     this.updateTimeout = null;
     this.updateInterval = null;
+    this.onRemotePropertyChanged = this.onRemotePropertyChanged.bind(this);
   }
 
   /**
@@ -290,6 +291,24 @@ class AddonManager extends EventEmitter {
     return {};
   }
 
+  /**
+   * @method onRemotePropertyChanged
+   *
+   * Called when another gateway sharing the state store changed a property,
+   * to pass the change on like a local one.
+   */
+  onRemotePropertyChanged(deviceId, propertyName, value) {
+    let device = this.getDevice(deviceId);
+    if (device && device.properties.has(propertyName)) {
+      device.properties.get(propertyName).value = value;
+    } else {
+      device = {id: deviceId};
+    }
+
+    this.emit(Constants.PROPERTY_CHANGED,
+              new RemoteProperty(device, propertyName, value));
+  }
+
   /**
    * @method getDevice
    * @returns Returns the device with the indicated id.
@@ -400,7 +419,8 @@ class AddonManager extends EventEmitter {
   /**
    * @method setProperty
    * @returns a promise which resolves to the updated value of `propertyName`
-   *          for the thing identified by `thingId`.
+   *          for the thing identified by `thingId`. Things hosted by another
+   *          gateway are set through that gateway.
    */
   setProperty(thingId, propertyName, value) {
     const device = this.getDevice(thingId);
@@ -408,6 +428,10 @@ class AddonManager extends EventEmitter {
       return device.setProperty(propertyName, value);
     }
 
+    if (gatewayForwarder.enabled) {
+      return gatewayForwarder.setProperty(thingId, propertyName, value);
+    }
+
     return Promise.reject(`setProperty: device: ${thingId} not found.`);
   }
 
@@ -453,6 +477,8 @@ class AddonManager extends EventEmitter {
   /**
    * @method requestAction
    * @returns a promise which resolves when the action has been requested.
+   *          Actions of things hosted by another gateway are requested
+   *          through that gateway.
    */
   requestAction(thingId, actionId, actionName, input) {
     const device = this.getDevice(thingId);
@@ -460,6 +486,11 @@ class AddonManager extends EventEmitter {
       return device.requestAction(actionId, actionName, input);
     }
 
+    if (gatewayForwarder.enabled) {
+      return gatewayForwarder.requestAction(thingId, actionId, actionName,
+                                            input);
+    }
+
     return Promise.reject(`requestAction: device: ${thingId} not found.`);
   }
 
@@ -716,6 +747,9 @@ class AddonManager extends EventEmitter {
 
     this.pluginServer = new PluginServer(this, {verbose: false});
 
+    // Pass on property changes made by other gateways
+    stateStore.watch(this.onRemotePropertyChanged);
+
     // Load the add-ons
 
     const addonManager = this;
@@ -817,6 +851,7 @@ class AddonManager extends EventEmitter {
     }
 
     this.addonsLoaded = false;
+    stateStore.unwatch();
 
     if (this.updateTimeout) {
       clearTimeout(this.updateTimeout);
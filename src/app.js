@@ -298,7 +298,13 @@ function createApp(isSecure) {
   app.use(bodyParser.urlencoded({
     extended: false,
   }));
-  app.use(bodyParser.json({limit: '1mb'}));
+  app.use(bodyParser.json({
+    limit: '1mb',
+    // Keep the body as sent, for the requests other gateways sign
+    verify: (request, _response, body) => {
+      request.rawBody = body;
+    },
+  }));
 
   // Use fileUpload to handle multi-part uploads
   app.use(fileUpload());
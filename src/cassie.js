@@ -6,8 +6,450 @@
 
 'use strict';
 
+const config = require('config');
+const crypto = require('crypto');
+const Database = require('./db');
 const Deferred = require('./deferred');
 const cassandra = require('modified-cassandra-driver');
+const fs = require('fs');
+const os = require('os');
+const GatewayIdentity = require('./models/gateway-identity');
+const instrumentation = require('./metrics/instrumentation');
+const metrics = require('./metrics');
+const ReadCache = require('./state-stores/read-cache');
+const Settings = require('./models/settings');
+const ConflictError = require('./state-stores/conflict-error');
+const TimeoutError = require('./state-stores/timeout-error');
+const UnavailableError = require('./state-stores/unavailable-error');
+
+/**
+ * Key under which runtime overrides of the Cassandra settings are stored.
+ */
+const SETTINGS_KEY = 'cassandra';
+
+/**
+ * Table holding the current value of every device property, one row per
+ * (device_id, property).
+ */
+const STATE_TABLE = 'device_state';
+
+/**
+ * Table holding the history of logged property values. Each partition holds
+ * one day of values of one property.
+ */
+const HISTORY_TABLE = 'property_history';
+
+/**
+ * Table recording every change made to the schema of the keyspace.
+ */
+const MIGRATIONS_TABLE = 'schema_migrations';
+
+/**
+ * Table logging property writes, so that each gateway sharing the cluster
+ * can tell which values the others changed. Each partition holds one bucket
+ * of changes, ordered by time.
+ */
+const CHANGES_TABLE = 'property_changes';
+const CHANGE_BUCKET_MS = 60 * 60 * 1000;
+
+/**
+ * Tables of the gateway registry: the gateways sharing the cluster, and the
+ * gateway hosting each device. Rows are written with a TTL and renewed by
+ * each gateway's heartbeat, so those of a gateway which stopped expire.
+ */
+const GATEWAYS_TABLE = 'gateways';
+const OWNERS_TABLE = 'device_owners';
+
+/**
+ * Column of the state table which holds values of each value type. The
+ * value_type column of a row records which one is current.
+ */
+const VALUE_COLUMNS = {
+  boolean: 'boolean_value',
+  double: 'double_value',
+  int: 'int_value',
+  text: 'text_value',
+  json: 'text_value',
+};
+
+/**
+ * Devices used to have a table each, holding a single row with this id.
+ * These are only read when migrating to the state table.
+ */
+const LEGACY_STATE_ROW_ID = 'state';
+const MAX_TABLE_NAME_LENGTH = 48;
+const TABLE_NAME_HASH_LENGTH = 8;
+const RESERVED_TABLE_NAMES =
+  new Set([STATE_TABLE, HISTORY_TABLE, MIGRATIONS_TABLE, CHANGES_TABLE,
+           GATEWAYS_TABLE, OWNERS_TABLE]);
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * How the initial property values an adapter reports are reconciled with
+ * the state already stored when a device is initialized:
+ * - keep-existing: only store values for properties with no state yet
+ * - adapter-wins: always store the adapter's values
+ * - newest-timestamp-wins: store the adapter's values unless the stored
+ *   state was written after they last changed. This needs adapter support:
+ *   the adapter reports the time in the lastChanged field of each property
+ *   description, in milliseconds since the epoch. Values without one are
+ *   only stored for properties with no state yet, like keep-existing.
+ */
+const INIT_POLICIES =
+  ['keep-existing', 'adapter-wins', 'newest-timestamp-wins'];
+
+/**
+ * Consistency levels used when none are configured, matching the driver's
+ * own defaults.
+ */
+const CONSISTENCY_DEFAULTS = {
+  read: 'localOne',
+  write: 'localOne',
+  serial: 'serial',
+};
+
+/**
+ * Used until settings have been loaded.
+ */
+const RECONNECT_DEFAULTS = {delay: 1000, maxDelay: 60000};
+
+/**
+ * Used until settings have been loaded.
+ */
+const DELAY_DEFAULTS = {timeout: 10000, retention: 60000};
+
+/**
+ * Default read cache settings, see normalizeCache().
+ */
+const CACHE_DEFAULTS = {enabled: false, maxAge: 1000, maxEntries: 10000};
+
+/**
+ * Number of buffered writes replayed at a time.
+ */
+const OUTBOX_BATCH_SIZE = 100;
+
+/**
+ * Server errors which are worth retrying, as the same request may succeed
+ * once the cluster has recovered.
+ */
+const RETRYABLE_RESPONSE_ERRORS = [
+  'unavailableException',
+  'readTimeout',
+  'writeTimeout',
+  'overloaded',
+  'isBootstrapping',
+];
+
+/**
+ * @param {number} attempt Number of attempts made so far, starting at 0
+ * @param {Object} policy {delay, maxDelay} in milliseconds
+ * @returns {number} Milliseconds to wait before the next attempt
+ */
+function backoff(attempt, policy) {
+  return Math.min(policy.maxDelay, policy.delay * Math.pow(2, attempt));
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * @param {Error} err
+ * @returns {boolean} Whether no node of the cluster could be reached.
+ */
+function isUnreachable(err) {
+  return err instanceof cassandra.errors.NoHostAvailableError;
+}
+
+/**
+ * @param {Error} err
+ * @returns {boolean} Whether a failed request may succeed if sent again.
+ */
+function isRetryable(err) {
+  if (isUnreachable(err) ||
+      err instanceof cassandra.errors.OperationTimedOutError) {
+    return true;
+  }
+
+  if (err instanceof cassandra.errors.ResponseError) {
+    const codes = cassandra.types.responseErrorCodes;
+    return RETRYABLE_RESPONSE_ERRORS.some((name) => err.code === codes[name]);
+  }
+
+  return false;
+}
+
+/**
+ * @param {*} value
+ * @param {string} name Used in the error message
+ * @param {number} min
+ * @returns {number}
+ * @throws {Error} If the value is not an integer of at least `min`.
+ */
+function integerSetting(value, name, min) {
+  const parsed = parseInt(value, 10);
+  if (isNaN(parsed) || parsed < min) {
+    throw new Error(`Invalid ${name}: ${value}`);
+  }
+  return parsed;
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} Whether a value is an object other than an array.
+ */
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Recursively merge plain objects, with values from `overrides` taking
+ * precedence over those in `base`. A null value in `overrides` removes the
+ * key, at any level.
+ *
+ * @param {Object} base
+ * @param {Object} overrides
+ * @returns {Object} A new object.
+ */
+function mergeSettings(base, overrides) {
+  const merged = Object.assign({}, base);
+  for (const key in overrides) {
+    const value = overrides[key];
+    if (value === null) {
+      delete merged[key];
+    } else if (isPlainObject(value)) {
+      merged[key] = mergeSettings(
+        isPlainObject(merged[key]) ? merged[key] : {}, value);
+    } else {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Find the driver's name for a consistency level, accepting any case and
+ * CQL-style names such as LOCAL_QUORUM.
+ *
+ * @param {string} name
+ * @returns {string} Key of cassandra.types.consistencies
+ * @throws {Error} If there is no such level.
+ */
+function consistencyLevel(name) {
+  const wanted = `${name}`.toLowerCase().replace(/_/g, '');
+  for (const level in cassandra.types.consistencies) {
+    if (level.toLowerCase() === wanted) {
+      return level;
+    }
+  }
+
+  throw new Error(`Unknown consistency level: ${name}`);
+}
+
+/**
+ * Validate the consistency levels of a thing or property, or the global
+ * defaults.
+ *
+ * @param {Object} levels {read, write, serial}, any of which may be omitted
+ * @returns {Object}
+ */
+function normalizeConsistencyLevels(levels) {
+  const normalized = {};
+  for (const kind of ['read', 'write', 'serial']) {
+    if (!levels[kind]) {
+      continue;
+    }
+
+    normalized[kind] = consistencyLevel(levels[kind]);
+    if (kind === 'serial' &&
+        !['serial', 'localSerial'].includes(normalized[kind])) {
+      throw new Error(`Invalid serial consistency: ${levels[kind]}`);
+    }
+  }
+  return normalized;
+}
+
+/**
+ * @param {Object} consistency Global levels, with per-thing overrides in
+ *                             `things`
+ * @returns {Object} The normalized consistency settings.
+ */
+function normalizeConsistency(consistency) {
+  const normalized = Object.assign(
+    {},
+    CONSISTENCY_DEFAULTS,
+    normalizeConsistencyLevels(consistency || {})
+  );
+
+  normalized.things = {};
+  const things = (consistency && consistency.things) || {};
+  for (const thingId in things) {
+    const thing = things[thingId] || {};
+    normalized.things[thingId] = normalizeConsistencyLevels(thing);
+    normalized.things[thingId].properties = {};
+    for (const propertyName in thing.properties) {
+      normalized.things[thingId].properties[propertyName] =
+        normalizeConsistencyLevels(thing.properties[propertyName] || {});
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * @param {Object} cache {enabled, maxAge, maxEntries}, any of which may be
+ *                       omitted
+ * @returns {Object} The normalized read cache settings.
+ */
+function normalizeCache(cache) {
+  const normalized = Object.assign({}, CACHE_DEFAULTS, cache);
+  normalized.enabled = !!normalized.enabled;
+  normalized.maxAge = integerSetting(normalized.maxAge, 'cache maxAge', 0);
+  normalized.maxEntries =
+    integerSetting(normalized.maxEntries, 'cache maxEntries', 1);
+  return normalized;
+}
+
+/**
+ * Validate a set of Cassandra settings and coerce values which may come from
+ * the environment as strings.
+ *
+ * @param {Object} settings
+ * @returns {Object} The normalized settings.
+ * @throws {Error} If the settings are invalid.
+ */
+function normalizeSettings(settings) {
+  const normalized = mergeSettings(settings, {});
+
+  let contactPoints = normalized.contactPoints;
+  if (typeof contactPoints === 'string') {
+    contactPoints = contactPoints.split(',');
+  }
+  if (!Array.isArray(contactPoints)) {
+    throw new Error('contactPoints must be a list of hosts');
+  }
+  contactPoints = contactPoints.map((h) => `${h}`.trim()).filter((h) => h);
+  if (contactPoints.length === 0) {
+    throw new Error('At least one contact point is required');
+  }
+  normalized.contactPoints = contactPoints;
+
+  const port = parseInt(normalized.port, 10);
+  if (isNaN(port) || port < 1 || port > 65535) {
+    throw new Error(`Invalid port: ${normalized.port}`);
+  }
+  normalized.port = port;
+
+  for (const key of ['localDataCenter', 'keyspace']) {
+    if (typeof normalized[key] !== 'string' || !normalized[key]) {
+      throw new Error(`${key} must be a non-empty string`);
+    }
+  }
+
+  if (!normalized.singleNodeHost) {
+    normalized.singleNodeHost = contactPoints[0];
+  }
+
+  normalized.credentials = Object.assign(
+    {username: '', password: ''},
+    normalized.credentials
+  );
+  normalized.ssl = Object.assign(
+    {enabled: false, ca: '', rejectUnauthorized: true},
+    normalized.ssl
+  );
+  normalized.ssl.enabled = !!normalized.ssl.enabled;
+  normalized.ssl.rejectUnauthorized = !!normalized.ssl.rejectUnauthorized;
+  normalized.deleteStateOnRemove = !!normalized.deleteStateOnRemove;
+  normalized.compareAndSet = !!normalized.compareAndSet;
+  if (!INIT_POLICIES.includes(normalized.initPolicy)) {
+    throw new Error(`Invalid initPolicy: ${normalized.initPolicy}`);
+  }
+
+  normalized.history = Object.assign(
+    {enabled: false, ttl: 30 * 24 * 60 * 60},
+    normalized.history
+  );
+  normalized.history.enabled = !!normalized.history.enabled;
+  const ttl = parseInt(normalized.history.ttl, 10);
+  if (isNaN(ttl) || ttl < 1) {
+    throw new Error(`Invalid history ttl: ${normalized.history.ttl}`);
+  }
+  normalized.history.ttl = ttl;
+
+  normalized.consistency = normalizeConsistency(normalized.consistency);
+  normalized.cache = normalizeCache(normalized.cache);
+
+  normalized.retry = Object.assign(
+    {attempts: 3, delay: 200, maxDelay: 5000},
+    normalized.retry
+  );
+  normalized.retry.attempts =
+    integerSetting(normalized.retry.attempts, 'retry attempts', 1);
+  normalized.retry.delay =
+    integerSetting(normalized.retry.delay, 'retry delay', 0);
+  normalized.retry.maxDelay =
+    integerSetting(normalized.retry.maxDelay, 'retry maxDelay', 0);
+
+  normalized.reconnect = Object.assign(
+    {}, RECONNECT_DEFAULTS, normalized.reconnect);
+  normalized.reconnect.delay =
+    integerSetting(normalized.reconnect.delay, 'reconnect delay', 1);
+  normalized.reconnect.maxDelay =
+    integerSetting(normalized.reconnect.maxDelay, 'reconnect maxDelay', 1);
+
+  normalized.delay = Object.assign({}, DELAY_DEFAULTS, normalized.delay);
+  normalized.delay.timeout =
+    integerSetting(normalized.delay.timeout, 'delay timeout', 1);
+  normalized.delay.retention =
+    integerSetting(normalized.delay.retention, 'delay retention', 1);
+
+  normalized.outbox = Object.assign(
+    {enabled: true, maxSize: 10000},
+    normalized.outbox
+  );
+  normalized.outbox.enabled = !!normalized.outbox.enabled;
+  normalized.outbox.maxSize =
+    integerSetting(normalized.outbox.maxSize, 'outbox maxSize', 1);
+
+  normalized.changeFeed = Object.assign(
+    {enabled: true, interval: 1000, lag: 5000, ttl: 24 * 60 * 60},
+    normalized.changeFeed
+  );
+  normalized.changeFeed.enabled = !!normalized.changeFeed.enabled;
+  normalized.changeFeed.interval = integerSetting(
+    normalized.changeFeed.interval, 'changeFeed interval', 1);
+  normalized.changeFeed.lag =
+    integerSetting(normalized.changeFeed.lag, 'changeFeed lag', 0);
+  normalized.changeFeed.ttl =
+    integerSetting(normalized.changeFeed.ttl, 'changeFeed ttl', 1);
+
+  normalized.registry = Object.assign(
+    {
+      enabled: true,
+      name: '',
+      address: '',
+      heartbeatInterval: 10000,
+      leaseTtl: 30,
+    },
+    normalized.registry
+  );
+  normalized.registry.enabled = !!normalized.registry.enabled;
+  normalized.registry.name = `${normalized.registry.name}` || os.hostname();
+  normalized.registry.address = `${normalized.registry.address}`;
+  normalized.registry.heartbeatInterval = integerSetting(
+    normalized.registry.heartbeatInterval, 'registry heartbeatInterval', 1);
+  normalized.registry.leaseTtl =
+    integerSetting(normalized.registry.leaseTtl, 'registry leaseTtl', 1);
+  if (normalized.registry.leaseTtl * 1000 <=
+      normalized.registry.heartbeatInterval) {
+    throw new Error('registry leaseTtl must be longer than the heartbeat ' +
+                    'interval');
+  }
+
+  return normalized;
+}
 
 /**
  * @class Cassie
@@ -15,237 +457,2180 @@ const cassandra = require('modified-cassandra-driver');
  * the connection to the Cassandra server
  */
 class Cassie {
-
   constructor() {
+    // Value type used for each Web Thing property type. Compound values are
+    // stored as JSON text, and decoded again when read.
     this.typeMap = new Map([
-      ["boolean", "boolean"],
-      ["number", "double"],
-      ["integer", "int"]
-      ]);
+      ['boolean', 'boolean'],
+      ['number', 'double'],
+      ['integer', 'int'],
+      ['string', 'text'],
+      ['object', 'json'],
+      ['array', 'json'],
+      ['null', 'json'],
+    ]);
 
-    this.count = 0; // used to count notifications sent to web app
-    this.requests = [] // used to keep track of incoming http request values
-    this.notifications = [] // used to keep track of notifications being sent back to web app
-    this.intervals = [] // keeps track of time intervals in which Cassandra updates occur
+    // value types of each device's properties, as
+    // Map<deviceId, Map<propertyName, valueType>>
+    this.propertyTypes = new Map();
 
-    this.pending = {}; // keepts track of pending delayed executions
-    this.finished = []; // keeps track of delayed executions that have already finished
+    // the version of each property value this gateway last wrote or read, as
+    // Map<deviceId, Map<propertyName, Uuid>>, used by compare-and-set writes
+    this.versions = new Map();
 
-    this.localDetectionErrors = 0; // count local detection errors
-    this.globalDetectionErrors = 0; // count global detection overlapping writes errors
-    this.notPersistedErrors = 0; // count global detection update not persisted errors
-    this.delayedRequests = 0; // count number of requests delayed
-    this.dbWrites = []; // store writes to database
- 
+    // property values recently read or written, served to reads for up to
+    // the cache's maxAge
+    this.cache = new ReadCache(CACHE_DEFAULTS.maxEntries);
 
-    this.client = new cassandra.Client({ 
-      contactPoints: ['45.56.103.71', '172.104.25.116', '50.116.63.121', '172.104.9.37', '23.239.10.53'],
-      localDataCenter: 'datacenter1',
-      keyspace: 'iot'
-    });
+    // keeps track of pending delayed executions, as
+    // {timestamp: {deferred, timer}}
+    this.pending = {};
+    // keeps track of delayed executions that have already finished, as
+    // Map<timestamp, time the notification was received>
+    this.finished = new Map();
+
+    this.resetStats();
+
+    this.client = null;
+    this.settings = null;
+    this.singleNode = null;
+    this.connecting = null;
+    // whether a tool rather than the gateway is connected, see useAsTool()
+    this.tool = false;
 
-    this.connect(); // connect to Cassandra server
+    // health of each host of the cluster, keyed by address
+    this.hosts = new Map();
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
 
-    // Set up event listener for consistency error from server (detected by Will's work)
-    this.client.on('consistencyError', (msg) => {
-      if (msg.startsWith('Local Detection'))
-        this.localDetectionErrors++;
-      else if (msg.startsWith('Global detection concurrent writes'))
-        this.globalDetectionErrors++;
-      else if (msg.startsWith('Global detection update not persisted'))
-        this.notPersistedErrors++;
-    })
+    // number of writes waiting in the outbox, and the replay in progress
+    this.outboxSize = 0;
+    this.flushing = null;
+    // devices to initialize once the cluster is reachable again, when the
+    // init policy keeps their initial values out of the outbox, as
+    // Map<deviceId, {properties, adapterId}>
+    this.pendingInits = new Map();
 
-    // Set up event listener for notification that delayed request has finished executing
-    this.client.on('finishedProcessing', (msg) => {
-      let ts = msg.slice(msg.indexOf(' ') + 1); // the timestamp sent by the server
+    // this gateway's persistent id, known once connected
+    this.gatewayId = null;
+    // identifies the changes this gateway logs, so that it can skip them
+    // when polling the change log: the gateway id once known
+    this.origin = cassandra.types.Uuid.random();
+    // devices this gateway holds the lease of, as Map<deviceId, adapterId>
+    this.ownedDevices = new Map();
+    this.heartbeatTimer = null;
+    this.startedAt = new Date();
+    // called with (deviceId, propertyName, value) for changes made by other
+    // gateways, while watching
+    this.changeListener = null;
+    this.changeTimer = null;
+    // time up to which the change log has been read
+    this.changeWatermark = 0;
+    // ids of the changes already seen within the lag window, mapped to their
+    // time
+    this.seenChanges = new Map();
 
-      // if we know request is pending, resolve corresponding promise
-      if (this.pending[ts]) {
-        this.pending[ts].resolve();
-        delete this.pending[ts];
-      } 
-      // if we don't know yet, then store the timestamp# in the finished array
-      else {
-        this.finished.push(ts);
+    this.onConsistencyError = this.onConsistencyError.bind(this);
+    this.onFinishedProcessing = this.onFinishedProcessing.bind(this);
+    this.onHostUp = this.onHostUp.bind(this);
+    this.onHostDown = this.onHostDown.bind(this);
+    this.onHostRemove = this.onHostRemove.bind(this);
+
+    metrics.registry.addCollector(() => {
+      metrics.cassandraOutboxSize.set({}, this.outboxSize);
+      metrics.cassandraCacheEntries.set({}, this.cache.size);
+      metrics.cassandraHostUp.reset();
+      for (const host of this.hosts.values()) {
+        metrics.cassandraHostUp.set({host: host.address}, host.up ? 1 : 0);
       }
-    })
+    });
   }
 
-  // Connect to Cassandra cluster and store Host object representing node 1
-  async connect() {
+  /**
+   * Reset the stats used to evaluate consistency, before a test run.
+   */
+  resetStats() {
+    this.localDetectionErrors = 0; // count local detection errors
+    // count global detection overlapping writes errors
+    this.globalDetectionErrors = 0;
+    // count global detection update not persisted errors
+    this.notPersistedErrors = 0;
+    this.delayedRequests = 0; // count number of requests delayed
+    this.delayTimeouts = 0; // count delayed executions never confirmed
+    // number of reads and writes made at each consistency level
+    this.consistencyCounts = {};
+  }
+
+  /**
+   * Get the effective Cassandra settings: the gateway configuration, with any
+   * overrides made through the settings API applied on top.
+   *
+   * @returns {Promise<Object>}
+   */
+  async getSettings() {
+    let overrides;
     try {
-      await this.client.connect();
-      console.log('Connected to Cassandra cluster');
+      overrides = await Settings.get(SETTINGS_KEY);
+    } catch (e) {
+      console.error('Failed to load Cassandra settings overrides:', e);
     }
-    catch (err) {
-      console.error(err);
+
+    return normalizeSettings(
+      mergeSettings(config.get('cassandra'), overrides || {})
+    );
+  }
+
+  /**
+   * Replace the consistency levels, keeping the other runtime overrides of
+   * the Cassandra settings. Unlike updateSettings(), this does not need to
+   * reconnect.
+   *
+   * @param {Object} consistency
+   * @returns {Promise<Object>} Resolves to the new consistency settings.
+   */
+  async updateConsistency(consistency) {
+    const normalized = normalizeConsistency(consistency);
+
+    const overrides = Object.assign(
+      {},
+      await Settings.get(SETTINGS_KEY),
+      {consistency}
+    );
+    await Settings.set(SETTINGS_KEY, overrides);
+
+    if (this.settings) {
+      this.settings.consistency = normalized;
     }
+    return normalized;
+  }
+
+  /**
+   * Replace the read cache settings, keeping the other runtime overrides of
+   * the Cassandra settings. Like updateConsistency(), this does not need to
+   * reconnect.
+   *
+   * @param {Object} cache
+   * @returns {Promise<Object>} Resolves to the new read cache settings.
+   */
+  async updateCache(cache) {
+    const normalized = normalizeCache(cache);
+
+    const overrides = Object.assign(
+      {},
+      await Settings.get(SETTINGS_KEY),
+      {cache}
+    );
+    await Settings.set(SETTINGS_KEY, overrides);
 
-    // store node 1 Host object, needed to sending requests to single node
-    this.nodeOne = this.client.hosts.get('45.56.103.71:9042');
+    this.cache.clear();
+    this.cache.maxEntries = normalized.maxEntries;
+    if (this.settings) {
+      this.settings.cache = normalized;
+    }
+    return normalized;
   }
 
-  // Create a table representing the state of a device,
-  // and add a row representing the device's initial state
-  async initDevice(deviceId, properties) {
-    let columnTypes = {}; // a key-value store of <propertyName, CQL type of that property>
-    let propValues = {}; // a key-value store of <propertyName, property value>
+  /**
+   * Get the consistency level to use for a property. Levels configured for
+   * the property take precedence over those of its thing, which take
+   * precedence over the global ones.
+   *
+   * @param {string} deviceId
+   * @param {string|null} propertyName null for the thing's level
+   * @param {string} kind 'read', 'write' or 'serial'
+   * @returns {string}
+   */
+  consistencyFor(deviceId, propertyName, kind) {
+    const consistency = this.settings ?
+      this.settings.consistency :
+      CONSISTENCY_DEFAULTS;
+    const thing = (consistency.things || {})[deviceId] || {};
+    const property = (thing.properties || {})[propertyName] || {};
+    return property[kind] || thing[kind] || consistency[kind];
+  }
 
-    deviceId = this.formatId(deviceId.toLowerCase()); // replace dashes with underscores and convert to lowercase
+  /**
+   * Count a read or write made at a consistency level.
+   *
+   * @param {string} kind 'reads' or 'writes'
+   * @param {string} level
+   */
+  recordConsistency(kind, level) {
+    if (!this.consistencyCounts[level]) {
+      this.consistencyCounts[level] = {reads: 0, writes: 0};
+    }
+    this.consistencyCounts[level][kind]++;
+  }
 
-    // fill our data structures with property types and initial values
-    for (const propertyName in properties) {
-      const propertyDict = properties[propertyName];
-      columnTypes[propertyName] = this.typeMap.get(propertyDict.type);
-      propValues[propertyName] = propertyDict.value;
+  /**
+   * Merge changes into the runtime overrides of the Cassandra settings, then
+   * reconnect using the new settings. A key set to null, at any level, drops
+   * its override, falling back to the gateway configuration.
+   *
+   * Clients are only told whether a password is set, so credentials without
+   * a password keep the stored one.
+   *
+   * @param {Object} changes
+   * @returns {Promise<Object>} Resolves to the new effective settings.
+   */
+  async updateSettings(changes) {
+    changes = Object.assign({}, changes);
+    if (isPlainObject(changes.credentials)) {
+      changes.credentials = Object.assign({}, changes.credentials);
+      delete changes.credentials.passwordSet;
     }
+    const overrides =
+      mergeSettings(await Settings.get(SETTINGS_KEY) || {}, changes);
+
+    // Make sure the result is usable before saving anything.
+    const settings = normalizeSettings(
+      mergeSettings(config.get('cassandra'), overrides)
+    );
 
-    let tableExists;
+    await Settings.set(SETTINGS_KEY, overrides);
     try {
-      tableExists = (await this.client.metadata.getTable("iot", deviceId)) != null;
+      await this.reconnect();
+    } catch (err) {
+      // Keep trying in the background, as the cluster may just be down
+      console.error('Cassie: Failed to connect with new settings:',
+                    err.message);
+    }
+    return settings;
+  }
+
+  /**
+   * Build the options passed to the driver's Client.
+   *
+   * @param {Object} settings Normalized settings
+   * @returns {Object}
+   */
+  buildClientOptions(settings) {
+    const options = {
+      contactPoints: settings.contactPoints,
+      localDataCenter: settings.localDataCenter,
+      keyspace: settings.keyspace,
+      protocolOptions: {
+        port: settings.port,
+      },
+      policies: {
+        reconnection:
+          new cassandra.policies.reconnection.ExponentialReconnectionPolicy(
+            settings.reconnect.delay,
+            settings.reconnect.maxDelay,
+            false
+          ),
+      },
+    };
+
+    if (settings.credentials.username) {
+      options.credentials = {
+        username: settings.credentials.username,
+        password: settings.credentials.password,
+      };
+    }
+
+    if (settings.ssl.enabled) {
+      options.sslOptions = {
+        rejectUnauthorized: settings.ssl.rejectUnauthorized,
+      };
+
+      if (settings.ssl.ca) {
+        options.sslOptions.ca = [fs.readFileSync(settings.ssl.ca)];
+      }
+    }
+
+    return options;
+  }
+
+  /**
+   * Connect to the Cassandra cluster, if not already connected or
+   * connecting.
+   *
+   * If the attempt fails, the next call tries again, and another attempt is
+   * scheduled in the background.
+   *
+   * @returns {Promise} Resolves once connected.
+   */
+  ensureConnected() {
+    if (!this.connecting) {
+      this.connecting = this.connect().then(() => {
+        this.reconnectAttempts = 0;
+        this.flushOutbox();
+      }, (err) => {
+        this.connecting = null;
+        this.scheduleReconnect();
+        throw new UnavailableError('Cannot connect to Cassandra', err);
+      });
     }
-    catch(err) {
-      console.log(err);
+
+    return this.connecting;
+  }
+
+  /**
+   * Connect as a tool working on the keyspace, such as a migration, rather
+   * than as a gateway: the tool isn't registered in the registry, and
+   * doesn't replay the gateway's outbox.
+   */
+  useAsTool() {
+    this.tool = true;
+  }
+
+  // Connect to Cassandra cluster and store Host object representing the
+  // single node
+  async connect() {
+    this.settings = await this.getSettings();
+    if (this.tool) {
+      this.settings.registry.enabled = false;
     }
+    // Values may have changed while disconnected
+    this.cache.clear();
+    this.cache.maxEntries = this.settings.cache.maxEntries;
+    this.outboxSize = await Database.countCassandraOutbox();
+    this.gatewayId = await GatewayIdentity.getId();
+    this.origin = cassandra.types.Uuid.fromString(this.gatewayId);
+    const client =
+      new cassandra.Client(this.buildClientOptions(this.settings));
+
+    // Set up event listener for consistency error from server (detected by
+    // Will's work)
+    client.on('consistencyError', this.onConsistencyError);
 
-    // Create new table, if necessary
-    if (!tableExists) {
+    // Set up event listener for notification that delayed request has
+    // finished executing
+    client.on('finishedProcessing', this.onFinishedProcessing);
 
-      // Create the Cassandra table
-      let query = 'CREATE TABLE ' + this.inQuotes(deviceId) + ' ( id text PRIMARY KEY,'
+    client.on('hostUp', this.onHostUp);
+    client.on('hostAdd', this.onHostUp);
+    client.on('hostDown', this.onHostDown);
+    client.on('hostRemove', this.onHostRemove);
 
-      // Add the column names and types to the query
-      for (const property in columnTypes) {
-        query += ' ' + this.inQuotes(property.toLowerCase()) + ' ' + columnTypes[property] + ',';
+    try {
+      await client.connect();
+      this.client = client;
+      console.log('Connected to Cassandra cluster');
+
+      await this.createTables();
+      if (this.settings.registry.enabled) {
+        await this.heartbeat();
       }
+    } catch (err) {
+      console.error('Cassie: Failed to connect:', err.message);
+      this.client = null;
+      this.removeClientListeners(client);
+      client.shutdown().catch(() => {});
+      throw err;
+    }
 
-      query = query.slice(0, query.length - 1) + " );"
-      await this.execute(query);
+    for (const host of client.hosts.values()) {
+      this.updateHost(host.address, {up: host.isUp()});
     }
 
-    // Add a row to the table, representing the device's initial state
-    let props = 'id, '; // the property names
-    let values = "'state', "; // the property values
+    // store the single node's Host object, needed to send requests to a
+    // single node
+    let host = this.settings.singleNodeHost;
+    if (!host.includes(':')) {
+      host = `${host}:${this.settings.port}`;
+    }
+    this.singleNode = client.hosts.get(host);
+
+    if (this.settings.registry.enabled) {
+      this.scheduleHeartbeat();
+    }
+  }
 
-    // Build comma-separated lists of propertyNames and values, necessary for CQL syntax
-    for (const property in propValues) {
-      props += this.inQuotes(property.toLowerCase()) + ', ' ;
-      values += propValues[property] + ', ';
+  /**
+   * Try to connect again after a delay which grows with each failed
+   * attempt, unless an attempt is already scheduled.
+   */
+  scheduleReconnect() {
+    if (this.reconnectTimer) {
+      return;
     }
 
-    props = '(' + props.slice(0, props.length - 2) + ')';
-    values = '(' + values.slice(0, values.length - 2) + ')';
+    const policy = this.settings ?
+      this.settings.reconnect :
+      RECONNECT_DEFAULTS;
+    const delay = backoff(this.reconnectAttempts++, policy);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.ensureConnected().then(() => this.flushOutbox()).catch(() => {
+        // ensureConnected() has scheduled the next attempt
+      });
+    }, delay);
+
+    // Don't keep the process alive just to reconnect
+    if (this.reconnectTimer.unref) {
+      this.reconnectTimer.unref();
+    }
+  }
 
-    // Execute the INSERT query
-    let query = 'INSERT INTO ' + this.inQuotes(deviceId) + '' + props + ' VALUES ' + values + ';';
-    await this.execute(query);
+  removeClientListeners(client) {
+    client.removeListener('consistencyError', this.onConsistencyError);
+    client.removeListener('finishedProcessing', this.onFinishedProcessing);
+    client.removeListener('hostUp', this.onHostUp);
+    client.removeListener('hostAdd', this.onHostUp);
+    client.removeListener('hostDown', this.onHostDown);
+    client.removeListener('hostRemove', this.onHostRemove);
   }
 
-  // Write a property value to Cassandra
-  write(deviceId, propertyName, value) {
-    return new Promise((resolve, reject) => {
-      // remove dashes and convert to lowercase
-      deviceId = this.inQuotes(this.formatId(deviceId.toLowerCase()));
-      propertyName = this.inQuotes(propertyName.toLowerCase());
+  /**
+   * Shut down the current client, if any.
+   *
+   * @returns {Promise}
+   */
+  async disconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.heartbeatTimer) {
+      clearTimeout(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+
+    if (this.connecting) {
+      await this.connecting.catch(() => {});
+    }
+    this.connecting = null;
+    this.rejectPending(new UnavailableError(
+      'Disconnected before delayed execution finished'));
 
-      // Execute UPDATE query    
-      let query = 'UPDATE ' + deviceId + ' SET ' + propertyName + '=' + value + ' WHERE id=\'state\';';
+    if (this.client) {
+      const client = this.client;
+      this.removeClientListeners(client);
+      this.client = null;
+      this.singleNode = null;
 
-      // USED FOR TESTING
-      this.dbWrites.push(value); // store all values being written to data
-      const interval = {}; // interval in which update to cassandra is in flight
-      interval.start = Date.now();
+      try {
+        await client.shutdown();
+      } catch (err) {
+        console.error('Error shutting down Cassandra client:', err);
+      }
+    }
+    this.hosts.clear();
+  }
 
-      this.execute(query) // add 'false' as next parameter to only send updates to one node
-      .then((result) => {
-        if (result.info.warnings && result.info.warnings[0] == "DELAY")
-        {
-          // console.log("REQUEST DELAYED WITH TIMESTAMP: " + result.info.warnings[1]);
-          this.delayedRequests++;
-          let ts = result.info.warnings[1]; // the timestamp returned by the server
-            
-          // if execution finished before we got notification that request was delayed
-          if (this.finished.includes(ts)) {
+  /**
+   * Shut down the current client, if any, and connect again using the
+   * current settings.
+   *
+   * @returns {Promise}
+   */
+  async reconnect() {
+    await this.disconnect();
+    this.reconnectAttempts = 0;
+    await this.ensureConnected();
+  }
 
-            // delete element from array
-            let index = this.finished.indexOf(ts);
-            this.finished.splice(index, 1);
+  onHostUp(host) {
+    console.log('Cassie: Host up:', host.address);
+    this.updateHost(host.address, {up: true});
+    this.flushOutbox();
+  }
 
-            interval.finish = Date.now();
-            this.intervals.push(interval);
-            resolve();
-          } 
-          // if execution still pending
-          else {
-            this.pendingExecution(ts)
-            .then(() => {
-              interval.finish = Date.now();
-              this.intervals.push(interval);
-              resolve();
-            })
-          }
-        }
-        else {
-          interval.finish = Date.now();
-          this.intervals.push(interval);
-          resolve();
-        }
-      })
-    })
+  onHostDown(host) {
+    console.log('Cassie: Host down:', host.address);
+    this.updateHost(host.address, {up: false});
   }
 
-    /**
-   * @method pendingExecution
-   * @returns a promise which is resoved when a delayed
-   * query finishes execution, allows us to wait until we know a Cassandra update has finished
+  onHostRemove(host) {
+    this.hosts.delete(host.address);
+  }
+
+  /**
+   * Update the health record of a host.
+   *
+   * @param {string} address
+   * @param {Object} changes Any of {up, failure, success}, where failure is
+   *                         the error of a request sent to the host
    */
-  pendingExecution(ts) {
-    const deferred = new Deferred();
-    this.pending[ts] = deferred;
-    return deferred.promise;
+  updateHost(address, changes) {
+    if (!this.hosts.has(address)) {
+      this.hosts.set(address, {
+        address,
+        up: true,
+        since: Date.now(),
+        failures: 0,
+        consecutiveFailures: 0,
+        lastError: null,
+        lastSuccess: null,
+      });
+    }
+
+    const health = this.hosts.get(address);
+    if (changes.hasOwnProperty('up') && changes.up !== health.up) {
+      health.up = changes.up;
+      health.since = Date.now();
+    }
+    if (changes.failure) {
+      health.failures++;
+      health.consecutiveFailures++;
+      health.lastError = {
+        message: changes.failure.message,
+        date: Date.now(),
+      };
+    }
+    if (changes.success) {
+      health.consecutiveFailures = 0;
+      health.lastSuccess = Date.now();
+    }
   }
 
-  // Read a property value from Cassandra
-  async read(deviceId, propertyName) {
+  /**
+   * @returns {Object} The state of the connection, the health of each host
+   *                   and the number of writes waiting to be replayed.
+   */
+  getHealth() {
+    return {
+      connected: !!this.client,
+      reconnecting: !!this.reconnectTimer,
+      hosts: Array.from(this.hosts.values()),
+      outbox: this.outboxSize,
+      cache: this.cache.size,
+    };
+  }
 
-    // remove dashes andconvert lowercase
-    deviceId = this.formatId(deviceId.toLowerCase());
-    propertyName = propertyName.toLowerCase();
+  onConsistencyError(msg) {
+    if (msg.startsWith('Local Detection')) {
+      this.localDetectionErrors++;
+      metrics.cassandraDetectionErrors.inc({type: 'local'});
+    } else if (msg.startsWith('Global detection concurrent writes')) {
+      this.globalDetectionErrors++;
+      metrics.cassandraDetectionErrors.inc({type: 'global_overlapping_writes'});
+    } else if (msg.startsWith('Global detection update not persisted')) {
+      this.notPersistedErrors++;
+      metrics.cassandraDetectionErrors.inc({type: 'global_not_persisted'});
+    }
+  }
 
-    // execute select query
-    let query = 'SELECT ' + this.inQuotes(propertyName) + ' FROM ' + this.inQuotes(deviceId) + ' WHERE id=\'state\';';
-    let result = await this.execute(query);
+  onFinishedProcessing(msg) {
+    // the timestamp sent by the server
+    const ts = msg.slice(msg.indexOf(' ') + 1);
 
-    let row = result.rows[0];
-    let value = row[propertyName];
-    return value;
+    // if we know request is pending, resolve corresponding promise
+    if (this.pending[ts]) {
+      clearTimeout(this.pending[ts].timer);
+      this.pending[ts].deferred.resolve();
+      delete this.pending[ts];
+    } else {
+      // if we don't know yet, then store the timestamp# in the finished map
+      this.finished.set(ts, Date.now());
+    }
+
+    this.pruneFinished();
   }
 
-  // Execute query and perform error checking
-  async execute(query, multiHost = true) {
-    try {
-      let result;
-      if (multiHost)
-        result = await this.client.execute(query);
-      else
-        result = await this.client.execute(query,[],{host: this.nodeOne});
-      return result;
+  /**
+   * Forget finished executions no write has claimed within the retention
+   * period, as their writes have most likely failed or timed out.
+   */
+  pruneFinished() {
+    const policy = this.settings ? this.settings.delay : DELAY_DEFAULTS;
+    const oldest = Date.now() - policy.retention;
+    for (const [ts, receivedAt] of this.finished) {
+      if (receivedAt >= oldest) {
+        // Entries are in the order they were received
+        break;
+      }
+      this.finished.delete(ts);
     }
-    catch(err) {
-      console.log("Error with Cassandra query: " + err);
+  }
+
+  /**
+   * Fail every write still waiting for its delayed execution, e.g. because
+   * the client which would have been notified is gone.
+   *
+   * @param {Error} err
+   */
+  rejectPending(err) {
+    for (const ts in this.pending) {
+      clearTimeout(this.pending[ts].timer);
+      this.pending[ts].deferred.reject(err);
     }
+    this.pending = {};
+    this.finished.clear();
   }
 
-  // return string argument surrounded by quotes
-  inQuotes(str) {
-    return '"' + str + '"';
+  /**
+   * Create the gateway's tables, if they do not exist yet.
+   *
+   * This is part of connecting, so it uses the client directly rather than
+   * execute(), which would wait for the connection attempt to finish.
+   */
+  async createTables() {
+    await this.client.execute(
+      `CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (` +
+        'table_name text, applied_at timeuuid, statement text, ' +
+        'description text, PRIMARY KEY (table_name, applied_at)) ' +
+        'WITH CLUSTERING ORDER BY (applied_at DESC)'
+    );
+
+    await this.createTable(
+      STATE_TABLE,
+      `CREATE TABLE IF NOT EXISTS ${STATE_TABLE} (` +
+        'device_id text, property text, value_type text, ' +
+        'boolean_value boolean, double_value double, int_value int, ' +
+        'text_value text, version uuid, PRIMARY KEY (device_id, property))'
+    );
+    await this.addColumn(STATE_TABLE, 'version', 'uuid');
+
+    if (this.settings.changeFeed.enabled) {
+      await this.createTable(
+        CHANGES_TABLE,
+        `CREATE TABLE IF NOT EXISTS ${CHANGES_TABLE} (` +
+          'bucket timestamp, id timeuuid, device_id text, property text, ' +
+          'origin uuid, version uuid, PRIMARY KEY (bucket, id)) ' +
+          'WITH CLUSTERING ORDER BY (id ASC)'
+      );
+    }
+
+    if (this.settings.registry.enabled) {
+      await this.createTable(
+        GATEWAYS_TABLE,
+        `CREATE TABLE IF NOT EXISTS ${GATEWAYS_TABLE} (` +
+          'gateway_id uuid PRIMARY KEY, name text, address text, ' +
+          'adapters set<text>, started_at timestamp, last_seen timestamp)'
+      );
+      await this.createTable(
+        OWNERS_TABLE,
+        `CREATE TABLE IF NOT EXISTS ${OWNERS_TABLE} (` +
+          'device_id text PRIMARY KEY, gateway_id uuid, adapter_id text, ' +
+          'claimed_at timestamp)'
+      );
+    }
+
+    if (this.settings.history.enabled) {
+      await this.createTable(
+        HISTORY_TABLE,
+        `CREATE TABLE IF NOT EXISTS ${HISTORY_TABLE} (` +
+          'device_id text, property text, day date, time timestamp, ' +
+          'value_type text, boolean_value boolean, double_value double, ' +
+          'int_value int, text_value text, ' +
+          'PRIMARY KEY ((device_id, property, day), time)) ' +
+          'WITH CLUSTERING ORDER BY (time ASC)'
+      );
+    }
   }
 
-  // Replace dashes with underscores, dashes not allowed in Cassandra table names
-  formatId(deviceId) {
-    return deviceId.replace(/-/g, '_');
+  /**
+   * Create a table if it does not exist, recording it in the migration log.
+   *
+   * @param {string} table
+   * @param {string} statement
+   */
+  async createTable(table, statement) {
+    const exists =
+      await this.client.metadata.getTable(this.settings.keyspace, table);
+    if (exists) {
+      return;
+    }
+
+    await this.client.execute(statement);
+    await this.recordMigration(table, statement, 'create table');
+  }
+
+  /**
+   * Add a column to a table if it does not have it yet, recording it in the
+   * migration log.
+   *
+   * @param {string} table
+   * @param {string} column
+   * @param {string} cqlType
+   */
+  async addColumn(table, column, cqlType) {
+    const metadata =
+      await this.client.metadata.getTable(this.settings.keyspace, table);
+    if (!metadata || metadata.columns.some((c) => c.name === column)) {
+      return;
+    }
+
+    const statement = `ALTER TABLE ${table} ADD ${column} ${cqlType}`;
+    await this.client.execute(statement);
+    await this.recordMigration(table, statement, `add column ${column}`);
+  }
+
+  /**
+   * Record a schema change in the migration log.
+   *
+   * @param {string} table Table which was changed
+   * @param {string} statement
+   * @param {string} description
+   */
+  recordMigration(table, statement, description) {
+    console.log('Cassie: Migrating', table, '-', description);
+    return this.client.execute(
+      `INSERT INTO ${MIGRATIONS_TABLE} ` +
+        '(table_name, applied_at, statement, description) ' +
+        'VALUES (?, now(), ?, ?)',
+      [table, statement, description],
+      {prepare: true}
+    );
+  }
+
+  /**
+   * Store the initial value of each of a device's properties.
+   *
+   * With the registry enabled, the gateway first claims the device. If
+   * another gateway holds its lease, that gateway's state is kept.
+   * Otherwise the initial values are reconciled with the stored state
+   * according to the initPolicy setting.
+   *
+   * @param {string} deviceId
+   * @param {Object} properties Map of property name to property description
+   * @param {string} [adapterId] Adapter which provides the device
+   */
+  async initDevice(deviceId, properties, adapterId = null) {
+    const types = new Map();
+    for (const propertyName in properties) {
+      const propertyDict = properties[propertyName];
+      types.set(propertyName,
+                this.valueTypeOf(propertyDict.type, propertyDict.value));
+    }
+    this.propertyTypes.set(deviceId, types);
+
+    if (types.size === 0) {
+      return;
+    }
+
+    try {
+      await this.ensureConnected();
+      if (this.isBuffering()) {
+        await this.bufferInitialState(deviceId, properties, adapterId);
+        return;
+      }
+
+      await this.storeInitialState(deviceId, properties, adapterId);
+    } catch (err) {
+      const unreachable = err instanceof UnavailableError || isUnreachable(err);
+      if (!unreachable || !this.canBuffer()) {
+        throw err;
+      }
+
+      await this.bufferInitialState(deviceId, properties, adapterId);
+      this.scheduleReconnect();
+    }
+  }
+
+  /**
+   * Store the initial values of a device's properties, unless another
+   * gateway hosts it, reconciling them with the stored state according to
+   * the initPolicy setting.
+   *
+   * @param {string} deviceId
+   * @param {Object} properties Map of property name to property description
+   * @param {string} adapterId
+   */
+  async storeInitialState(deviceId, properties, adapterId) {
+    this.cache.invalidateDevice(deviceId);
+    if (this.settings.registry.enabled) {
+      const owner = await this.claimDevice(deviceId, adapterId);
+      if (owner !== this.gatewayId) {
+        console.log('Cassie:', deviceId, 'is hosted by gateway', owner,
+                    '- keeping its state');
+        return;
+      }
+    }
+
+    const policy = this.settings.initPolicy;
+    const consistency = this.consistencyFor(deviceId, null, 'write');
+    const types = this.propertyTypes.get(deviceId);
+
+    if (policy === 'keep-existing') {
+      await this.insertInitialValues(
+        deviceId, properties, Object.keys(properties));
+      return;
+    }
+
+    const stored = new Map();
+    if (policy === 'newest-timestamp-wins') {
+      const result = await this.execute(
+        'SELECT property, value_type, boolean_value, double_value, ' +
+          'int_value, text_value, version, WRITETIME(version) AS written ' +
+          `FROM ${STATE_TABLE} WHERE device_id = ?`,
+        [deviceId],
+        {consistency: this.consistencyFor(deviceId, null, 'read')}
+      );
+      for (const row of result.rows) {
+        stored.set(row.property, row);
+      }
+    }
+
+    const queries = [];
+    const inserts = [];
+    for (const propertyName in properties) {
+      const value = properties[propertyName].value;
+      const row = stored.get(propertyName);
+      let timestamp = null;
+      if (policy === 'newest-timestamp-wins') {
+        timestamp = this.changeTimeOf(properties[propertyName]);
+        if (timestamp === null && !row) {
+          // Another gateway may be storing one at the same time
+          inserts.push(propertyName);
+          continue;
+        }
+      }
+      // Without a change time, the adapter's value can't be newer
+      if (row && (timestamp === null || Number(`${row.written}`) > timestamp)) {
+        this.setKnownVersion(deviceId, propertyName, row.version);
+        this.logReconciliation(deviceId, propertyName, value, row, 'stored');
+        continue;
+      }
+
+      if (row) {
+        this.logReconciliation(deviceId, propertyName, value, row, 'adapter');
+      }
+      queries.push(this.updateStatement(
+        deviceId, propertyName, types.get(propertyName), value, null,
+        timestamp));
+    }
+
+    if (queries.length > 0) {
+      // With a write timestamp, a newer write which raced this one still
+      // wins.
+      await this.executeBatch(queries, {consistency});
+    }
+
+    for (const {propertyName, version} of queries) {
+      this.setKnownVersion(deviceId, propertyName, version);
+    }
+    await this.insertInitialValues(deviceId, properties, inserts);
+  }
+
+  /**
+   * Store initial values of a device's properties which have none yet.
+   *
+   * @param {string} deviceId
+   * @param {Object} properties Map of property name to property description
+   * @param {Array<string>} propertyNames The properties to store
+   */
+  async insertInitialValues(deviceId, properties, propertyNames) {
+    const consistency = this.consistencyFor(deviceId, null, 'write');
+    const types = this.propertyTypes.get(deviceId);
+    // Conditional statements on several rows can't be batched without the
+    // whole batch failing when any one row exists.
+    await Promise.all(propertyNames.map(async (propertyName) => {
+      const value = properties[propertyName].value;
+      const statement = this.insertStatement(
+        deviceId, propertyName, types.get(propertyName), value);
+      const result = await this.execute(statement.query, statement.params, {
+        consistency,
+        serialConsistency:
+          this.consistencyFor(deviceId, propertyName, 'serial'),
+        idempotent: false,
+      });
+
+      const row = result.rows && result.rows[0];
+      if (row && row['[applied]'] === false) {
+        this.setKnownVersion(deviceId, propertyName, row.version);
+        this.logReconciliation(deviceId, propertyName, value, row, 'stored');
+      } else {
+        this.setKnownVersion(deviceId, propertyName, statement.version);
+      }
+    }));
+  }
+
+  /**
+   * Get the time an adapter reports a property's value last changed at.
+   *
+   * @param {Object} propertyDict Property description
+   * @return {number|null} Time in microseconds, as write timestamps are, or
+   *                       null if the adapter doesn't report it
+   */
+  changeTimeOf(propertyDict) {
+    const lastChanged = propertyDict.lastChanged;
+    if (typeof lastChanged !== 'number' || !Number.isFinite(lastChanged)) {
+      return null;
+    }
+    return Math.round(lastChanged) * 1000;
+  }
+
+  /**
+   * Log the outcome of reconciling an initial value with a different stored
+   * one.
+   *
+   * @param {string} deviceId
+   * @param {string} propertyName
+   * @param {*} value The value the adapter reported
+   * @param {Object} row The stored row
+   * @param {string} winner 'stored' or 'adapter'
+   */
+  logReconciliation(deviceId, propertyName, value, row, winner) {
+    const storedValue =
+      this.decode(row.value_type, row[VALUE_COLUMNS[row.value_type]]);
+    if (JSON.stringify(storedValue) === JSON.stringify(value)) {
+      return;
+    }
+
+    const policy = this.settings.initPolicy;
+    metrics.cassandraInitReconciliations.inc({policy, winner});
+    if (winner === 'stored') {
+      console.log('Cassie: Keeping stored value', JSON.stringify(storedValue),
+                  'of', propertyName, 'for', deviceId, 'over the adapter\'s',
+                  JSON.stringify(value), `(${policy})`);
+    } else {
+      console.log('Cassie: Replacing stored value',
+                  JSON.stringify(storedValue), 'of', propertyName, 'for',
+                  deviceId, 'with the adapter\'s', JSON.stringify(value),
+                  `(${policy})`);
+    }
+  }
+
+  /**
+   * Keep the initial values of a device until the cluster is reachable.
+   *
+   * Initial values which went through the outbox would be replayed as plain
+   * writes, overwriting the stored state, so unless the adapter wins, the
+   * device is initialized again once the cluster is back instead.
+   */
+  async bufferInitialState(deviceId, properties, adapterId) {
+    if (this.settings.initPolicy === 'adapter-wins') {
+      await this.bufferProperties(deviceId, properties);
+      return;
+    }
+
+    this.pendingInits.set(deviceId, {properties, adapterId});
+  }
+
+  /**
+   * Initialize the devices added while the cluster couldn't be reached.
+   *
+   * @throws If the cluster can't be reached, leaving the remaining devices
+   *         for the next attempt.
+   */
+  async initPendingDevices() {
+    for (const [deviceId, pending] of Array.from(this.pendingInits)) {
+      const {properties, adapterId} = pending;
+      try {
+        await this.storeInitialState(deviceId, properties, adapterId);
+      } catch (err) {
+        if (err instanceof UnavailableError || isUnreachable(err)) {
+          throw err;
+        }
+        console.error('Cassie: Failed to initialize', deviceId, ':',
+                      err.message);
+      }
+
+      // Unless the device was added again in the meantime
+      if (this.pendingInits.get(deviceId) === pending) {
+        this.pendingInits.delete(deviceId);
+      }
+    }
+  }
+
+  /**
+   * Keep the initial values of a device's properties in the outbox.
+   */
+  async bufferProperties(deviceId, properties) {
+    for (const propertyName in properties) {
+      await this.addToOutbox(
+        deviceId, propertyName, properties[propertyName].value);
+    }
+  }
+
+  /**
+   * Forget a removed device, deleting its state if deleteStateOnRemove is
+   * set.
+   */
+  async removeDevice(deviceId) {
+    this.propertyTypes.delete(deviceId);
+    this.versions.delete(deviceId);
+    this.cache.invalidateDevice(deviceId);
+    this.pendingInits.delete(deviceId);
+
+    await this.ensureConnected();
+    if (this.ownedDevices.has(deviceId)) {
+      await this.releaseDevice(deviceId);
+    }
+    if (!this.settings.deleteStateOnRemove) {
+      return;
+    }
+
+    await this.execute(
+      `DELETE FROM ${STATE_TABLE} WHERE device_id = ?`,
+      [deviceId]
+    );
+  }
+
+  /**
+   * Build the statement which stores a property value.
+   *
+   * Only the column for the value's type is written, along with value_type
+   * and a new version, so that no tombstones are created for the other
+   * columns.
+   *
+   * @param {string} deviceId
+   * @param {string} propertyName
+   * @param {string} valueType
+   * @param {*} value
+   * @param {Object} [expected] For a compare-and-set write, {version}: the
+   *                            version the value must still have
+   * @param {number} [timestamp] Write timestamp, in microseconds, instead of
+   *                             the coordinator's time
+   * @returns {Object} {query, params, propertyName, version}
+   */
+  updateStatement(deviceId, propertyName, valueType, value, expected,
+                  timestamp) {
+    const version = cassandra.types.Uuid.random();
+    let query = `UPDATE ${STATE_TABLE} ${
+      timestamp ? 'USING TIMESTAMP ? ' : ''}SET value_type = ?, ${
+      VALUE_COLUMNS[valueType]} = ?, version = ? ` +
+      'WHERE device_id = ? AND property = ?';
+    const params = [
+      valueType,
+      this.encode(valueType, value),
+      version,
+      deviceId,
+      propertyName,
+    ];
+    if (timestamp) {
+      params.unshift(timestamp);
+    }
+
+    if (expected) {
+      query += ' IF version = ?';
+      params.push(expected.version);
+    }
+
+    return {query, params, propertyName, version};
+  }
+
+  /**
+   * Build the statement which stores a property value unless the property
+   * already has one.
+   *
+   * @returns {Object} {query, params, propertyName, version}
+   */
+  insertStatement(deviceId, propertyName, valueType, value) {
+    const version = cassandra.types.Uuid.random();
+    return {
+      query: `INSERT INTO ${STATE_TABLE} (device_id, property, value_type, ${
+        VALUE_COLUMNS[valueType]}, version) VALUES (?, ?, ?, ?, ?) ` +
+        'IF NOT EXISTS',
+      params: [
+        deviceId,
+        propertyName,
+        valueType,
+        this.encode(valueType, value),
+        version,
+      ],
+      propertyName,
+      version,
+    };
+  }
+
+  /**
+   * @returns {Uuid|null} The version of a property value this gateway last
+   *                      wrote or read.
+   */
+  knownVersion(deviceId, propertyName) {
+    const versions = this.versions.get(deviceId);
+    return (versions && versions.get(propertyName)) || null;
+  }
+
+  setKnownVersion(deviceId, propertyName, version) {
+    if (!this.versions.has(deviceId)) {
+      this.versions.set(deviceId, new Map());
+    }
+    this.versions.get(deviceId).set(propertyName, version);
+  }
+
+  /**
+   * Write a property value to Cassandra.
+   *
+   * With compareAndSet enabled, the write only succeeds if the stored value
+   * still has the version this gateway last saw. Otherwise the promise is
+   * rejected with a ConflictError holding the value which won.
+   *
+   * Otherwise, while the cluster cannot be reached, writes are kept in the
+   * outbox and replayed in order once it is back.
+   */
+  async write(deviceId, propertyName, value) {
+    try {
+      await this.ensureConnected();
+      if (this.isBuffering()) {
+        await this.addToOutbox(deviceId, propertyName, value);
+        return;
+      }
+
+      await this.writeNow(deviceId, propertyName, value);
+    } catch (err) {
+      const unreachable = err instanceof UnavailableError || isUnreachable(err);
+      if (!unreachable) {
+        throw err;
+      }
+      if (!this.canBuffer()) {
+        throw new UnavailableError('Cassandra cluster is unreachable', err);
+      }
+
+      await this.addToOutbox(deviceId, propertyName, value);
+      this.scheduleReconnect();
+    }
+  }
+
+  /**
+   * Send a property write to the cluster, waiting for it to be applied.
+   */
+  async writeNow(deviceId, propertyName, value) {
+    const interval = {}; // interval in which update to cassandra is in flight
+    interval.start = Date.now();
+
+    await this.ensureConnected();
+
+    const valueType =
+      this.valueTypeOf(this.propertyType(deviceId, propertyName), value);
+    const expected = this.settings.compareAndSet ?
+      {version: this.knownVersion(deviceId, propertyName)} :
+      null;
+    const statement = this.updateStatement(
+      deviceId, propertyName, valueType, value, expected);
+
+    const consistency = this.consistencyFor(deviceId, propertyName, 'write');
+    interval.consistency = consistency;
+    this.recordConsistency('writes', consistency);
+
+    // The stored value is unknown until the write is confirmed
+    this.cache.invalidate(deviceId, propertyName);
+
+    // add {singleNode: true} to the options to only send updates to one
+    // node
+    const result = await this.execute(statement.query, statement.params, {
+      consistency,
+      serialConsistency: this.consistencyFor(deviceId, propertyName, 'serial'),
+      // A conditional write which is sent again could conflict with itself
+      idempotent: !expected,
+    });
+
+    if (result.rows && result.rows.length > 0 &&
+        result.rows[0]['[applied]'] === false) {
+      // Another writer got there first; the row holds its value
+      const row = result.rows[0];
+      const currentValue =
+        this.decode(row.value_type, row[VALUE_COLUMNS[row.value_type]]);
+      this.setKnownVersion(deviceId, propertyName, row.version);
+      this.cache.set(deviceId, propertyName, currentValue);
+      interval.finish = Date.now();
+      instrumentation.record('writes', interval);
+      throw new ConflictError(deviceId, propertyName, currentValue);
+    }
+
+    this.setKnownVersion(deviceId, propertyName, statement.version);
+
+    if (this.settings.changeFeed.enabled) {
+      try {
+        await this.logChange(deviceId, propertyName, statement.version);
+      } catch (err) {
+        // The value is stored; other gateways just won't hear about it
+        console.error('Cassie: Failed to log change of', propertyName,
+                      'for', deviceId, ':', err.message);
+      }
+    }
+
+    if (result.info.warnings && result.info.warnings[0] == 'DELAY') {
+      this.delayedRequests++;
+      metrics.cassandraDelayedRequests.inc();
+      // the timestamp returned by the server
+      const ts = result.info.warnings[1];
+
+      // if execution finished before we got notification that request
+      // was delayed
+      if (this.finished.has(ts)) {
+        this.finished.delete(ts);
+      } else {
+        // if execution still pending
+        await this.pendingExecution(ts);
+      }
+    }
+    this.cache.set(deviceId, propertyName, value);
+
+    interval.finish = Date.now();
+    instrumentation.record('writes', interval);
+    metrics.cassandraWriteDuration.observe(
+      {consistency},
+      (interval.finish - interval.start) / 1000
+    );
+  }
+
+  /**
+   * @returns {boolean} Whether writes may be kept in the outbox. Conditional
+   *                    writes can't, as they must be checked when made.
+   */
+  canBuffer() {
+    return !!this.settings && this.settings.outbox.enabled &&
+      !this.settings.compareAndSet;
+  }
+
+  /**
+   * @returns {boolean} Whether new writes have to go through the outbox, so
+   *                    as not to overtake writes which are still waiting.
+   */
+  isBuffering() {
+    return this.canBuffer() && (this.outboxSize > 0 || !!this.flushing);
+  }
+
+  /**
+   * Keep a write in the outbox until the cluster can be reached.
+   *
+   * @throws {UnavailableError} If the outbox is full.
+   */
+  async addToOutbox(deviceId, propertyName, value) {
+    this.cache.invalidate(deviceId, propertyName);
+    if (this.outboxSize >= this.settings.outbox.maxSize) {
+      throw new UnavailableError(
+        'Cassandra cluster is unreachable and the outbox is full');
+    }
+
+    this.outboxSize++;
+    try {
+      await Database.addCassandraOutboxWrite(deviceId, propertyName, value);
+    } catch (err) {
+      this.outboxSize--;
+      throw err;
+    }
+  }
+
+  /**
+   * Replay the writes in the outbox, oldest first. Stops at the first write
+   * the cluster can't be reached for, and tries again later.
+   *
+   * @returns {Promise} Resolves once done, never rejects.
+   */
+  flushOutbox() {
+    if (this.tool) {
+      return Promise.resolve();
+    }
+    if (this.flushing) {
+      return this.flushing;
+    }
+
+    this.flushing = this.replayOutbox().catch((err) => {
+      console.error('Cassie: Failed to replay buffered writes:', err.message);
+      this.scheduleReconnect();
+    }).then(() => {
+      this.flushing = null;
+      // Writes may have been added while the last batch was replayed
+      if (this.outboxSize > 0 && !this.reconnectTimer) {
+        this.flushOutbox();
+      }
+    });
+    return this.flushing;
+  }
+
+  async replayOutbox() {
+    // Initial values come before the writes made since
+    await this.initPendingDevices();
+
+    let writes = await Database.getCassandraOutboxWrites(OUTBOX_BATCH_SIZE);
+    if (writes.length > 0) {
+      console.log('Cassie: Replaying', this.outboxSize, 'buffered writes');
+    }
+
+    while (writes.length > 0) {
+      for (const write of writes) {
+        try {
+          await this.writeNow(write.thingId, write.name, write.value);
+        } catch (err) {
+          if (err instanceof UnavailableError || isUnreachable(err)) {
+            throw err;
+          }
+
+          if (err instanceof TimeoutError) {
+            // The write was sent, only its execution wasn't confirmed in
+            // time. pendingExecution counted it in delayTimeouts already.
+            console.warn('Cassie: Buffered write of', write.name, 'for',
+                         write.thingId, 'was not confirmed');
+          } else {
+            // Sending it again won't help
+            console.error('Cassie: Dropping buffered write of', write.name,
+                          'for', write.thingId, ':', err.message);
+          }
+        }
+
+        await Database.deleteCassandraOutboxWrite(write.id);
+        this.outboxSize = Math.max(0, this.outboxSize - 1);
+      }
+
+      writes = await Database.getCassandraOutboxWrites(OUTBOX_BATCH_SIZE);
+    }
+  }
+
+  /**
+   * @method pendingExecution
+   * @returns a promise which is resoved when a delayed
+   * query finishes execution, allows us to wait until we know a Cassandra
+   * update has finished. It is rejected with a TimeoutError if that isn't
+   * known within the configured delay timeout.
+   */
+  pendingExecution(ts) {
+    const deferred = new Deferred();
+    const timeout = this.settings.delay.timeout;
+    const timer = setTimeout(() => {
+      delete this.pending[ts];
+      this.delayTimeouts++;
+      metrics.cassandraDelayTimeouts.inc();
+      deferred.reject(new TimeoutError(
+        `Delayed execution ${ts} was not confirmed`, timeout));
+    }, timeout);
+
+    this.pending[ts] = {deferred, timer};
+    return deferred.promise;
+  }
+
+  /**
+   * Read a property value, from the read cache while it is fresh enough.
+   *
+   * @param {string} deviceId
+   * @param {string} propertyName
+   * @param {Object} [options] {bypassCache: true} to read from the cluster
+   *                           whatever the cache holds
+   * @returns {Promise<*>} The value.
+   */
+  async read(deviceId, propertyName, options = {}) {
+    await this.ensureConnected();
+
+    const cache = this.settings.cache;
+    if (!cache.enabled || options.bypassCache) {
+      if (cache.enabled) {
+        metrics.cassandraCacheReads.inc({result: 'bypass'});
+      }
+      return this.readNow(deviceId, propertyName);
+    }
+
+    const entry = this.cache.get(deviceId, propertyName, cache.maxAge);
+    if (entry) {
+      metrics.cassandraCacheReads.inc({result: 'hit'});
+      return entry.value;
+    }
+
+    metrics.cassandraCacheReads.inc({result: 'miss'});
+    return this.cache.load(deviceId, propertyName, () => {
+      return this.readNow(deviceId, propertyName);
+    });
+  }
+
+  /**
+   * Read a property value from the cluster, skipping the cache.
+   */
+  async readNow(deviceId, propertyName) {
+    const consistency = this.consistencyFor(deviceId, propertyName, 'read');
+    this.recordConsistency('reads', consistency);
+
+    let result;
+    try {
+      result = await this.execute(
+        'SELECT value_type, boolean_value, double_value, int_value, ' +
+          `text_value, version FROM ${STATE_TABLE} WHERE device_id = ? ` +
+          'AND property = ?',
+        [deviceId, propertyName],
+        {consistency}
+      );
+    } catch (err) {
+      if (isUnreachable(err)) {
+        throw new UnavailableError('Cassandra cluster is unreachable', err);
+      }
+      throw err;
+    }
+    if (result.rows.length === 0) {
+      return;
+    }
+
+    const row = result.rows[0];
+    if (row.version) {
+      this.setKnownVersion(deviceId, propertyName, row.version);
+    }
+    return this.decode(row.value_type, row[VALUE_COLUMNS[row.value_type]]);
+  }
+
+  /**
+   * Claim the lease of a device, unless another gateway holds it.
+   *
+   * @param {string} deviceId
+   * @param {string} adapterId
+   * @returns {Promise<string>} The id of the gateway hosting the device.
+   */
+  async claimDevice(deviceId, adapterId) {
+    const result = await this.execute(
+      `INSERT INTO ${OWNERS_TABLE} ` +
+        '(device_id, gateway_id, adapter_id, claimed_at) ' +
+        'VALUES (?, ?, ?, ?) IF NOT EXISTS USING TTL ?',
+      [deviceId, this.origin, adapterId, new Date(),
+       this.settings.registry.leaseTtl],
+      {
+        serialConsistency: this.consistencyFor(deviceId, null, 'serial'),
+        idempotent: false,
+      }
+    );
+
+    const row = result.rows && result.rows[0];
+    const owner = row && row['[applied]'] === false ?
+      row.gateway_id.toString() :
+      this.gatewayId;
+    if (owner === this.gatewayId) {
+      this.ownedDevices.set(deviceId, adapterId);
+    } else {
+      this.ownedDevices.delete(deviceId);
+    }
+    return owner;
+  }
+
+  /**
+   * Give up the lease of a device.
+   */
+  async releaseDevice(deviceId) {
+    this.ownedDevices.delete(deviceId);
+    await this.execute(
+      `DELETE FROM ${OWNERS_TABLE} WHERE device_id = ? IF gateway_id = ?`,
+      [deviceId, this.origin],
+      {
+        serialConsistency: this.consistencyFor(deviceId, null, 'serial'),
+        idempotent: false,
+      }
+    );
+  }
+
+  scheduleHeartbeat() {
+    this.heartbeatTimer = setTimeout(() => {
+      this.heartbeatTimer = null;
+      this.heartbeat().catch((err) => {
+        if (!(err instanceof UnavailableError || isUnreachable(err))) {
+          console.error('Cassie: Heartbeat failed:', err.message);
+        }
+      }).then(() => {
+        if (this.client && this.settings.registry.enabled) {
+          this.scheduleHeartbeat();
+        }
+      });
+    }, this.settings.registry.heartbeatInterval);
+
+    // Don't keep the process alive just for heartbeats
+    if (this.heartbeatTimer.unref) {
+      this.heartbeatTimer.unref();
+    }
+  }
+
+  /**
+   * Register this gateway in the registry, and renew the leases of the
+   * devices it hosts. A lease which another gateway took over after it
+   * expired is given up.
+   *
+   * This is part of connecting, so it uses the client directly rather than
+   * execute(), which would wait for the connection attempt to finish.
+   */
+  async heartbeat() {
+    if (!this.client) {
+      return;
+    }
+
+    const {name, address, leaseTtl} = this.settings.registry;
+    const adapters = new Set(this.ownedDevices.values());
+    adapters.delete(null);
+    const now = new Date();
+
+    await this.client.execute(
+      `UPDATE ${GATEWAYS_TABLE} USING TTL ? SET name = ?, address = ?, ` +
+        'adapters = ?, started_at = ?, last_seen = ? WHERE gateway_id = ?',
+      [leaseTtl, name, address, Array.from(adapters), this.startedAt, now,
+       this.origin],
+      {prepare: true}
+    );
+
+    for (const [deviceId, adapterId] of this.ownedDevices) {
+      const result = await this.client.execute(
+        `UPDATE ${OWNERS_TABLE} USING TTL ? SET adapter_id = ?, ` +
+          'claimed_at = ? WHERE device_id = ? IF gateway_id = ?',
+        [leaseTtl, adapterId, now, deviceId, this.origin],
+        Object.assign({prepare: true}, this.consistencyOptions({
+          serialConsistency: this.consistencyFor(deviceId, null, 'serial'),
+        }))
+      );
+
+      const row = result.rows && result.rows[0];
+      if (row && row['[applied]'] === false) {
+        console.log('Cassie: Lost the lease of', deviceId, 'to gateway',
+                    row.gateway_id ? row.gateway_id.toString() : 'none');
+        this.ownedDevices.delete(deviceId);
+      }
+    }
+  }
+
+  /**
+   * List the gateways sharing the cluster and the devices each one hosts.
+   *
+   * @returns {Promise<Object>} {id, gateways: [{id, name, address,
+   *                            adapters, startedAt, lastSeen, devices}]},
+   *                            where id is this gateway's.
+   */
+  async getGateways() {
+    await this.ensureConnected();
+    if (!this.settings.registry.enabled) {
+      return {id: this.gatewayId, gateways: []};
+    }
+
+    const gateways = new Map();
+    const result = await this.execute(
+      'SELECT gateway_id, name, address, adapters, started_at, last_seen ' +
+        `FROM ${GATEWAYS_TABLE}`
+    );
+    for (const row of result.rows) {
+      const id = row.gateway_id.toString();
+      gateways.set(id, {
+        id,
+        name: row.name,
+        address: row.address,
+        adapters: row.adapters || [],
+        startedAt: row.started_at,
+        lastSeen: row.last_seen,
+        devices: [],
+      });
+    }
+
+    // Small enough to read whole: one row per device in the cluster
+    const owners = await this.execute(
+      `SELECT device_id, gateway_id, adapter_id FROM ${OWNERS_TABLE}`
+    );
+    for (const row of owners.rows) {
+      const gateway = gateways.get(row.gateway_id.toString());
+      if (gateway) {
+        gateway.devices.push({id: row.device_id, adapterId: row.adapter_id});
+      }
+    }
+
+    return {id: this.gatewayId, gateways: Array.from(gateways.values())};
+  }
+
+  /**
+   * Find the gateway which holds the lease on a device.
+   *
+   * @param {string} deviceId
+   * @returns {Promise<Object|null>} {id, name, address} of the gateway, or
+   *                                 null if no live gateway hosts the device.
+   */
+  async getDeviceOwner(deviceId) {
+    await this.ensureConnected();
+    if (!this.settings.registry.enabled) {
+      return null;
+    }
+
+    const owner = await this.execute(
+      `SELECT gateway_id FROM ${OWNERS_TABLE} WHERE device_id = ?`,
+      [deviceId]
+    );
+    if (owner.rows.length === 0) {
+      return null;
+    }
+
+    return this.getGateway(owner.rows[0].gateway_id);
+  }
+
+  /**
+   * Find a gateway of the registry by id.
+   *
+   * @param {string} gatewayId
+   * @returns {Promise<Object|null>} {id, name, address} of the gateway, or
+   *                                 null if it isn't registered.
+   */
+  async getGateway(gatewayId) {
+    await this.ensureConnected();
+    if (!this.settings.registry.enabled) {
+      return null;
+    }
+
+    const gateway = await this.execute(
+      `SELECT gateway_id, name, address FROM ${GATEWAYS_TABLE} ` +
+        'WHERE gateway_id = ?',
+      [gatewayId]
+    );
+    if (gateway.rows.length === 0) {
+      return null;
+    }
+
+    const row = gateway.rows[0];
+    return {
+      id: row.gateway_id.toString(),
+      name: row.name,
+      address: row.address,
+    };
+  }
+
+  /**
+   * @param {number} time
+   * @returns {number} Start of the change log bucket holding a time.
+   */
+  changeBucket(time) {
+    return time - time % CHANGE_BUCKET_MS;
+  }
+
+  /**
+   * Log a property write in the change log.
+   */
+  logChange(deviceId, propertyName, version) {
+    const date = new Date();
+    return this.execute(
+      `INSERT INTO ${CHANGES_TABLE} ` +
+        '(bucket, id, device_id, property, origin, version) ' +
+        'VALUES (?, ?, ?, ?, ?, ?) USING TTL ?',
+      [
+        new Date(this.changeBucket(date.getTime())),
+        cassandra.types.TimeUuid.fromDate(date),
+        deviceId,
+        propertyName,
+        this.origin,
+        version,
+        this.settings.changeFeed.ttl,
+      ],
+      {consistency: this.consistencyFor(deviceId, propertyName, 'write')}
+    );
+  }
+
+  /**
+   * Start polling the change log for changes made by other gateways.
+   *
+   * @param {function} listener Called with (deviceId, propertyName, value)
+   *                            for each property another gateway changed
+   */
+  watchChanges(listener) {
+    this.unwatchChanges();
+    this.changeListener = listener;
+    this.changeWatermark = Date.now();
+    this.scheduleChangePoll();
+  }
+
+  unwatchChanges() {
+    this.changeListener = null;
+    if (this.changeTimer) {
+      clearTimeout(this.changeTimer);
+      this.changeTimer = null;
+    }
+    this.seenChanges.clear();
+  }
+
+  scheduleChangePoll() {
+    const interval = this.settings ?
+      this.settings.changeFeed.interval :
+      config.get('cassandra.changeFeed.interval');
+    this.changeTimer = setTimeout(() => {
+      this.pollChanges().catch((err) => {
+        if (!(err instanceof UnavailableError || isUnreachable(err))) {
+          console.error('Cassie: Failed to poll the change log:', err.message);
+        }
+      }).then(() => {
+        if (this.changeListener) {
+          this.scheduleChangePoll();
+        }
+      });
+    }, interval);
+
+    // Don't keep the process alive just to poll
+    if (this.changeTimer.unref) {
+      this.changeTimer.unref();
+    }
+  }
+
+  /**
+   * Read the changes logged since the last poll, and pass on those made by
+   * other gateways with the current value of their property. Several
+   * changes of a property are passed on once.
+   */
+  async pollChanges() {
+    await this.ensureConnected();
+    if (!this.changeListener || !this.settings.changeFeed.enabled) {
+      return;
+    }
+
+    const now = Date.now();
+    const since = this.changeWatermark - this.settings.changeFeed.lag;
+    const changed = new Map();
+    const buckets = [];
+    for (let b = this.changeBucket(since); b <= now; b += CHANGE_BUCKET_MS) {
+      buckets.push(b);
+    }
+
+    for (const bucket of buckets) {
+      const result = await this.execute(
+        'SELECT id, device_id, property, origin FROM ' +
+          `${CHANGES_TABLE} WHERE bucket = ? AND id > minTimeuuid(?)`,
+        [new Date(bucket), new Date(since)]
+      );
+
+      for (const row of result.rows) {
+        const id = row.id.toString();
+        if (this.seenChanges.has(id)) {
+          continue;
+        }
+        this.seenChanges.set(id, row.id.getDate().getTime());
+
+        if (row.origin.equals(this.origin)) {
+          continue;
+        }
+        changed.set(`${row.device_id}/${row.property}`, row);
+      }
+    }
+
+    this.changeWatermark = now;
+    for (const [id, time] of this.seenChanges) {
+      if (time < since) {
+        this.seenChanges.delete(id);
+      }
+    }
+
+    for (const row of changed.values()) {
+      this.cache.invalidate(row.device_id, row.property);
+      const value = await this.read(row.device_id, row.property);
+      metrics.cassandraRemoteChanges.inc();
+      if (this.changeListener) {
+        this.changeListener(row.device_id, row.property, value);
+      }
+    }
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether logged property values are also
+   *                             recorded in the cluster.
+   */
+  async isHistoryEnabled() {
+    const settings = this.settings || await this.getSettings();
+    return settings.history.enabled;
+  }
+
+  /**
+   * Record a logged property value in the history table.
+   *
+   * @param {string} deviceId
+   * @param {string} propertyName
+   * @param {*} value
+   * @param {Date} date
+   * @param {number} maxAge Milliseconds to keep the value for, or 0 to use
+   *                        the configured TTL
+   */
+  async insertHistory(deviceId, propertyName, value, date, maxAge = 0) {
+    await this.ensureConnected();
+
+    let ttl = this.settings.history.ttl;
+    if (maxAge > 0) {
+      ttl = Math.min(ttl, Math.ceil(maxAge / 1000));
+    }
+
+    const valueType = this.valueTypeOf(
+      this.propertyType(deviceId, propertyName), value);
+    await this.execute(
+      `INSERT INTO ${HISTORY_TABLE} (device_id, property, day, time, ` +
+        `value_type, ${VALUE_COLUMNS[valueType]}) ` +
+        'VALUES (?, ?, ?, ?, ?, ?) USING TTL ?',
+      [
+        deviceId,
+        propertyName,
+        this.historyDay(date),
+        date,
+        valueType,
+        this.encode(valueType, value),
+        ttl,
+      ],
+      {consistency: this.consistencyFor(deviceId, propertyName, 'write')}
+    );
+  }
+
+  /**
+   * Get the recorded history of a property.
+   *
+   * @param {string} deviceId
+   * @param {string} propertyName
+   * @param {Date} [start] Defaults to the oldest values the TTL allows
+   * @param {Date} [end] Defaults to now
+   * @returns {Promise<Array<Object>>} [{value, date}], oldest first, with
+   *                                   dates in milliseconds
+   */
+  async readHistory(deviceId, propertyName, start, end) {
+    await this.ensureConnected();
+
+    end = end || new Date();
+    const oldest = Date.now() - this.settings.history.ttl * 1000;
+    start = new Date(Math.max(start ? start.getTime() : 0, oldest));
+
+    // One query per day partition
+    const days = [];
+    let day = Math.floor(start.getTime() / MS_PER_DAY) * MS_PER_DAY;
+    while (day <= end.getTime()) {
+      days.push(this.historyDay(new Date(day)));
+      day += MS_PER_DAY;
+    }
+
+    const results = await Promise.all(days.map((day) => {
+      return this.execute(
+        'SELECT time, value_type, boolean_value, double_value, int_value, ' +
+          `text_value FROM ${HISTORY_TABLE} WHERE device_id = ? AND ` +
+          'property = ? AND day = ? AND time > ? AND time < ?',
+        [deviceId, propertyName, day, start, end],
+        {consistency: this.consistencyFor(deviceId, propertyName, 'read')}
+      );
+    }));
+
+    const values = [];
+    for (const result of results) {
+      for (const row of result.rows) {
+        values.push({
+          value: this.decode(row.value_type,
+                             row[VALUE_COLUMNS[row.value_type]]),
+          date: row.time.getTime(),
+        });
+      }
+    }
+    return values;
+  }
+
+  /**
+   * @param {Date} date
+   * @returns {string} The UTC day of the history partition holding the date
+   */
+  historyDay(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * @returns {string|undefined} The value type of a property, if the device
+   *                             has been initialized.
+   */
+  propertyType(deviceId, propertyName) {
+    const types = this.propertyTypes.get(deviceId);
+    if (!types) {
+      return;
+    }
+    return types.get(propertyName);
+  }
+
+  /**
+   * Get the value type used to store a property.
+   *
+   * @param {string} type Value type registered for the property, or the type
+   *                      from the property's description
+   * @param {*} value Value being stored, used when the type is unknown
+   * @returns {string} One of the keys of VALUE_COLUMNS
+   */
+  valueTypeOf(type, value) {
+    if (VALUE_COLUMNS.hasOwnProperty(type)) {
+      return type;
+    }
+    if (this.typeMap.has(type)) {
+      return this.typeMap.get(type);
+    }
+
+    switch (typeof value) {
+      case 'boolean':
+        return 'boolean';
+      case 'number':
+        return 'double';
+      case 'string':
+        return 'text';
+      default:
+        // Properties without a valid type could hold anything
+        return 'json';
+    }
+  }
+
+  /**
+   * Convert a property value into the form stored in its column.
+   *
+   * @param {string} valueType
+   * @param {*} value
+   */
+  encode(valueType, value) {
+    if (typeof value === 'undefined') {
+      return null;
+    }
+
+    if (valueType === 'json') {
+      return JSON.stringify(value);
+    }
+
+    return value;
+  }
+
+  /**
+   * Convert a stored column value back into the property value.
+   *
+   * @param {string} valueType
+   * @param {*} value
+   */
+  decode(valueType, value) {
+    if (value === null || typeof value === 'undefined') {
+      return null;
+    }
+
+    if (valueType === 'json') {
+      try {
+        return JSON.parse(value);
+      } catch (err) {
+        console.error('Cassie: Failed to decode value:', value);
+        return value;
+      }
+    }
+
+    return value;
+  }
+
+  /**
+   * Execute a query, retrying it while the cluster is unavailable.
+   *
+   * @param {string} query CQL statement, with a `?` for each parameter
+   * @param {Array} params Values bound to the statement's parameters
+   * @param {Object} options
+   * @param {boolean} options.singleNode true to restrict the query to
+   *                                     singleNodeHost
+   * @param {string} options.consistency Consistency level name
+   * @param {string} options.serialConsistency Serial consistency level name
+   * @param {boolean} options.idempotent false if the query must not be sent
+   *                                     more than once
+   * @returns {Promise<Object>} The driver's result set.
+   * @throws The driver's error once all attempts have failed.
+   */
+  execute(query, params = [], options = {}) {
+    return this.withRetry(options, () => {
+      // Statements with parameters are prepared, so the values are always
+      // sent separately from the CQL text and typed from the table schema.
+      const queryOptions = Object.assign(
+        {prepare: params.length > 0},
+        this.consistencyOptions(options)
+      );
+      if (options.singleNode) {
+        queryOptions.host = this.singleNode;
+      }
+
+      return this.client.execute(query, params, queryOptions);
+    });
+  }
+
+  /**
+   * Execute several prepared statements as a single batch.
+   *
+   * @param {Array<Object>} queries [{query, params}]
+   * @param {Object} options See execute()
+   */
+  executeBatch(queries, options = {}) {
+    return this.withRetry(options, () => {
+      return this.client.batch(
+        queries,
+        Object.assign({prepare: true}, this.consistencyOptions(options))
+      );
+    });
+  }
+
+  /**
+   * Make a request to the cluster, recording the health of the hosts
+   * involved and sending it again after a growing delay if it failed in a
+   * way which may be temporary.
+   *
+   * @param {Object} options {idempotent}
+   * @param {function} request Sends the request, returning a promise
+   * @returns {Promise<Object>} The result of the request.
+   */
+  async withRetry(options, request) {
+    let attempt = 0;
+    for (;;) {
+      try {
+        await this.ensureConnected();
+        const result = await request();
+        if (result && result.info && result.info.queriedHost) {
+          this.updateHost(result.info.queriedHost, {success: true});
+        }
+        return result;
+      } catch (err) {
+        this.recordFailure(err);
+
+        attempt++;
+        if (!this.settings || options.idempotent === false ||
+            attempt >= this.settings.retry.attempts || !isRetryable(err)) {
+          console.error(`Cassie: Error with Cassandra request: ${err}`);
+          throw err;
+        }
+
+        await sleep(backoff(attempt - 1, this.settings.retry));
+      }
+    }
+  }
+
+  /**
+   * Record the hosts a failed request was tried on.
+   *
+   * @param {Error} err
+   */
+  recordFailure(err) {
+    if (isUnreachable(err) && err.innerErrors) {
+      for (const address in err.innerErrors) {
+        this.updateHost(address, {failure: err.innerErrors[address]});
+      }
+    } else if (err.coordinator) {
+      this.updateHost(`${err.coordinator}`, {failure: err});
+    }
+  }
+
+  /**
+   * Convert consistency level names into driver query options.
+   *
+   * @param {Object} options {consistency, serialConsistency}
+   * @returns {Object}
+   */
+  consistencyOptions(options) {
+    const {consistencies} = cassandra.types;
+    const queryOptions = {};
+    if (options.consistency) {
+      queryOptions.consistency = consistencies[options.consistency];
+    }
+    if (options.serialConsistency) {
+      queryOptions.serialConsistency =
+        consistencies[options.serialConsistency];
+    }
+    return queryOptions;
+  }
+
+  /**
+   * Copy the state of a device from the table it used to have to itself into
+   * the shared state table. Values stored there since they were last written
+   * to the old table are kept.
+   *
+   * @param {string} deviceId
+   * @param {Object} properties The device's property descriptions
+   * @param {boolean} drop Whether to drop the old table afterwards
+   * @returns {Promise<number|null>} Number of property values copied, or null
+   *                                 if the device has no table.
+   */
+  async migrateLegacyTable(deviceId, properties, drop = false) {
+    await this.ensureConnected();
+
+    const table = this.legacyTableName(deviceId);
+    const metadata =
+      await this.client.metadata.getTable(this.settings.keyspace, table);
+    if (!metadata) {
+      return null;
+    }
+
+    const columns = new Set(metadata.columns.map((c) => c.name));
+    const copied = [];
+    for (const propertyName in properties) {
+      const valueType = this.valueTypeOf(properties[propertyName].type);
+      const column = this.legacyColumn(propertyName, valueType, columns);
+      if (column) {
+        copied.push({propertyName, valueType, column});
+      }
+    }
+
+    const queries = [];
+    if (copied.length > 0) {
+      const selected = copied.map(({column}, i) => {
+        const name = this.quoteIdentifier(column);
+        return `${name}, WRITETIME(${name}) AS written_${i}`;
+      });
+      const result = await this.client.execute(
+        `SELECT ${selected.join(', ')} FROM ${this.quoteIdentifier(table)} ` +
+          'WHERE id = ?',
+        [LEGACY_STATE_ROW_ID],
+        {prepare: true}
+      );
+      const row = result.rows[0];
+
+      copied.forEach(({propertyName, valueType, column}, i) => {
+        if (!row || row[column] === null) {
+          return;
+        }
+
+        let value = row[column];
+        if (valueType === 'json') {
+          value = this.decode(valueType, value);
+        }
+        // Written at the time of the old value, so that a newer one stored
+        // since, e.g. by a gateway running during the migration, is kept
+        queries.push(this.updateStatement(
+          deviceId, propertyName, valueType, value, null,
+          Number(`${row[`written_${i}`]}`)));
+      });
+    }
+
+    if (queries.length > 0) {
+      await this.client.batch(queries, {prepare: true});
+    }
+    await this.recordMigration(
+      table,
+      '',
+      `copied ${queries.length} properties to ${STATE_TABLE}`
+    );
+
+    if (drop) {
+      const statement = `DROP TABLE ${this.quoteIdentifier(table)}`;
+      await this.client.execute(statement);
+      await this.recordMigration(table, statement, 'drop table');
+    }
+
+    return queries.length;
+  }
+
+  /**
+   * @returns {Promise<Array<string>>} Names of the tables in the keyspace
+   *                                   which are not the gateway's own.
+   */
+  async getLegacyTables() {
+    await this.ensureConnected();
+
+    const result = await this.client.execute(
+      'SELECT table_name FROM system_schema.tables WHERE keyspace_name = ?',
+      [this.settings.keyspace],
+      {prepare: true}
+    );
+    return result.rows.map((row) => row.table_name)
+      .filter((name) => !RESERVED_TABLE_NAMES.has(name));
+  }
+
+  /**
+   * Quote a CQL identifier, escaping any embedded double quotes.
+   *
+   * @param {string} name
+   * @returns {string}
+   */
+  quoteIdentifier(name) {
+    return `"${name.replace(/"/g, '""')}"`;
+  }
+
+  /**
+   * Get the name of the table which used to store a device's state.
+   *
+   * Dashes were replaced with underscores and the id lowercased. Ids which
+   * still did not make a valid table name, or which clashed with the
+   * gateway's own tables, were sanitized and suffixed with a hash.
+   *
+   * @param {string} deviceId
+   * @returns {string}
+   */
+  legacyTableName(deviceId) {
+    const name = deviceId.toLowerCase().replace(/-/g, '_');
+    if (/^\w+$/.test(name) && name.length <= MAX_TABLE_NAME_LENGTH &&
+        !RESERVED_TABLE_NAMES.has(name)) {
+      return name;
+    }
+
+    const hash = crypto.createHash('sha1').update(deviceId).digest('hex')
+      .slice(0, TABLE_NAME_HASH_LENGTH);
+    const prefix = name.replace(/\W/g, '_')
+      .slice(0, MAX_TABLE_NAME_LENGTH - TABLE_NAME_HASH_LENGTH - 1);
+    return `${prefix}_${hash}`;
+  }
+
+  /**
+   * Get the column of a legacy device table which holds a property's value.
+   * Properties whose type changed had their value moved to a column named
+   * after the new type.
+   *
+   * @param {string} propertyName
+   * @param {string} valueType
+   * @param {Set<string>} columns Columns of the table
+   * @returns {string|null}
+   */
+  legacyColumn(propertyName, valueType, columns) {
+    const name = propertyName.toLowerCase();
+    const cqlType = valueType === 'json' ? 'text' : valueType;
+    if (columns.has(`${name}__${cqlType}`)) {
+      return `${name}__${cqlType}`;
+    }
+    if (columns.has(name)) {
+      return name;
+    }
+    return null;
   }
 }
 
-module.exports = new Cassie();
\ No newline at end of file
+module.exports = new Cassie();
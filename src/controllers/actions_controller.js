@@ -14,6 +14,7 @@ const PromiseRouter = require('express-promise-router');
 const Action = require('../models/action');
 const Actions = require('../models/actions');
 const AddonManager = require('../addon-manager');
+const ForwardingError = require('../forwarding/forwarding-error');
 const Things = require('../models/things');
 
 const ActionsController = PromiseRouter({mergeParams: true});
@@ -66,6 +67,10 @@ ActionsController.post('/', async (request, response) => {
   } catch (e) {
     console.error('Creating action', actionName, 'failed');
     console.error(e);
+    if (e instanceof ForwardingError) {
+      response.status(e.status).send(e.message);
+      return;
+    }
     response.status(400).send(e);
   }
 });
@@ -149,6 +154,10 @@ ActionsController.post('/:actionName', async (request, response) => {
   } catch (e) {
     console.error('Creating action', actionName, 'failed');
     console.error(e);
+    if (e instanceof ForwardingError) {
+      response.status(e.status).send(e.message);
+      return;
+    }
     response.status(400).send(e);
   }
 });
@@ -0,0 +1,114 @@
+/**
+ * Gateways Controller.
+ *
+ * Handles requests forwarded to /gateways by the other gateways of the
+ * Cassandra cluster, for things attached to this gateway, and the status of
+ * the actions this gateway forwarded in turn. Requests are authenticated
+ * with the signature of the sending gateway rather than a user token.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const Action = require('../models/action');
+const Actions = require('../models/actions');
+const AddonManager = require('../addon-manager');
+const PromiseRouter = require('express-promise-router');
+const Things = require('../models/things');
+const gatewayForwarder = require('../forwarding/gateway-forwarder');
+
+const {HEADERS} = gatewayForwarder.constructor;
+
+const GatewaysController = PromiseRouter();
+
+/**
+ * Handle a property set or an action request forwarded by another gateway,
+ * or the status of an action forwarded to it.
+ */
+GatewaysController.post('/forward', async (request, response) => {
+  const body = request.rawBody ? request.rawBody.toString() : '';
+  if (!gatewayForwarder.verify(request.headers, body)) {
+    response.status(401).send('Invalid gateway signature');
+    return;
+  }
+
+  const {type, thingId} = request.body;
+  const gatewayId = request.headers[HEADERS.id.toLowerCase()];
+  if (type === 'actionStatus') {
+    const {actionId, status, timeRequested, timeCompleted, error} =
+      request.body;
+    const action = Actions.get(actionId);
+    if (!action || action.thingId !== thingId) {
+      response.status(404).send(`Action ${actionId} not found`);
+      return;
+    }
+    if (!gatewayForwarder.acceptActionStatus(gatewayId, actionId, status)) {
+      response.status(403).send(
+        `Gateway ${gatewayId} can't set action ${actionId} to ${status}`);
+      return;
+    }
+
+    action.error = error || '';
+    action.update({status, timeRequested, timeCompleted});
+    response.status(204).send();
+    return;
+  }
+
+  // Only answer for things attached here, so requests never bounce between
+  // gateways whose leases are out of date.
+  if (!AddonManager.getDevice(thingId)) {
+    response.status(404).send(`Thing ${thingId} not found`);
+    return;
+  }
+
+  switch (type) {
+    case 'setProperty': {
+      const {propertyName, value} = request.body;
+      try {
+        const result =
+          await Things.setThingProperty(thingId, propertyName, value);
+        response.status(200).json({result});
+      } catch (e) {
+        response.status(e.code || 500).send(e.message);
+      }
+      break;
+    }
+
+    case 'requestAction': {
+      const {actionId, actionName, input} = request.body;
+      let action;
+      try {
+        const thing = await Things.getThing(thingId);
+        action = new Action(actionName, input, thing);
+        await Actions.add(action);
+      } catch (e) {
+        response.status(400).send(e.message || `${e}`);
+        return;
+      }
+
+      // The action has its own id here, the requesting gateway gets its
+      // status under the id it knows it by
+      if (actionId) {
+        gatewayForwarder.relayActionStatus(action, gatewayId, actionId);
+      }
+
+      try {
+        await AddonManager.requestAction(thingId, action.id, actionName,
+                                         input);
+        response.status(201).json({[actionName]: action.getDescription()});
+      } catch (e) {
+        response.status(400).send(e.message || `${e}`);
+      }
+      break;
+    }
+
+    default:
+      response.status(400).send(`Unknown request type: ${type}`);
+      break;
+  }
+});
+
+module.exports = GatewaysController;
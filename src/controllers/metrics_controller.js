@@ -0,0 +1,149 @@
+/**
+ * Metrics Controller.
+ *
+ * Manages HTTP requests to /metrics.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const AddonManager = require('../addon-manager');
+const PromiseRouter = require('express-promise-router');
+const benchmark = require('../metrics/benchmark');
+const consistencyMetrics = require('../metrics/consistency-metrics');
+const instrumentation = require('../metrics/instrumentation');
+const metrics = require('../metrics');
+const {Registry} = require('../metrics/registry');
+
+const MetricsController = PromiseRouter();
+
+const PLUGIN_STATES = ['running', 'restarting', 'stopped'];
+
+metrics.registry.addCollector(() => {
+  metrics.pluginState.reset();
+  const pluginServer = AddonManager.pluginServer;
+  if (!pluginServer) {
+    return;
+  }
+
+  for (const plugin of pluginServer.plugins.values()) {
+    let current = 'stopped';
+    if (plugin.pendingRestart) {
+      current = 'restarting';
+    } else if (plugin.process.p) {
+      current = 'running';
+    }
+
+    for (const state of PLUGIN_STATES) {
+      metrics.pluginState.set({plugin: plugin.pluginId, state},
+                              state === current ? 1 : 0);
+    }
+  }
+});
+
+/**
+ * Get every gateway metric in the Prometheus text format.
+ */
+MetricsController.get('/', (request, response) => {
+  response.set('Content-Type', Registry.CONTENT_TYPE);
+  response.send(metrics.registry.render());
+});
+
+/**
+ * Get the consistency report of the current test run.
+ */
+MetricsController.get('/consistency', (request, response) => {
+  response.json(consistencyMetrics.report());
+});
+
+/**
+ * Reset the consistency metrics before the next test run.
+ */
+MetricsController.post('/consistency/reset', (request, response) => {
+  consistencyMetrics.reset();
+  response.sendStatus(204);
+});
+
+/**
+ * Get the instrumentation settings and the state of each timeline.
+ */
+MetricsController.get('/instrumentation', (request, response) => {
+  response.json(instrumentation.getSettings());
+});
+
+/**
+ * Change the instrumentation settings, e.g. {"enabled": true}.
+ */
+MetricsController.put('/instrumentation', (request, response) => {
+  if (!request.body || typeof request.body !== 'object' ||
+      Array.isArray(request.body)) {
+    response.status(400).send('Invalid request');
+    return;
+  }
+
+  try {
+    response.json(instrumentation.configure(request.body));
+  } catch (e) {
+    response.status(400).send(e.message);
+  }
+});
+
+/**
+ * Export a recorded timeline, as CSV by default or as JSON Lines with
+ * ?format=jsonl.
+ */
+MetricsController.get('/instrumentation/:timeline', (request, response) => {
+  const format = request.query.format || 'csv';
+  let body;
+  try {
+    body = instrumentation.export(request.params.timeline, format);
+  } catch (e) {
+    response.status(404).send(e.message);
+    return;
+  }
+
+  response.set('Content-Type', format === 'csv' ?
+    'text/csv; charset=utf-8' :
+    'application/x-ndjson; charset=utf-8');
+  response.set('Content-Disposition',
+               `attachment; filename="${request.params.timeline}.${format}"`);
+  response.send(body);
+});
+
+/**
+ * Get the state of the current benchmark run, or the report of the last
+ * one once it is over.
+ */
+MetricsController.get('/benchmark', (request, response) => {
+  response.json(benchmark.report());
+});
+
+/**
+ * Start a benchmark run, e.g.
+ * {"properties": ["level"], "values": {"from": 0, "to": 99}, "rate": 10,
+ *  "concurrency": 1}
+ */
+MetricsController.post('/benchmark', async (request, response) => {
+  if (benchmark.running) {
+    response.status(409).send('A benchmark is already running');
+    return;
+  }
+
+  try {
+    response.status(201).json(await benchmark.start(request.body));
+  } catch (e) {
+    response.status(400).send(e.message);
+  }
+});
+
+/**
+ * Stop the benchmark run in progress.
+ */
+MetricsController.post('/benchmark/stop', async (request, response) => {
+  response.json(await benchmark.stop());
+});
+
+module.exports = MetricsController;
@@ -12,6 +12,7 @@
 
 /* jshint unused:false */
 
+const cassie = require('../cassie');
 const CertificateManager = require('../certificate-manager');
 const config = require('config');
 const Constants = require('../constants');
@@ -24,6 +25,7 @@ const path = require('path');
 const pkg = require('../../package.json');
 const Platform = require('../platform');
 const PromiseRouter = require('express-promise-router');
+const RuleHistory = require('../rules-engine/History');
 const Settings = require('../models/settings');
 const TunnelService = require('../ssltunnel');
 
@@ -645,4 +647,207 @@ SettingsController.put(
   }
 );
 
+SettingsController.get(
+  '/localization/location',
+  auth,
+  async (request, response) => {
+    try {
+      const location = await Settings.get('localization.location');
+      response.json(location || {latitude: null, longitude: null});
+    } catch (_) {
+      response.status(500).send('Failed to get location');
+    }
+  }
+);
+
+/**
+ * Set the coordinates sunrise and sunset are computed for, in degrees.
+ */
+SettingsController.put(
+  '/localization/location',
+  auth,
+  async (request, response) => {
+    const {latitude, longitude} = request.body || {};
+    if (typeof latitude !== 'number' || Math.abs(latitude) > 90 ||
+        typeof longitude !== 'number' || Math.abs(longitude) > 180) {
+      response.status(400).send('Invalid latitude or longitude');
+      return;
+    }
+
+    try {
+      await Settings.set('localization.location', {latitude, longitude});
+      response.json({latitude, longitude});
+    } catch (_) {
+      response.status(500).send('Failed to set location');
+    }
+  }
+);
+
+SettingsController.get('/rules/history', auth, (request, response) => {
+  response.json(RuleHistory.getSettings());
+});
+
+/**
+ * Change how long the history of each rule is kept, e.g.
+ * {"maxAge": 86400000, "maxEntries": 50}. Entries no longer kept are dropped
+ * straight away.
+ */
+SettingsController.put('/rules/history', auth, async (request, response) => {
+  if (!request.body || typeof request.body !== 'object' ||
+      Array.isArray(request.body)) {
+    response.status(400).send('Invalid request');
+    return;
+  }
+
+  try {
+    response.json(await RuleHistory.configure(request.body));
+  } catch (e) {
+    console.error('Failed to update rule history settings:', e);
+    response.status(400).send(e.message);
+  }
+});
+
+/**
+ * Strip secrets out of Cassandra settings before sending them to a client.
+ */
+function redactCassandraSettings(settings) {
+  const redacted = Object.assign({}, settings);
+  redacted.credentials = {
+    username: settings.credentials.username,
+    passwordSet: !!settings.credentials.password,
+  };
+  return redacted;
+}
+
+SettingsController.get('/cassandra', auth, async (request, response) => {
+  try {
+    const settings = await cassie.getSettings();
+    response.json(redactCassandraSettings(settings));
+  } catch (e) {
+    console.error('Failed to get Cassandra settings:', e);
+    response.status(500).send(`Failed to get Cassandra settings: ${e.message}`);
+  }
+});
+
+/**
+ * Change the runtime overrides of the Cassandra connection settings and
+ * reconnect. Keys which are omitted keep their current value, and keys set
+ * to null fall back to the gateway configuration.
+ */
+SettingsController.put('/cassandra', auth, async (request, response) => {
+  if (!request.body || typeof request.body !== 'object' ||
+      Array.isArray(request.body)) {
+    response.status(400).send('Invalid request');
+    return;
+  }
+
+  let settings;
+  try {
+    settings = await cassie.updateSettings(request.body);
+  } catch (e) {
+    console.error('Failed to update Cassandra settings:', e);
+    response.status(400).send(e.message);
+    return;
+  }
+
+  response.json(redactCassandraSettings(settings));
+});
+
+SettingsController.get(
+  '/cassandra/consistency',
+  auth,
+  async (request, response) => {
+    try {
+      const settings = await cassie.getSettings();
+      response.json(settings.consistency);
+    } catch (e) {
+      console.error('Failed to get Cassandra consistency levels:', e);
+      response.status(500).send(
+        `Failed to get Cassandra consistency levels: ${e.message}`
+      );
+    }
+  }
+);
+
+/**
+ * Replace the consistency levels used for property reads and writes,
+ * globally and for individual things and properties. This takes effect
+ * without reconnecting.
+ */
+SettingsController.put(
+  '/cassandra/consistency',
+  auth,
+  async (request, response) => {
+    if (!request.body || typeof request.body !== 'object' ||
+        Array.isArray(request.body)) {
+      response.status(400).send('Invalid request');
+      return;
+    }
+
+    try {
+      response.json(await cassie.updateConsistency(request.body));
+    } catch (e) {
+      console.error('Failed to update Cassandra consistency levels:', e);
+      response.status(400).send(e.message);
+    }
+  }
+);
+
+SettingsController.get('/cassandra/cache', auth, async (request, response) => {
+  try {
+    const settings = await cassie.getSettings();
+    response.json(settings.cache);
+  } catch (e) {
+    console.error('Failed to get Cassandra read cache settings:', e);
+    response.status(500).send(
+      `Failed to get Cassandra read cache settings: ${e.message}`
+    );
+  }
+});
+
+/**
+ * Replace the read cache settings, e.g. to disable it for a consistency
+ * experiment. This takes effect without reconnecting, and empties the cache.
+ */
+SettingsController.put('/cassandra/cache', auth, async (request, response) => {
+  if (!request.body || typeof request.body !== 'object' ||
+      Array.isArray(request.body)) {
+    response.status(400).send('Invalid request');
+    return;
+  }
+
+  try {
+    response.json(await cassie.updateCache(request.body));
+  } catch (e) {
+    console.error('Failed to update Cassandra read cache settings:', e);
+    response.status(400).send(e.message);
+  }
+});
+
+/**
+ * Get the state of the connection to the Cassandra cluster: whether it is
+ * connected, the health of each host, and how many writes are waiting in
+ * the outbox.
+ */
+SettingsController.get('/cassandra/health', auth, (request, response) => {
+  response.json(cassie.getHealth());
+});
+
+/**
+ * List the gateways sharing the Cassandra cluster, with the devices each one
+ * hosts, along with the id of this gateway.
+ */
+SettingsController.get(
+  '/cassandra/gateways',
+  auth,
+  async (request, response) => {
+    try {
+      response.json(await cassie.getGateways());
+    } catch (e) {
+      console.error('Failed to list gateways:', e);
+      response.status(503).send(`Failed to list gateways: ${e.message}`);
+    }
+  }
+);
+
 module.exports = SettingsController;
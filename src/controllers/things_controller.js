@@ -16,11 +16,15 @@ const ActionsController = require('./actions_controller');
 const AddonManager = require('../addon-manager');
 const Constants = require('../constants');
 const EventsController = require('./events_controller');
+const ForwardingError = require('../forwarding/forwarding-error');
 const PromiseRouter = require('express-promise-router');
 const Settings = require('../models/settings');
 const Things = require('../models/things');
 const WebSocket = require('ws');
-const cassie = require('../cassie');
+const consistencyMetrics = require('../metrics/consistency-metrics');
+const gatewayForwarder = require('../forwarding/gateway-forwarder');
+const {STATUS_CODES} = require('http');
+const metrics = require('../metrics');
 
 const ThingsController = PromiseRouter();
 
@@ -32,13 +36,6 @@ const ThingsController = PromiseRouter();
 ThingsController.ws('/:thingId/', websocketHandler);
 ThingsController.ws('/', websocketHandler);
 
-/*
-cassie.client.on('consistencyError', (msg) => {
-  if (! msg.startsWith('finished'))
-    console.log("CONSISTENCY ERROR " + msg) 
-});
-*/
-
 /**
  * Get a list of Things.
  */
@@ -263,7 +260,6 @@ ThingsController.get(
 ThingsController.put(
   '/:thingId/properties/:propertyName',
   async (request, response) => {
-
     const thingId = request.params.thingId;
     const propertyName = request.params.propertyName;
     if (!request.body || typeof request.body[propertyName] === 'undefined') {
@@ -271,225 +267,23 @@ ThingsController.put(
       return;
     }
 
-    // */
-    // BEGIN USED FOR TESTING
-    const seq  = request.body["sequenceNumber"];
-
-    // Calculate values to be used as summary
-    if (seq === -1) {
-      let wrong = 0; // counts wrong values sent in notifications
-      let str = '';
-      let correctnessStr = "";
-      let correctReq = 0; // counts correct requests received by gateway
-      let incorrectReq = 0; // count incorrect requests received by gateway
-      let avgUpdate; // avg time between web app updates
-      let avgWrite; // avg time between writes to cassandra
-      let dbReadWrongValue = 0; // count number of reads that go awry
-      let avgProcessingTime; // average gateway processing time per request
-
-      // count average time between consecutive browser updates
-      let timeBetween = []; // time between browser updates
-      for (let i = 0; i < cassie.notifications.length; i++) {
-        if (i > 0)
-          timeBetween.push(cassie.notifications[i].time - cassie.notifications[i-1].time);
-      }
-      
-      // Function to calculate average of numeric values in an array
-      const findAvg = (timeBetween) => timeBetween.reduce((a, b) => a + b) / timeBetween.length;
-      
-      // avg time between consecutive browser updates
-      if (timeBetween.length > 0)
-        avgUpdate = Math.round(findAvg(timeBetween));
-      else 
-        avgUpdate = 0;
-
-      // count average time between cassandra writes
-      timeBetween = [];
-      for (let i = 1; i < cassie.intervals.length; i++)
-        timeBetween.push(cassie.intervals[i].start - cassie.intervals[i-1].start);
-      
-      if(timeBetween.length > 0)
-        avgWrite = Math.round(findAvg(timeBetween));
-      else avgWrite = 0;
-
-      // pre-process array of database writes to flag updates that were lost entirely, 
-      // assumes we are sending 100 unique updates to brigthness of 0-99
-      let sortedWrites = cassie.dbWrites.slice().sort((a,b) => a-b);
-      let lostUpdates = [];
-      if (sortedWrites[0] !== 0) 
-        lostUpdates.push(0);
-
-      for (let i = 1; i < sortedWrites.length; i++) {
-        let current = sortedWrites[i];
-        let prev = sortedWrites[i - 1];
-
-        if (current - prev > 1) {
-          for (let j = prev + 1; j < current; j++) {
-            lostUpdates.push(j);
-          }
-        }
-      }
-
-      let processingTime = []; // times it took gateway to process each request (browser notification timestamp - arrival at gateway timestamp)
-      let length = cassie.requests.length;
-      let reqPointer = 0; // used to step through requests
-      let notifPointer = 0; // used to step through notifications
-
-        while (reqPointer < length) {
-          let request = cassie.requests[reqPointer];
-        
-          // Determine if requests were received by gateway in correct order (should be number 0-99)
-          let correct = reqPointer === request.value;
-              
-          // Increment count of requests received correctly or incorrectly
-          if (correct)
-            correctReq++;
-          else
-            incorrectReq++
-
-          let notification;
-          if (notifPointer < cassie.notifications.length) {
-            notification = cassie.notifications[notifPointer];
-          }
-          
-          /* 3 cases of errors */
-
-          // CASE 1, update lost entirely
-          // if update was entirely lost (not attempted to be written to database), flag as lost
-          if(lostUpdates.includes(request.value)) {
-            str = str + "Request number: " + reqPointer + " | " + request.value + " | " + "none" + " | " + (notification.time - request.time)  + " ms FLAGGED AS LOST\n";
-            reqPointer++; // increment just the request number but not the notification
-          } 
-          else {
-            if(notification !== undefined)
-              processingTime.push(notification.time - request.time); // append processing time to array
-        
-          // if update was not lost, but request and notification values still don't match
-          if (notification !== undefined && request.value !== notification.value) {
-
-            // CASE 2, correct update sent to Cassandra but wrong value read from database,
-            // read likely was performed after another update had already been sent to Cassandra.
-            if (request.value === cassie.dbWrites[notifPointer]) {
-              str = str + "Request number: " + reqPointer + " | " + request.value + " | " + notification.value + " | " + (notification.time - request.time)  + " ms WRONG VALUE FROM DATABASE\n";
-              dbReadWrongValue++;
-              wrong++
-            }
-
-            // CASE 3, incorrect/out of order update sent to cassandra
-            // ex: we should have sent level = 6 to Cassandra but we instead sent level = 5 or level = 7
-            // if the gateway sent updates to cassandra out of order, a gateway side error
-            else {
-              str = str + "Request number: " + reqPointer + " | " + request.value + " | " + notification.value + " | " + (notification.time - request.time)  + " ms REORDERED BY GATEWAY\n";
-              wrong++;
-            }
-          
-            // increment both pointers for next loop iteration
-            reqPointer++;
-            notifPointer++;
-          }
-
-          // update was received from device, state written to and read from cassandra as expected
-          else {
-            if(notification !== undefined)
-              str = str + "Request number: " + reqPointer + " | " + request.value + " | " + notification.value + " | " + (notification.time - request.time)  + " ms\n";
-            else
-              str = str + "Request number: " + reqPointer + " | " + request.value + " | " + "lost" + "\n";
-
-            reqPointer++;
-            notifPointer++;
-          }
-        }
-      }
-
-      correctnessStr = correctReq + " requests received by gateway with correct value, " + incorrectReq + " with incorrect value."
-
-      
-      // calculate average processing time for request by gateway
-      if (processingTime.length > 0)
-        avgProcessingTime = Math.round(findAvg(processingTime));
-      else
-        avgProcessingTime = 0;
-
-      // calculate average Cassandra response time to update query
-      let cassAvg = 0; // average Cassandra response time to update query
-      for (let i = 0; i < cassie.intervals.length; i++)
-        cassAvg += cassie.intervals[i].finish - cassie.intervals[i].start;
-
-      cassAvg = Math.round(cassAvg / cassie.intervals.length);
-
-      // calculate number of overlapping time intervals
-      cassie.intervals.sort((a,b) => a.start - b.start) // sort intervals by start time
-      let overlapping = 0;
-      
-      // count number of overlapping intervals
-      for (let i = 0; i < cassie.intervals.length; i++)
-        for (let j = 0; j < i; j++)
-          if (cassie.intervals[j].finish > cassie.intervals[i].finish) {
-            overlapping ++;
-            break;
-          }
-      
-      // send big string of data to be evaluated testing scripts
-      response.status(400).send(
-        correctnessStr + 
-        "\nNumber of Updates to Web Browser: " + cassie.count + 
-        "\nUpdates to Web Browser with incorrect value: " + wrong + 
-        "\nReads of wrong value from database: " + dbReadWrongValue +
-        "\nAverage time between Cassandra writes: " + avgWrite + " ms"+
-        "\nAverage time between web app updates: " + avgUpdate + " ms"+ 
-        "\nAverage gateway processing time for request: " + avgProcessingTime + " ms" + 
-        "\nNumber of updates to Cassandra that overlapped with another update: " + overlapping + 
-        "\nAverage cassandra response time to update: " + cassAvg + " ms" + 
-        "\nNumber of Local Detection Inconsistencies: " + cassie.localDetectionErrors +
-        "\nNumber of Global Detection Overlapping Writes: " + cassie.globalDetectionErrors +
-        "\nNumber of Global Detection Not Persisted Errors: " + cassie.notPersistedErrors +
-        "\nNumber of Requests Delayed: " + cassie.delayedRequests +
-        "\n\n" + str);
-       
-      // make sure property is set to off before next test
-      if (propertyName === 'on')
-        await Things.setThingProperty(thingId, propertyName,false);
-      else if (propertyName === 'level')
-        await Things.setThingProperty(thingId, propertyName,0);
-      return
-    }
-    else if (seq === -2) {
-
-      // Reset counters before we begin next test
-      cassie.count = 0;
-      cassie.requests = [];
-      cassie.notifications = [];
-      cassie.intervals = [];
-      cassie.delayedRequests = 0;
-      cassie.localDetectionErrors = 0;
-      cassie.globalDetectionErrors = 0;
-      cassie.notPersistedErrors = 0;
-      cassie.dbWrites = [];
-
-      response.status(200).send("gateway ready to go");
-
-      return
-    }
-    // */
-    // END USED FOR TESTING
-
     const value = request.body[propertyName];
+    consistencyMetrics.recordRequest(value);
 
-    let obj = {};
-    obj.value = value;
-    obj.time = Date.now();
-    cassie.requests.push(obj);
-
+    const start = Date.now();
+    let status = 200;
     try {
       const updatedValue = await Things.setThingProperty(thingId, propertyName,
-                                                          value);
+                                                         value);
       const result = {
         [propertyName]: updatedValue,
       };
       response.status(200).json(result);
     } catch (e) {
+      status = e.code;
       response.status(e.code).send(e.message);
     }
+    metrics.propertySetDuration.observe({status}, (Date.now() - start) / 1000);
   });
 
 /**
@@ -635,13 +429,8 @@ function websocketHandler(websocket, request) {
       return;
     }
 
-    cassie.count++;
-    let value = await property.getValue();
-
-    let obj = {};
-    obj.value = value;
-    obj.time = Date.now();
-    cassie.notifications.push(obj);
+    const value = await property.getValue();
+    consistencyMetrics.recordNotification(value);
     sendMessage({
       id: property.device.id,
       messageType: Constants.PROPERTY_STATUS,
@@ -800,7 +589,14 @@ function websocketHandler(websocket, request) {
     }
   }, 30 * 1000);
 
+  metrics.websocketSubscribers.inc();
+  let closed = false;
+
   const cleanup = () => {
+    if (!closed) {
+      closed = true;
+      metrics.websocketSubscribers.dec();
+    }
     Things.removeListener(Constants.THING_ADDED, onThingAdded);
     AddonManager.removeListener(Constants.PROPERTY_CHANGED, onPropertyChanged);
     Actions.removeListener(Constants.ACTION_STATUS, onActionStatus);
@@ -844,8 +640,9 @@ function websocketHandler(websocket, request) {
       return;
     }
 
+    // Things hosted by another gateway are set through that gateway
     const device = AddonManager.getDevice(id);
-    if (!device) {
+    if (!device && !gatewayForwarder.enabled) {
       sendMessage({
         messageType: Constants.ERROR,
         data: {
@@ -862,16 +659,17 @@ function websocketHandler(websocket, request) {
       case Constants.SET_PROPERTY: {
         const setRequests = Object.keys(request.data).map((property) => {
           const value = request.data[property];
-          return device.setProperty(property, value);
+          return AddonManager.setProperty(id, property, value);
         });
         Promise.all(setRequests).catch((err) => {
           // If any set fails, send an error
+          const code = err instanceof ForwardingError ? err.status : 400;
           sendMessage({
             messageType: Constants.ERROR,
             data: {
-              code: 400,
-              status: '400 Bad Request',
-              message: err,
+              code,
+              status: `${code} ${STATUS_CODES[code]}`,
+              message: err instanceof ForwardingError ? err.message : err,
               request,
             },
           });
@@ -896,11 +694,12 @@ function websocketHandler(websocket, request) {
                 id, action.id, actionName, actionParams);
             });
           }).catch((err) => {
+            const code = err instanceof ForwardingError ? err.status : 400;
             sendMessage({
               messageType: Constants.ERROR,
               data: {
-                code: 400,
-                status: '400 Bad Request',
+                code,
+                status: `${code} ${STATUS_CODES[code]}`,
                 message: err.message,
                 request,
               },
@@ -926,4 +725,4 @@ function websocketHandler(websocket, request) {
   });
 }
 
-module.exports = ThingsController;
\ No newline at end of file
+module.exports = ThingsController;
@@ -23,6 +23,8 @@ const TABLES = [
   'things',
   'settings',
   'pushSubscriptions',
+  'propertyState',
+  'cassandraOutbox',
 ];
 
 const DEBUG = false || (process.env.NODE_ENV === 'test');
@@ -117,6 +119,24 @@ const Database = {
       id INTEGER PRIMARY KEY,
       subscription TEXT UNIQUE
     );`);
+
+    // Create Property State table, used by the SQLite state store
+    this.db.run(`CREATE TABLE IF NOT EXISTS propertyState (
+      thingId TEXT,
+      name TEXT,
+      value TEXT,
+      PRIMARY KEY (thingId, name)
+    );`);
+
+    // Create Cassandra Outbox table, holding property writes made while the
+    // Cassandra cluster could not be reached
+    this.db.run(`CREATE TABLE IF NOT EXISTS cassandraOutbox (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      thingId TEXT,
+      name TEXT,
+      value TEXT,
+      createdAt INTEGER
+    );`);
   },
 
   /**
@@ -262,6 +282,108 @@ const Database = {
     }).bind(this));
   },
 
+  /**
+   * Get the stored value of a Thing's property.
+   *
+   * @param {String} thingId
+   * @param {String} name
+   * @return {Promise<any>} resolves to the value, or undefined if not stored
+   */
+  getPropertyState: async function(thingId, name) {
+    const row = await this.get(
+      'SELECT value FROM propertyState WHERE thingId = ? AND name = ?',
+      thingId,
+      name
+    );
+    if (!row || row.value === null) {
+      return;
+    }
+    return JSON.parse(row.value);
+  },
+
+  /**
+   * Store the value of a Thing's property.
+   *
+   * @param {String} thingId
+   * @param {String} name
+   * @param {any} value
+   */
+  setPropertyState: function(thingId, name, value) {
+    return this.run(
+      'INSERT OR REPLACE INTO propertyState (thingId, name, value) ' +
+        'VALUES (?, ?, ?)',
+      [thingId, name, JSON.stringify(value)]
+    );
+  },
+
+  /**
+   * Remove the stored values of all of a Thing's properties.
+   *
+   * @param {String} thingId
+   */
+  deletePropertyState: function(thingId) {
+    return this.run('DELETE FROM propertyState WHERE thingId = ?', [thingId]);
+  },
+
+  /**
+   * Add a property write to the end of the Cassandra outbox.
+   *
+   * @param {String} thingId
+   * @param {String} name
+   * @param {any} value
+   */
+  addCassandraOutboxWrite: function(thingId, name, value) {
+    return this.run(
+      'INSERT INTO cassandraOutbox (thingId, name, value, createdAt) ' +
+        'VALUES (?, ?, ?, ?)',
+      [thingId, name, JSON.stringify(value), Date.now()]
+    );
+  },
+
+  /**
+   * Get the oldest writes in the Cassandra outbox.
+   *
+   * @param {number} limit
+   * @return {Promise<Array<Object>>} [{id, thingId, name, value, createdAt}],
+   *                                  oldest first
+   */
+  getCassandraOutboxWrites: function(limit) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT id, thingId, name, value, createdAt FROM cassandraOutbox ' +
+          'ORDER BY id LIMIT ?',
+        [limit],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          for (const row of rows) {
+            row.value = row.value === null ? null : JSON.parse(row.value);
+          }
+          resolve(rows);
+        }
+      );
+    });
+  },
+
+  /**
+   * @return {Promise<number>} Number of writes in the Cassandra outbox
+   */
+  countCassandraOutbox: async function() {
+    const row = await this.get('SELECT COUNT(*) AS count FROM cassandraOutbox');
+    return row.count;
+  },
+
+  /**
+   * Remove a write from the Cassandra outbox once it has been made.
+   *
+   * @param {number} id
+   */
+  deleteCassandraOutboxWrite: function(id) {
+    return this.run('DELETE FROM cassandraOutbox WHERE id = ?', [id]);
+  },
+
   /**
    * Get a user by their email address.
    */
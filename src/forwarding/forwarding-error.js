@@ -0,0 +1,26 @@
+/**
+ * ForwardingError - Raised when a request forwarded to the gateway hosting a
+ *                   thing fails, carrying the status to pass back to the
+ *                   caller: the one that gateway answered with, or 502 if
+ *                   it failed itself or rejected this gateway.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+class ForwardingError extends Error {
+  /**
+   * @param {Number} status HTTP status to answer the caller with
+   * @param {String} message
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = 'ForwardingError';
+    this.status = status;
+  }
+}
+
+module.exports = ForwardingError;
@@ -0,0 +1,360 @@
+/**
+ * GatewayForwarder - Forwards property sets and action requests for things
+ *                    hosted by another gateway of the Cassandra cluster to
+ *                    that gateway, and authenticates the requests it gets
+ *                    forwarded in turn.
+ *
+ * The gateway hosting a thing is the one holding its lease in the registry.
+ * Requests are posted to the address it registered, signed with an
+ * HMAC-SHA256 of the timestamp, a nonce, the sending gateway's id and the
+ * raw body, keyed with the secret shared by every gateway. A nonce is only
+ * accepted once while its timestamp is valid, so requests can't be replayed.
+ * The status of a forwarded action is sent back the same way to the gateway
+ * which requested it.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const cassie = require('../cassie');
+const config = require('config');
+const Constants = require('../constants');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const ForwardingError = require('./forwarding-error');
+const GatewayIdentity = require('../models/gateway-identity');
+const https = require('https');
+
+const FORWARD_PATH = `${Constants.GATEWAYS_PATH}/forward`;
+
+const HEADERS = {
+  id: 'X-Gateway-Id',
+  timestamp: 'X-Gateway-Timestamp',
+  nonce: 'X-Gateway-Nonce',
+  signature: 'X-Gateway-Signature',
+};
+
+// Statuses an action can have
+const ACTION_STATUSES = ['created', 'pending', 'completed', 'error', 'deleted'];
+
+// Action statuses after which nothing changes anymore
+const FINAL_STATUSES = ['completed', 'error', 'deleted'];
+
+class GatewayForwarder {
+  constructor() {
+    this.settings = Object.assign({}, config.get('forwarding'));
+    this.agent = null;
+    // Nonces of the requests accepted, to their timestamp
+    this.nonces = new Map();
+    // Ids of the actions forwarded to other gateways and not done yet, to
+    // the id of the gateway running them
+    this.forwardedActions = new Map();
+  }
+
+  /**
+   * @returns {boolean} Whether requests are forwarded and accepted, which
+   *                    requires a shared secret.
+   */
+  get enabled() {
+    return !!this.settings.enabled && !!this.settings.secret;
+  }
+
+  /**
+   * @param {string} timestamp
+   * @param {string} nonce
+   * @param {string} gatewayId
+   * @param {string} body
+   * @returns {string} The hex signature of a forwarded request.
+   */
+  sign(timestamp, nonce, gatewayId, body) {
+    return crypto.createHmac('sha256', this.settings.secret)
+      .update(`${timestamp}.${nonce}.${gatewayId}.${body}`)
+      .digest('hex');
+  }
+
+  /**
+   * Check the signature of a forwarded request, and that it isn't a replay
+   * of one accepted before.
+   *
+   * @param {Object} headers Request headers, with lower case names
+   * @param {string} body Raw request body, as signed
+   * @returns {boolean}
+   */
+  verify(headers, body) {
+    if (!this.enabled) {
+      return false;
+    }
+
+    const gatewayId = headers[HEADERS.id.toLowerCase()];
+    const timestamp = headers[HEADERS.timestamp.toLowerCase()];
+    const nonce = headers[HEADERS.nonce.toLowerCase()];
+    const signature = headers[HEADERS.signature.toLowerCase()];
+    if (!gatewayId || !timestamp || !nonce ||
+        typeof signature !== 'string' || typeof body !== 'string') {
+      return false;
+    }
+
+    const skew = Math.abs(Date.now() - Number(timestamp));
+    if (!(skew <= this.settings.maxClockSkew)) {
+      return false;
+    }
+
+    const expected =
+      Buffer.from(this.sign(timestamp, nonce, gatewayId, body));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length ||
+        !crypto.timingSafeEqual(expected, actual)) {
+      return false;
+    }
+
+    // Nonces only need remembering while their timestamp is valid
+    for (const [seen, time] of this.nonces) {
+      if (Date.now() - time > this.settings.maxClockSkew) {
+        this.nonces.delete(seen);
+      }
+    }
+    const key = `${gatewayId}.${nonce}`;
+    if (this.nonces.has(key)) {
+      return false;
+    }
+    this.nonces.set(key, Number(timestamp));
+    return true;
+  }
+
+  /**
+   * Set a property of a thing hosted by another gateway.
+   *
+   * @returns {Promise} resolves to the value the property was set to.
+   */
+  async setProperty(thingId, propertyName, value) {
+    const {result} = await this.forward(thingId, {
+      type: 'setProperty',
+      thingId,
+      propertyName,
+      value,
+    });
+    return result;
+  }
+
+  /**
+   * Request an action of a thing hosted by another gateway.
+   *
+   * @returns {Promise} resolves once the other gateway accepted the request.
+   */
+  async requestAction(thingId, actionId, actionName, input) {
+    const owner = await this.getOwner(thingId);
+    // The status may come back before the request is answered
+    this.forwardedActions.set(`${actionId}`, owner.id);
+    try {
+      await this.post(owner, {
+        type: 'requestAction',
+        thingId,
+        actionId,
+        actionName,
+        input,
+      });
+    } catch (e) {
+      this.forwardedActions.delete(`${actionId}`);
+      throw e;
+    }
+  }
+
+  /**
+   * Check a status sent back for a forwarded action. Only the gateway the
+   * action was forwarded to can update it, until it is done.
+   *
+   * @param {string} gatewayId The gateway which sent the status
+   * @param {string} actionId
+   * @param {string} status
+   * @returns {boolean} Whether to apply the status
+   */
+  acceptActionStatus(gatewayId, actionId, status) {
+    if (!ACTION_STATUSES.includes(status) ||
+        this.forwardedActions.get(`${actionId}`) !== gatewayId) {
+      return false;
+    }
+    if (FINAL_STATUSES.includes(status)) {
+      this.forwardedActions.delete(`${actionId}`);
+    }
+    return true;
+  }
+
+  /**
+   * Send the status of an action requested by another gateway back to it
+   * every time it changes, until the action is done.
+   *
+   * @param {Action} action The action run here
+   * @param {string} gatewayId The gateway which requested it
+   * @param {string} actionId The id of the action on that gateway
+   */
+  relayActionStatus(action, gatewayId, actionId) {
+    let sent = Promise.resolve();
+    const onActionStatus = () => {
+      if (FINAL_STATUSES.includes(action.status)) {
+        action.removeListener(Constants.ACTION_STATUS, onActionStatus);
+      }
+
+      const payload = {
+        type: 'actionStatus',
+        thingId: action.thingId,
+        actionId,
+        status: action.status,
+        timeRequested: action.timeRequested,
+        timeCompleted: action.timeCompleted,
+        error: action.error ? `${action.error}` : '',
+      };
+      // Send the statuses in the order they changed
+      sent = sent.then(() => this.sendActionStatus(gatewayId, payload))
+        .catch((e) => {
+          console.error('Failed to send the status of action', actionId,
+                        'to gateway', gatewayId, e.message);
+        });
+    };
+    action.on(Constants.ACTION_STATUS, onActionStatus);
+  }
+
+  /**
+   * @param {string} gatewayId
+   * @param {Object} payload
+   * @returns {Promise}
+   */
+  async sendActionStatus(gatewayId, payload) {
+    let gateway;
+    try {
+      gateway = await cassie.getGateway(gatewayId);
+    } catch (e) {
+      throw new ForwardingError(
+        503, `Failed to look up gateway ${gatewayId}: ${e.message}`);
+    }
+    if (!gateway) {
+      throw new ForwardingError(404, `Gateway ${gatewayId} not found`);
+    }
+    await this.post(gateway, payload);
+  }
+
+  /**
+   * Post a request to the gateway hosting a thing.
+   *
+   * @param {string} thingId
+   * @param {Object} payload
+   * @returns {Promise<Object>} The body the other gateway answered with.
+   * @throws {ForwardingError} carrying the status to answer the caller with.
+   */
+  async forward(thingId, payload) {
+    return this.post(await this.getOwner(thingId), payload);
+  }
+
+  /**
+   * @param {string} thingId
+   * @returns {Promise<Object>} The other gateway hosting a thing.
+   * @throws {ForwardingError} if no other gateway does.
+   */
+  async getOwner(thingId) {
+    if (!this.enabled) {
+      throw new ForwardingError(404, `Thing ${thingId} not found`);
+    }
+
+    let owner;
+    try {
+      owner = await cassie.getDeviceOwner(thingId);
+    } catch (e) {
+      throw new ForwardingError(
+        503, `Failed to look up the gateway hosting ${thingId}: ${e.message}`);
+    }
+
+    const gatewayId = await GatewayIdentity.getId();
+    if (!owner || owner.id === gatewayId) {
+      throw new ForwardingError(404, `Thing ${thingId} not found`);
+    }
+    return owner;
+  }
+
+  /**
+   * Post a signed request to another gateway.
+   *
+   * @param {Object} gateway {id, name, address}
+   * @param {Object} payload
+   * @returns {Promise<Object>} The body the other gateway answered with.
+   * @throws {ForwardingError}
+   */
+  async post(gateway, payload) {
+    const name = gateway.name || gateway.id;
+    if (!gateway.address) {
+      throw new ForwardingError(
+        502, `Gateway ${name} has no registered address`);
+    }
+
+    const gatewayId = await GatewayIdentity.getId();
+    const body = JSON.stringify(payload);
+    const timestamp = `${Date.now()}`;
+    const nonce = crypto.randomBytes(16).toString('hex');
+
+    let response;
+    try {
+      response = await fetch(`${gateway.address}${FORWARD_PATH}`, {
+        method: 'POST',
+        headers: {
+          Accept: 'application/json',
+          'Content-Type': 'application/json',
+          [HEADERS.id]: gatewayId,
+          [HEADERS.timestamp]: timestamp,
+          [HEADERS.nonce]: nonce,
+          [HEADERS.signature]: this.sign(timestamp, nonce, gatewayId, body),
+        },
+        body,
+        agent: this.getAgent(gateway.address),
+        timeout: this.settings.timeout,
+      });
+    } catch (e) {
+      if (e.type === 'request-timeout') {
+        throw new ForwardingError(
+          504, `Gateway ${name} did not answer in time`);
+      }
+      throw new ForwardingError(
+        502, `Gateway ${name} is unreachable: ${e.message}`);
+    }
+
+    const text = await response.text();
+    if (!response.ok) {
+      // The caller's own credentials weren't the ones rejected, and the
+      // other gateway failing isn't this one's fault
+      if (response.status === 401 || response.status === 403 ||
+          response.status >= 500) {
+        throw new ForwardingError(
+          502, `Gateway ${name} failed with ${response.status}: ${
+            text || response.statusText}`);
+      }
+      throw new ForwardingError(response.status, text || response.statusText);
+    }
+
+    try {
+      return text ? JSON.parse(text) : {};
+    } catch (e) {
+      throw new ForwardingError(
+        502, `Gateway ${name} answered with invalid JSON`);
+    }
+  }
+
+  /**
+   * @returns {https.Agent|null} The agent to reach an address with.
+   */
+  getAgent(address) {
+    if (!address.startsWith('https:')) {
+      return null;
+    }
+    if (!this.agent) {
+      this.agent = new https.Agent({
+        keepAlive: true,
+        rejectUnauthorized: this.settings.rejectUnauthorized,
+      });
+    }
+    return this.agent;
+  }
+}
+
+GatewayForwarder.HEADERS = HEADERS;
+
+module.exports = new GatewayForwarder();
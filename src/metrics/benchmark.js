@@ -0,0 +1,449 @@
+/**
+ * Benchmark - Drives property writes against a mock adapter device and
+ *             classifies the outcome of each request, to evaluate how
+ *             consistent property state is without an external script.
+ *
+ * A run sets each target property to every value of a sequence, at a given
+ * rate and with at most a given number of requests in flight. The requests,
+ * the notifications and the values handed to the state store are then
+ * analyzed like ConsistencyMetrics does, per property.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const AddonManager = require('../addon-manager');
+const Constants = require('../constants');
+const consistencyMetrics = require('./consistency-metrics');
+const instrumentation = require('./instrumentation');
+
+const ADAPTER_ID = 'mock-adapter';
+const DEVICE_ID = 'benchmark';
+
+/**
+ * Upper bound on the requests of a run, to bound the timelines kept.
+ */
+const MAX_REQUESTS = 100000;
+
+const DEFAULTS = {
+  properties: ['level'],
+  values: {from: 0, to: 99, step: 1},
+  rate: 10,
+  concurrency: 1,
+  // Read notified values from the state store's backend rather than any
+  // cache in front of it
+  bypassCache: false,
+};
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * @param {Object} range {from, to, step}
+ * @returns {Array<number>} The values of the range, both ends included.
+ */
+function expandRange(range) {
+  const from = Number(range.from);
+  const to = Number(range.to);
+  const step = typeof range.step === 'undefined' ? 1 : Number(range.step);
+  if (!isFinite(from) || !isFinite(to) || !isFinite(step) || step <= 0) {
+    throw new Error('Invalid range of values');
+  }
+
+  const count = Math.floor(Math.abs(to - from) / step) + 1;
+  if (count > MAX_REQUESTS) {
+    throw new Error(`A run is limited to ${MAX_REQUESTS} requests`);
+  }
+
+  const direction = from <= to ? 1 : -1;
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    values.push(from + direction * i * step);
+  }
+  return values;
+}
+
+/**
+ * @param {Array<*>} values
+ * @returns {string} The JSON schema type shared by every value.
+ */
+function valueType(values) {
+  const types = new Set(values.map((value) => {
+    if (typeof value === 'number') {
+      return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+  }));
+  if (types.size === 2 && types.has('integer') && types.has('number')) {
+    return 'number';
+  }
+  if (types.size !== 1) {
+    throw new Error('Values must all have the same type');
+  }
+
+  const [type] = types;
+  if (!['integer', 'number', 'boolean', 'string'].includes(type)) {
+    throw new Error(`Unsupported value type: ${type}`);
+  }
+  return type;
+}
+
+/**
+ * Validate the options of a run, filling in defaults.
+ *
+ * @param {Object} options Any of {properties, values, rate, concurrency,
+ *                         bypassCache}, where values is either an array or
+ *                         a {from, to, step} range
+ * @returns {Object} {properties, values, type, rate, concurrency,
+ *                   bypassCache}
+ * @throws {Error} If the options are invalid.
+ */
+function normalizeOptions(options) {
+  options = Object.assign({}, DEFAULTS, options);
+
+  const properties = options.properties;
+  if (!Array.isArray(properties) || properties.length === 0 ||
+      properties.some((name) => typeof name !== 'string' || !name) ||
+      new Set(properties).size !== properties.length) {
+    throw new Error('properties must be a list of distinct names');
+  }
+
+  const values = Array.isArray(options.values) ?
+    options.values :
+    expandRange(options.values || {});
+  if (values.length === 0) {
+    throw new Error('values must not be empty');
+  }
+  if (values.length * properties.length > MAX_REQUESTS) {
+    throw new Error(`A run is limited to ${MAX_REQUESTS} requests`);
+  }
+
+  const rate = Number(options.rate);
+  if (!isFinite(rate) || rate < 0) {
+    throw new Error(`Invalid rate: ${options.rate}`);
+  }
+
+  const concurrency = parseInt(options.concurrency, 10);
+  if (isNaN(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid concurrency: ${options.concurrency}`);
+  }
+
+  return {
+    properties,
+    values,
+    type: valueType(values),
+    rate,
+    concurrency,
+    bypassCache: !!options.bypassCache,
+  };
+}
+
+class Benchmark {
+  constructor() {
+    this.run = null;
+    this.stopping = false;
+    this.onPropertyChanged = this.onPropertyChanged.bind(this);
+  }
+
+  /**
+   * @returns {boolean} Whether a run is in progress.
+   */
+  get running() {
+    return !!this.run && ['starting', 'running'].includes(this.run.state);
+  }
+
+  /**
+   * Start a run. The returned promise resolves once the benchmark device
+   * is ready; the run itself goes on in the background.
+   *
+   * @param {Object} options See normalizeOptions()
+   * @returns {Promise<Object>} The status of the run.
+   * @throws {Error} If a run is in progress, the options are invalid or
+   *                 the mock adapter isn't loaded.
+   */
+  async start(options) {
+    if (this.running) {
+      throw new Error('A benchmark is already running');
+    }
+
+    options = normalizeOptions(options || {});
+    const adapter = AddonManager.getAdapter(ADAPTER_ID);
+    if (!adapter) {
+      throw new Error(`The ${ADAPTER_ID} add-on is not loaded`);
+    }
+
+    const requests = [];
+    options.values.forEach((value, index) => {
+      for (const property of options.properties) {
+        requests.push({
+          property,
+          index,
+          value,
+          start: null,
+          finish: null,
+          error: null,
+        });
+      }
+    });
+
+    const run = {
+      state: 'starting',
+      options,
+      requests,
+      notifications: [],
+      dbWrites: [],
+      incomplete: false,
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      // resolved once the run is over
+      finished: null,
+    };
+    this.run = run;
+    this.stopping = false;
+
+    try {
+      await this.addDevice(adapter, options);
+    } catch (e) {
+      const error = e.message || `${e}`;
+      Object.assign(run, {state: 'failed', error});
+      throw new Error(`Failed to add the benchmark device: ${error}`);
+    }
+
+    run.finished = this.execute(run).catch((e) => {
+      console.error('Benchmark failed:', e);
+      run.state = 'failed';
+      run.error = e.message;
+    });
+    return this.status();
+  }
+
+  /**
+   * Stop the run in progress once its requests in flight are done.
+   *
+   * @returns {Promise<Object>} The status of the run.
+   */
+  async stop() {
+    if (this.running) {
+      this.stopping = true;
+      await this.run.finished;
+    }
+    return this.status();
+  }
+
+  /**
+   * Replace the benchmark device with one holding the target properties.
+   */
+  async addDevice(adapter, options) {
+    if (AddonManager.getDevice(DEVICE_ID)) {
+      await adapter.removeDevice(DEVICE_ID);
+    }
+
+    const properties = {};
+    for (const name of options.properties) {
+      properties[name] = {
+        name,
+        title: name,
+        type: options.type,
+        value: options.values[0],
+      };
+    }
+
+    await adapter.addDevice(DEVICE_ID, {
+      title: 'Benchmark',
+      '@context': 'https://iot.mozilla.org/schemas',
+      '@type': [],
+      properties,
+    });
+  }
+
+  async removeDevice() {
+    const adapter = AddonManager.getAdapter(ADAPTER_ID);
+    if (adapter && AddonManager.getDevice(DEVICE_ID)) {
+      await adapter.removeDevice(DEVICE_ID);
+    }
+  }
+
+  /**
+   * Send every request of a run, then collect what the state store was
+   * handed. Instrumentation is enabled and not sampled for the run.
+   */
+  async execute(run) {
+    const settings = instrumentation.getSettings();
+    const dropped = settings.buffers.dbWrites.dropped;
+    instrumentation.configure({enabled: true, sampleRate: 1});
+    AddonManager.on(Constants.PROPERTY_CHANGED, this.onPropertyChanged);
+
+    run.state = 'running';
+    run.startedAt = Date.now();
+    try {
+      await this.sendRequests(run);
+    } finally {
+      AddonManager.removeListener(Constants.PROPERTY_CHANGED,
+                                  this.onPropertyChanged);
+      const startedAt = run.startedAt;
+      Object.assign(run, {
+        dbWrites: instrumentation.get('dbWrites').filter((write) => {
+          return write.deviceId === DEVICE_ID && write.time >= startedAt;
+        }),
+        incomplete:
+          instrumentation.getSettings().buffers.dbWrites.dropped > dropped,
+        finishedAt: Date.now(),
+        state: this.stopping ? 'stopped' : 'finished',
+      });
+      instrumentation.configure({
+        enabled: settings.enabled,
+        sampleRate: settings.sampleRate,
+      });
+
+      await this.removeDevice().catch((e) => {
+        console.error('Failed to remove the benchmark device:', e);
+      });
+    }
+  }
+
+  /**
+   * Send the requests of a run in order, spaced to match the rate, with at
+   * most `concurrency` of them in flight.
+   */
+  async sendRequests(run) {
+    const {rate, concurrency} = run.options;
+    const interval = rate > 0 ? 1000 / rate : 0;
+    const inFlight = new Set();
+
+    for (let i = 0; i < run.requests.length && !this.stopping; i++) {
+      const wait = run.startedAt + i * interval - Date.now();
+      if (wait > 0) {
+        await sleep(wait);
+      }
+      while (inFlight.size >= concurrency) {
+        await Promise.race(inFlight);
+      }
+      if (this.stopping) {
+        break;
+      }
+
+      const sent = this.send(run.requests[i]).then(() => {
+        inFlight.delete(sent);
+      });
+      inFlight.add(sent);
+    }
+
+    await Promise.all(inFlight);
+  }
+
+  /**
+   * @param {Object} request Filled in with its start and finish times, and
+   *                         its error if it failed.
+   */
+  async send(request) {
+    request.start = Date.now();
+    let error = null;
+    try {
+      await AddonManager.setProperty(DEVICE_ID, request.property,
+                                     request.value);
+    } catch (e) {
+      error = (e && e.message) || `${e}`;
+    }
+    Object.assign(request, {error, finish: Date.now()});
+  }
+
+  /**
+   * Read back the value of each property changed, as a web client would.
+   * A failed read is recorded with its error, so that it counts in the
+   * report, rather than rejecting a promise no one listens to.
+   */
+  async onPropertyChanged(property) {
+    if (property.device.id !== DEVICE_ID || !this.run) {
+      return;
+    }
+
+    const run = this.run;
+    const notification = {property: property.name};
+    try {
+      notification.value =
+        await property.getValue({bypassCache: run.options.bypassCache});
+    } catch (e) {
+      Object.assign(notification, {
+        value: null,
+        error: (e && e.message) || `${e}`,
+      });
+    }
+    notification.time = Date.now();
+    run.notifications.push(notification);
+  }
+
+  /**
+   * @returns {Object} The state and progress of the current or last run.
+   */
+  status() {
+    const run = this.run;
+    if (!run) {
+      return {state: 'idle'};
+    }
+
+    const sent = run.requests.filter((r) => r.start !== null);
+    return {
+      state: run.state,
+      error: run.error,
+      options: run.options,
+      startedAt: run.startedAt,
+      finishedAt: run.finishedAt,
+      requests: {
+        total: run.requests.length,
+        sent: sent.length,
+        completed: sent.filter((r) => r.finish !== null).length,
+        failed: sent.filter((r) => r.error !== null).length,
+      },
+    };
+  }
+
+  /**
+   * Classify the requests of the last run, per property.
+   *
+   * @returns {Object} The status, with {properties: {name: analysis},
+   *                   incomplete, timelines}. incomplete is set when the
+   *                   instrumentation dropped values written during the
+   *                   run, as they can't be told apart from lost ones.
+   */
+  report() {
+    const status = this.status();
+    const run = this.run;
+    if (!run || this.running) {
+      return status;
+    }
+
+    const properties = {};
+    for (const name of run.options.properties) {
+      const requests = run.requests
+        .filter((r) => r.property === name && r.start !== null)
+        .map((r) => ({value: r.value, time: r.start}));
+      const notifications =
+        run.notifications.filter((n) => n.property === name);
+      const dbWrites = run.dbWrites
+        .filter((w) => w.propertyName === name)
+        .map((w) => w.value);
+
+      properties[name] = consistencyMetrics.analyze(
+        {requests, notifications, dbWrites},
+        run.options.values.slice(0, requests.length)
+      );
+    }
+
+    return Object.assign(status, {
+      properties,
+      incomplete: run.incomplete,
+      timelines: {
+        requests: run.requests,
+        notifications: run.notifications,
+        dbWrites: run.dbWrites,
+      },
+    });
+  }
+}
+
+module.exports = new Benchmark();
@@ -0,0 +1,266 @@
+/**
+ * ConsistencyMetrics - Records property requests and the notifications sent
+ *                      for them, and analyzes them along with Cassie's stats
+ *                      to evaluate how consistent property state is.
+ *
+ * The report assumes a test run which sets a property to 0, 1, 2, ... in
+ * order, one request per value, with instrumentation enabled and not
+ * sampled. analyze() takes the expected sequence of values instead, for
+ * runs such as the benchmark's which use another one.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const cassie = require('../cassie');
+const instrumentation = require('./instrumentation');
+
+/**
+ * @param {Array<number>} values
+ * @returns {number} The rounded average, or 0 if there are no values.
+ */
+function average(values) {
+  if (values.length === 0) {
+    return 0;
+  }
+  return Math.round(values.reduce((a, b) => a + b) / values.length);
+}
+
+/**
+ * @param {Array<number>} times
+ * @returns {Array<number>} Time between each pair of consecutive times.
+ */
+function gaps(times) {
+  const result = [];
+  for (let i = 1; i < times.length; i++) {
+    result.push(times[i] - times[i - 1]);
+  }
+  return result;
+}
+
+class ConsistencyMetrics {
+  /**
+   * Record a request to set a property.
+   *
+   * @param {*} value
+   */
+  recordRequest(value) {
+    instrumentation.record('requests', {value, time: Date.now()});
+  }
+
+  /**
+   * Record a property value sent to a web client.
+   *
+   * @param {*} value
+   */
+  recordNotification(value) {
+    instrumentation.record('notifications', {value, time: Date.now()});
+  }
+
+  /**
+   * Forget everything recorded so far, including Cassie's stats, before the
+   * next test run.
+   */
+  reset() {
+    instrumentation.clear();
+    cassie.resetStats();
+  }
+
+  /**
+   * Requests whose value was never written to the state store. A value
+   * requested several times must be written as many times.
+   *
+   * @param {Array<Object>} requests [{value}], in order
+   * @param {Array<*>} dbWrites Values written, in order
+   * @returns {Set<number>} Indexes of the lost requests.
+   */
+  lostRequests(requests, dbWrites) {
+    const remaining = new Map();
+    for (const value of dbWrites) {
+      remaining.set(value, (remaining.get(value) || 0) + 1);
+    }
+
+    const lost = new Set();
+    requests.forEach((request, index) => {
+      const count = remaining.get(request.value) || 0;
+      if (count > 0) {
+        remaining.set(request.value, count - 1);
+      } else {
+        lost.add(index);
+      }
+    });
+    return lost;
+  }
+
+  /**
+   * Match each request with the notification sent for it.
+   *
+   * @param {Object} [timelines] {requests, notifications, dbWrites}, where
+   *                             dbWrites holds the values written. Defaults
+   *                             to the recorded ones.
+   * @returns {Array<Object>} [{request, value, notifiedValue, latency,
+   *                          status}], where status is one of 'ok', 'lost',
+   *                          'notNotified', 'readFailed',
+   *                          'wrongValueFromDatabase' or
+   *                          'reorderedByGateway'.
+   */
+  matchRequests(timelines = this.timelines()) {
+    const {requests, notifications, dbWrites} = timelines;
+    const lost = this.lostRequests(requests, dbWrites);
+    const results = [];
+    let notificationIndex = 0;
+
+    requests.forEach((request, index) => {
+      const notification = notifications[notificationIndex];
+      const result = {
+        request: index,
+        value: request.value,
+        notifiedValue: notification ? notification.value : null,
+        latency: notification ? notification.time - request.time : null,
+      };
+      results.push(result);
+
+      // The update was never written, so no notification was sent for it
+      if (lost.has(index)) {
+        result.status = 'lost';
+        result.notifiedValue = null;
+        return;
+      }
+
+      if (!notification) {
+        result.status = 'notNotified';
+      } else if (notification.error) {
+        // The value couldn't be read back to notify it
+        result.status = 'readFailed';
+      } else if (request.value === notification.value) {
+        result.status = 'ok';
+      } else if (request.value === dbWrites[notificationIndex]) {
+        // The right value was written, but the read which followed got
+        // another one, likely written by a later update
+        result.status = 'wrongValueFromDatabase';
+      } else {
+        // The gateway wrote updates out of order
+        result.status = 'reorderedByGateway';
+      }
+      notificationIndex++;
+    });
+
+    return results;
+  }
+
+  /**
+   * @param {Array<Object>} writes [{start, finish}]
+   * @returns {number} Number of writes which finished after a write which
+   *                   started later.
+   */
+  overlappingWrites(writes) {
+    const intervals = writes.slice().sort((a, b) => a.start - b.start);
+    let overlapping = 0;
+    for (let i = 0; i < intervals.length; i++) {
+      for (let j = 0; j < i; j++) {
+        if (intervals[j].finish > intervals[i].finish) {
+          overlapping++;
+          break;
+        }
+      }
+    }
+    return overlapping;
+  }
+
+  /**
+   * @returns {Object} The recorded {requests, notifications, dbWrites}.
+   */
+  timelines() {
+    return {
+      requests: instrumentation.get('requests'),
+      notifications: instrumentation.get('notifications'),
+      dbWrites: instrumentation.get('dbWrites').map((w) => w.value),
+    };
+  }
+
+  /**
+   * Classify the requests of a run against the sequence of values it was
+   * expected to request.
+   *
+   * @param {Object} timelines {requests, notifications, dbWrites}, as for
+   *                           matchRequests()
+   * @param {Array<*>} sequence Values in the order they were requested
+   * @returns {Object} {requests, notifications, reads, results}
+   */
+  analyze(timelines, sequence) {
+    const {requests, notifications} = timelines;
+    const results = this.matchRequests(timelines);
+    const count = (status) => {
+      return results.filter((r) => r.status === status).length;
+    };
+    const inOrder = results.filter((r) => {
+      return r.request < sequence.length && r.value === sequence[r.request];
+    }).length;
+
+    return {
+      requests: {
+        count: requests.length,
+        inOrder,
+        outOfOrder: requests.length - inOrder,
+        lost: count('lost'),
+        averageProcessingTime: average(results
+          .filter((r) => r.status !== 'lost' && r.latency !== null)
+          .map((r) => r.latency)),
+      },
+      notifications: {
+        count: notifications.length,
+        wrongValue:
+          count('wrongValueFromDatabase') + count('reorderedByGateway'),
+        averageInterval: average(gaps(notifications.map((n) => n.time))),
+      },
+      reads: {
+        wrongValue: count('wrongValueFromDatabase'),
+        failed: count('readFailed'),
+      },
+      results,
+    };
+  }
+
+  /**
+   * @returns {Object} The full report, with the timelines it is based on.
+   */
+  report() {
+    const timelines = this.timelines();
+    const {requests, notifications} = timelines;
+    const writes = instrumentation.get('writes');
+    const analysis =
+      this.analyze(timelines, requests.map((_request, index) => index));
+
+    return {
+      requests: analysis.requests,
+      notifications: analysis.notifications,
+      writes: {
+        count: writes.length,
+        averageInterval: average(gaps(writes.map((w) => w.start))),
+        averageLatency: average(writes.map((w) => w.finish - w.start)),
+        overlapping: this.overlappingWrites(writes),
+        delayed: cassie.delayedRequests,
+        delayTimeouts: cassie.delayTimeouts,
+      },
+      reads: analysis.reads,
+      detection: {
+        local: cassie.localDetectionErrors,
+        globalOverlappingWrites: cassie.globalDetectionErrors,
+        globalNotPersisted: cassie.notPersistedErrors,
+      },
+      consistencyLevels: cassie.consistencyCounts,
+      results: analysis.results,
+      instrumentation: instrumentation.getSettings(),
+      timelines: {
+        requests,
+        notifications,
+        writes,
+      },
+    };
+  }
+}
+
+module.exports = new ConsistencyMetrics();
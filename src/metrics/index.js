@@ -0,0 +1,97 @@
+/**
+ * Gateway metrics, exported in the Prometheus text format through /metrics.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const {Registry} = require('./registry');
+
+const registry = new Registry();
+
+module.exports = {
+  registry,
+
+  cassandraDetectionErrors: registry.counter(
+    'gateway_cassandra_detection_errors_total',
+    'Consistency errors reported by the Cassandra cluster',
+    ['type']
+  ),
+
+  cassandraDelayedRequests: registry.counter(
+    'gateway_cassandra_delayed_requests_total',
+    'Cassandra writes the server delayed'
+  ),
+
+  cassandraDelayTimeouts: registry.counter(
+    'gateway_cassandra_delay_timeouts_total',
+    'Delayed Cassandra writes which were never confirmed'
+  ),
+
+  cassandraWriteDuration: registry.histogram(
+    'gateway_cassandra_write_duration_seconds',
+    'Time taken by Cassandra to apply property writes',
+    ['consistency']
+  ),
+
+  cassandraOutboxSize: registry.gauge(
+    'gateway_cassandra_outbox_size',
+    'Property writes waiting for the Cassandra cluster to be reachable'
+  ),
+
+  cassandraRemoteChanges: registry.counter(
+    'gateway_cassandra_remote_changes_total',
+    'Property changes made by other gateways and read from the change log'
+  ),
+
+  cassandraInitReconciliations: registry.counter(
+    'gateway_cassandra_init_reconciliations_total',
+    'Initial property values which differed from the stored state, by ' +
+      'init policy and by whose value was kept',
+    ['policy', 'winner']
+  ),
+
+  cassandraCacheReads: registry.counter(
+    'gateway_cassandra_cache_reads_total',
+    'Property reads served from the read cache (hit), from the cluster ' +
+      '(miss) or sent to the cluster as the cache was bypassed (bypass)',
+    ['result']
+  ),
+
+  cassandraCacheEntries: registry.gauge(
+    'gateway_cassandra_cache_entries',
+    'Property values held by the read cache'
+  ),
+
+  cassandraHostUp: registry.gauge(
+    'gateway_cassandra_host_up',
+    'Whether each host of the Cassandra cluster is up',
+    ['host']
+  ),
+
+  propertySetDuration: registry.histogram(
+    'gateway_property_set_duration_seconds',
+    'Time taken to set a property through the API',
+    ['status']
+  ),
+
+  websocketSubscribers: registry.gauge(
+    'gateway_websocket_subscribers',
+    'Open WebSocket connections to things'
+  ),
+
+  pluginState: registry.gauge(
+    'gateway_plugin_state',
+    'State of each add-on plugin process, 1 for its current state',
+    ['plugin', 'state']
+  ),
+
+  ruleFirings: registry.counter(
+    'gateway_rule_firings_total',
+    'Times each rule passed a trigger state on to its effect',
+    ['rule', 'state']
+  ),
+};
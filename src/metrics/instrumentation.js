@@ -0,0 +1,181 @@
+/**
+ * Instrumentation - Records timelines of property requests, notifications
+ *                   and Cassandra writes for offline analysis.
+ *
+ * Recording is off unless enabled in the configuration or at runtime. Each
+ * timeline is kept in a ring buffer, so only the most recent entries are
+ * kept, and entries can be sampled to keep even fewer.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const config = require('config');
+const RingBuffer = require('./ring-buffer');
+
+/**
+ * Timelines which can be recorded:
+ * - requests: property values requested through the API, {value, time}
+ * - notifications: property values sent to web clients, {value, time}
+ * - writes: Cassandra writes, {start, finish, consistency}
+ * - dbWrites: values handed to the state store, {deviceId, propertyName,
+ *   value, time}
+ */
+const BUFFERS = ['requests', 'notifications', 'writes', 'dbWrites'];
+
+/**
+ * @param {*} value
+ * @returns {string} The value as a CSV field.
+ */
+function csvField(value) {
+  if (value === null || typeof value === 'undefined') {
+    return '';
+  }
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : `${value}`;
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Validate instrumentation settings.
+ *
+ * @param {Object} settings {enabled, capacity, sampleRate}
+ * @returns {Object}
+ * @throws {Error} If the settings are invalid.
+ */
+function normalizeSettings(settings) {
+  const capacity = parseInt(settings.capacity, 10);
+  if (isNaN(capacity) || capacity < 1) {
+    throw new Error(`Invalid capacity: ${settings.capacity}`);
+  }
+
+  const sampleRate = parseFloat(settings.sampleRate);
+  if (isNaN(sampleRate) || sampleRate <= 0 || sampleRate > 1) {
+    throw new Error(`Invalid sampleRate: ${settings.sampleRate}`);
+  }
+
+  return {enabled: !!settings.enabled, capacity, sampleRate};
+}
+
+class Instrumentation {
+  constructor() {
+    this.settings = normalizeSettings(config.get('instrumentation'));
+    this.createBuffers();
+  }
+
+  createBuffers() {
+    this.buffers = new Map();
+    for (const name of BUFFERS) {
+      this.buffers.set(name, new RingBuffer(this.settings.capacity));
+    }
+  }
+
+  /**
+   * @returns {boolean} Whether timelines are being recorded.
+   */
+  get enabled() {
+    return this.settings.enabled;
+  }
+
+  /**
+   * Change the settings at runtime. Changing the capacity clears the
+   * recorded timelines.
+   *
+   * @param {Object} settings Any of {enabled, capacity, sampleRate}
+   * @returns {Object} The new settings.
+   */
+  configure(settings) {
+    const normalized =
+      normalizeSettings(Object.assign({}, this.settings, settings));
+    const resize = normalized.capacity !== this.settings.capacity;
+    this.settings = normalized;
+    if (resize) {
+      this.createBuffers();
+    }
+    return this.getSettings();
+  }
+
+  /**
+   * @returns {Object} The settings, with the state of each buffer.
+   */
+  getSettings() {
+    const buffers = {};
+    for (const [name, buffer] of this.buffers) {
+      buffers[name] = {length: buffer.length, dropped: buffer.dropped};
+    }
+    return Object.assign({buffers}, this.settings);
+  }
+
+  /**
+   * Record an entry in a timeline, if enabled and sampled.
+   *
+   * @param {string} name One of BUFFERS
+   * @param {Object} entry
+   */
+  record(name, entry) {
+    if (!this.settings.enabled ||
+        (this.settings.sampleRate < 1 &&
+         Math.random() >= this.settings.sampleRate)) {
+      return;
+    }
+    this.buffers.get(name).push(entry);
+  }
+
+  /**
+   * @param {string} name One of BUFFERS
+   * @returns {Array<Object>} The recorded entries, oldest first.
+   */
+  get(name) {
+    if (!this.buffers.has(name)) {
+      throw new Error(`Unknown timeline: ${name}`);
+    }
+    return this.buffers.get(name).toArray();
+  }
+
+  /**
+   * Forget every recorded entry.
+   */
+  clear() {
+    for (const buffer of this.buffers.values()) {
+      buffer.clear();
+    }
+  }
+
+  /**
+   * @param {string} name One of BUFFERS
+   * @param {string} format 'csv' or 'jsonl'
+   * @returns {string} The recorded entries in the format.
+   */
+  export(name, format) {
+    const entries = this.get(name);
+    if (format === 'jsonl') {
+      return entries.map((entry) => `${JSON.stringify(entry)}\n`).join('');
+    }
+    if (format !== 'csv') {
+      throw new Error(`Unknown format: ${format}`);
+    }
+
+    const columns = [];
+    for (const entry of entries) {
+      for (const key of Object.keys(entry)) {
+        if (!columns.includes(key)) {
+          columns.push(key);
+        }
+      }
+    }
+
+    const lines = [columns.join(',')];
+    for (const entry of entries) {
+      lines.push(columns.map((column) => csvField(entry[column])).join(','));
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = new Instrumentation();
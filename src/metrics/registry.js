@@ -0,0 +1,279 @@
+/**
+ * Registry - A minimal set of Prometheus metric types, rendered in the
+ *            Prometheus text exposition format.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+/**
+ * Default histogram buckets, in seconds.
+ */
+const DEFAULT_BUCKETS =
+  [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * @param {*} value
+ * @returns {string} The value, escaped for use as a label value.
+ */
+function escapeLabelValue(value) {
+  return `${value}`
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+}
+
+/**
+ * @param {Object} labels
+ * @returns {string} The labels in exposition format, e.g. `{a="1",b="2"}`,
+ *                   or an empty string if there are none.
+ */
+function formatLabels(labels) {
+  const names = Object.keys(labels);
+  if (names.length === 0) {
+    return '';
+  }
+
+  const pairs = names.map((name) => {
+    return `${name}="${escapeLabelValue(labels[name])}"`;
+  });
+  return `{${pairs.join(',')}}`;
+}
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return `${value}`;
+}
+
+class Metric {
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {Array<string>} labelNames
+   */
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    // values keyed by their formatted labels, as {labels, value}
+    this.values = new Map();
+  }
+
+  /**
+   * @param {Object} labels
+   * @returns {Object} The {labels, value} entry for a set of labels,
+   *                   created if needed.
+   */
+  entry(labels) {
+    for (const name of Object.keys(labels)) {
+      if (!this.labelNames.includes(name)) {
+        throw new Error(`Unknown label ${name} for metric ${this.name}`);
+      }
+    }
+
+    const key = formatLabels(labels);
+    if (!this.values.has(key)) {
+      this.values.set(key, {labels: Object.assign({}, labels),
+                            value: this.initialValue()});
+    }
+    return this.values.get(key);
+  }
+
+  initialValue() {
+    return 0;
+  }
+
+  /**
+   * Forget all values.
+   */
+  reset() {
+    this.values.clear();
+  }
+
+  /**
+   * @returns {Array<string>} Lines of the exposition format.
+   */
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+    ];
+    for (const {labels, value} of this.values.values()) {
+      lines.push(...this.renderSamples(labels, value));
+    }
+    return lines;
+  }
+
+  renderSamples(labels, value) {
+    return [`${this.name}${formatLabels(labels)} ${formatValue(value)}`];
+  }
+}
+
+class Counter extends Metric {
+  get type() {
+    return 'counter';
+  }
+
+  /**
+   * @param {Object} [labels]
+   * @param {number} [amount]
+   */
+  inc(labels = {}, amount = 1) {
+    if (amount < 0) {
+      throw new Error(`Counter ${this.name} can only go up`);
+    }
+    this.entry(labels).value += amount;
+  }
+}
+
+class Gauge extends Metric {
+  get type() {
+    return 'gauge';
+  }
+
+  set(labels, value) {
+    this.entry(labels).value = value;
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.entry(labels).value += amount;
+  }
+
+  dec(labels = {}, amount = 1) {
+    this.entry(labels).value -= amount;
+  }
+}
+
+class Histogram extends Metric {
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {Array<string>} labelNames
+   * @param {Array<number>} buckets Upper bounds, in increasing order
+   */
+  constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    super(name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  get type() {
+    return 'histogram';
+  }
+
+  initialValue() {
+    return {
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    };
+  }
+
+  /**
+   * @param {Object} labels
+   * @param {number} value
+   */
+  observe(labels, value) {
+    const data = this.entry(labels).value;
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        data.counts[i]++;
+      }
+    });
+    data.sum += value;
+    data.count++;
+  }
+
+  renderSamples(labels, data) {
+    const lines = this.buckets.map((bound, i) => {
+      const bucketLabels = Object.assign({}, labels, {le: formatValue(bound)});
+      return `${this.name}_bucket${formatLabels(bucketLabels)} ${
+        data.counts[i]}`;
+    });
+
+    const infLabels = Object.assign({}, labels, {le: '+Inf'});
+    lines.push(`${this.name}_bucket${formatLabels(infLabels)} ${data.count}`);
+    lines.push(`${this.name}_sum${formatLabels(labels)} ${data.sum}`);
+    lines.push(`${this.name}_count${formatLabels(labels)} ${data.count}`);
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+    // functions which update metrics from the gateway's state, called
+    // before each render
+    this.collectors = [];
+  }
+
+  /**
+   * @param {Metric} metric
+   * @returns {Metric} The metric.
+   */
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * @param {function} collector
+   */
+  addCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * @returns {string} Every metric in the Prometheus text format.
+   */
+  render() {
+    for (const collector of this.collectors) {
+      try {
+        collector();
+      } catch (e) {
+        console.error('Failed to collect metrics:', e);
+      }
+    }
+
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(...metric.render());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+Registry.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = {
+  Counter,
+  Gauge,
+  Histogram,
+  Registry,
+};
@@ -0,0 +1,58 @@
+/**
+ * RingBuffer - Keeps the most recent entries pushed to it, up to a fixed
+ *              capacity.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+class RingBuffer {
+  /**
+   * @param {number} capacity
+   */
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.clear();
+  }
+
+  clear() {
+    this.entries = new Array(this.capacity);
+    // index the next entry is written to
+    this.next = 0;
+    this.length = 0;
+    // number of entries overwritten since the last clear
+    this.dropped = 0;
+  }
+
+  /**
+   * Add an entry, overwriting the oldest one when full.
+   *
+   * @param {*} entry
+   */
+  push(entry) {
+    if (this.length === this.capacity) {
+      this.dropped++;
+    } else {
+      this.length++;
+    }
+    this.entries[this.next] = entry;
+    this.next = (this.next + 1) % this.capacity;
+  }
+
+  /**
+   * @returns {Array} The entries, oldest first.
+   */
+  toArray() {
+    const start = (this.next - this.length + this.capacity) % this.capacity;
+    const result = [];
+    for (let i = 0; i < this.length; i++) {
+      result.push(this.entries[(start + i) % this.capacity]);
+    }
+    return result;
+  }
+}
+
+module.exports = RingBuffer;
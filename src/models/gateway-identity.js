@@ -0,0 +1,50 @@
+/**
+ * GatewayIdentity - The persistent id of this gateway, which tells it apart
+ *                   from the other gateways sharing a Cassandra cluster.
+ *
+ * The id is generated the first time it is needed, and kept in the settings
+ * so that it survives restarts.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const Settings = require('./settings');
+const {v4: uuidv4} = require('uuid');
+
+const SETTINGS_KEY = 'gatewayId';
+
+const GatewayIdentity = {
+  id: null,
+  pending: null,
+
+  /**
+   * @returns {Promise<string>} The id of this gateway, a UUID.
+   */
+  getId: function() {
+    if (this.id) {
+      return Promise.resolve(this.id);
+    }
+
+    if (!this.pending) {
+      this.pending = Settings.get(SETTINGS_KEY).then((id) => {
+        if (id) {
+          return id;
+        }
+        return Settings.set(SETTINGS_KEY, uuidv4());
+      }).then((id) => {
+        this.id = id;
+        return id;
+      }).finally(() => {
+        this.pending = null;
+      });
+    }
+
+    return this.pending;
+  },
+};
+
+module.exports = GatewayIdentity;
@@ -11,6 +11,24 @@ const METRICS_NUMBER = 'metricsNumber';
 const METRICS_BOOLEAN = 'metricsBoolean';
 const METRICS_OTHER = 'metricsOther';
 
+/**
+ * Convert a start or end query parameter, in milliseconds or any format
+ * understood by Date, into a Date.
+ * @param {string|number} value
+ * @return {Date|undefined}
+ */
+function toDate(value) {
+  if (!value && value !== 0) {
+    return;
+  }
+
+  const date = new Date(isNaN(value) ? value : Number(value));
+  if (isNaN(date.getTime())) {
+    return;
+  }
+  return date;
+}
+
 class Logs {
   constructor() {
     this.db = null;
@@ -174,8 +192,10 @@ class Logs {
    * @param {Object} rawDescr
    * @param {any} rawValue
    * @param {Date} date
+   * @param {boolean} [remote] Whether another gateway made the change, in
+   *                           which case it records the shared history
    */
-  async insertMetric(rawDescr, rawValue, date) {
+  async insertMetric(rawDescr, rawValue, date, remote = false) {
     const descr = JSON.stringify(rawDescr);
     if (!this.descrToId.hasOwnProperty(descr)) {
       return;
@@ -201,6 +221,62 @@ class Logs {
       `INSERT INTO ${table} (id, date, value) VALUES (?, ?, ?)`,
       [id, date, value]
     );
+
+    // Property values are also shared with every gateway using the cluster
+    if (rawDescr.type !== 'property' || remote) {
+      return;
+    }
+    const history = await this.historyBackend();
+    if (history) {
+      try {
+        await history.insertHistory(rawDescr.thing, rawDescr.property,
+                                    rawValue, date, this.idToDescr[id].maxAge);
+      } catch (e) {
+        console.error('Failed to record property history:', e.message);
+      }
+    }
+  }
+
+  /**
+   * Get the backend property values are shared through, if the history is
+   * recorded in the cluster. The Cassandra client is only loaded when it
+   * holds the state store.
+   * @return {Promise<Cassie|null>}
+   */
+  async historyBackend() {
+    if (config.get('stateStore.backend') !== 'cassandra') {
+      return null;
+    }
+    const cassie = require('../cassie');
+    if (!await cassie.isHistoryEnabled()) {
+      return null;
+    }
+    return cassie;
+  }
+
+  /**
+   * Read the shared history of the logged properties
+   * @param {Cassie} history
+   * @param {string|null} thingId Only read the properties of this thing
+   * @param {string|number} start
+   * @param {string|number} end
+   * @return {Promise<Object>} Values by thing and property
+   */
+  async readHistory(history, thingId, start, end) {
+    const out = {};
+    for (const id in this.idToDescr) {
+      const descr = this.idToDescr[id];
+      if (descr.type !== 'property' ||
+          (thingId !== null && descr.thing !== thingId)) {
+        continue;
+      }
+      if (!out.hasOwnProperty(descr.thing)) {
+        out[descr.thing] = {};
+      }
+      out[descr.thing][descr.property] = await history.readHistory(
+        descr.thing, descr.property, toDate(start), toDate(end));
+    }
+    return out;
   }
 
   /**
@@ -226,7 +302,7 @@ class Logs {
   onPropertyChanged(property) {
     const thingId = property.device.id;
     const descr = this.propertyDescr(thingId, property.name);
-    this.insertMetric(descr, property.value, new Date());
+    this.insertMetric(descr, property.value, new Date(), !!property.remote);
   }
 
   onEvent() {
@@ -290,6 +366,11 @@ class Logs {
   }
 
   async getAll(start, end) {
+    const history = await this.historyBackend();
+    if (history) {
+      return this.readHistory(history, null, start, end);
+    }
+
     const out = {};
     await this.loadMetrics(out, METRICS_NUMBER, null, null, start, end);
     await this.loadMetrics(out, METRICS_BOOLEAN, (value) => !!value, null,
@@ -300,11 +381,23 @@ class Logs {
   }
 
   async get(thingId, start, end) {
+    const history = await this.historyBackend();
+    if (history) {
+      const out = await this.readHistory(history, thingId, start, end);
+      return out[thingId];
+    }
+
     const all = await this.getAll(start, end);
     return all[thingId];
   }
 
   async getProperty(thingId, propertyName, start, end) {
+    const history = await this.historyBackend();
+    if (history) {
+      return history.readHistory(thingId, propertyName, toDate(start),
+                                 toDate(end));
+    }
+
     const descr = this.propertyDescr(thingId, propertyName);
     const out = {};
     const id = this.descrToId[descr];
@@ -362,6 +455,26 @@ class Logs {
   }
 
   async streamAll(callback, start, end) {
+    const history = await this.historyBackend();
+    if (history) {
+      for (const id in this.idToDescr) {
+        const descr = this.idToDescr[id];
+        if (descr.type !== 'property') {
+          continue;
+        }
+        const values = await history.readHistory(
+          descr.thing, descr.property, toDate(start), toDate(end));
+        callback(values.map(({value, date}) => {
+          return {
+            id: Number(id),
+            value,
+            date,
+          };
+        }));
+      }
+      return;
+    }
+
     // Stream all three in parallel, which should look cool
     await Promise.all([
       this.streamMetrics(callback, METRICS_NUMBER, null, null, start, end),
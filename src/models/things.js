@@ -16,6 +16,11 @@ const EventEmitter = require('events');
 const AddonManager = require('../addon-manager');
 const Database = require('../db');
 const Router = require('../router');
+const stateStore = require('../state-stores');
+const ConflictError = require('../state-stores/conflict-error');
+const ForwardingError = require('../forwarding/forwarding-error');
+const TimeoutError = require('../state-stores/timeout-error');
+const UnavailableError = require('../state-stores/unavailable-error');
 const Thing = require('./thing');
 const Constants = require('../constants');
 
@@ -315,6 +320,10 @@ const Things = {
   removeThing: function(id) {
     Router.removeProxyServer(id);
     return Database.removeThing(id).then(() => {
+      stateStore.removeDevice(id).catch((err) => {
+        console.error('Failed to remove stored state of thing', id, err);
+      });
+
       const thing = this.things.get(id);
       if (!thing) {
         return;
@@ -345,9 +354,15 @@ const Things = {
       console.error('Error getting value for thingId:', thingId,
                     'property:', propertyName);
       console.error(error);
+      if (error instanceof UnavailableError) {
+        throw {
+          code: 503,
+          message: error.message,
+        };
+      }
       throw {
         code: 500,
-        message: error,
+        message: error instanceof Error ? error.message : error,
       };
     }
   },
@@ -400,9 +415,33 @@ const Things = {
       console.error('Error setting value for thingId:', thingId,
                     'property:', propertyName,
                     'value:', value);
+      if (e instanceof ConflictError) {
+        throw {
+          code: 409,
+          message: e.message,
+        };
+      }
+      if (e instanceof UnavailableError) {
+        throw {
+          code: 503,
+          message: e.message,
+        };
+      }
+      if (e instanceof TimeoutError) {
+        throw {
+          code: 504,
+          message: e.message,
+        };
+      }
+      if (e instanceof ForwardingError) {
+        throw {
+          code: e.status,
+          message: e.message,
+        };
+      }
       throw {
         code: 500,
-        message: e,
+        message: e instanceof Error ? e.message : e,
       };
     }
   },
@@ -16,17 +16,19 @@ const Event = require('../models/event');
 const Events = require('../models/events');
 const {MessageType} = require('gateway-addon').Constants;
 const PropertyProxy = require('./property-proxy');
-
-const cassie = require('../cassie')
+const stateStore = require('../state-stores');
 
 class DeviceProxy extends Device {
-
   constructor(adapter, deviceDict) {
     super(adapter, deviceDict.id);
-    cassie.initDevice(this.id, deviceDict.properties)
-    .then(()=> console.log("device " + deviceDict.id + "initialized successfully"))
-    .catch((err) => console.log("error!"));
-    
+    const initialized =
+      stateStore.initDevice(this.id, deviceDict.properties, adapter.id);
+    initialized.catch((err) => {
+      console.error('DeviceProxy: Failed to initialize state for device:',
+                    this.id);
+      console.error(err);
+    });
+
     this.title = deviceDict.title;
     this['@context'] =
       deviceDict['@context'] || 'https://iot.mozilla.org/schemas';
@@ -12,7 +12,9 @@
 const Deferred = require('../deferred');
 const {Property} = require('gateway-addon');
 const {MessageType} = require('gateway-addon').Constants;
-const cassie = require('../cassie');
+const stateStore = require('../state-stores');
+const ConflictError = require('../state-stores/conflict-error');
+const instrumentation = require('../metrics/instrumentation');
 
 class PropertyProxy extends Property {
   constructor(device, propertyName, propertyDict) {
@@ -43,10 +45,26 @@ class PropertyProxy extends Property {
    * @method doPropertyChanged
    * Called whenever a property changed notification is received
    * from the adapter.
+   *
+   * If the state store rejects the new value, anyone waiting on the change
+   * is rejected with the store's error instead. The adapter has already
+   * applied a value which loses a conflict, so the value which won is sent
+   * back to the device.
    */
   async doPropertyChanged(propertyDict) {
     this.propertyDict = Object.assign({}, propertyDict);
-    await this.setCachedValue(propertyDict.value);
+    let writeError = null;
+    try {
+      await this.setCachedValue(propertyDict.value);
+    } catch (e) {
+      writeError = e;
+      console.error('PropertyProxy: Failed to store', this.name,
+                    'for device:', this.device.id, e.message);
+      if (e instanceof ConflictError &&
+          typeof e.currentValue !== 'undefined') {
+        this.sendValue(e.currentValue);
+      }
+    }
     if (propertyDict.hasOwnProperty('title')) {
       this.title = propertyDict.title;
     }
@@ -79,7 +97,11 @@ class PropertyProxy extends Property {
     }
     while (this.propertyChangedPromises.length > 0) {
       const deferredChange = this.propertyChangedPromises.pop();
-      deferredChange.resolve(propertyDict.value);
+      if (writeError) {
+        deferredChange.reject(writeError);
+      } else {
+        deferredChange.resolve(propertyDict.value);
+      }
     }
   }
 
@@ -91,14 +113,7 @@ class PropertyProxy extends Property {
    */
   setValue(value) {
     return new Promise((resolve, reject) => {
-      this.device.adapter.sendMsg(
-        MessageType.DEVICE_SET_PROPERTY_COMMAND,
-        {
-          deviceId: this.device.id,
-          propertyName: this.name,
-          propertyValue: value,
-        }
-      );
+      this.sendValue(value);
 
       // TODO: Add a timeout
 
@@ -114,16 +129,51 @@ class PropertyProxy extends Property {
     });
   }
 
-  // Write property value to Cassandra database
-  // modified to be used with multiple gateways
+  /**
+   * Ask the adapter to set the property on the device.
+   */
+  sendValue(value) {
+    this.device.adapter.sendMsg(
+      MessageType.DEVICE_SET_PROPERTY_COMMAND,
+      {
+        deviceId: this.device.id,
+        propertyName: this.name,
+        propertyValue: value,
+      }
+    );
+  }
+
+  /**
+   * Record a new value, both locally and in the configured state store.
+   *
+   * When the store rejects the write as a conflict, the value it holds
+   * instead is kept locally and the ConflictError is rethrown.
+   */
   async setCachedValue(value) {
-      await cassie.write(this.device.id, this.name, value);
+    this.value = value;
+    instrumentation.record('dbWrites', {
+      deviceId: this.device.id,
+      propertyName: this.name,
+      value,
+      time: Date.now(),
+    });
+    try {
+      await stateStore.write(this.device.id, this.name, value);
+    } catch (e) {
+      if (e instanceof ConflictError) {
+        this.value = e.currentValue;
+      }
+      throw e;
+    }
+    return value;
   }
-  
-// Read property value from Cassandra database
-  async getValue() {
-    let cassValue = await cassie.read(this.device.id, this.name);
-    return cassValue;
+
+  /**
+   * @param {Object} [options] See StateStore.read()
+   * @returns a promise which resolves to the value held by the state store.
+   */
+  getValue(options) {
+    return stateStore.read(this.device.id, this.name, options);
   }
 }
 
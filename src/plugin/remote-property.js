@@ -0,0 +1,41 @@
+/**
+ * RemoteProperty - A property changed by another gateway sharing the state
+ *                  store, as passed to propertyChanged listeners.
+ *
+ * It has the fields listeners use from a PropertyProxy: device.id, name,
+ * value and getValue(). remote is set so that listeners which share what
+ * they record with other gateways, such as the logs, can skip it.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const stateStore = require('../state-stores');
+
+class RemoteProperty {
+  /**
+   * @param {Object} device The local DeviceProxy, or {id} if the device
+   *                        isn't attached to this gateway
+   * @param {String} name
+   * @param {any} value
+   */
+  constructor(device, name, value) {
+    this.device = device;
+    this.name = name;
+    this.value = value;
+    this.remote = true;
+  }
+
+  /**
+   * @param {Object} [options] See StateStore.read()
+   * @returns a promise which resolves to the value held by the state store.
+   */
+  getValue(options) {
+    return stateStore.read(this.device.id, this.name, options);
+  }
+}
+
+module.exports = RemoteProperty;
@@ -93,7 +93,8 @@ const Router = {
                  request.get('Upgrade') === 'websocket' ||
                  request.is('multipart/form-data') ||
                  request.path.startsWith(Constants.ADDONS_PATH) ||
-                 request.path.startsWith(Constants.INTERNAL_LOGS_PATH)) {
+                 request.path.startsWith(Constants.INTERNAL_LOGS_PATH) ||
+                 request.path.startsWith(Constants.METRICS_PATH)) {
         request.url = API_PREFIX + request.url;
         next();
 
@@ -129,6 +130,9 @@ const Router = {
             require('./controllers/users_controller'));
     app.use(API_PREFIX + Constants.PING_PATH, nocache,
             require('./controllers/ping_controller'));
+    // Authenticated with the signature of the forwarding gateway
+    app.use(API_PREFIX + Constants.GATEWAYS_PATH, nocache,
+            require('./controllers/gateways_controller'));
     if (options.debug) {
       app.use(API_PREFIX + Constants.DEBUG_PATH, nocache,
               require('./controllers/debug_controller'));
@@ -163,6 +167,8 @@ const Router = {
             require('./controllers/logs_controller'));
     app.use(API_PREFIX + Constants.NOTIFIERS_PATH, nocache, auth,
             require('./controllers/notifiers_controller'));
+    app.use(API_PREFIX + Constants.METRICS_PATH, nocache, auth,
+            require('./controllers/metrics_controller'));
 
     app.use(API_PREFIX + Constants.OAUTH_PATH, nocache,
             require('./controllers/oauth_controller').default);
@@ -0,0 +1,178 @@
+/**
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep',
+                'oct', 'nov', 'dec'];
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  {name: 'minute', min: 0, max: 59},
+  {name: 'hour', min: 0, max: 23},
+  {name: 'dayOfMonth', min: 1, max: 31},
+  {name: 'month', min: 1, max: 12, names: MONTHS},
+  // 7 is Sunday too
+  {name: 'dayOfWeek', min: 0, max: 7, names: DAYS},
+];
+
+/**
+ * Upper bound on the days searched for the next match, as some expressions
+ * such as `0 0 30 2 *` never match.
+ */
+const MAX_DAYS = 8 * 366;
+
+/**
+ * @param {string} text A number or, for fields which have them, a name
+ * @param {Object} field
+ * @returns {number}
+ */
+function parseValue(text, field) {
+  const lower = text.toLowerCase();
+  if (field.names && field.names.includes(lower)) {
+    return field.names.indexOf(lower) + field.min;
+  }
+
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`Invalid ${field.name}: ${text}`);
+  }
+  const value = parseInt(text, 10);
+  if (value < field.min || value > field.max) {
+    throw new Error(`Invalid ${field.name}: ${text}`);
+  }
+  return value;
+}
+
+/**
+ * @param {string} text One field of a cron expression, such as `*`, `1-5`,
+ *                      `*\/15` or `0,30`
+ * @param {Object} field
+ * @returns {Set<number>} The values the field matches.
+ */
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = typeof stepText === 'undefined' ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in ${field.name}: ${part}`);
+    }
+
+    let from, to;
+    if (range === '*') {
+      from = field.min;
+      to = field.max;
+    } else if (range.includes('-')) {
+      const bounds = range.split('-');
+      if (bounds.length !== 2) {
+        throw new Error(`Invalid range in ${field.name}: ${part}`);
+      }
+      from = parseValue(bounds[0], field);
+      to = parseValue(bounds[1], field);
+      if (from > to) {
+        throw new Error(`Invalid range in ${field.name}: ${part}`);
+      }
+    } else {
+      from = parseValue(range, field);
+      // `5/10` means from 5 to the end in steps of 10
+      to = typeof stepText === 'undefined' ? from : field.max;
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * A standard five field cron expression: minute, hour, day of month, month
+ * and day of week, matched against local time. As in Vixie cron, when both
+ * the day of month and the day of week are restricted, a day matching
+ * either matches.
+ */
+class Cron {
+  /**
+   * @param {string} expression
+   * @throws {Error} If the expression is invalid.
+   */
+  constructor(expression) {
+    if (typeof expression !== 'string') {
+      throw new Error('Cron expression must be a string');
+    }
+
+    const parts = expression.trim().split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+      throw new Error(`Cron expression must have ${FIELDS.length} fields: ${
+        expression}`);
+    }
+
+    this.expression = expression;
+    FIELDS.forEach((field, i) => {
+      this[field.name] = parseField(parts[i], field);
+    });
+    if (this.dayOfWeek.has(7)) {
+      this.dayOfWeek.add(0);
+    }
+    this.anyDayOfMonth = parts[2] === '*';
+    this.anyDayOfWeek = parts[4] === '*';
+  }
+
+  /**
+   * @param {Date} date
+   * @returns {boolean} Whether the day of a date matches.
+   */
+  matchesDay(date) {
+    const dayOfMonth = this.dayOfMonth.has(date.getDate());
+    const dayOfWeek = this.dayOfWeek.has(date.getDay());
+    if (this.anyDayOfMonth || this.anyDayOfWeek) {
+      return dayOfMonth && dayOfWeek;
+    }
+    return dayOfMonth || dayOfWeek;
+  }
+
+  /**
+   * @param {Date} after
+   * @returns {Date|null} The first minute after a date which matches, or
+   *                      null if none does within the next years.
+   */
+  next(after) {
+    const date = new Date(after.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = after.getTime() + MAX_DAYS * 24 * 60 * 60 * 1000;
+    while (date.getTime() <= limit) {
+      if (!this.month.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0, 0, 0);
+        continue;
+      }
+      if (!this.matchesDay(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0, 0, 0);
+        continue;
+      }
+      if (!this.hour.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0, 0, 0);
+        continue;
+      }
+      if (!this.minute.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1, 0, 0);
+        continue;
+      }
+      return date;
+    }
+
+    return null;
+  }
+
+  toString() {
+    return this.expression;
+  }
+}
+
+module.exports = Cron;
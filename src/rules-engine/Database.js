@@ -25,7 +25,25 @@ class Database {
       id INTEGER PRIMARY KEY,
       description TEXT
     );`;
-    return db.run(rulesTableSQL, []);
+    const historyTableSQL = `CREATE TABLE IF NOT EXISTS ruleHistory (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ruleId INTEGER,
+      timestamp INTEGER,
+      entry TEXT
+    );`;
+    const historyIndexSQL = `CREATE INDEX IF NOT EXISTS ruleHistoryRuleId
+      ON ruleHistory (ruleId, id);`;
+    const sequencesTableSQL = `CREATE TABLE IF NOT EXISTS ruleSequences (
+      key TEXT PRIMARY KEY,
+      state TEXT
+    );`;
+    return db.run(rulesTableSQL, []).then(() => {
+      return db.run(historyTableSQL, []);
+    }).then(() => {
+      return db.run(historyIndexSQL, []);
+    }).then(() => {
+      return db.run(sequencesTableSQL, []);
+    });
   }
 
   /**
@@ -97,6 +115,143 @@ class Database {
   deleteRule(id) {
     return db.run('DELETE FROM rules WHERE id = ?', [id]);
   }
+
+  /**
+   * Record an entry in the history of a rule
+   * @param {number} ruleId
+   * @param {number} timestamp
+   * @param {Object} entry
+   * @return {Promise}
+   */
+  addHistoryEntry(ruleId, timestamp, entry) {
+    return db.run(
+      'INSERT INTO ruleHistory (ruleId, timestamp, entry) VALUES (?, ?, ?)',
+      [ruleId, timestamp, JSON.stringify(entry)]
+    );
+  }
+
+  /**
+   * Get the most recent entries in the history of a rule
+   * @param {number} ruleId
+   * @param {number} limit
+   * @return {Promise<Array<Object>>} the entries, each with its id and
+   * timestamp, newest first
+   */
+  getHistory(ruleId, limit) {
+    return new Promise((resolve, reject) => {
+      db.db.all(
+        'SELECT id, timestamp, entry FROM ruleHistory WHERE ruleId = ? ' +
+          'ORDER BY id DESC LIMIT ?',
+        [ruleId, limit],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          resolve(rows.map((row) => {
+            return Object.assign(
+              {id: row.id, timestamp: row.timestamp},
+              JSON.parse(row.entry)
+            );
+          }));
+        }
+      );
+    });
+  }
+
+  /**
+   * Drop the history entries recorded before a date
+   * @param {number} before - timestamp
+   * @return {Promise}
+   */
+  expireHistory(before) {
+    return db.run('DELETE FROM ruleHistory WHERE timestamp < ?', [before]);
+  }
+
+  /**
+   * Drop the entries beyond the most recent of every rule
+   * @param {number} maxEntries - entries kept per rule
+   * @return {Promise}
+   */
+  limitHistory(maxEntries) {
+    return db.run(
+      `DELETE FROM ruleHistory WHERE id IN (
+        SELECT h.id FROM ruleHistory h WHERE (
+          SELECT COUNT(*) FROM ruleHistory n
+          WHERE n.ruleId = h.ruleId AND n.id > h.id
+        ) >= ?
+      )`,
+      [maxEntries]
+    );
+  }
+
+  /**
+   * Drop the entries beyond the most recent of a single rule
+   * @param {number} ruleId
+   * @param {number} maxEntries
+   * @return {Promise}
+   */
+  trimHistory(ruleId, maxEntries) {
+    return db.run(
+      `DELETE FROM ruleHistory WHERE ruleId = ? AND id NOT IN (
+        SELECT id FROM ruleHistory WHERE ruleId = ?
+        ORDER BY id DESC LIMIT ?
+      )`,
+      [ruleId, ruleId, maxEntries]
+    );
+  }
+
+  /**
+   * Delete the history of a rule
+   * @param {number} ruleId
+   * @return {Promise}
+   */
+  deleteHistory(ruleId) {
+    return db.run('DELETE FROM ruleHistory WHERE ruleId = ?', [ruleId]);
+  }
+
+  /**
+   * Save the step an effect sequence is at
+   * @param {string} key - identifies the sequence within its rule
+   * @param {Object} state
+   * @return {Promise}
+   */
+  saveSequence(key, state) {
+    return db.run(
+      'INSERT OR REPLACE INTO ruleSequences (key, state) VALUES (?, ?)',
+      [key, JSON.stringify(state)]
+    );
+  }
+
+  /**
+   * Get the saved step of an effect sequence
+   * @param {string} key
+   * @return {Promise<Object?>} resolves to the state saved, null if none
+   */
+  getSequence(key) {
+    return new Promise((resolve, reject) => {
+      db.db.get(
+        'SELECT state FROM ruleSequences WHERE key = ?',
+        [key],
+        (err, row) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          resolve(row ? JSON.parse(row.state) : null);
+        }
+      );
+    });
+  }
+
+  /**
+   * Forget the saved step of an effect sequence
+   * @param {string} key
+   * @return {Promise}
+   */
+  deleteSequence(key) {
+    return db.run('DELETE FROM ruleSequences WHERE key = ?', [key]);
+  }
 }
 
 module.exports = new Database();
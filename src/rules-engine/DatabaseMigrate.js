@@ -70,6 +70,16 @@ function migratePart(part) {
     });
   }
 
+  if (part.conditions) {
+    newPart.conditions = part.conditions.map((child) => {
+      const newChild = migratePart(child);
+      if (newChild) {
+        changed = true;
+      }
+      return newChild || child;
+    });
+  }
+
   if (part.effects) {
     newPart.effects = part.effects.map((child) => {
       const newChild = migratePart(child);
@@ -120,6 +130,13 @@ function migrate(oldRule) {
     changed = true;
     newRule.effect = newEffect;
   }
+  if (oldRule.condition) {
+    const newCondition = migratePart(oldRule.condition);
+    if (newCondition) {
+      changed = true;
+      newRule.condition = newCondition;
+    }
+  }
 
   if (!changed) {
     return;
@@ -7,6 +7,7 @@
 'use strict';
 
 const Database = require('./Database');
+const History = require('./History');
 const Rule = require('./Rule');
 
 /**
@@ -26,6 +27,7 @@ class Engine {
         for (const ruleId in ruleDescs) {
           ruleDescs[ruleId].id = parseInt(ruleId);
           this.rules[ruleId] = Rule.fromDescription(ruleDescs[ruleId]);
+          this.rules[ruleId].engine = this;
           await this.rules[ruleId].start();
         }
         return this.rules;
@@ -58,6 +60,7 @@ class Engine {
    * @return {Promise<number>} rule id
    */
   async addRule(rule) {
+    rule.engine = this;
     const id = await Database.createRule(rule.toDescription());
     // eslint-disable-next-line require-atomic-updates
     rule.id = id;
@@ -77,13 +80,51 @@ class Engine {
       return Promise.reject(new Error(`Rule ${ruleId} does not exist`));
     }
     rule.id = ruleId;
+    rule.engine = this;
     await Database.updateRule(ruleId, rule.toDescription());
 
-    this.rules[ruleId].stop();
+    const oldRule = this.rules[ruleId];
     this.rules[ruleId] = rule;
+    await oldRule.stop();
     await rule.start();
   }
 
+  /**
+   * Record an entry in the history of a rule
+   * @param {number} ruleId
+   * @param {Object} entry
+   * @return {Promise}
+   */
+  recordHistory(ruleId, entry) {
+    return History.record(ruleId, entry);
+  }
+
+  /**
+   * Save the step an effect sequence is at
+   * @param {string} key - The sequence's key
+   * @param {Object} state
+   * @return {Promise}
+   */
+  saveSequence(key, state) {
+    return Database.saveSequence(key, state);
+  }
+
+  /**
+   * @param {string} key
+   * @return {Promise<Object?>} The saved step of a sequence, if any
+   */
+  loadSequence(key) {
+    return Database.getSequence(key);
+  }
+
+  /**
+   * @param {string} key
+   * @return {Promise}
+   */
+  clearSequence(key) {
+    return Database.deleteSequence(key);
+  }
+
   /**
    * Delete an existing rule
    * @param {number} rule id
@@ -95,8 +136,11 @@ class Engine {
         new Error(`Rule ${ruleId} does not exist`));
     }
     return Database.deleteRule(ruleId).then(() => {
-      this.rules[ruleId].stop();
+      const rule = this.rules[ruleId];
       delete this.rules[ruleId];
+      return rule.stop();
+    }).then(() => {
+      return History.deleteRule(ruleId);
     });
   }
 }
@@ -0,0 +1,129 @@
+/**
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const config = require('config');
+const Database = require('./Database');
+const Settings = require('../models/settings');
+
+const SETTINGS_KEY = 'rules.history';
+
+/**
+ * Validate history retention settings
+ * @param {Object} settings {enabled, maxAge, maxEntries}
+ * @return {Object}
+ * @throws {Error} If the settings are invalid
+ */
+function normalizeSettings(settings) {
+  const maxAge = Number(settings.maxAge);
+  if (!Number.isInteger(maxAge) || maxAge < 1) {
+    throw new Error(`Invalid maxAge: ${settings.maxAge}`);
+  }
+
+  const maxEntries = Number(settings.maxEntries);
+  if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+    throw new Error(`Invalid maxEntries: ${settings.maxEntries}`);
+  }
+
+  return {enabled: !!settings.enabled, maxAge, maxEntries};
+}
+
+/**
+ * The record of what each rule did and why: every state its trigger passed
+ * on, the inputs it evaluated, and the outcome of the effects attempted.
+ * Entries are dropped once older than maxAge milliseconds or beyond the
+ * maxEntries most recent of their rule.
+ */
+class History {
+  constructor() {
+    this.settings = normalizeSettings(config.get('rulesHistory'));
+  }
+
+  /**
+   * Apply the settings changed at runtime, if any, and drop expired entries
+   * @return {Promise}
+   */
+  async load() {
+    const saved = await Settings.get(SETTINGS_KEY);
+    if (saved) {
+      try {
+        this.settings =
+          normalizeSettings(Object.assign({}, this.settings, saved));
+      } catch (e) {
+        console.error('Ignoring invalid rule history settings:', e.message);
+      }
+    }
+    await this.prune();
+  }
+
+  /**
+   * @return {Object} {enabled, maxAge, maxEntries}
+   */
+  getSettings() {
+    return Object.assign({}, this.settings);
+  }
+
+  /**
+   * Change and save the retention settings, dropping the entries they no
+   * longer keep
+   * @param {Object} settings Any of {enabled, maxAge, maxEntries}
+   * @return {Promise<Object>} The new settings
+   */
+  async configure(settings) {
+    const normalized =
+      normalizeSettings(Object.assign({}, this.settings, settings));
+    await Settings.set(SETTINGS_KEY, normalized);
+    this.settings = normalized;
+    await this.prune();
+    return this.getSettings();
+  }
+
+  /**
+   * @return {Promise}
+   */
+  async prune() {
+    await Database.expireHistory(Date.now() - this.settings.maxAge);
+    await Database.limitHistory(this.settings.maxEntries);
+  }
+
+  /**
+   * Record an entry in the history of a rule, if enabled
+   * @param {number} ruleId
+   * @param {Object} entry
+   * @return {Promise}
+   */
+  async record(ruleId, entry) {
+    if (!this.settings.enabled) {
+      return;
+    }
+    const timestamp = Date.now();
+    await Database.addHistoryEntry(ruleId, timestamp, entry);
+    await Database.trimHistory(ruleId, this.settings.maxEntries);
+    await Database.expireHistory(timestamp - this.settings.maxAge);
+  }
+
+  /**
+   * @param {number} ruleId
+   * @param {number?} limit - The number of entries to get, all by default
+   * @return {Promise<Array<Object>>} The history of a rule, newest first
+   */
+  get(ruleId, limit) {
+    const maxEntries = this.settings.maxEntries;
+    return Database.getHistory(ruleId, Math.min(limit || maxEntries,
+                                                maxEntries));
+  }
+
+  /**
+   * @param {number} ruleId
+   * @return {Promise}
+   */
+  deleteRule(ruleId) {
+    return Database.deleteHistory(ruleId);
+  }
+}
+
+module.exports = new History();
@@ -74,7 +74,7 @@ class Property extends EventEmitter {
 
   /**
    * @param {any} value
-   * @return {Promise} resolves when set is done
+   * @return {Promise} resolves when set is done, rejects if it failed twice
    */
   set(value) {
     return Things.setThingProperty(this.thing, this.id, value).catch((e) => {
@@ -82,6 +82,7 @@ class Property extends EventEmitter {
       return Things.setThingProperty(this.thing, this.id, value);
     }).catch((e) => {
       console.warn('Rule set failed completely', e);
+      throw e;
     });
   }
 
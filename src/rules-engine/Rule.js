@@ -6,9 +6,11 @@
 
 'use strict';
 
+const conditions = require('./conditions');
 const effects = require('./effects');
 const triggers = require('./triggers');
 const Events = require('./Events');
+const metrics = require('../metrics');
 
 const DEBUG = false || (process.env.NODE_ENV === 'test');
 
@@ -17,11 +19,27 @@ class Rule {
    * @param {boolean} enabled
    * @param {Trigger} trigger
    * @param {Effect} effect
+   * @param {Condition?} condition
    */
-  constructor(enabled, trigger, effect) {
+  constructor(enabled, trigger, effect, condition) {
     this.enabled = enabled;
     this.trigger = trigger;
     this.effect = effect;
+    this.condition = condition || null;
+
+    // The engine running the rule, which conditions on other rules and the
+    // rule's history use
+    this.engine = null;
+    // Whether the rule last passed an activation on to its effect
+    this.active = false;
+    // Whether the trigger is on, and whether the condition held when it
+    // turned on
+    this.triggerOn = false;
+    this.conditionMet = false;
+    this.states = Promise.resolve();
+    // Whether the last state recorded in the history was on, null if none
+    // was
+    this.recordedOn = null;
 
     this.onTriggerStateChanged = this.onTriggerStateChanged.bind(this);
   }
@@ -30,6 +48,10 @@ class Rule {
    * Begin executing the rule
    */
   async start() {
+    await this.effect.start({
+      engine: this.engine,
+      key: this.hasOwnProperty('id') ? `${this.id}` : null,
+    });
     this.trigger.on(Events.STATE_CHANGED, this.onTriggerStateChanged);
     await this.trigger.start();
     if (DEBUG) {
@@ -48,7 +70,94 @@ class Rule {
     if (DEBUG) {
       console.debug('Rule.onTriggerStateChanged', this.name, state);
     }
-    this.effect.setState(state);
+    if (!this.condition) {
+      this.fire(state);
+      return;
+    }
+
+    // Conditions are evaluated asynchronously, so handle states in order
+    this.states = this.states.then(() => this.checkCondition(state))
+      .catch((e) => {
+        console.error('Rule condition failed:', this.name, e);
+      });
+  }
+
+  /**
+   * Evaluate the condition when the trigger turns on. The activation, and
+   * the deactivation which ends it, only reach the effect if it holds.
+   * @param {State} state
+   */
+  async checkCondition(state) {
+    if (state.on && !this.triggerOn) {
+      this.triggerOn = true;
+      this.conditionMet = await this.condition.evaluate(this.engine);
+      if (DEBUG) {
+        console.debug('Rule.checkCondition', this.name, this.conditionMet);
+      }
+    }
+
+    const conditionMet = this.conditionMet;
+    if (!state.on) {
+      this.triggerOn = false;
+      this.conditionMet = false;
+    }
+    if (conditionMet) {
+      this.fire(state, true);
+    } else {
+      this.record(state, false, Promise.resolve([]));
+    }
+  }
+
+  /**
+   * Pass a state on to the rule's effect
+   * @param {State} state
+   * @param {boolean?} conditionMet - Whether the condition held, if any
+   */
+  fire(state, conditionMet) {
+    this.active = state.on;
+    metrics.ruleFirings.inc({
+      rule: this.hasOwnProperty('id') ? this.id : '',
+      state: state.on ? 'on' : 'off',
+    });
+    this.record(state, conditionMet, this.effect.run(state));
+  }
+
+  /**
+   * Record a state of the trigger in the rule's history, with the inputs
+   * which led to it and the outcome of the effects attempted. Property
+   * triggers report every change of their property, so a state which doesn't
+   * turn the trigger on or off is only recorded if an effect attempted
+   * something.
+   * @param {State} state
+   * @param {boolean?} conditionMet
+   * @param {Promise<Array<EffectResult>>} attempts
+   */
+  record(state, conditionMet, attempts) {
+    if (!this.engine || !this.hasOwnProperty('id')) {
+      return;
+    }
+    const transition = state.on !== this.recordedOn;
+    this.recordedOn = state.on;
+
+    const entry = {
+      state: {
+        on: state.on,
+        value: state.value,
+      },
+      inputs: this.trigger.inputs(),
+    };
+    if (this.condition) {
+      entry.condition = conditionMet;
+    }
+    attempts.then((effects) => {
+      if (!transition && effects.length === 0) {
+        return;
+      }
+      entry.effects = effects;
+      return this.engine.recordHistory(this.id, entry);
+    }).catch((e) => {
+      console.error('Unable to record rule history:', this.name, e);
+    });
   }
 
   /**
@@ -60,6 +169,9 @@ class Rule {
       trigger: this.trigger.toDescription(),
       effect: this.effect.toDescription(),
     };
+    if (this.condition) {
+      desc.condition = this.condition.toDescription();
+    }
     if (this.hasOwnProperty('id')) {
       desc.id = this.id;
     }
@@ -71,6 +183,8 @@ class Rule {
 
   /**
    * Stop executing the rule
+   * @return {Promise} resolves once the effect's steps in progress are
+   *                   cancelled
    */
   stop() {
     this.trigger.removeListener(Events.STATE_CHANGED,
@@ -79,6 +193,9 @@ class Rule {
     if (DEBUG) {
       console.debug('Rule.stop', this.name);
     }
+    return this.effect.stop().catch((e) => {
+      console.error('Unable to stop rule effect:', this.name, e);
+    });
   }
 }
 
@@ -90,7 +207,10 @@ class Rule {
 Rule.fromDescription = (desc) => {
   const trigger = triggers.fromDescription(desc.trigger);
   const effect = effects.fromDescription(desc.effect);
-  const rule = new Rule(desc.enabled, trigger, effect);
+  const condition = desc.condition ?
+    conditions.fromDescription(desc.condition) :
+    null;
+  const rule = new Rule(desc.enabled, trigger, effect, condition);
   if (desc.hasOwnProperty('id')) {
     rule.id = desc.id;
   }
@@ -0,0 +1,90 @@
+/**
+ * Sunrise and sunset times, computed from the position of the sun as in the
+ * NOAA solar calculator, to within a minute or so.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const RAD = Math.PI / 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const J0 = 0.0009;
+// obliquity of the Earth
+const OBLIQUITY = RAD * 23.4397;
+// altitude of the sun's center at sunrise and sunset, accounting for
+// refraction and the sun's radius
+const HORIZON = RAD * -0.833;
+
+function toDays(date) {
+  return date.getTime() / DAY_MS - 0.5 + J1970 - J2000;
+}
+
+function fromJulian(julian) {
+  return new Date((julian + 0.5 - J1970) * DAY_MS);
+}
+
+function solarMeanAnomaly(days) {
+  return RAD * (357.5291 + 0.98560028 * days);
+}
+
+function eclipticLongitude(anomaly) {
+  const center = RAD * (1.9148 * Math.sin(anomaly) +
+    0.02 * Math.sin(2 * anomaly) + 0.0003 * Math.sin(3 * anomaly));
+  const perihelion = RAD * 102.9372;
+  return anomaly + center + perihelion + Math.PI;
+}
+
+function approxTransit(hourAngle, lw, cycle) {
+  return J0 + (hourAngle + lw) / (2 * Math.PI) + cycle;
+}
+
+function solarTransit(days, anomaly, longitude) {
+  return J2000 + days + 0.0053 * Math.sin(anomaly) -
+    0.0069 * Math.sin(2 * longitude);
+}
+
+/**
+ * @param {Date} date Any time of the day, preferably around noon
+ * @param {number} latitude In degrees, north positive
+ * @param {number} longitude In degrees, east positive
+ * @returns {Object} {sunrise, sunset}, each a Date, or null on days the sun
+ *                   doesn't rise or set.
+ */
+function getTimes(date, latitude, longitude) {
+  const lw = RAD * -longitude;
+  const phi = RAD * latitude;
+  const cycle = Math.round(toDays(date) - J0 - lw / (2 * Math.PI));
+  const days = approxTransit(0, lw, cycle);
+
+  const anomaly = solarMeanAnomaly(days);
+  const eclipticLong = eclipticLongitude(anomaly);
+  const declination = Math.asin(Math.sin(OBLIQUITY) * Math.sin(eclipticLong));
+  const noon = solarTransit(days, anomaly, eclipticLong);
+
+  const cosHourAngle =
+    (Math.sin(HORIZON) - Math.sin(phi) * Math.sin(declination)) /
+    (Math.cos(phi) * Math.cos(declination));
+  if (cosHourAngle < -1 || cosHourAngle > 1) {
+    // Midnight sun or polar night
+    return {sunrise: null, sunset: null};
+  }
+
+  const set = solarTransit(
+    approxTransit(Math.acos(cosHourAngle), lw, cycle),
+    anomaly,
+    eclipticLong
+  );
+  return {
+    sunrise: fromJulian(noon - (set - noon)),
+    sunset: fromJulian(set),
+  };
+}
+
+module.exports = {
+  getTimes,
+};
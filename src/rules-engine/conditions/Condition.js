@@ -0,0 +1,43 @@
+/**
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+/**
+ * The condition component of a Rule, checked when the Rule's trigger
+ * activates to decide whether to pass the activation on to the effect.
+ * Unlike a trigger, a condition changing never fires the rule.
+ */
+class Condition {
+  /**
+   * Create a Condition based on a wire-format description
+   * @param {ConditionDescription} desc
+   */
+  constructor(desc) {
+    this.type = this.constructor.name;
+    this.label = desc.label;
+  }
+
+  /**
+   * @return {ConditionDescription}
+   */
+  toDescription() {
+    return {
+      type: this.type,
+      label: this.label,
+    };
+  }
+
+  /**
+   * @param {Engine} _engine The engine running the rule
+   * @return {Promise<boolean>} Whether the condition holds now.
+   */
+  async evaluate(_engine) {
+    return false;
+  }
+}
+
+module.exports = Condition;
@@ -0,0 +1,68 @@
+/**
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const Condition = require('./Condition');
+
+const ops = {
+  AND: 'AND',
+  OR: 'OR',
+};
+
+/**
+ * A Condition combining a set of conditions
+ */
+class MultiCondition extends Condition {
+  /**
+   * @param {ConditionDescription} desc
+   */
+  constructor(desc) {
+    super(desc);
+    assert(desc.op in ops);
+    assert(Array.isArray(desc.conditions));
+    this.op = desc.op;
+    const fromDescription = require('./index').fromDescription;
+    this.conditions = desc.conditions.map((condition) => {
+      return fromDescription(condition);
+    });
+  }
+
+  /**
+   * @return {ConditionDescription}
+   */
+  toDescription() {
+    return Object.assign(super.toDescription(), {
+      op: this.op,
+      conditions: this.conditions.map((condition) => {
+        return condition.toDescription();
+      }),
+    });
+  }
+
+  /**
+   * An empty AND holds, an empty OR doesn't.
+   * @param {Engine} engine
+   * @return {Promise<boolean>}
+   */
+  async evaluate(engine) {
+    for (const condition of this.conditions) {
+      const holds = await condition.evaluate(engine);
+      if (this.op === ops.AND && !holds) {
+        return false;
+      }
+      if (this.op === ops.OR && holds) {
+        return true;
+      }
+    }
+    return this.op === ops.AND;
+  }
+}
+
+MultiCondition.ops = ops;
+
+module.exports = MultiCondition;
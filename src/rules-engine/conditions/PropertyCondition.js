@@ -0,0 +1,78 @@
+/**
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const Condition = require('./Condition');
+const Property = require('../Property');
+
+const comparisons = {
+  EQUAL: 'EQUAL',
+  NOT_EQUAL: 'NOT_EQUAL',
+  LESS: 'LESS',
+  GREATER: 'GREATER',
+};
+
+/**
+ * A condition which holds when a property compares to a value, e.g. the
+ * house mode is "away" or the temperature is less than 18
+ */
+class PropertyCondition extends Condition {
+  /**
+   * @param {ConditionDescription} desc
+   */
+  constructor(desc) {
+    super(desc);
+    this.property = new Property(desc.property);
+    assert(desc.comparison in comparisons);
+    if (desc.comparison === comparisons.LESS ||
+        desc.comparison === comparisons.GREATER) {
+      assert(typeof desc.value === 'number');
+    }
+    this.comparison = desc.comparison;
+    this.value = desc.value;
+  }
+
+  /**
+   * @return {ConditionDescription}
+   */
+  toDescription() {
+    return Object.assign(super.toDescription(), {
+      property: this.property.toDescription(),
+      comparison: this.comparison,
+      value: this.value,
+    });
+  }
+
+  /**
+   * @return {Promise<boolean>} Whether the property's current value
+   *                            compares to the value, false if it can't be
+   *                            read.
+   */
+  async evaluate() {
+    const value = await this.property.get();
+    if (typeof value === 'undefined') {
+      return false;
+    }
+
+    switch (this.comparison) {
+      case comparisons.EQUAL:
+        return value === this.value;
+      case comparisons.NOT_EQUAL:
+        return value !== this.value;
+      case comparisons.LESS:
+        return value < this.value;
+      case comparisons.GREATER:
+        return value > this.value;
+    }
+    return false;
+  }
+}
+
+PropertyCondition.comparisons = comparisons;
+
+module.exports = PropertyCondition;
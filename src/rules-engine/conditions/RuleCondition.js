@@ -0,0 +1,51 @@
+/**
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const Condition = require('./Condition');
+
+/**
+ * A condition which holds when another rule is active, i.e. it last passed
+ * an activation on to its effect, or when it isn't if `active` is false
+ */
+class RuleCondition extends Condition {
+  /**
+   * @param {ConditionDescription} desc
+   */
+  constructor(desc) {
+    super(desc);
+    assert(Number.isInteger(desc.rule));
+    this.rule = desc.rule;
+    this.active = desc.hasOwnProperty('active') ? desc.active : true;
+    assert(typeof this.active === 'boolean');
+  }
+
+  /**
+   * @return {ConditionDescription}
+   */
+  toDescription() {
+    return Object.assign(super.toDescription(), {
+      rule: this.rule,
+      active: this.active,
+    });
+  }
+
+  /**
+   * @param {Engine} engine
+   * @return {Promise<boolean>} false if the rule doesn't exist.
+   */
+  async evaluate(engine) {
+    const rule = engine && engine.rules && engine.rules[this.rule];
+    if (!rule) {
+      return false;
+    }
+    return rule.active === this.active;
+  }
+}
+
+module.exports = RuleCondition;
@@ -0,0 +1,136 @@
+/**
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const Condition = require('./Condition');
+const Settings = require('../../models/settings');
+const Sun = require('../Sun');
+const TimeTrigger = require('../triggers/TimeTrigger');
+
+const SUN_EVENTS = ['sunrise', 'sunset'];
+
+/**
+ * A condition which holds during a window of time each day, from `start`
+ * to `end`. Each is either an HH:MM time or a sun event, sunrise or sunset,
+ * shifted by `startOffset` or `endOffset` minutes. A window whose end comes
+ * before its start, e.g. from sunset to 06:00, spans midnight. It may be
+ * restricted to `days` of the week, 0 being Sunday, the day a window
+ * spanning midnight starts on.
+ */
+class TimeCondition extends Condition {
+  /**
+   * @param {ConditionDescription} desc
+   */
+  constructor(desc) {
+    super(desc);
+    this.start = desc.start;
+    this.end = desc.end;
+    this.startOffset = desc.startOffset || 0;
+    this.endOffset = desc.endOffset || 0;
+    for (const key of ['start', 'end']) {
+      if (!SUN_EVENTS.includes(this[key])) {
+        TimeTrigger.parseTime(this[key]);
+      }
+      if (!Number.isInteger(this[`${key}Offset`])) {
+        throw new Error(`Invalid ${key}Offset: ${desc[`${key}Offset`]}`);
+      }
+    }
+
+    this.days = null;
+    if (typeof desc.days !== 'undefined') {
+      if (!Array.isArray(desc.days) || desc.days.length === 0 ||
+          desc.days.some((day) => !Number.isInteger(day) || day < 0 ||
+                         day > 6)) {
+        throw new Error('days must be a list of days of the week, from 0 ' +
+                        '(Sunday) to 6');
+      }
+      this.days = desc.days;
+    }
+  }
+
+  /**
+   * @return {ConditionDescription}
+   */
+  toDescription() {
+    const desc = Object.assign(super.toDescription(), {
+      start: this.start,
+      end: this.end,
+    });
+    if (this.startOffset) {
+      desc.startOffset = this.startOffset;
+    }
+    if (this.endOffset) {
+      desc.endOffset = this.endOffset;
+    }
+    if (this.days) {
+      desc.days = this.days;
+    }
+    return desc;
+  }
+
+  async evaluate() {
+    let location = null;
+    if (SUN_EVENTS.includes(this.start) || SUN_EVENTS.includes(this.end)) {
+      location = await Settings.get('localization.location')
+        .catch(() => null);
+      if (!location) {
+        console.error('TimeCondition: sunrise and sunset need the ' +
+                      'gateway\'s location, which isn\'t set');
+        return false;
+      }
+    }
+    return this.holdsAt(new Date(), location);
+  }
+
+  /**
+   * @param {Date} date
+   * @param {Object?} location {latitude, longitude}
+   * @return {boolean} Whether a date falls within the window.
+   */
+  holdsAt(date, location) {
+    const start = this.timeOn(date, 'start', location);
+    const end = this.timeOn(date, 'end', location);
+    if (!start || !end) {
+      return false;
+    }
+
+    let day = date.getDay();
+    let within = date >= start && date < end;
+    if (end <= start) {
+      within = date >= start || date < end;
+      if (date < end) {
+        // The window started the day before
+        day = (day + 6) % 7;
+      }
+    }
+    return within && (!this.days || this.days.includes(day));
+  }
+
+  /**
+   * @param {Date} date
+   * @param {'start'|'end'} key
+   * @param {Object?} location
+   * @return {Date?} The start or end of the window on the day of a date,
+   *                 null if the sun doesn't rise or set that day.
+   */
+  timeOn(date, key, location) {
+    const day = new Date(date.getTime());
+    let time;
+    if (SUN_EVENTS.includes(this[key])) {
+      day.setHours(12, 0, 0, 0);
+      time = Sun.getTimes(day, location.latitude, location.longitude)[
+        this[key]];
+    } else {
+      const {hours, minutes} = TimeTrigger.parseTime(this[key]);
+      time = day;
+      time.setHours(hours, minutes, 0, 0);
+    }
+    return time && new Date(time.getTime() + this[`${key}Offset`] * 60 * 1000);
+  }
+}
+
+module.exports = TimeCondition;
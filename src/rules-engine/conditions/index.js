@@ -0,0 +1,34 @@
+/**
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const conditions = {
+  Condition: require('./Condition'),
+  MultiCondition: require('./MultiCondition'),
+  PropertyCondition: require('./PropertyCondition'),
+  RuleCondition: require('./RuleCondition'),
+  TimeCondition: require('./TimeCondition'),
+};
+
+/**
+ * Produce a condition from a serialized condition description. Throws if
+ * `desc` is invalid
+ * @param {ConditionDescription} desc
+ * @return {Condition}
+ */
+function fromDescription(desc) {
+  const ConditionClass = conditions[desc.type];
+  if (!ConditionClass) {
+    throw new Error(`Unsupported or invalid condition type:${desc.type}`);
+  }
+  return new ConditionClass(desc);
+}
+
+module.exports = {
+  conditions: conditions,
+  fromDescription: fromDescription,
+};
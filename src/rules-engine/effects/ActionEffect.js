@@ -48,15 +48,19 @@ class ActionEffect extends Effect {
 
   /**
    * @param {State} state
+   * @return {Promise<Object>?}
    */
   setState(state) {
     if (!state.on) {
       return;
     }
 
-    this.createAction();
+    return this.createAction();
   }
 
+  /**
+   * @return {Promise<Object>} resolves to the id of the action requested
+   */
   async createAction() {
     try {
       const thing = await Things.getThing(this.thing);
@@ -65,8 +69,10 @@ class ActionEffect extends Effect {
       await Actions.add(action);
       await AddonManager.requestAction(this.thing, action.id, this.action,
                                        this.parameters);
+      return {action: action.id};
     } catch (e) {
       console.warn('Unable to dispatch action', e);
+      throw e;
     }
   }
 }
@@ -29,13 +29,57 @@ class Effect {
     };
   }
 
+  /**
+   * Begin running the effect, resuming whatever it left in progress when
+   * the gateway stopped
+   * @param {EffectContext} _context - {engine, key}, the engine running the
+   *                                   rule and a key unique to the effect
+   * @return {Promise}
+   */
+  async start(_context) {
+  }
+
+  /**
+   * Stop running the effect, cancelling whatever it has in progress
+   * @return {Promise}
+   */
+  async stop() {
+  }
+
   /**
    * Set the state of Effect based on a trigger
    * @param {State} _state
+   * @return {Promise<Object>?} resolves to what the effect did, if it did
+   *                            anything, and rejects if it failed
    */
   setState(_state) {
     throw new Error('Unimplemented');
   }
+
+  /**
+   * Set the state of the Effect and report the outcome for the rule's
+   * history
+   * @param {State} state
+   * @return {Promise<Array<EffectResult>>} {type, label, result} for each
+   *                                        effect attempted, with an error
+   *                                        instead of a result if it failed
+   */
+  async run(state) {
+    const attempt = {
+      type: this.type,
+      label: this.label,
+    };
+    try {
+      const result = await this.setState(state);
+      if (typeof result === 'undefined' || result === null) {
+        return [];
+      }
+      attempt.result = result;
+    } catch (e) {
+      attempt.error = e && e.message ? e.message : `${e}`;
+    }
+    return [attempt];
+  }
 }
 
 module.exports = Effect;
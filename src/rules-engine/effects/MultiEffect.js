@@ -33,13 +33,42 @@ class MultiEffect extends Effect {
     });
   }
 
+  /**
+   * @param {EffectContext} context
+   * @return {Promise}
+   */
+  async start(context) {
+    await Promise.all(this.effects.map((effect, i) => {
+      return effect.start(Object.assign({}, context, {
+        key: context.key === null ? null : `${context.key}.${i}`,
+      }));
+    }));
+  }
+
+  /**
+   * @return {Promise}
+   */
+  async stop() {
+    await Promise.all(this.effects.map((effect) => effect.stop()));
+  }
+
   /**
    * @param {State} state
+   * @return {Promise<Array<EffectResult>>}
    */
   setState(state) {
-    for (const effect of this.effects) {
-      effect.setState(state);
-    }
+    return this.run(state);
+  }
+
+  /**
+   * @param {State} state
+   * @return {Promise<Array<EffectResult>>}
+   */
+  async run(state) {
+    const attempts = await Promise.all(this.effects.map((effect) => {
+      return effect.run(state);
+    }));
+    return [].concat(...attempts);
   }
 }
 
@@ -39,13 +39,16 @@ class NotificationEffect extends Effect {
 
   /**
    * @param {State} state
+   * @return {Promise<Object>?}
    */
   setState(state) {
     if (!state.on) {
       return;
     }
 
-    PushService.broadcastNotification(this.message);
+    return PushService.broadcastNotification(this.message).then(() => {
+      return {message: this.message};
+    });
   }
 }
 
@@ -51,6 +51,7 @@ class NotifierOutletEffect extends Effect {
 
   /**
    * @param {State} state
+   * @return {Promise<Object>?}
    */
   setState(state) {
     if (!state.on) {
@@ -60,16 +61,19 @@ class NotifierOutletEffect extends Effect {
     const notifier = AddonManager.getNotifier(this.notifier);
     if (!notifier) {
       console.warn(`Notifier "${this.notifier}" not found, unable to notify`);
-      return;
+      return Promise.reject(new Error(`Notifier "${this.notifier}" not found`));
     }
     const outlet = notifier.getOutlet(this.outlet);
     if (!outlet) {
       console.warn(`Outlet "${this.outlet}" of notifier "${this.notifier}" not found, unable to notify`);
-      return;
+      return Promise.reject(new Error(`Outlet "${this.outlet}" not found`));
     }
 
-    outlet.notify(this.title, this.message, this.level).catch((e) => {
+    return outlet.notify(this.title, this.message, this.level).then(() => {
+      return {message: this.message};
+    }).catch((e) => {
       console.warn(`Outlet "${this.outlet}" of notifier "${this.notifier}" unable to notify`, e);
+      throw e;
     });
   }
 }
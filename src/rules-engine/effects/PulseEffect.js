@@ -45,32 +45,43 @@ class PulseEffect extends PropertyEffect {
 
   /**
    * @param {State} state
+   * @return {Promise<Object>?}
    */
   setState(state) {
     if (state.on) {
       // If we're already active, just perform the effect again
       if (this.on) {
-        return this.property.set(this.value);
+        return this.setValue(this.value);
       }
       // Activate the effect and save our current state to revert to upon
       // deactivation
-      this.property.get().then((value) => {
+      return this.property.get().then((value) => {
         this.oldValue = value;
         // Always set to the opposite (always toggle)
         if (typeof value === 'boolean') {
           this.oldValue = !this.value;
         }
         this.on = true;
-        return this.property.set(this.value);
+        return this.setValue(this.value);
       });
     } else if (this.on) {
       // Revert to our original value if we pulsed to a new value
       this.on = false;
       if (this.oldValue !== null) {
-        return this.property.set(this.oldValue);
+        return this.setValue(this.oldValue);
       }
     }
   }
+
+  /**
+   * @param {any} value
+   * @return {Promise<Object>} resolves to the value set
+   */
+  setValue(value) {
+    return this.property.set(value).then(() => {
+      return {value};
+    });
+  }
 }
 
 module.exports = PulseEffect;
@@ -0,0 +1,405 @@
+/**
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const conditions = require('../conditions');
+const Effect = require('./Effect');
+
+const DEBUG = false || (process.env.NODE_ENV === 'test');
+
+// How often the condition of a WaitStep is checked, in milliseconds
+const WAIT_INTERVAL = 1000;
+
+const onTimeouts = {
+  STOP: 'stop',
+  CONTINUE: 'continue',
+};
+
+/**
+ * Parse a step of a sequence: an effect, a DelayStep or a WaitStep
+ * @param {Object} desc
+ * @return {Effect|Object}
+ */
+function stepFromDescription(desc) {
+  if (desc.type === 'DelayStep') {
+    assert(typeof desc.delay === 'number' && desc.delay >= 0,
+           'delay must be a number of seconds');
+    return {
+      type: desc.type,
+      delay: desc.delay,
+    };
+  }
+
+  if (desc.type === 'WaitStep') {
+    const step = {
+      type: desc.type,
+      condition: conditions.fromDescription(desc.condition),
+      onTimeout: desc.onTimeout || onTimeouts.STOP,
+    };
+    if (desc.hasOwnProperty('timeout')) {
+      assert(typeof desc.timeout === 'number' && desc.timeout > 0,
+             'timeout must be a number of seconds');
+      step.timeout = desc.timeout;
+    }
+    assert(Object.values(onTimeouts).includes(step.onTimeout),
+           `onTimeout must be one of ${Object.values(onTimeouts)}`);
+    return step;
+  }
+
+  return require('./index').fromDescription(desc);
+}
+
+/**
+ * SequenceEffect - Steps run one after the other each time the rule
+ * activates: effects, delays and waits for a condition to hold. The step
+ * being run is saved so that the sequence resumes where it was when the
+ * gateway restarts.
+ */
+class SequenceEffect extends Effect {
+  /**
+   * @param {EffectDescription} desc
+   */
+  constructor(desc) {
+    super(desc);
+    assert(Array.isArray(desc.steps), 'steps must be an array');
+    this.steps = desc.steps.map(stepFromDescription);
+    this.cancelOnDeactivate = !!desc.cancelOnDeactivate;
+
+    // Whether the trigger is on, so that only it turning on starts the
+    // sequence over
+    this.on = false;
+    this.context = {
+      engine: null,
+      key: null,
+    };
+    // The steps in progress: {step, value, deadline}, deadline being when the
+    // current DelayStep ends or WaitStep times out
+    this.execution = null;
+  }
+
+  /**
+   * @return {EffectDescription}
+   */
+  toDescription() {
+    const desc = Object.assign(super.toDescription(), {
+      steps: this.steps.map((step) => {
+        if (step instanceof Effect) {
+          return step.toDescription();
+        }
+        if (step.type === 'WaitStep') {
+          return Object.assign({}, step, {
+            condition: step.condition.toDescription(),
+          });
+        }
+        return Object.assign({}, step);
+      }),
+    });
+    if (this.cancelOnDeactivate) {
+      desc.cancelOnDeactivate = true;
+    }
+    return desc;
+  }
+
+  /**
+   * Resume the steps left in progress when the gateway stopped
+   * @param {EffectContext} context
+   * @return {Promise}
+   */
+  async start(context) {
+    this.context = context;
+    await Promise.all(this.steps.map((step, i) => {
+      if (step instanceof Effect) {
+        return step.start(this.childContext(i));
+      }
+    }));
+
+    if (!this.persistent()) {
+      return;
+    }
+    const saved = await context.engine.loadSequence(context.key);
+    if (!saved || this.execution || saved.step >= this.steps.length) {
+      return;
+    }
+    if (DEBUG) {
+      console.debug('SequenceEffect.start resuming', context.key, saved);
+    }
+    // The trigger reporting it is still on doesn't start the steps over
+    this.on = saved.on !== false;
+    this.execution = {
+      step: saved.step,
+      value: saved.value,
+      deadline: saved.deadline,
+      cancelled: false,
+    };
+    this.execute(this.execution, null);
+  }
+
+  /**
+   * Cancel the steps in progress
+   * @return {Promise}
+   */
+  async stop() {
+    await this.cancel();
+    await Promise.all(this.steps.map((step) => {
+      if (step instanceof Effect) {
+        return step.stop();
+      }
+    }));
+  }
+
+  /**
+   * @param {State} state
+   * @return {Promise<Array<EffectResult>>}
+   */
+  setState(state) {
+    return this.run(state);
+  }
+
+  /**
+   * Start the steps over when the trigger turns on. Turning off cancels the
+   * steps in progress if cancelOnDeactivate is set, otherwise they carry on.
+   * @param {State} state
+   * @return {Promise<Array<EffectResult>>} The outcome of the steps run
+   *   until the first delay or wait, with the step waited on
+   */
+  async run(state) {
+    if (!state.on) {
+      if (!this.on) {
+        return [];
+      }
+      this.on = false;
+      if (this.cancelOnDeactivate) {
+        return this.cancel();
+      }
+      if (this.execution) {
+        await this.save(this.execution);
+      }
+      return [];
+    }
+
+    if (this.on) {
+      return [];
+    }
+    this.on = true;
+    await this.cancel();
+    const execution = {
+      step: 0,
+      value: state.value,
+      deadline: null,
+      cancelled: false,
+    };
+    this.execution = execution;
+    return new Promise((resolve) => {
+      this.execute(execution, resolve);
+    });
+  }
+
+  /**
+   * Run the steps of an execution from its current step
+   * @param {Object} execution
+   * @param {Function?} report - Called with the outcome of the steps run
+   *   once the sequence first waits or ends
+   */
+  async execute(execution, report) {
+    const attempts = [];
+    const pause = () => {
+      if (report) {
+        report(attempts.concat([{
+          type: this.type,
+          label: this.label,
+          result: {
+            step: execution.step,
+            deadline: execution.deadline,
+          },
+        }]));
+        report = null;
+      }
+    };
+
+    try {
+      while (execution.step < this.steps.length && !execution.cancelled) {
+        await this.save(execution);
+        const step = this.steps[execution.step];
+        let proceed = true;
+        if (step instanceof Effect) {
+          const outcome = await step.run({on: true, value: execution.value});
+          // Release the step, as effects only act when they turn on, so
+          // that it fires again on the next activation
+          await step.run({on: false, value: execution.value});
+          attempts.push(...outcome);
+          for (const attempt of outcome) {
+            if (attempt.error && !report) {
+              console.warn('Sequence step failed:', this.context.key,
+                           execution.step, attempt.error);
+            }
+          }
+        } else if (step.type === 'DelayStep') {
+          if (execution.deadline === null) {
+            execution.deadline = Date.now() + step.delay * 1000;
+            await this.save(execution);
+          }
+          pause();
+          await this.sleep(execution, execution.deadline - Date.now());
+        } else {
+          if (execution.deadline === null && step.timeout) {
+            execution.deadline = Date.now() + step.timeout * 1000;
+            await this.save(execution);
+          }
+          pause();
+          const met = await this.waitFor(execution, step.condition);
+          proceed = met || step.onTimeout === onTimeouts.CONTINUE;
+        }
+
+        if (execution.cancelled) {
+          break;
+        }
+        if (!proceed) {
+          if (DEBUG) {
+            console.debug('SequenceEffect timed out', this.context.key,
+                          execution.step);
+          }
+          break;
+        }
+        execution.step += 1;
+        execution.deadline = null;
+      }
+    } catch (e) {
+      console.error('Sequence failed:', this.context.key, e);
+    }
+
+    if (report) {
+      report(attempts);
+    }
+    if (this.execution === execution) {
+      this.execution = null;
+      await this.clear();
+    }
+  }
+
+  /**
+   * Wait until a condition holds, checking it every WAIT_INTERVAL
+   * @param {Object} execution
+   * @param {Condition} condition
+   * @return {Promise<boolean>} Whether it held before the execution's
+   *                            deadline
+   */
+  async waitFor(execution, condition) {
+    while (!execution.cancelled) {
+      if (await condition.evaluate(this.context.engine)) {
+        return true;
+      }
+      if (execution.cancelled) {
+        return false;
+      }
+
+      let interval = WAIT_INTERVAL;
+      if (execution.deadline !== null) {
+        const remaining = execution.deadline - Date.now();
+        if (remaining <= 0) {
+          return false;
+        }
+        interval = Math.min(interval, remaining);
+      }
+      await this.sleep(execution, interval);
+    }
+    return false;
+  }
+
+  /**
+   * @param {Object} execution
+   * @param {number} ms
+   * @return {Promise} resolves after ms, or as soon as the execution is
+   *                   cancelled
+   */
+  sleep(execution, ms) {
+    return new Promise((resolve) => {
+      execution.wake = resolve;
+      execution.timeout = setTimeout(resolve, Math.max(ms, 0));
+    });
+  }
+
+  /**
+   * Cancel the execution in progress, if any
+   * @return {Promise<Array<EffectResult>>} The step cancelled
+   */
+  async cancel() {
+    const execution = this.execution;
+    if (!execution) {
+      return [];
+    }
+    this.execution = null;
+    execution.cancelled = true;
+    clearTimeout(execution.timeout);
+    if (execution.wake) {
+      execution.wake();
+    }
+    await this.clear();
+    return [{
+      type: this.type,
+      label: this.label,
+      result: {cancelled: execution.step},
+    }];
+  }
+
+  /**
+   * @return {boolean} Whether the steps in progress can be saved
+   */
+  persistent() {
+    return !!this.context.engine && this.context.key !== null;
+  }
+
+  /**
+   * @param {number} index
+   * @return {EffectContext} The context of one of the steps
+   */
+  childContext(index) {
+    return Object.assign({}, this.context, {
+      key: this.context.key === null ? null : `${this.context.key}.${index}`,
+    });
+  }
+
+  /**
+   * Save the step in progress so that it resumes after a restart
+   * @param {Object} execution
+   * @return {Promise}
+   */
+  async save(execution) {
+    if (!this.persistent() || this.execution !== execution) {
+      return;
+    }
+    try {
+      await this.context.engine.saveSequence(this.context.key, {
+        step: execution.step,
+        value: execution.value,
+        deadline: execution.deadline,
+        on: this.on,
+      });
+    } catch (e) {
+      console.error('Unable to save sequence:', this.context.key, e);
+    }
+  }
+
+  /**
+   * Forget the saved step once the sequence is done or cancelled
+   * @return {Promise}
+   */
+  async clear() {
+    if (!this.persistent()) {
+      return;
+    }
+    try {
+      await this.context.engine.clearSequence(this.context.key);
+    } catch (e) {
+      console.error('Unable to clear sequence:', this.context.key, e);
+    }
+  }
+}
+
+SequenceEffect.onTimeouts = onTimeouts;
+
+module.exports = SequenceEffect;
@@ -42,12 +42,15 @@ class SetEffect extends PropertyEffect {
   }
 
   /**
-   * @return {State}
+   * @param {State} state
+   * @return {Promise<Object>?}
    */
   setState(state) {
     if (!this.on && state.on) {
       this.on = true;
-      return this.property.set(this.value);
+      return this.property.set(this.value).then(() => {
+        return {value: this.value};
+      });
     }
     if (this.on && !state.on) {
       this.on = false;
@@ -14,6 +14,7 @@ const effects = {
   NotifierOutletEffect: require('./NotifierOutletEffect'),
   SetEffect: require('./SetEffect'),
   PulseEffect: require('./PulseEffect'),
+  SequenceEffect: require('./SequenceEffect'),
 };
 
 /**
@@ -11,6 +11,7 @@ const PromiseRouter = require('express-promise-router');
 const APIError = require('./APIError');
 const Database = require('./Database');
 const Engine = require('./Engine');
+const History = require('./History');
 const Rule = require('./Rule');
 
 const index = PromiseRouter();
@@ -62,6 +63,32 @@ index.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * Get the history of a rule, newest first: every state its trigger passed
+ * on, with the inputs evaluated and the outcome of the effects attempted.
+ * ?limit=n gets only the n most recent entries.
+ */
+index.get('/:id/history', async (req, res) => {
+  const id = parseInt(req.params.id);
+  try {
+    await engine.getRule(id);
+  } catch (e) {
+    res.status(404).send(
+      new APIError('Engine failed to get rule', e).toString());
+    return;
+  }
+
+  let limit = null;
+  if (req.query.limit) {
+    limit = parseInt(req.query.limit, 10);
+    if (!(limit > 0)) {
+      res.status(400).send(new APIError('Invalid limit').toString());
+      return;
+    }
+  }
+  res.send(await History.get(id, limit));
+});
+
 index.post('/', parseRuleFromBody, async (req, res) => {
   const ruleId = await engine.addRule(req.rule);
   res.send({id: ruleId});
@@ -89,6 +116,7 @@ index.delete('/:id', async (req, res) => {
 
 index.configure = async () => {
   await Database.open();
+  await History.load();
   await engine.getRules();
 };
 
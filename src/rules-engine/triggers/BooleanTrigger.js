@@ -7,7 +7,6 @@
 'use strict';
 
 const assert = require('assert');
-const Events = require('../Events');
 const PropertyTrigger = require('./PropertyTrigger');
 
 /**
@@ -37,14 +36,10 @@ class BooleanTrigger extends PropertyTrigger {
 
   /**
    * @param {boolean} propValue
-   * @return {State}
+   * @return {boolean}
    */
-  onValueChanged(propValue) {
-    if (propValue === this.onValue) {
-      this.emit(Events.STATE_CHANGED, {on: true, value: propValue});
-    } else {
-      this.emit(Events.STATE_CHANGED, {on: false, value: propValue});
-    }
+  isOn(propValue) {
+    return propValue === this.onValue;
   }
 }
 
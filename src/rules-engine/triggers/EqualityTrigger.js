@@ -6,7 +6,6 @@
 
 'use strict';
 
-const Events = require('../Events');
 const PropertyTrigger = require('./PropertyTrigger');
 
 /**
@@ -36,12 +35,10 @@ class EqualityTrigger extends PropertyTrigger {
 
   /**
    * @param {number} propValue
-   * @return {State}
+   * @return {boolean}
    */
-  onValueChanged(propValue) {
-    const on = propValue === this.value;
-
-    this.emit(Events.STATE_CHANGED, {on: on, value: propValue});
+  isOn(propValue) {
+    return propValue === this.value;
   }
 }
 
@@ -0,0 +1,84 @@
+/**
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const PropertyTrigger = require('./PropertyTrigger');
+
+/**
+ * A trigger which activates when a property hasn't changed for `timeout`
+ * seconds, and deactivates as soon as it changes again. The same value being
+ * reported again isn't a change.
+ */
+class InactivityTrigger extends PropertyTrigger {
+  /**
+   * @param {TriggerDescription} desc
+   */
+  constructor(desc) {
+    super(desc);
+    for (const key of ['debounce', 'holdFor']) {
+      if (typeof desc[key] !== 'undefined') {
+        throw new Error(`InactivityTrigger doesn't take ${key}`);
+      }
+    }
+    this.timeout = PropertyTrigger.parseSeconds(desc, 'timeout');
+    if (!this.timeout) {
+      throw new Error('InactivityTrigger needs a timeout');
+    }
+    // Whether a value has been reported since the trigger started, and
+    // which
+    this.hasValue = false;
+    this.value = null;
+    this.inactivityTimeout = null;
+  }
+
+  /**
+   * @return {TriggerDescription}
+   */
+  toDescription() {
+    return Object.assign(
+      super.toDescription(),
+      {timeout: this.timeout}
+    );
+  }
+
+  /**
+   * @param {any} value
+   */
+  onValueChanged(value) {
+    if (this.hasValue && value === this.value) {
+      return;
+    }
+    this.hasValue = true;
+    this.value = value;
+    super.onValueChanged(value);
+  }
+
+  /**
+   * @param {any} value
+   */
+  update(value) {
+    if (this.triggered) {
+      this.setState(false, value);
+    }
+
+    clearTimeout(this.inactivityTimeout);
+    this.inactivityTimeout = setTimeout(() => {
+      this.inactivityTimeout = null;
+      this.setState(true, value);
+    }, this.timeout * 1000);
+  }
+
+  stop() {
+    super.stop();
+    this.hasValue = false;
+    this.value = null;
+    clearTimeout(this.inactivityTimeout);
+    this.inactivityTimeout = null;
+  }
+}
+
+module.exports = InactivityTrigger;
@@ -7,7 +7,6 @@
 'use strict';
 
 const assert = require('assert');
-const Events = require('../Events');
 const PropertyTrigger = require('./PropertyTrigger');
 
 const LevelTriggerTypes = {
@@ -19,6 +18,10 @@ const LevelTriggerTypes = {
 /**
  * A trigger which activates when a numerical property is less or greater than
  * a given level
+ *
+ * With a hysteresis, a trigger which is active stays so until the property
+ * crosses back past the level by more than the hysteresis, so that a value
+ * hovering around the level doesn't flap.
  */
 class LevelTrigger extends PropertyTrigger {
   /**
@@ -35,47 +38,51 @@ class LevelTrigger extends PropertyTrigger {
 
     this.value = desc.value;
     this.levelType = desc.levelType;
+    this.hysteresis = 0;
+    if (typeof desc.hysteresis !== 'undefined') {
+      assert(typeof desc.hysteresis === 'number' && desc.hysteresis >= 0);
+      assert(desc.levelType !== 'EQUAL');
+      this.hysteresis = desc.hysteresis;
+    }
   }
 
   /**
    * @return {TriggerDescription}
    */
   toDescription() {
-    return Object.assign(
+    const desc = Object.assign(
       super.toDescription(),
       {
         value: this.value,
         levelType: this.levelType,
       }
     );
+    if (this.hysteresis) {
+      desc.hysteresis = this.hysteresis;
+    }
+    return desc;
   }
 
   /**
    * @param {number} propValue
-   * @return {State}
+   * @return {boolean}
    */
-  onValueChanged(propValue) {
-    let on = false;
-
+  isOn(propValue) {
     switch (this.levelType) {
       case LevelTriggerTypes.LESS:
-        if (propValue < this.value) {
-          on = true;
+        if (this.active) {
+          return propValue < this.value + this.hysteresis;
         }
-        break;
+        return propValue < this.value;
       case LevelTriggerTypes.EQUAL:
-        if (propValue === this.value) {
-          on = true;
-        }
-        break;
+        return propValue === this.value;
       case LevelTriggerTypes.GREATER:
-        if (propValue > this.value) {
-          on = true;
+        if (this.active) {
+          return propValue > this.value - this.hysteresis;
         }
-        break;
+        return propValue > this.value;
     }
-
-    this.emit(Events.STATE_CHANGED, {on: on, value: propValue});
+    return false;
   }
 }
 
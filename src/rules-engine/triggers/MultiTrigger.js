@@ -54,6 +54,13 @@ class MultiTrigger extends Trigger {
     });
   }
 
+  /**
+   * @return {Array<Object>}
+   */
+  inputs() {
+    return [].concat(...this.triggers.map((trigger) => trigger.inputs()));
+  }
+
   async start() {
     const starts = this.triggers.map((trigger, triggerIndex) => {
       trigger.on(Events.STATE_CHANGED,
@@ -10,13 +10,51 @@ const Events = require('../Events');
 const Trigger = require('./Trigger');
 const Property = require('../Property');
 
+/**
+ * Options shared by the triggers comparing a property to a value, all in
+ * seconds:
+ *  - debounce: how long a value must stay unchanged before it's compared
+ *  - holdFor: how long the comparison must hold before the trigger turns on
+ */
+const TIMING_OPTIONS = ['debounce', 'holdFor'];
+
+/**
+ * @param {TriggerDescription} desc
+ * @param {string} key
+ * @returns {number} The number of seconds given for an option, 0 if none.
+ */
+function parseSeconds(desc, key) {
+  if (typeof desc[key] === 'undefined') {
+    return 0;
+  }
+  const seconds = desc[key];
+  if (typeof seconds !== 'number' || !isFinite(seconds) || seconds < 0) {
+    throw new Error(`Invalid ${key}: ${seconds}`);
+  }
+  return seconds;
+}
+
 /**
  * An abstract class for triggers whose input is a single property
+ *
+ * Subclasses comparing the property to a value implement isOn(). The
+ * trigger's state is then updated on every change of the property, after
+ * the debounce and holdFor delays if any.
  */
 class PropertyTrigger extends Trigger {
   constructor(desc) {
     super(desc);
     this.property = new Property(desc.property);
+    for (const key of TIMING_OPTIONS) {
+      this[key] = parseSeconds(desc, key);
+    }
+
+    // Whether the comparison holds, and whether the trigger is on
+    this.active = false;
+    this.triggered = false;
+    this.lastValue = null;
+    this.debounceTimeout = null;
+    this.holdTimeout = null;
     this.onValueChanged = this.onValueChanged.bind(this);
   }
 
@@ -24,10 +62,29 @@ class PropertyTrigger extends Trigger {
    * @return {TriggerDescription}
    */
   toDescription() {
-    return Object.assign(
+    const desc = Object.assign(
       super.toDescription(),
       {property: this.property.toDescription()}
     );
+    for (const key of TIMING_OPTIONS) {
+      if (this[key]) {
+        desc[key] = this[key];
+      }
+    }
+    return desc;
+  }
+
+  /**
+   * @return {Array<Object>}
+   */
+  inputs() {
+    const input = super.inputs()[0];
+    return [Object.assign(input, {
+      thing: this.property.thing,
+      property: this.property.id,
+      value: this.lastValue,
+      on: this.triggered,
+    })];
   }
 
   async start() {
@@ -35,13 +92,72 @@ class PropertyTrigger extends Trigger {
     await this.property.start();
   }
 
-  onValueChanged(_value) {
+  /**
+   * @param {any} _value
+   * @return {boolean} Whether the trigger should be on for a value.
+   */
+  isOn(_value) {
+    return false;
+  }
+
+  onValueChanged(value) {
+    this.lastValue = value;
+    if (!this.debounce) {
+      this.update(value);
+      return;
+    }
+
+    clearTimeout(this.debounceTimeout);
+    this.debounceTimeout = setTimeout(() => {
+      this.debounceTimeout = null;
+      this.update(value);
+    }, this.debounce * 1000);
+  }
+
+  /**
+   * Compare a value and update the state of the trigger, which turns on
+   * only once the comparison has held for holdFor seconds.
+   * @param {any} value
+   */
+  update(value) {
+    this.active = this.isOn(value);
+    if (!this.active || this.triggered || !this.holdFor) {
+      clearTimeout(this.holdTimeout);
+      this.holdTimeout = null;
+      this.setState(this.active, value);
+      return;
+    }
+
+    this.holdValue = value;
+    if (!this.holdTimeout) {
+      this.holdTimeout = setTimeout(() => {
+        this.holdTimeout = null;
+        this.setState(true, this.holdValue);
+      }, this.holdFor * 1000);
+    }
+  }
+
+  /**
+   * @param {boolean} on
+   * @param {any} value
+   */
+  setState(on, value) {
+    this.triggered = on;
+    this.emit(Events.STATE_CHANGED, {on, value});
   }
 
   stop() {
     this.property.removeListener(Events.VALUE_CHANGED, this.onValueChanged);
     this.property.stop();
+    clearTimeout(this.debounceTimeout);
+    clearTimeout(this.holdTimeout);
+    this.debounceTimeout = null;
+    this.holdTimeout = null;
+    this.active = false;
+    this.triggered = false;
   }
 }
 
+PropertyTrigger.parseSeconds = parseSeconds;
+
 module.exports = PropertyTrigger;
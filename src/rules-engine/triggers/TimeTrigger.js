@@ -6,18 +6,146 @@
 
 'use strict';
 
+const Cron = require('../Cron');
 const Events = require('../Events');
+const Settings = require('../../models/settings');
+const Sun = require('../Sun');
 const Trigger = require('./Trigger');
 
+const SUN_EVENTS = ['sunrise', 'sunset'];
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})$/;
+
 /**
- * An abstract class for triggers whose input is a single property
+ * Seconds the trigger stays on after firing, unless the description says
+ * otherwise.
+ */
+const DEFAULT_DURATION = 60;
+const MAX_DURATION = 24 * 60 * 60;
+
+/**
+ * Longest a single timer runs for. Waking up at least this often keeps
+ * the schedule right across clock and daylight saving time changes.
+ */
+const MAX_DELAY = 60 * 60 * 1000;
+
+/**
+ * Upper bound on the occurrences searched for one which falls on an
+ * allowed day, as a schedule may never match, e.g. sunrise near the poles.
+ */
+const MAX_OCCURRENCES = 2 * 366;
+
+/**
+ * @param {string} text A YYYY-MM-DD date
+ * @returns {Date} The start of that day in local time.
+ */
+function parseDate(text) {
+  const match = DATE_PATTERN.exec(text);
+  if (!match) {
+    throw new Error(`Invalid date: ${text}`);
+  }
+  const date = new Date(Number(match[1]), Number(match[2]) - 1,
+                        Number(match[3]));
+  if (date.getDate() !== Number(match[3])) {
+    throw new Error(`Invalid date: ${text}`);
+  }
+  return date;
+}
+
+/**
+ * @param {string} text An HH:MM time
+ * @returns {Object} {hours, minutes}
+ */
+function parseTime(text) {
+  const match = TIME_PATTERN.exec(text);
+  const hours = match && Number(match[1]);
+  const minutes = match && Number(match[2]);
+  if (!match || hours > 23 || minutes > 59) {
+    throw new Error(`Invalid time: ${text}`);
+  }
+  return {hours, minutes};
+}
+
+/**
+ * A trigger which turns on at scheduled times, then off after a duration.
+ *
+ * The schedule is one of a time of day (`time`, HH:MM), a cron expression
+ * (`cron`) or a sun event (`event`, sunrise or sunset, with an `offset` in
+ * minutes). It may be restricted to days of the week (`days`, 0 being
+ * Sunday) and to a range of dates (`startDate` and `endDate`, YYYY-MM-DD,
+ * both included). Everything is in the gateway's local time.
  */
 class TimeTrigger extends Trigger {
   constructor(desc) {
     super(desc);
-    this.time = desc.time;
+
+    const kinds = ['time', 'cron', 'event'].filter((key) => desc[key]);
+    if (kinds.length !== 1) {
+      throw new Error('TimeTrigger needs exactly one of time, cron or event');
+    }
+
+    this.time = desc.time || null;
+    this.cron = desc.cron || null;
+    this.event = desc.event || null;
+    this.offset = 0;
+    if (this.time) {
+      this.parsedTime = parseTime(this.time);
+    } else if (this.cron) {
+      this.parsedCron = new Cron(this.cron);
+    } else {
+      if (!SUN_EVENTS.includes(this.event)) {
+        throw new Error(`Invalid event: ${this.event}`);
+      }
+      if (typeof desc.offset !== 'undefined') {
+        this.offset = Number(desc.offset);
+        if (!Number.isInteger(this.offset)) {
+          throw new Error(`Invalid offset: ${desc.offset}`);
+        }
+      }
+    }
+
+    this.days = null;
+    if (typeof desc.days !== 'undefined') {
+      if (!Array.isArray(desc.days) || desc.days.length === 0 ||
+          desc.days.some((day) => !Number.isInteger(day) || day < 0 ||
+                         day > 6)) {
+        throw new Error('days must be a list of days of the week, from 0 ' +
+                        '(Sunday) to 6');
+      }
+      this.days = Array.from(new Set(desc.days)).sort((a, b) => a - b);
+    }
+
+    this.startDate = desc.startDate || null;
+    this.endDate = desc.endDate || null;
+    this.from = this.startDate && parseDate(this.startDate);
+    this.until = null;
+    if (this.endDate) {
+      // The end date is included, so the range ends with the next day
+      this.until = parseDate(this.endDate);
+      this.until.setDate(this.until.getDate() + 1);
+    }
+    if (this.from && this.until && this.from >= this.until) {
+      throw new Error('startDate must not be after endDate');
+    }
+
+    this.duration = DEFAULT_DURATION;
+    if (typeof desc.duration !== 'undefined') {
+      this.duration = Number(desc.duration);
+      if (!isFinite(this.duration) || this.duration <= 0 ||
+          this.duration > MAX_DURATION) {
+        throw new Error(`Invalid duration: ${desc.duration}`);
+      }
+    }
+
     this.localized = !!desc.localized;
-    this.sendOn = this.sendOn.bind(this);
+    // The gateway's location, read each time a sun event is scheduled so
+    // that the trigger follows it changing
+    this.location = null;
+    this.locationMissing = false;
+    this.running = false;
+    this.next = null;
+    this.timeout = null;
+    this.onTimeout = this.onTimeout.bind(this);
     this.sendOff = this.sendOff.bind(this);
   }
 
@@ -25,51 +153,174 @@ class TimeTrigger extends Trigger {
    * @return {TriggerDescription}
    */
   toDescription() {
-    return Object.assign(
-      super.toDescription(),
-      {time: this.time, localized: this.localized}
-    );
+    const desc = super.toDescription();
+    if (this.time) {
+      desc.time = this.time;
+    } else if (this.cron) {
+      desc.cron = this.cron;
+    } else {
+      Object.assign(desc, {event: this.event, offset: this.offset});
+    }
+
+    for (const key of ['days', 'startDate', 'endDate']) {
+      if (this[key]) {
+        desc[key] = this[key];
+      }
+    }
+    if (this.duration !== DEFAULT_DURATION) {
+      desc.duration = this.duration;
+    }
+    desc.localized = this.localized;
+    return desc;
   }
 
   async start() {
-    this.scheduleNext();
+    this.running = true;
+    await this.scheduleNext(new Date());
   }
 
-  scheduleNext() {
-    const parts = this.time.split(':');
-    const hours = parseInt(parts[0], 10);
-    const minutes = parseInt(parts[1], 10);
+  /**
+   * @param {Date} after
+   * @returns {Date|null} The next time the schedule fires after a date, or
+   *                      null if it never does again.
+   */
+  nextTime(after) {
+    let from = after;
+    if (this.from && from < this.from) {
+      from = new Date(this.from.getTime() - 1);
+    }
 
-    // Time is specified in local time
-    const nextTime = new Date();
-    nextTime.setHours(hours, minutes, 0, 0);
+    for (let i = 0; i < MAX_OCCURRENCES; i++) {
+      const next = this.nextOccurrence(from);
+      if (!next || (this.until && next >= this.until)) {
+        return null;
+      }
+      if (!this.days || this.days.includes(next.getDay())) {
+        return next;
+      }
+      from = next;
+    }
+    return null;
+  }
+
+  /**
+   * @param {Date} after
+   * @returns {Date|null} The next time the time, cron expression or sun
+   *                      event occurs after a date, ignoring days and dates.
+   */
+  nextOccurrence(after) {
+    if (this.parsedCron) {
+      return this.parsedCron.next(after);
+    }
+
+    // Start the day before, as a sun event with an offset may fall on the
+    // day after the one it's computed for
+    const day = new Date(after.getTime());
+    day.setDate(day.getDate() - 1);
+    day.setHours(12, 0, 0, 0);
+    for (let i = 0; i < MAX_OCCURRENCES; i++) {
+      let next;
+      if (this.parsedTime) {
+        next = new Date(day.getTime());
+        next.setHours(this.parsedTime.hours, this.parsedTime.minutes, 0, 0);
+      } else {
+        const {latitude, longitude} = this.location;
+        const time = Sun.getTimes(day, latitude, longitude)[this.event];
+        next = time && new Date(time.getTime() + this.offset * 60 * 1000);
+      }
 
-    if (nextTime.getTime() < Date.now()) {
+      if (next && next > after) {
+        return next;
+      }
       // NB: this will wrap properly into the next month/year
-      nextTime.setDate(nextTime.getDate() + 1);
+      day.setDate(day.getDate() + 1);
     }
+    return null;
+  }
 
+  /**
+   * @param {Date} after
+   * @return {Promise}
+   */
+  async scheduleNext(after) {
     if (this.timeout) {
       clearTimeout(this.timeout);
+      this.timeout = null;
+    }
+
+    if (this.event) {
+      const location = await Settings.get('localization.location')
+        .catch(() => null);
+      if (!this.running) {
+        return;
+      }
+      if (!location) {
+        if (!this.locationMissing) {
+          console.error(`TimeTrigger: ${this.event} needs the gateway's ` +
+                        'location, which isn\'t set');
+        }
+        // Until the location is set, check for it as often as the schedule
+        // would be
+        this.locationMissing = true;
+        this.next = null;
+        clearTimeout(this.timeout);
+        this.timeout = setTimeout(() => this.scheduleNext(new Date()),
+                                  MAX_DELAY);
+        return;
+      }
+      this.location = location;
+      this.locationMissing = false;
+      clearTimeout(this.timeout);
     }
-    this.timeout = setTimeout(this.sendOn, nextTime.getTime() - Date.now());
+
+    this.next = this.nextTime(after);
+    if (this.next) {
+      this.wait();
+    }
+  }
+
+  /**
+   * @return {Array<Object>} With the time the trigger last turned on at, or
+   *                         will next turn on at
+   */
+  inputs() {
+    const input = super.inputs()[0];
+    input.time = this.next && this.next.getTime();
+    return [input];
+  }
+
+  wait() {
+    const delay = Math.max(this.next.getTime() - Date.now(), 0);
+    this.timeout = setTimeout(this.onTimeout, Math.min(delay, MAX_DELAY));
   }
 
-  sendOn() {
+  onTimeout() {
+    if (Date.now() < this.next.getTime()) {
+      if (this.event) {
+        // The location may have changed since the sun event was computed
+        this.scheduleNext(new Date());
+      } else {
+        this.wait();
+      }
+      return;
+    }
+
     this.emit(Events.STATE_CHANGED, {on: true, value: Date.now()});
-    this.timeout = setTimeout(this.sendOff, 60 * 1000);
+    this.timeout = setTimeout(this.sendOff, this.duration * 1000);
   }
 
   sendOff() {
     this.emit(Events.STATE_CHANGED, {on: false, value: Date.now()});
-    this.scheduleNext();
+    this.scheduleNext(new Date(Math.max(Date.now(), this.next.getTime())));
   }
 
   stop() {
+    this.running = false;
     clearTimeout(this.timeout);
     this.timeout = null;
   }
 }
 
-module.exports = TimeTrigger;
+TimeTrigger.parseTime = parseTime;
 
+module.exports = TimeTrigger;
@@ -32,6 +32,17 @@ class Trigger extends EventEmitter {
       label: this.label,
     };
   }
+
+  /**
+   * @return {Array<Object>} What the trigger last evaluated, one entry per
+   *                         single trigger, for the rule's history
+   */
+  inputs() {
+    return [{
+      type: this.type,
+      label: this.label,
+    }];
+  }
 }
 
 module.exports = Trigger;
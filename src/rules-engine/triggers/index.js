@@ -10,6 +10,7 @@ const triggers = {
   BooleanTrigger: require('./BooleanTrigger'),
   EqualityTrigger: require('./EqualityTrigger'),
   EventTrigger: require('./EventTrigger'),
+  InactivityTrigger: require('./InactivityTrigger'),
   LevelTrigger: require('./LevelTrigger'),
   MultiTrigger: require('./MultiTrigger'),
   PropertyTrigger: require('./PropertyTrigger'),
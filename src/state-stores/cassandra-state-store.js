@@ -0,0 +1,41 @@
+/**
+ * CassandraStateStore - Persists property values in the Cassandra cluster,
+ *                       so that they can be shared between gateways.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const cassie = require('../cassie');
+const StateStore = require('./state-store');
+
+class CassandraStateStore extends StateStore {
+  initDevice(deviceId, properties, adapterId) {
+    return cassie.initDevice(deviceId, properties, adapterId);
+  }
+
+  write(deviceId, propertyName, value) {
+    return cassie.write(deviceId, propertyName, value);
+  }
+
+  read(deviceId, propertyName, options) {
+    return cassie.read(deviceId, propertyName, options);
+  }
+
+  removeDevice(deviceId) {
+    return cassie.removeDevice(deviceId);
+  }
+
+  watch(listener) {
+    cassie.watchChanges(listener);
+  }
+
+  unwatch() {
+    cassie.unwatchChanges();
+  }
+}
+
+module.exports = CassandraStateStore;
@@ -0,0 +1,27 @@
+/**
+ * ConflictError - Raised when a property write loses against a newer value
+ *                 written elsewhere.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+class ConflictError extends Error {
+  /**
+   * @param {String} deviceId
+   * @param {String} propertyName
+   * @param {any} currentValue The value which is stored instead
+   */
+  constructor(deviceId, propertyName, currentValue) {
+    super(`Property ${propertyName} of ${deviceId} was changed concurrently`);
+    this.name = 'ConflictError';
+    this.deviceId = deviceId;
+    this.propertyName = propertyName;
+    this.currentValue = currentValue;
+  }
+}
+
+module.exports = ConflictError;
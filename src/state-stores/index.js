@@ -0,0 +1,37 @@
+/**
+ * Property state store, selected by the `stateStore.backend` config value.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const config = require('config');
+
+// Backends are required lazily so that, for example, the Cassandra driver is
+// only loaded when it is actually used.
+const backends = {
+  memory: () => require('./memory-state-store'),
+  sqlite: () => require('./sqlite-state-store'),
+  cassandra: () => require('./cassandra-state-store'),
+};
+
+/**
+ * Create a state store.
+ * @param {String} backend One of 'memory', 'sqlite' or 'cassandra'
+ * @return {StateStore}
+ */
+function create(backend) {
+  if (!backends.hasOwnProperty(backend)) {
+    throw new Error(`Unknown state store backend: ${backend}`);
+  }
+  const StateStoreClass = backends[backend]();
+  return new StateStoreClass();
+}
+
+const backend = config.get('stateStore.backend');
+console.log('Using state store:', backend);
+
+module.exports = create(backend);
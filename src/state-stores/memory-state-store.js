@@ -0,0 +1,50 @@
+/**
+ * MemoryStateStore - Keeps property values in memory only, which is how the
+ *                    upstream gateway behaves.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const StateStore = require('./state-store');
+
+class MemoryStateStore extends StateStore {
+  constructor() {
+    super();
+
+    // Map of device id to a Map of property name to value
+    this.devices = new Map();
+  }
+
+  async initDevice(deviceId, properties) {
+    const values = new Map();
+    for (const propertyName in properties) {
+      values.set(propertyName, properties[propertyName].value);
+    }
+    this.devices.set(deviceId, values);
+  }
+
+  async write(deviceId, propertyName, value) {
+    if (!this.devices.has(deviceId)) {
+      this.devices.set(deviceId, new Map());
+    }
+    this.devices.get(deviceId).set(propertyName, value);
+  }
+
+  async read(deviceId, propertyName) {
+    const values = this.devices.get(deviceId);
+    if (!values) {
+      return;
+    }
+    return values.get(propertyName);
+  }
+
+  async removeDevice(deviceId) {
+    this.devices.delete(deviceId);
+  }
+}
+
+module.exports = MemoryStateStore;
@@ -0,0 +1,139 @@
+/**
+ * ReadCache - Keeps recently read property values, so that repeated reads
+ *             of the same property don't each reach the cluster.
+ *
+ * Entries are evicted least recently used first beyond a maximum number.
+ * Concurrent reads of a property which isn't cached share a single load.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+function cacheKey(deviceId, propertyName) {
+  return `${deviceId}\u0000${propertyName}`;
+}
+
+class ReadCache {
+  /**
+   * @param {number} maxEntries
+   */
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    // {value, time} of each property, least recently used first
+    this.entries = new Map();
+    // loads in progress, as Map<key, Promise>
+    this.loading = new Map();
+    // bumped by every change, so that a load which started before one
+    // doesn't cache the value it replaced
+    this.generation = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * @param {string} deviceId
+   * @param {string} propertyName
+   * @param {number} maxAge Milliseconds an entry stays usable for
+   * @returns {Object|null} {value} if the property is cached and fresh.
+   */
+  get(deviceId, propertyName, maxAge) {
+    const key = cacheKey(deviceId, propertyName);
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (Date.now() - entry.time > maxAge) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return {value: entry.value};
+  }
+
+  /**
+   * Load a property value, sharing the load with any other in progress.
+   *
+   * @param {string} deviceId
+   * @param {string} propertyName
+   * @param {function} loader Resolves to the value
+   * @returns {Promise<*>} The value.
+   */
+  load(deviceId, propertyName, loader) {
+    const key = cacheKey(deviceId, propertyName);
+    if (this.loading.has(key)) {
+      return this.loading.get(key);
+    }
+
+    const generation = this.generation;
+    const loading = loader().then((value) => {
+      if (this.generation === generation) {
+        this.store(key, value);
+      }
+      return value;
+    }).finally(() => {
+      if (this.loading.get(key) === loading) {
+        this.loading.delete(key);
+      }
+    });
+    this.loading.set(key, loading);
+    return loading;
+  }
+
+  /**
+   * Cache a value known to be the stored one, e.g. just written.
+   */
+  set(deviceId, propertyName, value) {
+    const key = cacheKey(deviceId, propertyName);
+    this.generation++;
+    this.loading.delete(key);
+    this.store(key, value);
+  }
+
+  store(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, {value, time: Date.now()});
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Forget a property value, e.g. once another gateway changed it.
+   */
+  invalidate(deviceId, propertyName) {
+    const key = cacheKey(deviceId, propertyName);
+    this.generation++;
+    this.entries.delete(key);
+    this.loading.delete(key);
+  }
+
+  /**
+   * Forget every property value of a device.
+   */
+  invalidateDevice(deviceId) {
+    const prefix = cacheKey(deviceId, '');
+    this.generation++;
+    for (const map of [this.entries, this.loading]) {
+      for (const key of Array.from(map.keys())) {
+        if (key.startsWith(prefix)) {
+          map.delete(key);
+        }
+      }
+    }
+  }
+
+  clear() {
+    this.generation++;
+    this.entries.clear();
+    this.loading.clear();
+  }
+}
+
+module.exports = ReadCache;
@@ -0,0 +1,39 @@
+/**
+ * SQLiteStateStore - Persists property values in the gateway's local SQLite
+ *                    database.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const Database = require('../db');
+const StateStore = require('./state-store');
+
+class SQLiteStateStore extends StateStore {
+  async initDevice(deviceId, properties) {
+    for (const propertyName in properties) {
+      await Database.setPropertyState(
+        deviceId,
+        propertyName,
+        properties[propertyName].value
+      );
+    }
+  }
+
+  write(deviceId, propertyName, value) {
+    return Database.setPropertyState(deviceId, propertyName, value);
+  }
+
+  read(deviceId, propertyName) {
+    return Database.getPropertyState(deviceId, propertyName);
+  }
+
+  removeDevice(deviceId) {
+    return Database.deletePropertyState(deviceId);
+  }
+}
+
+module.exports = SQLiteStateStore;
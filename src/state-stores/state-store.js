@@ -0,0 +1,74 @@
+/**
+ * StateStore - Interface for persisting the current value of device
+ *              properties.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+class StateStore {
+  /**
+   * Prepare storage for a device and record the initial value of each of
+   * its properties.
+   * @param {String} _deviceId
+   * @param {Object} _properties Map of property name to property description
+   * @param {String} [_adapterId] Adapter which provides the device
+   * @return {Promise}
+   */
+  initDevice(_deviceId, _properties, _adapterId) {
+    throw new Error('Unimplemented');
+  }
+
+  /**
+   * Store the current value of a property.
+   * @param {String} _deviceId
+   * @param {String} _propertyName
+   * @param {any} _value
+   * @return {Promise} rejected with a ConflictError if the store refused a
+   *                   stale write
+   */
+  write(_deviceId, _propertyName, _value) {
+    throw new Error('Unimplemented');
+  }
+
+  /**
+   * Get the stored value of a property.
+   * @param {String} _deviceId
+   * @param {String} _propertyName
+   * @param {Object} [_options] {bypassCache: true} to skip any cache the
+   *                            store keeps in front of its backend
+   * @return {Promise<any>} resolves to the value, or undefined if nothing has
+   *                        been stored
+   */
+  read(_deviceId, _propertyName, _options) {
+    throw new Error('Unimplemented');
+  }
+
+  /**
+   * Called when a thing is removed from the gateway.
+   * @param {String} _deviceId
+   * @return {Promise}
+   */
+  removeDevice(_deviceId) {
+    throw new Error('Unimplemented');
+  }
+
+  /**
+   * Listen for property values written by other gateways sharing the
+   * store. Stores which aren't shared never call the listener.
+   * @param {Function} _listener Called with (deviceId, propertyName, value)
+   */
+  watch(_listener) {
+  }
+
+  /**
+   * Stop listening for values written by other gateways.
+   */
+  unwatch() {
+  }
+}
+
+module.exports = StateStore;
@@ -0,0 +1,23 @@
+/**
+ * TimeoutError - Raised when a state store does not confirm a write in time.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+class TimeoutError extends Error {
+  /**
+   * @param {String} message
+   * @param {number} timeout Milliseconds waited for
+   */
+  constructor(message, timeout) {
+    super(`${message} after ${timeout} ms`);
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+module.exports = TimeoutError;
@@ -0,0 +1,23 @@
+/**
+ * UnavailableError - Raised when a state store can't currently be reached.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+class UnavailableError extends Error {
+  /**
+   * @param {String} message
+   * @param {Error} [cause] The error which made the store unavailable
+   */
+  constructor(message, cause) {
+    super(cause ? `${message}: ${cause.message}` : message);
+    this.name = 'UnavailableError';
+    this.cause = cause;
+  }
+}
+
+module.exports = UnavailableError;
@@ -0,0 +1,1059 @@
+const cassandra = require('modified-cassandra-driver');
+const cassie = require('../cassie');
+const Database = require('../db');
+const GatewayIdentity = require('../models/gateway-identity');
+const instrumentation = require('../metrics/instrumentation');
+const Settings = require('../models/settings');
+const UnavailableError = require('../state-stores/unavailable-error');
+
+describe('cassie', () => {
+  let client, executed, batches, rows, warnings, tables, failures, outbox;
+
+  beforeEach(() => {
+    executed = [];
+    batches = [];
+    rows = [];
+    warnings = null;
+    tables = {};
+    // errors thrown by the next executions, in order
+    failures = [];
+    outbox = [];
+    client = {
+      metadata: {
+        getTable: (keyspace, name) => Promise.resolve(tables[name] || null),
+      },
+      execute: (query, params, options) => {
+        executed.push({query, params, options});
+        if (failures.length > 0) {
+          return Promise.reject(failures.shift());
+        }
+        return Promise.resolve({
+          rows,
+          info: {queriedHost: '10.0.0.1:9042', warnings},
+        });
+      },
+      batch: (queries, options) => {
+        batches.push({queries, options});
+        return Promise.resolve({rows: [], info: {}});
+      },
+    };
+    cassie.client = client;
+    cassie.settings = {
+      keyspace: 'iot',
+      history: {enabled: true, ttl: 7 * 24 * 60 * 60},
+      consistency: {
+        read: 'localOne',
+        write: 'localOne',
+        serial: 'serial',
+        things: {},
+      },
+      retry: {attempts: 3, delay: 0, maxDelay: 0},
+      reconnect: {delay: 60000, maxDelay: 60000},
+      outbox: {enabled: true, maxSize: 10},
+      delay: {timeout: 20, retention: 1000},
+      initPolicy: 'adapter-wins',
+      cache: {enabled: false, maxAge: 1000, maxEntries: 100},
+      changeFeed: {enabled: false, interval: 1000, lag: 5000, ttl: 3600},
+      registry: {
+        enabled: false,
+        name: 'gateway-a',
+        address: 'https://a.local:4443',
+        heartbeatInterval: 10000,
+        leaseTtl: 30,
+      },
+    };
+    cassie.connecting = Promise.resolve();
+
+    jest.spyOn(Database, 'addCassandraOutboxWrite')
+      .mockImplementation((thingId, name, value) => {
+        outbox.push({id: outbox.length + 1, thingId, name, value});
+        return Promise.resolve();
+      });
+    jest.spyOn(Database, 'getCassandraOutboxWrites')
+      .mockImplementation((limit) => {
+        return Promise.resolve(outbox.slice(0, limit));
+      });
+    jest.spyOn(Database, 'deleteCassandraOutboxWrite')
+      .mockImplementation((id) => {
+        outbox = outbox.filter((write) => write.id !== id);
+        return Promise.resolve();
+      });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    cassie.unwatchChanges();
+    clearTimeout(cassie.reconnectTimer);
+    cassie.reconnectTimer = null;
+    cassie.reconnectAttempts = 0;
+    cassie.outboxSize = 0;
+    cassie.hosts.clear();
+    cassie.pending = {};
+    cassie.finished.clear();
+    cassie.delayTimeouts = 0;
+    cassie.propertyTypes.clear();
+    cassie.versions.clear();
+    cassie.ownedDevices.clear();
+    cassie.pendingInits.clear();
+    cassie.cache.clear();
+    cassie.consistencyCounts = {};
+    cassie.client = null;
+    cassie.settings = null;
+    cassie.connecting = null;
+  });
+
+  describe('statements', () => {
+    it('binds values when writing', async () => {
+      await cassie.write('device-1', 'title', '\'; DROP TABLE x; --');
+      expect(executed).toHaveLength(1);
+      expect(executed[0].query).toEqual(
+        'UPDATE device_state SET value_type = ?, text_value = ?, ' +
+        'version = ? WHERE device_id = ? AND property = ?'
+      );
+      expect(executed[0].params).toEqual([
+        'text', '\'; DROP TABLE x; --', expect.anything(), 'device-1', 'title',
+      ]);
+      expect(executed[0].options.prepare).toBe(true);
+    });
+
+    it('binds values when reading', async () => {
+      rows = [{value_type: 'boolean', boolean_value: true}];
+      const value = await cassie.read('device-1', 'on');
+      expect(value).toBe(true);
+      expect(executed[0].query).toEqual(
+        'SELECT value_type, boolean_value, double_value, int_value, ' +
+        'text_value, version FROM device_state WHERE device_id = ? AND ' +
+        'property = ?'
+      );
+      expect(executed[0].params).toEqual(['device-1', 'on']);
+    });
+
+    it('keeps ids which differ only by case or dashes apart', async () => {
+      await cassie.write('Device-1', 'on', true);
+      await cassie.write('device_1', 'on', false);
+      expect(executed[0].params[3]).toEqual('Device-1');
+      expect(executed[1].params[3]).toEqual('device_1');
+    });
+
+    it('returns undefined for properties never stored', async () => {
+      expect(await cassie.read('device-1', 'on')).toBeUndefined();
+    });
+  });
+
+  describe('types', () => {
+    const properties = {
+      on: {type: 'boolean', value: false},
+      level: {type: 'number', value: 0.5},
+      count: {type: 'integer', value: 3},
+      color: {type: 'string', value: '#ff0000'},
+      position: {type: 'object', value: {x: 1, y: 2}},
+      history: {type: 'array', value: [1, 2, 3]},
+      unknown: {value: {anything: true}},
+    };
+
+    it('stores every property type in a typed column', async () => {
+      await cassie.initDevice('device-1', properties);
+      expect(batches).toHaveLength(1);
+      expect(batches[0].options.prepare).toBe(true);
+
+      const stored = batches[0].queries.map(({query, params}) => {
+        return [params[4], params[0], query.match(/, (\w+) = \?/)[1],
+                params[1]];
+      });
+      expect(stored).toEqual([
+        ['on', 'boolean', 'boolean_value', false],
+        ['level', 'double', 'double_value', 0.5],
+        ['count', 'int', 'int_value', 3],
+        ['color', 'text', 'text_value', '#ff0000'],
+        ['position', 'json', 'text_value', '{"x":1,"y":2}'],
+        ['history', 'json', 'text_value', '[1,2,3]'],
+        ['unknown', 'json', 'text_value', '{"anything":true}'],
+      ]);
+    });
+
+    it('decodes compound values on read', async () => {
+      rows = [{value_type: 'json', text_value: '{"x":3,"y":4}'}];
+      expect(await cassie.read('device-1', 'position')).toEqual({x: 3, y: 4});
+
+      rows = [{value_type: 'json', text_value: '[]'}];
+      expect(await cassie.read('device-1', 'history')).toEqual([]);
+
+      rows = [{value_type: 'text', text_value: '#00ff00'}];
+      expect(await cassie.read('device-1', 'color')).toEqual('#00ff00');
+    });
+
+    it('encodes values using the type of the property', async () => {
+      await cassie.initDevice('device-1', properties);
+
+      await cassie.write('device-1', 'position', {x: 5, y: 6});
+      expect(executed[0].params).toEqual(
+        ['json', '{"x":5,"y":6}', expect.anything(), 'device-1', 'position']);
+
+      await cassie.write('device-1', 'count', 4);
+      expect(executed[1].params)
+        .toEqual(['int', 4, expect.anything(), 'device-1', 'count']);
+    });
+  });
+
+  describe('initial state', () => {
+    const properties = {
+      on: {type: 'boolean', value: false},
+      level: {type: 'number', value: 0.5},
+    };
+    const version = cassandra.types.Uuid.random();
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    it('keeps existing values', async () => {
+      cassie.settings.initPolicy = 'keep-existing';
+      const execute = client.execute;
+      client.execute = (query, params, options) => {
+        rows = params[1] === 'on' ?
+          [{
+            '[applied]': false,
+            value_type: 'boolean',
+            boolean_value: true,
+            version,
+          }] :
+          [{'[applied]': true}];
+        return execute(query, params, options);
+      };
+
+      await cassie.initDevice('device-1', properties);
+      expect(batches).toHaveLength(0);
+      expect(executed.map((e) => e.query)).toEqual([
+        'INSERT INTO device_state (device_id, property, value_type, ' +
+        'boolean_value, version) VALUES (?, ?, ?, ?, ?) IF NOT EXISTS',
+        'INSERT INTO device_state (device_id, property, value_type, ' +
+        'double_value, version) VALUES (?, ?, ?, ?, ?) IF NOT EXISTS',
+      ]);
+      expect(executed[0].options.prepare).toBe(true);
+      expect(cassie.knownVersion('device-1', 'on')).toBe(version);
+      expect(cassie.knownVersion('device-1', 'level'))
+        .toBe(executed[1].params[4]);
+      expect(console.log).toHaveBeenCalledWith(
+        'Cassie: Keeping stored value', 'true', 'of', 'on', 'for',
+        'device-1', 'over the adapter\'s', 'false', '(keep-existing)');
+    });
+
+    it('keeps values written after the adapter\'s changed', async () => {
+      cassie.settings.initPolicy = 'newest-timestamp-wins';
+      const lastChanged = Date.now() - 10 * 60 * 1000;
+      const now = lastChanged * 1000;
+      rows = [
+        {
+          property: 'on',
+          value_type: 'boolean',
+          boolean_value: true,
+          version,
+          written: now + 60 * 1000 * 1000,
+        },
+        {
+          property: 'level',
+          value_type: 'double',
+          double_value: 0.2,
+          version,
+          written: now - 60 * 1000 * 1000,
+        },
+      ];
+
+      await cassie.initDevice('device-1', {
+        on: Object.assign({lastChanged}, properties.on),
+        level: Object.assign({lastChanged}, properties.level),
+      });
+      expect(executed[0].query).toContain('WRITETIME(version) AS written');
+      expect(batches).toHaveLength(1);
+      expect(batches[0].queries).toHaveLength(1);
+      const [{query, params}] = batches[0].queries;
+      expect(query).toMatch(/^UPDATE device_state USING TIMESTAMP \? SET /);
+      expect(params[0]).toEqual(now);
+      expect(params.slice(1, 3)).toEqual(['double', 0.5]);
+      expect(cassie.knownVersion('device-1', 'on')).toBe(version);
+      expect(console.log).toHaveBeenCalledWith(
+        'Cassie: Keeping stored value', 'true', 'of', 'on', 'for',
+        'device-1', 'over the adapter\'s', 'false',
+        '(newest-timestamp-wins)');
+    });
+
+    it('keeps stored values over ones with no change time', async () => {
+      cassie.settings.initPolicy = 'newest-timestamp-wins';
+      rows = [{
+        property: 'on',
+        value_type: 'boolean',
+        boolean_value: true,
+        version,
+        written: (Date.now() - 60 * 60 * 1000) * 1000,
+      }];
+
+      await cassie.initDevice('device-1', properties);
+      expect(batches).toHaveLength(0);
+      // Only inserted if no other gateway stored one in the meantime
+      expect(executed).toHaveLength(2);
+      expect(executed[1].query).toEqual(
+        'INSERT INTO device_state (device_id, property, value_type, ' +
+        'double_value, version) VALUES (?, ?, ?, ?, ?) IF NOT EXISTS');
+      expect(executed[1].params.slice(0, 4))
+        .toEqual(['device-1', 'level', 'double', 0.5]);
+      expect(cassie.knownVersion('device-1', 'on')).toBe(version);
+    });
+
+    it('initializes devices once the cluster is back', async () => {
+      cassie.settings.initPolicy = 'keep-existing';
+      // Conditional inserts aren't sent again
+      failures = [new cassandra.errors.NoHostAvailableError({})];
+
+      await cassie.initDevice('device-1', {on: properties.on});
+      expect(outbox).toHaveLength(0);
+      expect(cassie.pendingInits.has('device-1')).toBe(true);
+
+      rows = [{'[applied]': true}];
+      await cassie.flushOutbox();
+      expect(cassie.pendingInits.size).toEqual(0);
+      expect(executed).toHaveLength(2);
+      expect(executed[1].query).toContain('IF NOT EXISTS');
+    });
+  });
+
+  describe('settings', () => {
+    let stored;
+
+    beforeEach(() => {
+      stored = {
+        contactPoints: ['10.0.0.1'],
+        credentials: {username: 'gateway', password: 'secret'},
+        ssl: {enabled: true},
+      };
+      jest.spyOn(Settings, 'get').mockImplementation(() => {
+        return Promise.resolve(stored);
+      });
+      jest.spyOn(Settings, 'set').mockImplementation((key, value) => {
+        stored = value;
+        return Promise.resolve(value);
+      });
+      jest.spyOn(cassie, 'reconnect').mockImplementation(() => {
+        return Promise.resolve();
+      });
+    });
+
+    it('merges changes into the stored overrides', async () => {
+      const settings = await cassie.updateSettings({port: 9043, ssl: null});
+      expect(stored).toEqual({
+        contactPoints: ['10.0.0.1'],
+        credentials: {username: 'gateway', password: 'secret'},
+        port: 9043,
+      });
+      expect(settings.contactPoints).toEqual(['10.0.0.1']);
+      expect(settings.port).toEqual(9043);
+      expect(settings.ssl.enabled).toBe(false);
+    });
+
+    it('merges nested changes', async () => {
+      await cassie.updateSettings({ssl: {rejectUnauthorized: false}});
+      expect(stored.ssl).toEqual({enabled: true, rejectUnauthorized: false});
+
+      await cassie.updateSettings({
+        ssl: {enabled: null},
+        outbox: {enabled: null},
+      });
+      expect(stored.ssl).toEqual({rejectUnauthorized: false});
+      expect(stored.outbox).toEqual({});
+    });
+
+    it('keeps the stored password', async () => {
+      await cassie.updateSettings({
+        credentials: {username: 'other', passwordSet: true},
+      });
+      expect(stored.credentials)
+        .toEqual({username: 'other', password: 'secret'});
+
+      await cassie.updateSettings({
+        credentials: {username: 'other', password: ''},
+      });
+      expect(stored.credentials).toEqual({username: 'other', password: ''});
+    });
+  });
+
+  describe('removal', () => {
+    it('keeps the state of removed things by default', async () => {
+      await cassie.removeDevice('device-1');
+      expect(executed).toHaveLength(0);
+    });
+
+    it('deletes the state of removed things when configured to', async () => {
+      cassie.settings.deleteStateOnRemove = true;
+      await cassie.removeDevice('device-1');
+      expect(executed[0].query)
+        .toEqual('DELETE FROM device_state WHERE device_id = ?');
+      expect(executed[0].params).toEqual(['device-1']);
+    });
+  });
+
+  describe('legacy tables', () => {
+    const properties = {
+      on: {type: 'boolean'},
+      level: {type: 'number'},
+      position: {type: 'object'},
+    };
+
+    function column(name) {
+      return {name, type: {}};
+    }
+
+    it('names tables the way older gateways did', () => {
+      expect(cassie.legacyTableName('Virtual-Things-2'))
+        .toEqual('virtual_things_2');
+      expect(cassie.legacyTableName('x'.repeat(100)).length)
+        .toBeLessThanOrEqual(48);
+    });
+
+    it('copies the state of a device into the state table', async () => {
+      tables.virtual_things_2 = {
+        columns: ['id', 'on', 'level', 'level__double', 'position']
+          .map(column),
+      };
+      rows = [{
+        on: true,
+        written_0: 1000,
+        level__double: 3.5,
+        written_1: 2000,
+        position: '{"x":1}',
+        written_2: 3000,
+      }];
+
+      const count = await cassie.migrateLegacyTable(
+        'virtual-things-2', properties, true);
+      expect(count).toEqual(3);
+
+      expect(batches[0].queries.map((q) => q.query)).toEqual(
+        Array(3).fill(expect.stringMatching(
+          /^UPDATE device_state USING TIMESTAMP \? SET /)));
+      expect(batches[0].queries.map((q) => q.params)).toEqual([
+        [1000, 'boolean', true, expect.anything(), 'virtual-things-2', 'on'],
+        [2000, 'double', 3.5, expect.anything(), 'virtual-things-2', 'level'],
+        [3000, 'json', '{"x":1}', expect.anything(), 'virtual-things-2',
+         'position'],
+      ]);
+
+      const queries = executed.map((e) => e.query);
+      expect(queries[0]).toEqual(
+        'SELECT "on", WRITETIME("on") AS written_0, "level__double", ' +
+        'WRITETIME("level__double") AS written_1, "position", ' +
+        'WRITETIME("position") AS written_2 FROM "virtual_things_2" ' +
+        'WHERE id = ?');
+      expect(queries).toContain('DROP TABLE "virtual_things_2"');
+      expect(executed[executed.length - 1].params).toEqual([
+        'virtual_things_2', 'DROP TABLE "virtual_things_2"', 'drop table',
+      ]);
+    });
+
+    it('skips devices without a table', async () => {
+      expect(await cassie.migrateLegacyTable('device-1', properties))
+        .toBeNull();
+      expect(executed).toHaveLength(0);
+    });
+  });
+
+  describe('tools', () => {
+    afterEach(() => {
+      cassie.tool = false;
+    });
+
+    it('does not register a tool as a gateway', async () => {
+      jest.spyOn(cassie, 'getSettings').mockResolvedValue({
+        cache: {maxEntries: 10},
+        registry: {enabled: true},
+        singleNodeHost: '10.0.0.1',
+        port: 9042,
+      });
+      jest.spyOn(Database, 'countCassandraOutbox').mockResolvedValue(1);
+      jest.spyOn(GatewayIdentity, 'getId')
+        .mockResolvedValue('1c9e2b3a-0d4f-4e5a-8b6c-7d8e9f0a1b2c');
+      jest.spyOn(cassie, 'buildClientOptions').mockReturnValue({});
+      jest.spyOn(cassandra, 'Client').mockImplementation(() => {
+        return {
+          on: () => {},
+          connect: () => Promise.resolve(),
+          hosts: new Map(),
+        };
+      });
+      jest.spyOn(cassie, 'createTables').mockResolvedValue();
+      jest.spyOn(cassie, 'heartbeat').mockResolvedValue();
+      jest.spyOn(cassie, 'scheduleHeartbeat').mockImplementation(() => {});
+
+      cassie.useAsTool();
+      await cassie.connect();
+      expect(cassie.heartbeat).not.toHaveBeenCalled();
+      expect(cassie.scheduleHeartbeat).not.toHaveBeenCalled();
+
+      await cassie.flushOutbox();
+      expect(Database.getCassandraOutboxWrites).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('history', () => {
+    it('records values with a TTL', async () => {
+      const date = new Date('2020-05-04T03:02:01Z');
+      await cassie.insertHistory('device-1', 'level', 0.5, date);
+      expect(executed[0].query).toEqual(
+        'INSERT INTO property_history (device_id, property, day, time, ' +
+        'value_type, double_value) VALUES (?, ?, ?, ?, ?, ?) USING TTL ?'
+      );
+      expect(executed[0].params).toEqual([
+        'device-1', 'level', '2020-05-04', date, 'double', 0.5, 604800,
+      ]);
+    });
+
+    it('uses the max age of the log when it is shorter', async () => {
+      await cassie.insertHistory('device-1', 'on', true, new Date(), 60000);
+      expect(executed[0].params[6]).toEqual(60);
+    });
+
+    it('reads one partition per day', async () => {
+      const start = new Date(Date.now() - 36 * 60 * 60 * 1000);
+      const time = new Date();
+      rows = [{time, value_type: 'json', text_value: '{"x":1}'}];
+
+      const values = await cassie.readHistory('device-1', 'position', start);
+      const days = executed.map((e) => e.params[2]);
+      expect(days.length).toBeGreaterThanOrEqual(2);
+      expect(days.length).toBeLessThanOrEqual(3);
+      expect(new Set(days).size).toEqual(days.length);
+      expect(values[0]).toEqual({value: {x: 1}, date: time.getTime()});
+    });
+
+    it('does not look further back than the TTL', async () => {
+      await cassie.readHistory('device-1', 'on', new Date(0));
+      expect(executed.length).toBeLessThanOrEqual(8);
+    });
+  });
+
+  describe('consistency', () => {
+    const {consistencies} = cassandra.types;
+
+    beforeEach(() => {
+      cassie.settings.consistency = {
+        read: 'one',
+        write: 'quorum',
+        serial: 'serial',
+        things: {
+          'device-1': {
+            write: 'all',
+            properties: {
+              on: {read: 'localQuorum', serial: 'localSerial'},
+            },
+          },
+        },
+      };
+    });
+
+    it('prefers property, then thing, then global levels', () => {
+      expect(cassie.consistencyFor('device-1', 'on', 'read'))
+        .toEqual('localQuorum');
+      expect(cassie.consistencyFor('device-1', 'on', 'write'))
+        .toEqual('all');
+      expect(cassie.consistencyFor('device-1', 'level', 'read'))
+        .toEqual('one');
+      expect(cassie.consistencyFor('device-2', 'on', 'write'))
+        .toEqual('quorum');
+    });
+
+    it('uses the configured levels for reads and writes', async () => {
+      await cassie.write('device-1', 'on', true);
+      expect(executed[0].options.consistency).toEqual(consistencies.all);
+      expect(executed[0].options.serialConsistency)
+        .toEqual(consistencies.localSerial);
+
+      await cassie.read('device-1', 'on');
+      expect(executed[1].options.consistency)
+        .toEqual(consistencies.localQuorum);
+    });
+
+    it('records the levels used', async () => {
+      instrumentation.configure({enabled: true});
+      instrumentation.clear();
+      await cassie.write('device-1', 'on', true);
+      await cassie.write('device-2', 'on', true);
+      await cassie.read('device-2', 'on');
+
+      expect(cassie.consistencyCounts).toEqual({
+        all: {reads: 0, writes: 1},
+        quorum: {reads: 0, writes: 1},
+        one: {reads: 1, writes: 0},
+      });
+      const writes = instrumentation.get('writes');
+      expect(writes[writes.length - 1].consistency).toEqual('quorum');
+      instrumentation.configure({enabled: false});
+    });
+  });
+
+  describe('compare-and-set', () => {
+    beforeEach(() => {
+      cassie.settings.compareAndSet = true;
+    });
+
+    it('only applies writes on top of the last known version', async () => {
+      await cassie.initDevice('device-1', {
+        on: {type: 'boolean', value: false},
+      });
+      const initial = batches[0].queries[0].params[2];
+
+      rows = [{'[applied]': true}];
+      await cassie.write('device-1', 'on', true);
+      expect(executed[0].query).toMatch(/ IF version = \?$/);
+      expect(executed[0].params[5]).toBe(initial);
+
+      await cassie.write('device-1', 'on', false);
+      expect(executed[1].params[5]).toBe(executed[0].params[2]);
+    });
+
+    it('rejects stale writes with the current value', async () => {
+      const version = {id: 'other-gateway'};
+      rows = [{
+        '[applied]': false,
+        value_type: 'boolean',
+        boolean_value: false,
+        version,
+      }];
+
+      const write = cassie.write('device-1', 'on', true);
+      await expect(write).rejects.toMatchObject({
+        name: 'ConflictError',
+        deviceId: 'device-1',
+        propertyName: 'on',
+        currentValue: false,
+      });
+
+      // The next attempt is based on the value which won
+      rows = [{'[applied]': true}];
+      await cassie.write('device-1', 'on', true);
+      expect(executed[1].params[5]).toBe(version);
+    });
+
+    it('writes unconditionally when disabled', async () => {
+      cassie.settings.compareAndSet = false;
+      await cassie.write('device-1', 'on', true);
+      expect(executed[0].query).not.toMatch(/ IF /);
+      expect(executed[0].params).toHaveLength(5);
+    });
+  });
+
+  describe('failures', () => {
+    function unreachable() {
+      return new cassandra.errors.NoHostAvailableError({
+        '10.0.0.1:9042': new Error('Connection refused'),
+      });
+    }
+
+    it('retries requests while the cluster is unavailable', async () => {
+      failures = [unreachable(), unreachable()];
+      await cassie.write('device-1', 'on', true);
+      expect(executed).toHaveLength(3);
+      expect(outbox).toHaveLength(0);
+    });
+
+    it('does not retry errors which would happen again', async () => {
+      failures = [new cassandra.errors.ResponseError(0x2000, 'Bad query')];
+      await expect(cassie.write('device-1', 'on', true))
+        .rejects.toThrow('Bad query');
+      expect(executed).toHaveLength(1);
+    });
+
+    it('sends compare-and-set writes only once', async () => {
+      cassie.settings.compareAndSet = true;
+      failures = [new cassandra.errors.OperationTimedOutError('Timed out')];
+      await expect(cassie.write('device-1', 'on', true))
+        .rejects.toThrow('Timed out');
+      expect(executed).toHaveLength(1);
+    });
+
+    it('fails reads when the cluster is unreachable', async () => {
+      failures = [unreachable(), unreachable(), unreachable()];
+      await expect(cassie.read('device-1', 'on'))
+        .rejects.toBeInstanceOf(UnavailableError);
+    });
+
+    it('keeps track of the health of each host', async () => {
+      failures = [unreachable()];
+      await cassie.read('device-1', 'on');
+
+      const [host] = cassie.getHealth().hosts;
+      expect(host.address).toEqual('10.0.0.1:9042');
+      expect(host.failures).toEqual(1);
+      expect(host.consecutiveFailures).toEqual(0);
+      expect(host.lastError.message).toEqual('Connection refused');
+    });
+
+    it('buffers writes and replays them in order', async () => {
+      failures = [unreachable(), unreachable(), unreachable()];
+      await cassie.write('device-1', 'level', 1);
+      await cassie.write('device-1', 'level', 2);
+      expect(executed).toHaveLength(3);
+      expect(outbox.map((write) => write.value)).toEqual([1, 2]);
+      expect(cassie.getHealth().outbox).toEqual(2);
+      expect(cassie.getHealth().reconnecting).toBe(true);
+
+      await cassie.flushOutbox();
+      expect(outbox).toHaveLength(0);
+      expect(cassie.outboxSize).toEqual(0);
+      expect(executed.slice(3).map((e) => e.params[1])).toEqual([1, 2]);
+    });
+
+    it('fails writes when the outbox is disabled', async () => {
+      cassie.settings.outbox.enabled = false;
+      failures = [unreachable(), unreachable(), unreachable()];
+      await expect(cassie.write('device-1', 'on', true))
+        .rejects.toBeInstanceOf(UnavailableError);
+      expect(outbox).toHaveLength(0);
+    });
+
+    it('fails writes when the outbox is full', async () => {
+      cassie.outboxSize = 10;
+      await expect(cassie.write('device-1', 'on', true))
+        .rejects.toThrow('outbox is full');
+    });
+  });
+
+  describe('delayed executions', () => {
+    beforeEach(() => {
+      warnings = ['DELAY', '1234'];
+    });
+
+    it('waits until the execution has finished', async () => {
+      let done = false;
+      const write = cassie.write('device-1', 'on', true).then(() => {
+        done = true;
+      });
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(done).toBe(false);
+
+      cassie.onFinishedProcessing('finished 1234');
+      await write;
+      expect(cassie.pending).toEqual({});
+    });
+
+    it('does not wait when the execution finished first', async () => {
+      cassie.onFinishedProcessing('finished 1234');
+      await cassie.write('device-1', 'on', true);
+      expect(cassie.finished.size).toEqual(0);
+    });
+
+    it('fails writes which are never confirmed', async () => {
+      await expect(cassie.write('device-1', 'on', true)).rejects.toMatchObject({
+        name: 'TimeoutError',
+        timeout: 20,
+      });
+      expect(cassie.pending).toEqual({});
+      expect(cassie.delayTimeouts).toEqual(1);
+    });
+
+    it('does not drop buffered writes which are never confirmed', async () => {
+      outbox = [{id: 1, thingId: 'device-1', name: 'on', value: true}];
+      cassie.outboxSize = 1;
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      await cassie.flushOutbox();
+      expect(outbox).toHaveLength(0);
+      expect(cassie.delayTimeouts).toEqual(1);
+      expect(console.error).not.toHaveBeenCalled();
+      expect(console.warn).toHaveBeenCalledWith(
+        'Cassie: Buffered write of', 'on', 'for', 'device-1',
+        'was not confirmed');
+    });
+
+    it('forgets finished executions nobody waited for', () => {
+      cassie.finished.set('1', Date.now() - 2000);
+      cassie.finished.set('2', Date.now());
+      cassie.onFinishedProcessing('finished 3');
+      expect(Array.from(cassie.finished.keys())).toEqual(['2', '3']);
+    });
+  });
+
+  describe('read cache', () => {
+    beforeEach(() => {
+      cassie.settings.cache.enabled = true;
+      rows = [{value_type: 'boolean', boolean_value: true}];
+    });
+
+    it('serves repeated reads from the cache', async () => {
+      expect(await cassie.read('device-1', 'on')).toBe(true);
+      expect(await cassie.read('device-1', 'on')).toBe(true);
+      expect(executed).toHaveLength(1);
+
+      expect(await cassie.read('device-1', 'on', {bypassCache: true}))
+        .toBe(true);
+      expect(executed).toHaveLength(2);
+    });
+
+    it('keeps the values this gateway writes', async () => {
+      await cassie.read('device-1', 'on');
+      await cassie.write('device-1', 'on', false);
+      expect(await cassie.read('device-1', 'on')).toBe(false);
+      expect(executed).toHaveLength(2);
+    });
+
+    it('reads values changed by other gateways again', async () => {
+      cassie.settings.changeFeed.enabled = true;
+      cassie.changeListener = () => {};
+      cassie.changeWatermark = Date.now();
+      await cassie.read('device-1', 'on');
+
+      const execute = client.execute;
+      client.execute = (query, params, options) => {
+        rows = query.includes('FROM property_changes') ?
+          [{
+            id: cassandra.types.TimeUuid.fromDate(new Date()),
+            device_id: 'device-1',
+            property: 'on',
+            origin: cassandra.types.Uuid.random(),
+          }] :
+          [{value_type: 'boolean', boolean_value: false}];
+        return execute(query, params, options);
+      };
+      await cassie.pollChanges();
+      expect(await cassie.read('device-1', 'on')).toBe(false);
+      expect(executed.filter((e) => e.query.includes('FROM device_state')))
+        .toHaveLength(2);
+    });
+
+    it('reads from the cluster once values are too old', async () => {
+      cassie.settings.cache.maxAge = 0;
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      await cassie.read('device-1', 'on');
+      Date.now.mockReturnValue(now + 1);
+      await cassie.read('device-1', 'on');
+      expect(executed).toHaveLength(2);
+    });
+  });
+
+  describe('change feed', () => {
+    let changes;
+
+    beforeEach(() => {
+      cassie.settings.changeFeed.enabled = true;
+      changes = [];
+      cassie.changeListener = (deviceId, propertyName, value) => {
+        changes.push({deviceId, propertyName, value});
+      };
+      cassie.changeWatermark = Date.now();
+    });
+
+    function change(deviceId, property, origin) {
+      return {
+        id: cassandra.types.TimeUuid.fromDate(new Date()),
+        device_id: deviceId,
+        property,
+        origin,
+      };
+    }
+
+    it('logs each write', async () => {
+      await cassie.write('device-1', 'on', true);
+      expect(executed).toHaveLength(2);
+      expect(executed[1].query).toContain('INSERT INTO property_changes');
+      expect(executed[1].params.slice(2, 6)).toEqual([
+        'device-1', 'on', cassie.origin, executed[0].params[2],
+      ]);
+      expect(executed[1].params[6]).toEqual(3600);
+    });
+
+    it('keeps the write when logging it fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const execute = client.execute;
+      client.execute = (query, params, options) => {
+        if (query.startsWith('INSERT INTO property_changes')) {
+          return Promise.reject(new Error('no such table'));
+        }
+        return execute(query, params, options);
+      };
+
+      await expect(cassie.write('device-1', 'on', true)).resolves
+        .toBeUndefined();
+    });
+
+    it('passes on changes made by other gateways', async () => {
+      const other = cassandra.types.Uuid.random();
+      rows = [
+        change('device-1', 'on', other),
+        change('device-1', 'on', other),
+        change('device-2', 'level', cassie.origin),
+      ];
+      const read = jest.spyOn(cassie, 'read').mockResolvedValue(true);
+
+      await cassie.pollChanges();
+      expect(executed[0].query).toEqual(
+        'SELECT id, device_id, property, origin FROM property_changes ' +
+        'WHERE bucket = ? AND id > minTimeuuid(?)'
+      );
+      expect(read).toHaveBeenCalledTimes(1);
+      expect(changes).toEqual([
+        {deviceId: 'device-1', propertyName: 'on', value: true},
+      ]);
+    });
+
+    it('passes on each change once', async () => {
+      rows = [change('device-1', 'on', cassandra.types.Uuid.random())];
+      jest.spyOn(cassie, 'read').mockResolvedValue(false);
+
+      await cassie.pollChanges();
+      await cassie.pollChanges();
+      expect(changes).toHaveLength(1);
+    });
+
+    it('reads the previous bucket too when needed', async () => {
+      cassie.changeWatermark = cassie.changeBucket(Date.now()) + 1000;
+      await cassie.pollChanges();
+      expect(executed).toHaveLength(2);
+      expect(executed[1].params[0] - executed[0].params[0])
+        .toEqual(60 * 60 * 1000);
+    });
+  });
+
+  describe('registry', () => {
+    const GATEWAY_ID = '6b9ee8e4-8ec5-4a0c-b45b-3b4a8e0a6d0b';
+    const OTHER_ID = 'c2b3e36e-2a57-4f0b-a5e9-0a1d3c1ad9a1';
+
+    beforeEach(() => {
+      cassie.settings.registry.enabled = true;
+      cassie.gatewayId = GATEWAY_ID;
+      cassie.origin = cassandra.types.Uuid.fromString(GATEWAY_ID);
+    });
+
+    it('claims devices before storing their initial state', async () => {
+      rows = [{'[applied]': true}];
+      await cassie.initDevice('device-1', {on: {type: 'boolean', value: false}},
+                              'virtual-things');
+
+      expect(executed[0].query).toEqual(
+        'INSERT INTO device_owners (device_id, gateway_id, adapter_id, ' +
+        'claimed_at) VALUES (?, ?, ?, ?) IF NOT EXISTS USING TTL ?'
+      );
+      expect(executed[0].params[2]).toEqual('virtual-things');
+      expect(executed[0].options.prepare).toBe(true);
+      expect(batches).toHaveLength(1);
+      expect(cassie.ownedDevices.get('device-1')).toEqual('virtual-things');
+    });
+
+    it('keeps the state of devices hosted by another gateway', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      rows = [{
+        '[applied]': false,
+        gateway_id: cassandra.types.Uuid.fromString(OTHER_ID),
+      }];
+      await cassie.initDevice('device-1', {on: {type: 'boolean', value: false}},
+                              'virtual-things');
+
+      expect(batches).toHaveLength(0);
+      expect(cassie.ownedDevices.has('device-1')).toBe(false);
+    });
+
+    it('renews leases with each heartbeat', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      cassie.ownedDevices.set('device-1', 'virtual-things');
+      cassie.ownedDevices.set('device-2', 'zigbee');
+      const execute = client.execute;
+      client.execute = (query, params, options) => {
+        rows = params.includes('device-2') ?
+          [{'[applied]': false, gateway_id: OTHER_ID}] :
+          [{'[applied]': true}];
+        return execute(query, params, options);
+      };
+
+      await cassie.heartbeat();
+      expect(executed[0].query).toContain('UPDATE gateways USING TTL ?');
+      expect(executed[0].params.slice(0, 4)).toEqual([
+        30, 'gateway-a', 'https://a.local:4443', ['virtual-things', 'zigbee'],
+      ]);
+      expect(executed.slice(1).map((e) => e.params[3]))
+        .toEqual(['device-1', 'device-2']);
+      // device-2's lease expired and was taken over
+      expect(Array.from(cassie.ownedDevices.keys())).toEqual(['device-1']);
+    });
+
+    it('releases the lease of removed devices', async () => {
+      cassie.ownedDevices.set('device-1', 'virtual-things');
+      await cassie.removeDevice('device-1');
+      expect(executed[0].query).toEqual(
+        'DELETE FROM device_owners WHERE device_id = ? IF gateway_id = ?'
+      );
+      expect(cassie.ownedDevices.has('device-1')).toBe(false);
+    });
+
+    it('lists the devices hosted by each gateway', async () => {
+      const execute = client.execute;
+      client.execute = (query, params, options) => {
+        rows = query.includes('FROM gateways') ?
+          [{
+            gateway_id: GATEWAY_ID,
+            name: 'gateway-a',
+            address: 'https://a.local:4443',
+            adapters: ['virtual-things'],
+          }] :
+          [
+            {
+              device_id: 'device-1',
+              gateway_id: GATEWAY_ID,
+              adapter_id: 'virtual-things',
+            },
+            // hosted by a gateway which stopped
+            {device_id: 'device-2', gateway_id: OTHER_ID, adapter_id: 'x'},
+          ];
+        return execute(query, params, options);
+      };
+
+      const {id, gateways} = await cassie.getGateways();
+      expect(id).toEqual(GATEWAY_ID);
+      expect(gateways).toHaveLength(1);
+      expect(gateways[0]).toMatchObject({
+        id: GATEWAY_ID,
+        name: 'gateway-a',
+        devices: [{id: 'device-1', adapterId: 'virtual-things'}],
+      });
+    });
+
+    it('finds the gateway hosting a device', async () => {
+      const execute = client.execute;
+      client.execute = (query, params, options) => {
+        rows = query.includes('FROM gateways') ?
+          [{
+            gateway_id: OTHER_ID,
+            name: 'gateway-b',
+            address: 'https://b.local:4443',
+          }] :
+          [{gateway_id: OTHER_ID}];
+        return execute(query, params, options);
+      };
+
+      expect(await cassie.getDeviceOwner('device-1')).toEqual({
+        id: OTHER_ID,
+        name: 'gateway-b',
+        address: 'https://b.local:4443',
+      });
+      expect(executed[0].params).toEqual(['device-1']);
+      expect(executed[1].params).toEqual([OTHER_ID]);
+    });
+
+    it('finds a gateway by id', async () => {
+      rows = [{
+        gateway_id: OTHER_ID,
+        name: 'gateway-b',
+        address: 'https://b.local:4443',
+      }];
+      expect(await cassie.getGateway(OTHER_ID)).toEqual({
+        id: OTHER_ID,
+        name: 'gateway-b',
+        address: 'https://b.local:4443',
+      });
+      expect(executed[0].params).toEqual([OTHER_ID]);
+    });
+
+    it('finds no gateway for unclaimed devices', async () => {
+      rows = [];
+      expect(await cassie.getDeviceOwner('device-2')).toBeNull();
+      expect(executed).toHaveLength(1);
+    });
+  });
+});
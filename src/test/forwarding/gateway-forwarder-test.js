@@ -0,0 +1,191 @@
+const cassie = require('../../cassie');
+const Constants = require('../../constants');
+const EventEmitter = require('events');
+const ForwardingError = require('../../forwarding/forwarding-error');
+const GatewayIdentity = require('../../models/gateway-identity');
+const gatewayForwarder = require('../../forwarding/gateway-forwarder');
+const http = require('http');
+
+const {HEADERS} = gatewayForwarder.constructor;
+
+describe('gateway forwarder', () => {
+  let server, address, received, answer;
+
+  beforeAll(async () => {
+    server = http.createServer((request, response) => {
+      let body = '';
+      request.on('data', (chunk) => {
+        body += chunk;
+      });
+      request.on('end', () => {
+        received = {url: request.url, headers: request.headers, body};
+        answer(response);
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    address = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(() => {
+    Object.assign(gatewayForwarder.settings, {
+      enabled: true,
+      secret: 'shared secret',
+      timeout: 1000,
+    });
+    received = null;
+    answer = (response) => {
+      response.setHeader('Content-Type', 'application/json');
+      response.end(JSON.stringify({result: 42}));
+    };
+    jest.spyOn(GatewayIdentity, 'getId').mockResolvedValue('gateway-a');
+    jest.spyOn(cassie, 'getDeviceOwner').mockImplementation(async () => {
+      return {id: 'gateway-b', name: 'b', address};
+    });
+    jest.spyOn(cassie, 'getGateway').mockImplementation(async (id) => {
+      return {id, name: id, address};
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    Object.assign(gatewayForwarder.settings, {enabled: false, secret: ''});
+  });
+
+  it('needs a secret to be enabled', () => {
+    gatewayForwarder.settings.secret = '';
+    expect(gatewayForwarder.enabled).toBe(false);
+    expect(gatewayForwarder.verify({}, '{}')).toBe(false);
+  });
+
+  it('signs the requests it forwards', async () => {
+    const result = await gatewayForwarder.setProperty('thing-1', 'on', true);
+    expect(result).toEqual(42);
+    expect(received.url).toEqual('/gateways/forward');
+    expect(JSON.parse(received.body)).toEqual({
+      type: 'setProperty',
+      thingId: 'thing-1',
+      propertyName: 'on',
+      value: true,
+    });
+    expect(received.headers[HEADERS.id.toLowerCase()]).toEqual('gateway-a');
+    expect(gatewayForwarder.verify(received.headers, received.body))
+      .toBe(true);
+  });
+
+  it('rejects tampered, stale or foreign requests', async () => {
+    await gatewayForwarder.setProperty('thing-1', 'on', true);
+    const {headers, body} = received;
+    expect(gatewayForwarder.verify(headers, body.replace('true', 'false')))
+      .toBe(false);
+
+    const stale = Object.assign({}, headers, {
+      [HEADERS.timestamp.toLowerCase()]: `${Date.now() - 60000}`,
+    });
+    expect(gatewayForwarder.verify(stale, body)).toBe(false);
+
+    gatewayForwarder.settings.secret = 'another secret';
+    expect(gatewayForwarder.verify(headers, body)).toBe(false);
+  });
+
+  it('rejects replayed requests', async () => {
+    await gatewayForwarder.setProperty('thing-1', 'on', true);
+    const {headers, body} = received;
+    expect(headers[HEADERS.nonce.toLowerCase()]).toBeTruthy();
+    expect(gatewayForwarder.verify(headers, body)).toBe(true);
+    expect(gatewayForwarder.verify(headers, body)).toBe(false);
+
+    const withoutNonce = Object.assign({}, headers);
+    delete withoutNonce[HEADERS.nonce.toLowerCase()];
+    expect(gatewayForwarder.verify(withoutNonce, body)).toBe(false);
+  });
+
+  it('sends the status of forwarded actions back', async () => {
+    const action = new EventEmitter();
+    Object.assign(action, {
+      thingId: 'thing-1',
+      status: 'created',
+      timeRequested: '2026-10-19T10:00:00+00:00',
+      timeCompleted: null,
+      error: '',
+    });
+    gatewayForwarder.relayActionStatus(action, 'gateway-c', '7');
+
+    Object.assign(action, {
+      status: 'completed',
+      timeCompleted: '2026-10-19T10:00:05+00:00',
+    });
+    action.emit(Constants.ACTION_STATUS, action);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    expect(cassie.getGateway).toHaveBeenCalledWith('gateway-c');
+    expect(JSON.parse(received.body)).toEqual({
+      type: 'actionStatus',
+      thingId: 'thing-1',
+      actionId: '7',
+      status: 'completed',
+      timeRequested: '2026-10-19T10:00:00+00:00',
+      timeCompleted: '2026-10-19T10:00:05+00:00',
+      error: '',
+    });
+    // Nothing changes once the action is done
+    expect(action.listenerCount(Constants.ACTION_STATUS)).toEqual(0);
+  });
+
+  it('remembers which gateway runs a forwarded action', async () => {
+    await gatewayForwarder.requestAction('thing-1', '8', 'fade', {});
+    expect(gatewayForwarder.acceptActionStatus('gateway-c', '8', 'pending'))
+      .toBe(false);
+    expect(gatewayForwarder.acceptActionStatus('gateway-b', '8', 'done'))
+      .toBe(false);
+    expect(gatewayForwarder.acceptActionStatus('gateway-b', '8', 'pending'))
+      .toBe(true);
+    expect(gatewayForwarder.acceptActionStatus('gateway-b', '8', 'completed'))
+      .toBe(true);
+    // Nothing changes once the action is done
+    expect(gatewayForwarder.acceptActionStatus('gateway-b', '8', 'error'))
+      .toBe(false);
+  });
+
+  it('passes on the status the other gateway answered with', async () => {
+    answer = (response) => {
+      response.statusCode = 409;
+      response.end('Conflicting write');
+    };
+    const err = await gatewayForwarder.setProperty('thing-1', 'on', true)
+      .catch((e) => e);
+    expect(err).toBeInstanceOf(ForwardingError);
+    expect(err.status).toEqual(409);
+    expect(err.message).toEqual('Conflicting write');
+  });
+
+  it('does not pass on the other gateway rejecting this one', async () => {
+    for (const status of [401, 403, 500]) {
+      answer = (response) => {
+        response.statusCode = status;
+        response.end('Invalid gateway signature');
+      };
+      const err = await gatewayForwarder.setProperty('thing-1', 'on', true)
+        .catch((e) => e);
+      expect(err.status).toEqual(502);
+      expect(err.message).toContain('Gateway b failed');
+    }
+  });
+
+  it('fails when no other gateway hosts the thing', async () => {
+    cassie.getDeviceOwner.mockResolvedValue(null);
+    const err = await gatewayForwarder.requestAction('thing-1', '1', 'fade', {})
+      .catch((e) => e);
+    expect(err.status).toEqual(404);
+    expect(received).toBeNull();
+  });
+
+  it('times out when the other gateway does not answer', async () => {
+    gatewayForwarder.settings.timeout = 50;
+    answer = (response) => setTimeout(() => response.end('{}'), 500);
+    const err = await gatewayForwarder.setProperty('thing-1', 'on', true)
+      .catch((e) => e);
+    expect(err.status).toEqual(504);
+  });
+});
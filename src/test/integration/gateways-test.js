@@ -0,0 +1,197 @@
+'use strict';
+
+const {server, chai, mockAdapter} = require('../common');
+const {
+  TEST_USER,
+  createUser,
+  headerAuth,
+} = require('../user');
+const Action = require('../../models/action');
+const Actions = require('../../models/actions');
+const Constants = require('../../constants');
+const Things = require('../../models/things');
+const gatewayForwarder = require('../../forwarding/gateway-forwarder');
+
+const {HEADERS} = gatewayForwarder.constructor;
+
+const TEST_THING = {
+  id: 'forwarded-1',
+  title: 'forwarded-1',
+  '@context': 'https://iot.mozilla.org/schemas',
+  '@type': ['OnOffSwitch'],
+  properties: {
+    on: {
+      '@type': 'OnOffProperty',
+      type: 'boolean',
+      value: false,
+    },
+  },
+};
+
+describe('gateways/', () => {
+  let jwt;
+  beforeEach(async () => {
+    jwt = await createUser(server, TEST_USER);
+    Object.assign(gatewayForwarder.settings, {
+      enabled: true,
+      secret: 'shared secret',
+    });
+  });
+
+  afterEach(() => {
+    Object.assign(gatewayForwarder.settings, {enabled: false, secret: ''});
+  });
+
+  function sign(payload, gatewayId = 'gateway-b') {
+    const body = JSON.stringify(payload);
+    const timestamp = `${Date.now()}`;
+    const nonce = `${Math.random()}`;
+    return {
+      body,
+      headers: {
+        [HEADERS.id]: gatewayId,
+        [HEADERS.timestamp]: timestamp,
+        [HEADERS.nonce]: nonce,
+        [HEADERS.signature]:
+          gatewayForwarder.sign(timestamp, nonce, gatewayId, body),
+      },
+    };
+  }
+
+  function post({body, headers}) {
+    const req = chai.request(server)
+      .post(`${Constants.GATEWAYS_PATH}/forward`)
+      .set('Accept', 'application/json')
+      .set('Content-Type', 'application/json');
+    for (const name in headers) {
+      req.set(name, headers[name]);
+    }
+    return req.send(body);
+  }
+
+  function forward(payload, secret = 'shared secret') {
+    const signed = sign(payload);
+    gatewayForwarder.settings.secret = secret;
+    return post(signed);
+  }
+
+  async function addDevice() {
+    await chai.request(server)
+      .post(Constants.THINGS_PATH)
+      .set('Accept', 'application/json')
+      .set(...headerAuth(jwt))
+      .send(TEST_THING);
+    await mockAdapter().addDevice(TEST_THING.id, TEST_THING);
+  }
+
+  it('rejects requests with an invalid signature', async () => {
+    await addDevice();
+    const res = await forward({
+      type: 'setProperty',
+      thingId: TEST_THING.id,
+      propertyName: 'on',
+      value: true,
+    }, 'another secret');
+    expect(res.status).toEqual(401);
+  });
+
+  it('rejects replayed requests', async () => {
+    await addDevice();
+    const signed = sign({
+      type: 'setProperty',
+      thingId: TEST_THING.id,
+      propertyName: 'on',
+      value: true,
+    });
+    expect((await post(signed)).status).toEqual(200);
+    expect((await post(signed)).status).toEqual(401);
+  });
+
+  it('updates the status of actions forwarded by this gateway', async () => {
+    await addDevice();
+    const thing = await Things.getThing(TEST_THING.id);
+    const action = new Action('fade', {}, thing);
+    Actions.actions[action.id] = action;
+    gatewayForwarder.forwardedActions.set(action.id, 'gateway-b');
+
+    const res = await forward({
+      type: 'actionStatus',
+      thingId: TEST_THING.id,
+      actionId: action.id,
+      status: 'completed',
+      timeRequested: action.timeRequested,
+      timeCompleted: '2026-10-19T10:00:05+00:00',
+      error: '',
+    });
+    expect(res.status).toEqual(204);
+    expect(action.status).toEqual('completed');
+    expect(action.timeCompleted).toEqual('2026-10-19T10:00:05+00:00');
+    delete Actions.actions[action.id];
+
+    const err = await forward({
+      type: 'actionStatus',
+      thingId: TEST_THING.id,
+      actionId: 'unknown',
+      status: 'completed',
+    });
+    expect(err.status).toEqual(404);
+  });
+
+  it('only takes action statuses from the gateway running it', async () => {
+    await addDevice();
+    const thing = await Things.getThing(TEST_THING.id);
+    const action = new Action('fade', {}, thing);
+    Actions.actions[action.id] = action;
+    gatewayForwarder.forwardedActions.set(action.id, 'gateway-b');
+
+    const status = {
+      type: 'actionStatus',
+      thingId: TEST_THING.id,
+      actionId: action.id,
+      status: 'completed',
+    };
+    const foreign = await post(sign(status, 'gateway-c'));
+    expect(foreign.status).toEqual(403);
+
+    const invalid = await forward(Object.assign({}, status, {
+      status: 'done',
+    }));
+    expect(invalid.status).toEqual(403);
+    expect(action.status).toEqual('created');
+    delete Actions.actions[action.id];
+    gatewayForwarder.forwardedActions.delete(action.id);
+  });
+
+  it('sets properties of local things', async () => {
+    await addDevice();
+    const res = await forward({
+      type: 'setProperty',
+      thingId: TEST_THING.id,
+      propertyName: 'on',
+      value: true,
+    });
+    expect(res.status).toEqual(200);
+    expect(res.body).toEqual({result: true});
+  });
+
+  it('passes on validation errors', async () => {
+    await addDevice();
+    const res = await forward({
+      type: 'setProperty',
+      thingId: TEST_THING.id,
+      propertyName: 'on',
+      value: 'yes',
+    });
+    expect(res.status).toEqual(400);
+  });
+
+  it('does not forward requests for things hosted elsewhere', async () => {
+    const res = await forward({
+      type: 'setProperty',
+      thingId: 'not-here',
+      propertyName: 'on',
+      value: true,
+    });
+    expect(res.status).toEqual(404);
+  });
+});
@@ -0,0 +1,106 @@
+'use strict';
+
+const {server, chai} = require('../common');
+const {
+  TEST_USER,
+  createUser,
+  headerAuth,
+} = require('../user');
+const Constants = require('../../constants');
+
+describe('metrics/', () => {
+  let jwt;
+  beforeEach(async () => {
+    jwt = await createUser(server, TEST_USER);
+  });
+
+  it('Fail to get consistency metrics without a token', async () => {
+    const err = await chai.request(server)
+      .get(`${Constants.METRICS_PATH}/consistency`)
+      .set('Accept', 'application/json');
+
+    expect(err.status).toEqual(401);
+  });
+
+  it('Get and reset consistency metrics', async () => {
+    const res = await chai.request(server)
+      .post(`${Constants.METRICS_PATH}/consistency/reset`)
+      .set('Accept', 'application/json')
+      .set(...headerAuth(jwt));
+    expect(res.status).toEqual(204);
+
+    const res2 = await chai.request(server)
+      .get(`${Constants.METRICS_PATH}/consistency`)
+      .set('Accept', 'application/json')
+      .set(...headerAuth(jwt));
+    expect(res2.status).toEqual(200);
+    expect(res2.body.requests.count).toEqual(0);
+    expect(res2.body.writes).toHaveProperty('averageLatency');
+    expect(res2.body.detection).toHaveProperty('local');
+    expect(Array.isArray(res2.body.timelines.requests)).toBeTruthy();
+  });
+
+  it('Get metrics in the Prometheus text format', async () => {
+    const res = await chai.request(server)
+      .get(Constants.METRICS_PATH)
+      .set('Accept', 'text/plain')
+      .set(...headerAuth(jwt));
+
+    expect(res.status).toEqual(200);
+    expect(res.header['content-type']).toContain('version=0.0.4');
+    expect(res.text).toContain(
+      '# TYPE gateway_cassandra_write_duration_seconds histogram');
+    expect(res.text).toContain('gateway_websocket_subscribers');
+    expect(res.text).toContain('gateway_plugin_state');
+  });
+
+  it('Run a benchmark', async () => {
+    const res = await chai.request(server)
+      .post(`${Constants.METRICS_PATH}/benchmark`)
+      .set('Accept', 'application/json')
+      .set(...headerAuth(jwt))
+      .send({
+        properties: ['on', 'level'],
+        values: [3, 1, 2],
+        rate: 0,
+        concurrency: 2,
+      });
+    expect(res.status).toEqual(201);
+    expect(res.body.requests.total).toEqual(6);
+
+    const res2 = await chai.request(server)
+      .post(`${Constants.METRICS_PATH}/benchmark`)
+      .set('Accept', 'application/json')
+      .set(...headerAuth(jwt))
+      .send({});
+    expect(res2.status).toEqual(409);
+
+    let report;
+    do {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      const res3 = await chai.request(server)
+        .get(`${Constants.METRICS_PATH}/benchmark`)
+        .set('Accept', 'application/json')
+        .set(...headerAuth(jwt));
+      expect(res3.status).toEqual(200);
+      report = res3.body;
+    } while (report.state === 'running');
+
+    expect(report.state).toEqual('finished');
+    expect(report.requests.failed).toEqual(0);
+    for (const name of ['on', 'level']) {
+      expect(report.properties[name].requests.count).toEqual(3);
+      expect(report.properties[name].requests.lost).toEqual(0);
+    }
+    expect(report.timelines.requests.length).toEqual(6);
+  });
+
+  it('Fail to start a benchmark with invalid options', async () => {
+    const res = await chai.request(server)
+      .post(`${Constants.METRICS_PATH}/benchmark`)
+      .set('Accept', 'application/json')
+      .set(...headerAuth(jwt))
+      .send({values: [1, 'on']});
+    expect(res.status).toEqual(400);
+  });
+});
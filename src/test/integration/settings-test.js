@@ -132,4 +132,157 @@ describe('settings/', () => {
 
     expect(err.status).toEqual(400);
   });
+
+  it('Set the location', async () => {
+    const res = await chai.request(server)
+      .put(`${Constants.SETTINGS_PATH}/localization/location`)
+      .set('Accept', 'application/json')
+      .set(...headerAuth(jwt))
+      .send({latitude: 51.5, longitude: -0.13});
+    expect(res.status).toEqual(200);
+
+    const res2 = await chai.request(server)
+      .get(`${Constants.SETTINGS_PATH}/localization/location`)
+      .set('Accept', 'application/json')
+      .set(...headerAuth(jwt));
+    expect(res2.status).toEqual(200);
+    expect(res2.body).toEqual({latitude: 51.5, longitude: -0.13});
+  });
+
+  it('Fail to set an invalid location', async () => {
+    const err = await chai.request(server)
+      .put(`${Constants.SETTINGS_PATH}/localization/location`)
+      .set('Accept', 'application/json')
+      .set(...headerAuth(jwt))
+      .send({latitude: 91, longitude: 0});
+    expect(err.status).toEqual(400);
+  });
+
+  it('Set the rule history retention', async () => {
+    const res = await chai.request(server)
+      .put(`${Constants.SETTINGS_PATH}/rules/history`)
+      .set('Accept', 'application/json')
+      .set(...headerAuth(jwt))
+      .send({maxEntries: 10});
+    expect(res.status).toEqual(200);
+    expect(res.body.maxEntries).toEqual(10);
+    expect(res.body.enabled).toBe(true);
+
+    const res2 = await chai.request(server)
+      .get(`${Constants.SETTINGS_PATH}/rules/history`)
+      .set('Accept', 'application/json')
+      .set(...headerAuth(jwt));
+    expect(res2.status).toEqual(200);
+    expect(res2.body.maxEntries).toEqual(10);
+  });
+
+  it('Fail to set an invalid rule history retention', async () => {
+    const err = await chai.request(server)
+      .put(`${Constants.SETTINGS_PATH}/rules/history`)
+      .set('Accept', 'application/json')
+      .set(...headerAuth(jwt))
+      .send({maxAge: -1});
+    expect(err.status).toEqual(400);
+  });
+
+  it('Get Cassandra settings without the password', async () => {
+    const res = await chai.request(server)
+      .get(`${Constants.SETTINGS_PATH}/cassandra`)
+      .set('Accept', 'application/json')
+      .set(...headerAuth(jwt));
+
+    expect(res.status).toEqual(200);
+    expect(Array.isArray(res.body.contactPoints)).toBeTruthy();
+    expect(res.body).toHaveProperty('keyspace');
+    expect(res.body).toHaveProperty('localDataCenter');
+    expect(res.body.credentials).not.toHaveProperty('password');
+  });
+
+  it('Fail to set invalid Cassandra settings', async () => {
+    const err = await chai.request(server)
+      .put(`${Constants.SETTINGS_PATH}/cassandra`)
+      .set('Accept', 'application/json')
+      .set(...headerAuth(jwt))
+      .send({contactPoints: [], port: 'nope'});
+
+    expect(err.status).toEqual(400);
+  });
+
+  it('Set Cassandra consistency levels', async () => {
+    const res = await chai.request(server)
+      .put(`${Constants.SETTINGS_PATH}/cassandra/consistency`)
+      .set('Accept', 'application/json')
+      .set(...headerAuth(jwt))
+      .send({
+        read: 'ONE',
+        write: 'LOCAL_QUORUM',
+        things: {
+          'test-1': {properties: {on: {write: 'all'}}},
+        },
+      });
+
+    expect(res.status).toEqual(200);
+    expect(res.body.read).toEqual('one');
+    expect(res.body.write).toEqual('localQuorum');
+    expect(res.body.things['test-1'].properties.on.write).toEqual('all');
+
+    const res2 = await chai.request(server)
+      .get(`${Constants.SETTINGS_PATH}/cassandra/consistency`)
+      .set('Accept', 'application/json')
+      .set(...headerAuth(jwt));
+
+    expect(res2.status).toEqual(200);
+    expect(res2.body.write).toEqual('localQuorum');
+  });
+
+  it('Fail to set an unknown consistency level', async () => {
+    const err = await chai.request(server)
+      .put(`${Constants.SETTINGS_PATH}/cassandra/consistency`)
+      .set('Accept', 'application/json')
+      .set(...headerAuth(jwt))
+      .send({write: 'most'});
+
+    expect(err.status).toEqual(400);
+  });
+
+  it('Enable the Cassandra read cache', async () => {
+    const res = await chai.request(server)
+      .get(`${Constants.SETTINGS_PATH}/cassandra/cache`)
+      .set('Accept', 'application/json')
+      .set(...headerAuth(jwt));
+
+    expect(res.status).toEqual(200);
+    expect(res.body.enabled).toBe(false);
+
+    const res2 = await chai.request(server)
+      .put(`${Constants.SETTINGS_PATH}/cassandra/cache`)
+      .set('Accept', 'application/json')
+      .set(...headerAuth(jwt))
+      .send({enabled: true});
+
+    expect(res2.status).toEqual(200);
+    expect(res2.body).toEqual({enabled: true, maxAge: 1000, maxEntries: 10000});
+  });
+
+  it('Fail to set an invalid read cache max age', async () => {
+    const err = await chai.request(server)
+      .put(`${Constants.SETTINGS_PATH}/cassandra/cache`)
+      .set('Accept', 'application/json')
+      .set(...headerAuth(jwt))
+      .send({maxAge: -1});
+
+    expect(err.status).toEqual(400);
+  });
+
+  it('Get the health of the Cassandra connection', async () => {
+    const res = await chai.request(server)
+      .get(`${Constants.SETTINGS_PATH}/cassandra/health`)
+      .set('Accept', 'application/json')
+      .set(...headerAuth(jwt));
+
+    expect(res.status).toEqual(200);
+    expect(res.body).toHaveProperty('connected');
+    expect(Array.isArray(res.body.hosts)).toBeTruthy();
+    expect(res.body.outbox).toEqual(0);
+  });
 });
@@ -18,9 +18,11 @@ const {
 
 const WebSocket = require('ws');
 
+const addonManager = require('../../addon-manager');
 const Constants = require('../../constants');
 const Event = require('../../models/event');
 const Events = require('../../models/events');
+const stateStore = require('../../state-stores');
 
 const TEST_THING = {
   id: 'test-1',
@@ -697,6 +699,24 @@ describe('things/', function() {
     await webSocketClose(ws);
   });
 
+  it('should receive propertyStatus messages for changes made by other ' +
+     'gateways', async () => {
+    await addDevice();
+    const ws = await webSocketOpen(`${Constants.THINGS_PATH}/${TEST_THING.id}`,
+                                   jwt);
+
+    // Another gateway wrote the value, then this one read it from the log
+    await stateStore.write(TEST_THING.id, 'power', true);
+    const [messages] = await Promise.all([
+      webSocketRead(ws, 3),
+      addonManager.onRemotePropertyChanged(TEST_THING.id, 'power', true),
+    ]);
+    expect(messages[2].messageType).toEqual(Constants.PROPERTY_STATUS);
+    expect(messages[2].data.power).toEqual(true);
+
+    await webSocketClose(ws);
+  });
+
   it('should set a property using setProperty over websocket', async () => {
     await addDevice();
     const ws = await webSocketOpen(`${Constants.THINGS_PATH}/${TEST_THING.id}`,
@@ -0,0 +1,143 @@
+const cassie = require('../../cassie');
+const consistencyMetrics = require('../../metrics/consistency-metrics');
+const instrumentation = require('../../metrics/instrumentation');
+
+describe('consistency metrics', () => {
+  beforeEach(() => {
+    instrumentation.configure({enabled: true, sampleRate: 1});
+    consistencyMetrics.reset();
+  });
+
+  afterEach(() => {
+    instrumentation.configure({enabled: false});
+  });
+
+  function request(value, time) {
+    instrumentation.record('requests', {value, time});
+  }
+
+  function notification(value, time) {
+    instrumentation.record('notifications', {value, time});
+  }
+
+  function written(...values) {
+    for (const value of values) {
+      instrumentation.record('dbWrites', {value, time: 0});
+    }
+  }
+
+  it('classifies each request', () => {
+    // 0 is notified correctly, 1 is never written, 2 is written but 3 is
+    // read back, and 4 is written in place of 3
+    written(0, 2, 4, 3);
+    request(0, 0);
+    request(1, 10);
+    request(2, 20);
+    request(3, 30);
+    notification(0, 5);
+    notification(3, 25);
+    notification(2, 40);
+
+    const statuses = consistencyMetrics.matchRequests().map((r) => r.status);
+    expect(statuses).toEqual([
+      'ok',
+      'lost',
+      'wrongValueFromDatabase',
+      'reorderedByGateway',
+    ]);
+
+    const report = consistencyMetrics.report();
+    expect(report.requests).toEqual({
+      count: 4,
+      inOrder: 4,
+      outOfOrder: 0,
+      lost: 1,
+      averageProcessingTime: 7,
+    });
+    expect(report.notifications.wrongValue).toEqual(2);
+    expect(report.reads.wrongValue).toEqual(1);
+  });
+
+  it('reports requests without a notification', () => {
+    written(0);
+    request(0, 0);
+    expect(consistencyMetrics.matchRequests()[0]).toMatchObject({
+      status: 'notNotified',
+      notifiedValue: null,
+      latency: null,
+    });
+  });
+
+  it('classifies runs of arbitrary values', () => {
+    // true is requested twice but only written once, so the second one is
+    // lost
+    const analysis = consistencyMetrics.analyze({
+      requests: [
+        {value: true, time: 0},
+        {value: false, time: 10},
+        {value: true, time: 20},
+      ],
+      notifications: [
+        {value: true, time: 5},
+        {value: true, time: 15},
+      ],
+      dbWrites: [true, false],
+    }, [true, false, true]);
+
+    expect(analysis.results.map((r) => r.status)).toEqual([
+      'ok',
+      'wrongValueFromDatabase',
+      'lost',
+    ]);
+    expect(analysis.requests).toMatchObject({count: 3, inOrder: 3, lost: 1});
+    expect(analysis.reads.wrongValue).toEqual(1);
+  });
+
+  it('counts notifications whose value could not be read', () => {
+    const analysis = consistencyMetrics.analyze({
+      requests: [
+        {value: 1, time: 0},
+        {value: 2, time: 10},
+      ],
+      notifications: [
+        {value: null, error: 'Cassandra unavailable', time: 5},
+        {value: 2, time: 15},
+      ],
+      dbWrites: [1, 2],
+    }, [1, 2]);
+
+    expect(analysis.results.map((r) => r.status)).toEqual([
+      'readFailed',
+      'ok',
+    ]);
+    expect(analysis.reads).toEqual({wrongValue: 0, failed: 1});
+    expect(analysis.notifications.wrongValue).toEqual(0);
+  });
+
+  it('analyzes Cassandra writes', () => {
+    instrumentation.record('writes', {start: 0, finish: 50});
+    instrumentation.record('writes', {start: 10, finish: 20});
+    instrumentation.record('writes', {start: 30, finish: 40});
+    cassie.delayedRequests = 2;
+
+    const {writes} = consistencyMetrics.report();
+    expect(writes).toEqual({
+      count: 3,
+      averageInterval: 15,
+      averageLatency: 23,
+      overlapping: 2,
+      delayed: 2,
+      delayTimeouts: 0,
+    });
+  });
+
+  it('resets Cassie stats too', () => {
+    request(0, 0);
+    cassie.localDetectionErrors = 3;
+    consistencyMetrics.reset();
+
+    const report = consistencyMetrics.report();
+    expect(report.requests.count).toEqual(0);
+    expect(report.detection.local).toEqual(0);
+  });
+});
@@ -0,0 +1,68 @@
+const instrumentation = require('../../metrics/instrumentation');
+const RingBuffer = require('../../metrics/ring-buffer');
+
+describe('instrumentation', () => {
+  afterEach(() => {
+    instrumentation.configure({enabled: false, capacity: 10000, sampleRate: 1});
+    instrumentation.clear();
+  });
+
+  it('keeps only the most recent entries', () => {
+    const buffer = new RingBuffer(3);
+    for (let i = 0; i < 5; i++) {
+      buffer.push(i);
+    }
+    expect(buffer.toArray()).toEqual([2, 3, 4]);
+    expect(buffer.dropped).toEqual(2);
+
+    buffer.clear();
+    buffer.push(5);
+    expect(buffer.toArray()).toEqual([5]);
+  });
+
+  it('records nothing while disabled', () => {
+    instrumentation.record('requests', {value: 1, time: 0});
+    expect(instrumentation.get('requests')).toEqual([]);
+  });
+
+  it('records into bounded timelines', () => {
+    instrumentation.configure({enabled: true, capacity: 2});
+    for (let value = 0; value < 3; value++) {
+      instrumentation.record('requests', {value, time: value});
+    }
+    expect(instrumentation.get('requests').map((r) => r.value))
+      .toEqual([1, 2]);
+    expect(instrumentation.getSettings().buffers.requests)
+      .toEqual({length: 2, dropped: 1});
+  });
+
+  it('samples entries', () => {
+    instrumentation.configure({enabled: true, sampleRate: 0.5});
+    const random = jest.spyOn(Math, 'random');
+    random.mockReturnValueOnce(0.2).mockReturnValueOnce(0.7);
+    instrumentation.record('requests', {value: 1});
+    instrumentation.record('requests', {value: 2});
+    random.mockRestore();
+
+    expect(instrumentation.get('requests')).toEqual([{value: 1}]);
+  });
+
+  it('rejects invalid settings', () => {
+    expect(() => instrumentation.configure({sampleRate: 2})).toThrow();
+    expect(() => instrumentation.configure({capacity: 0})).toThrow();
+    expect(() => instrumentation.get('nothing')).toThrow();
+  });
+
+  it('exports timelines as CSV and JSON Lines', () => {
+    instrumentation.configure({enabled: true});
+    instrumentation.record('writes', {start: 1, finish: 2});
+    instrumentation.record('writes',
+                           {start: 3, finish: 4, consistency: 'a,b'});
+
+    expect(instrumentation.export('writes', 'csv')).toEqual(
+      'start,finish,consistency\n1,2,\n3,4,"a,b"\n');
+    expect(instrumentation.export('writes', 'jsonl')).toEqual(
+      '{"start":1,"finish":2}\n{"start":3,"finish":4,"consistency":"a,b"}\n');
+    expect(() => instrumentation.export('writes', 'xml')).toThrow();
+  });
+});
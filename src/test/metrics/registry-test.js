@@ -0,0 +1,61 @@
+const {Registry} = require('../../metrics/registry');
+
+describe('metrics registry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new Registry();
+  });
+
+  it('renders counters and gauges with labels', () => {
+    const counter = registry.counter('test_total', 'A counter', ['type']);
+    const gauge = registry.gauge('test_gauge', 'A gauge');
+    counter.inc({type: 'a'});
+    counter.inc({type: 'a'}, 2);
+    counter.inc({type: 'say "hi"\n'});
+    gauge.set({}, 5);
+    gauge.dec();
+
+    expect(registry.render()).toEqual([
+      '# HELP test_total A counter',
+      '# TYPE test_total counter',
+      'test_total{type="a"} 3',
+      'test_total{type="say \\"hi\\"\\n"} 1',
+      '# HELP test_gauge A gauge',
+      '# TYPE test_gauge gauge',
+      'test_gauge 4',
+      '',
+    ].join('\n'));
+  });
+
+  it('renders cumulative histogram buckets', () => {
+    const histogram = registry.histogram('test_seconds', 'A histogram', [],
+                                         [0.1, 1]);
+    histogram.observe({}, 0.05);
+    histogram.observe({}, 0.5);
+    histogram.observe({}, 2);
+
+    expect(registry.render().split('\n').slice(2, 7)).toEqual([
+      'test_seconds_bucket{le="0.1"} 1',
+      'test_seconds_bucket{le="1"} 2',
+      'test_seconds_bucket{le="+Inf"} 3',
+      'test_seconds_sum 2.55',
+      'test_seconds_count 3',
+    ]);
+  });
+
+  it('runs collectors before rendering', () => {
+    const gauge = registry.gauge('test_gauge', 'A gauge');
+    let value = 1;
+    registry.addCollector(() => gauge.set({}, value));
+    value = 7;
+    expect(registry.render()).toContain('test_gauge 7');
+  });
+
+  it('rejects unknown labels and decreasing counters', () => {
+    const counter = registry.counter('test_total', 'A counter', ['type']);
+    expect(() => counter.inc({other: 'a'})).toThrow();
+    expect(() => counter.inc({}, -1)).toThrow();
+    expect(() => registry.counter('test_total', 'Again')).toThrow();
+  });
+});
@@ -0,0 +1,57 @@
+const Logs = require('../../models/logs');
+
+describe('Logs', () => {
+  let idToDescr;
+  let history;
+
+  beforeEach(() => {
+    idToDescr = Logs.idToDescr;
+    Logs.idToDescr = {
+      1: Object.assign({maxAge: 0}, Logs.propertyDescr('lamp', 'on')),
+      2: Object.assign({maxAge: 0}, Logs.propertyDescr('lamp', 'level')),
+      3: Object.assign({maxAge: 0}, Logs.propertyDescr('sensor', 'temp')),
+    };
+    history = {
+      readHistory: jest.fn(async (thingId, propertyName) => {
+        return [{value: `${thingId}.${propertyName}`, date: 1000}];
+      }),
+    };
+    jest.spyOn(Logs, 'historyBackend').mockImplementation(async () => history);
+  });
+
+  afterEach(() => {
+    Logs.idToDescr = idToDescr;
+    jest.restoreAllMocks();
+  });
+
+  it('should read every log from the shared history', async () => {
+    expect(await Logs.getAll(0, 2000)).toEqual({
+      lamp: {
+        on: [{value: 'lamp.on', date: 1000}],
+        level: [{value: 'lamp.level', date: 1000}],
+      },
+      sensor: {
+        temp: [{value: 'sensor.temp', date: 1000}],
+      },
+    });
+    expect(history.readHistory).toHaveBeenCalledWith(
+      'lamp', 'on', new Date(0), new Date(2000));
+  });
+
+  it('should read the logs of a thing from the shared history', async () => {
+    expect(await Logs.get('sensor')).toEqual({
+      temp: [{value: 'sensor.temp', date: 1000}],
+    });
+    expect(history.readHistory).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stream the shared history', async () => {
+    const streamed = [];
+    await Logs.streamAll((metrics) => streamed.push(...metrics));
+    expect(streamed).toEqual([
+      {id: 1, value: 'lamp.on', date: 1000},
+      {id: 2, value: 'lamp.level', date: 1000},
+      {id: 3, value: 'sensor.temp', date: 1000},
+    ]);
+  });
+});
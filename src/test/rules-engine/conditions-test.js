@@ -0,0 +1,208 @@
+const EventEmitter = require('events');
+const Events = require('../../rules-engine/Events');
+const Rule = require('../../rules-engine/Rule');
+const conditions = require('../../rules-engine/conditions');
+
+const propertyCondition = {
+  property: {
+    type: 'number',
+    thing: 'thermometer',
+    id: 'temperature',
+  },
+  type: 'PropertyCondition',
+  comparison: 'LESS',
+  value: 18,
+};
+
+const timeCondition = {
+  type: 'TimeCondition',
+  start: '22:00',
+  end: '06:30',
+  days: [5, 6],
+};
+
+const ruleCondition = {
+  type: 'RuleCondition',
+  rule: 1,
+  active: false,
+};
+
+const multiCondition = {
+  type: 'MultiCondition',
+  op: 'AND',
+  conditions: [propertyCondition, timeCondition, ruleCondition],
+};
+
+/**
+ * @param {boolean} holds
+ * @return {Condition} A condition which always or never holds
+ */
+function constantCondition(holds) {
+  const condition = new conditions.conditions.Condition({});
+  condition.evaluate = jest.fn(async () => holds);
+  return condition;
+}
+
+/**
+ * @param {Condition?} condition
+ * @return {Promise<Rule>} A started rule with a fake trigger and effect
+ */
+async function makeRule(condition) {
+  const trigger = new EventEmitter();
+  trigger.start = () => {};
+  trigger.stop = () => {};
+  const effect = {
+    start: async () => {},
+    stop: async () => {},
+    run: jest.fn(async () => []),
+  };
+  const rule = new Rule(true, trigger, effect, condition);
+  await rule.start();
+  return rule;
+}
+
+describe('conditions', () => {
+  it('should parse a PropertyCondition', () => {
+    const condition = conditions.fromDescription(propertyCondition);
+    expect(condition).toMatchObject(propertyCondition);
+  });
+
+  it('should parse a TimeCondition', () => {
+    const condition = conditions.fromDescription(timeCondition);
+    expect(condition).toMatchObject(timeCondition);
+  });
+
+  it('should parse a RuleCondition', () => {
+    const condition = conditions.fromDescription(ruleCondition);
+    expect(condition).toMatchObject(ruleCondition);
+  });
+
+  it('should parse a MultiCondition', () => {
+    const condition = conditions.fromDescription(multiCondition);
+    expect(condition.toDescription()).toMatchObject(multiCondition);
+  });
+
+  it('should reject an invalid condition', () => {
+    expect(() => {
+      conditions.fromDescription({
+        type: 'TimeCondition',
+        start: '25:00',
+        end: '06:00',
+      });
+    }).toThrow();
+    expect(() => {
+      conditions.fromDescription(Object.assign({}, propertyCondition,
+                                               {value: 'cold'}));
+    }).toThrow();
+    expect(() => {
+      conditions.fromDescription({type: 'RuleCondition', rule: 'other'});
+    }).toThrow();
+  });
+
+  it('should check a time window', () => {
+    const condition = conditions.fromDescription({
+      type: 'TimeCondition',
+      start: '09:00',
+      end: '17:00',
+    });
+    expect(condition.holdsAt(new Date(2026, 5, 1, 8, 59))).toBe(false);
+    expect(condition.holdsAt(new Date(2026, 5, 1, 9, 0))).toBe(true);
+    expect(condition.holdsAt(new Date(2026, 5, 1, 16, 59))).toBe(true);
+    expect(condition.holdsAt(new Date(2026, 5, 1, 17, 0))).toBe(false);
+  });
+
+  it('should check a time window spanning midnight', () => {
+    const condition = conditions.fromDescription(timeCondition);
+    // Friday June 5th 2026, into Saturday morning
+    expect(condition.holdsAt(new Date(2026, 5, 5, 21, 59))).toBe(false);
+    expect(condition.holdsAt(new Date(2026, 5, 5, 23, 0))).toBe(true);
+    expect(condition.holdsAt(new Date(2026, 5, 6, 6, 0))).toBe(true);
+    expect(condition.holdsAt(new Date(2026, 5, 6, 7, 0))).toBe(false);
+    // Thursday night isn't part of the window, Sunday morning is
+    expect(condition.holdsAt(new Date(2026, 5, 4, 23, 0))).toBe(false);
+    expect(condition.holdsAt(new Date(2026, 5, 5, 6, 0))).toBe(false);
+    expect(condition.holdsAt(new Date(2026, 5, 7, 6, 0))).toBe(true);
+  });
+
+  it('should check the state of another rule', async () => {
+    const condition = conditions.fromDescription(ruleCondition);
+    expect(await condition.evaluate({rules: {1: {active: false}}}))
+      .toBe(true);
+    expect(await condition.evaluate({rules: {1: {active: true}}}))
+      .toBe(false);
+    expect(await condition.evaluate({rules: {}})).toBe(false);
+  });
+
+  it('should combine conditions', async () => {
+    const {MultiCondition} = conditions.conditions;
+    const and = new MultiCondition({op: 'AND', conditions: []});
+    and.conditions = [constantCondition(true), constantCondition(false)];
+    expect(await and.evaluate()).toBe(false);
+
+    const or = new MultiCondition({op: 'OR', conditions: []});
+    or.conditions = [constantCondition(true), constantCondition(false)];
+    expect(await or.evaluate()).toBe(true);
+    // OR stops at the first condition holding
+    expect(or.conditions[1].evaluate).not.toHaveBeenCalled();
+  });
+});
+
+describe('rule conditions', () => {
+  it('should fire when the condition holds', async () => {
+    const rule = await makeRule(constantCondition(true));
+    rule.trigger.emit(Events.STATE_CHANGED, {on: true, value: true});
+    rule.trigger.emit(Events.STATE_CHANGED, {on: false, value: false});
+    await rule.states;
+
+    expect(rule.effect.run.mock.calls).toEqual([
+      [{on: true, value: true}],
+      [{on: false, value: false}],
+    ]);
+    expect(rule.active).toBe(false);
+  });
+
+  it('should not fire when the condition does not hold', async () => {
+    const condition = constantCondition(false);
+    const rule = await makeRule(condition);
+    rule.trigger.emit(Events.STATE_CHANGED, {on: true, value: true});
+    rule.trigger.emit(Events.STATE_CHANGED, {on: false, value: false});
+    await rule.states;
+
+    expect(rule.effect.run).not.toHaveBeenCalled();
+
+    // The condition only matters on the next activation
+    condition.evaluate.mockImplementation(async () => true);
+    rule.trigger.emit(Events.STATE_CHANGED, {on: true, value: true});
+    await rule.states;
+    expect(rule.effect.run).toHaveBeenCalledWith({on: true, value: true});
+    expect(rule.active).toBe(true);
+  });
+
+  it('should only evaluate the condition on activation', async () => {
+    const condition = constantCondition(true);
+    const rule = await makeRule(condition);
+    rule.trigger.emit(Events.STATE_CHANGED, {on: true, value: 1});
+    rule.trigger.emit(Events.STATE_CHANGED, {on: true, value: 2});
+    rule.trigger.emit(Events.STATE_CHANGED, {on: false, value: 3});
+    await rule.states;
+
+    expect(condition.evaluate).toHaveBeenCalledTimes(1);
+    expect(rule.effect.run).toHaveBeenCalledTimes(3);
+  });
+
+  it('should serialize the condition', () => {
+    const rule = Rule.fromDescription({
+      enabled: true,
+      trigger: {
+        type: 'TimeTrigger',
+        time: '07:00',
+      },
+      effect: {
+        type: 'MultiEffect',
+        effects: [],
+      },
+      condition: multiCondition,
+    });
+    expect(rule.toDescription().condition).toMatchObject(multiCondition);
+  });
+});
@@ -0,0 +1,160 @@
+const EventEmitter = require('events');
+const Events = require('../../rules-engine/Events');
+const Rule = require('../../rules-engine/Rule');
+const effects = require('../../rules-engine/effects');
+
+const {Effect, MultiEffect} = effects.effects;
+
+/**
+ * @param {string} label
+ * @param {Function} setState
+ * @return {Effect} An effect doing whatever setState does
+ */
+function makeEffect(label, setState) {
+  const effect = new Effect({label});
+  effect.setState = setState;
+  return effect;
+}
+
+/**
+ * @return {Engine} An engine only recording the history of its rules
+ */
+function makeEngine() {
+  return {
+    rules: {},
+    recordHistory: jest.fn(async () => {}),
+  };
+}
+
+describe('rule history', () => {
+  it('should report the outcome of effects', async () => {
+    const multi = new MultiEffect({effects: []});
+    multi.effects = [
+      makeEffect('set', async () => ({value: 30})),
+      makeEffect('failed', async () => {
+        throw new Error('Thing not found');
+      }),
+      makeEffect('idle', () => {}),
+    ];
+
+    expect(await multi.run({on: true})).toEqual([
+      {type: 'Effect', label: 'set', result: {value: 30}},
+      {type: 'Effect', label: 'failed', error: 'Thing not found'},
+    ]);
+  });
+
+  it('should record each state of the trigger', async () => {
+    const trigger = new EventEmitter();
+    trigger.start = () => {};
+    trigger.stop = () => {};
+    trigger.inputs = () => [{type: 'BooleanTrigger', value: true}];
+    const effect = makeEffect('light', async (state) => {
+      if (state.on) {
+        return {value: true};
+      }
+    });
+    const rule = new Rule(true, trigger, effect);
+    rule.id = 3;
+    rule.engine = makeEngine();
+    await rule.start();
+
+    trigger.emit(Events.STATE_CHANGED, {on: true, value: true});
+    trigger.emit(Events.STATE_CHANGED, {on: false, value: false});
+    await new Promise(setImmediate);
+
+    expect(rule.engine.recordHistory.mock.calls).toEqual([
+      [3, {
+        state: {on: true, value: true},
+        inputs: [{type: 'BooleanTrigger', value: true}],
+        effects: [{type: 'Effect', label: 'light', result: {value: true}}],
+      }],
+      [3, {
+        state: {on: false, value: false},
+        inputs: [{type: 'BooleanTrigger', value: true}],
+        effects: [],
+      }],
+    ]);
+  });
+
+  it('should only record the trigger turning on or off', async () => {
+    const trigger = new EventEmitter();
+    trigger.start = () => {};
+    trigger.stop = () => {};
+    trigger.inputs = () => [];
+    const effect = makeEffect('heater', async () => {});
+    const rule = new Rule(true, trigger, effect);
+    rule.id = 5;
+    rule.engine = makeEngine();
+    await rule.start();
+
+    trigger.emit(Events.STATE_CHANGED, {on: false, value: 21});
+    trigger.emit(Events.STATE_CHANGED, {on: false, value: 20.5});
+    trigger.emit(Events.STATE_CHANGED, {on: true, value: 18});
+    trigger.emit(Events.STATE_CHANGED, {on: true, value: 17.5});
+    trigger.emit(Events.STATE_CHANGED, {on: false, value: 22});
+    await new Promise(setImmediate);
+
+    expect(rule.engine.recordHistory.mock.calls.map((call) => call[1].state))
+      .toEqual([
+        {on: false, value: 21},
+        {on: true, value: 18},
+        {on: false, value: 22},
+      ]);
+  });
+
+  it('should record repeated states if an effect attempted something',
+     async () => {
+       const trigger = new EventEmitter();
+       trigger.start = () => {};
+       trigger.stop = () => {};
+       trigger.inputs = () => [];
+       const effect = makeEffect('siren', async (state) => {
+         if (state.value > 100) {
+           return {value: true};
+         }
+       });
+       const rule = new Rule(true, trigger, effect);
+       rule.id = 6;
+       rule.engine = makeEngine();
+       await rule.start();
+
+       trigger.emit(Events.STATE_CHANGED, {on: true, value: 90});
+       trigger.emit(Events.STATE_CHANGED, {on: true, value: 95});
+       trigger.emit(Events.STATE_CHANGED, {on: true, value: 120});
+       await new Promise(setImmediate);
+
+       expect(rule.engine.recordHistory.mock.calls).toEqual([
+         [6, {state: {on: true, value: 90}, inputs: [], effects: []}],
+         [6, {
+           state: {on: true, value: 120},
+           inputs: [],
+           effects: [{type: 'Effect', label: 'siren', result: {value: true}}],
+         }],
+       ]);
+     });
+
+  it('should record activations blocked by the condition', async () => {
+    const trigger = new EventEmitter();
+    trigger.start = () => {};
+    trigger.stop = () => {};
+    trigger.inputs = () => [];
+    const effect = makeEffect('light', jest.fn());
+    const condition = {evaluate: async () => false};
+    const rule = new Rule(true, trigger, effect, condition);
+    rule.id = 4;
+    rule.engine = makeEngine();
+    await rule.start();
+
+    trigger.emit(Events.STATE_CHANGED, {on: true});
+    await rule.states;
+    await new Promise(setImmediate);
+
+    expect(effect.setState).not.toHaveBeenCalled();
+    expect(rule.engine.recordHistory).toHaveBeenCalledWith(4, {
+      state: {on: true},
+      inputs: [],
+      condition: false,
+      effects: [],
+    });
+  });
+});
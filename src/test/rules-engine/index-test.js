@@ -283,6 +283,49 @@ const multiRule = {
   },
 };
 
+const conditionRule = Object.assign({}, testRule, {
+  name: 'conditionRule',
+  condition: {
+    property: {
+      type: 'boolean',
+      thing: 'light3',
+      id: 'on',
+    },
+    type: 'PropertyCondition',
+    comparison: 'EQUAL',
+    value: true,
+  },
+});
+
+const sequenceRule = {
+  enabled: true,
+  name: 'sequenceRule',
+  trigger: testRule.trigger,
+  effect: {
+    type: 'SequenceEffect',
+    steps: [{
+      property: {
+        type: 'boolean',
+        thing: 'light2',
+        id: 'on',
+      },
+      type: 'SetEffect',
+      value: true,
+    }, {
+      type: 'DelayStep',
+      delay: 1,
+    }, {
+      property: {
+        type: 'boolean',
+        thing: 'light2',
+        id: 'on',
+      },
+      type: 'SetEffect',
+      value: false,
+    }],
+  },
+};
+
 describe('rules engine', () => {
   let ruleId = null, jwt;
 
@@ -683,4 +726,102 @@ describe('rules engine', () => {
 
     await deleteRule(ruleId);
   });
+
+  it('creates and simulates a rule with a condition', async () => {
+    const res = await chai.request(server)
+      .post(Constants.RULES_PATH)
+      .set('Accept', 'application/json')
+      .set(...headerAuth(jwt))
+      .send(conditionRule);
+    expect(res.status).toEqual(200);
+    const ruleId = res.body.id;
+
+    // light3 is off, so turning light1 on doesn't fire the rule
+    await setOn(thingLight1.id, true);
+    await util.promisify(setTimeout)(500);
+    expect(await getOn(thingLight2.id)).toEqual(false);
+
+    // Turning light3 on doesn't fire it either, as conditions aren't
+    // triggers
+    await setOn(thingLight1.id, false);
+    await setOn(thingLight3.id, true);
+    await util.promisify(setTimeout)(500);
+    expect(await getOn(thingLight2.id)).toEqual(false);
+
+    await setOn(thingLight1.id, true);
+    await waitForExpect(async () => {
+      expect(await getOn(thingLight2.id)).toEqual(true);
+    });
+
+    await deleteRule(ruleId);
+  });
+
+  it('runs the steps of a sequence in order', async () => {
+    const res = await chai.request(server)
+      .post(Constants.RULES_PATH)
+      .set('Accept', 'application/json')
+      .set(...headerAuth(jwt))
+      .send(sequenceRule);
+    expect(res.status).toEqual(200);
+    const ruleId = res.body.id;
+
+    await setOn(thingLight1.id, true);
+    await waitForExpect(async () => {
+      expect(await getOn(thingLight2.id)).toEqual(true);
+    });
+
+    // The trigger deactivating doesn't cancel the rest of the sequence
+    await setOn(thingLight1.id, false);
+    await waitForExpect(async () => {
+      expect(await getOn(thingLight2.id)).toEqual(false);
+    });
+
+    await deleteRule(ruleId);
+  });
+
+  it('records the history of a rule', async () => {
+    const res = await chai.request(server)
+      .post(Constants.RULES_PATH)
+      .set('Accept', 'application/json')
+      .set(...headerAuth(jwt))
+      .send(testRule);
+    expect(res.status).toEqual(200);
+    const ruleId = res.body.id;
+
+    await setOn(thingLight1.id, true);
+    await waitForExpect(async () => {
+      expect(await getOn(thingLight2.id)).toEqual(true);
+    });
+
+    let history;
+    await waitForExpect(async () => {
+      history = await chai.request(server)
+        .get(`${Constants.RULES_PATH}/${ruleId}/history?limit=1`)
+        .set('Accept', 'application/json')
+        .set(...headerAuth(jwt));
+      expect(history.status).toEqual(200);
+      expect(history.body.length).toEqual(1);
+      expect(history.body[0].state.on).toEqual(true);
+    });
+    const entry = history.body[0];
+    expect(entry.inputs).toEqual([{
+      type: 'BooleanTrigger',
+      thing: 'light1',
+      property: 'on',
+      value: true,
+      on: true,
+    }]);
+    expect(entry.effects).toEqual([{
+      type: 'PulseEffect',
+      result: {value: true},
+    }]);
+
+    await deleteRule(ruleId);
+
+    const err = await chai.request(server)
+      .get(`${Constants.RULES_PATH}/${ruleId}/history`)
+      .set('Accept', 'application/json')
+      .set(...headerAuth(jwt));
+    expect(err.status).toEqual(404);
+  });
 });
@@ -52,6 +52,35 @@ const newRule = {
   },
 };
 
+const oldCondition = {
+  type: 'MultiCondition',
+  op: 'AND',
+  conditions: [{
+    property: {
+      type: 'boolean',
+      href: '/things/light2/properties/on',
+    },
+    type: 'PropertyCondition',
+    comparison: 'EQUAL',
+    value: true,
+  }],
+};
+
+const newCondition = {
+  type: 'MultiCondition',
+  op: 'AND',
+  conditions: [{
+    property: {
+      type: 'boolean',
+      thing: 'light2',
+      id: 'on',
+    },
+    type: 'PropertyCondition',
+    comparison: 'EQUAL',
+    value: true,
+  }],
+};
+
 describe('rule migrate', () => {
   it('should correctly migrate a rule', () => {
     const newOldRule = DatabaseMigrate.migrate(oldRule);
@@ -62,4 +91,14 @@ describe('rule migrate', () => {
     const changed = DatabaseMigrate.migrate(newRule);
     expect(changed).toBeFalsy();
   });
+
+  it('should migrate the condition of a rule', () => {
+    const migrated = DatabaseMigrate.migrate(
+      Object.assign({}, newRule, {condition: oldCondition})
+    );
+    expect(migrated).toMatchObject(
+      Object.assign({}, newRule, {condition: newCondition})
+    );
+    expect(migrated.condition.conditions[0].property.href).toBeUndefined();
+  });
 });
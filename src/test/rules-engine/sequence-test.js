@@ -0,0 +1,306 @@
+const effects = require('../../rules-engine/effects');
+
+const {Effect, SequenceEffect} = effects.effects;
+const Condition = require('../../rules-engine/conditions/Condition');
+
+const porchLight = {
+  type: 'boolean',
+  thing: 'porch',
+  id: 'on',
+};
+
+const sequenceEffect = {
+  type: 'SequenceEffect',
+  steps: [{
+    type: 'SetEffect',
+    property: porchLight,
+    value: true,
+  }, {
+    type: 'DelayStep',
+    delay: 600,
+  }, {
+    type: 'WaitStep',
+    condition: {
+      type: 'PropertyCondition',
+      property: porchLight,
+      comparison: 'EQUAL',
+      value: true,
+    },
+    timeout: 60,
+    onTimeout: 'continue',
+  }, {
+    type: 'SetEffect',
+    property: porchLight,
+    value: false,
+  }],
+  cancelOnDeactivate: true,
+};
+
+/**
+ * @param {string} label
+ * @return {Effect} An effect resolving to its label
+ */
+function makeEffect(label) {
+  const effect = new Effect({label});
+  effect.setState = jest.fn(async () => ({value: label}));
+  return effect;
+}
+
+/**
+ * @param {Array<Effect|Object>} steps
+ * @param {boolean?} cancelOnDeactivate
+ * @return {SequenceEffect}
+ */
+function makeSequence(steps, cancelOnDeactivate) {
+  const sequence = new SequenceEffect({steps: [], cancelOnDeactivate});
+  sequence.steps = steps;
+  return sequence;
+}
+
+/**
+ * @param {Object?} saved - The state of a sequence saved before a restart
+ * @return {Engine} An engine only saving the state of sequences
+ */
+function makeEngine(saved) {
+  return {
+    rules: {},
+    loadSequence: jest.fn(async () => saved || null),
+    saveSequence: jest.fn(async () => {}),
+    clearSequence: jest.fn(async () => {}),
+  };
+}
+
+/**
+ * @param {number} ms
+ * @return {Promise}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+describe('SequenceEffect', () => {
+  it('should parse a SequenceEffect', () => {
+    const sequence = effects.fromDescription(sequenceEffect);
+    expect(sequence.toDescription()).toMatchObject(sequenceEffect);
+  });
+
+  it('should reject an invalid step', () => {
+    expect(() => {
+      effects.fromDescription({
+        type: 'SequenceEffect',
+        steps: [{type: 'DelayStep', delay: 'soon'}],
+      });
+    }).toThrow();
+    expect(() => {
+      effects.fromDescription({
+        type: 'SequenceEffect',
+        steps: [{
+          type: 'WaitStep',
+          condition: sequenceEffect.steps[2].condition,
+          onTimeout: 'retry',
+        }],
+      });
+    }).toThrow();
+  });
+
+  it('should run the steps in order', async () => {
+    const first = makeEffect('first');
+    const second = makeEffect('second');
+    const sequence = makeSequence([
+      first,
+      {type: 'DelayStep', delay: 0.05},
+      second,
+    ]);
+    await sequence.start({engine: makeEngine(), key: '1'});
+
+    const attempts = await sequence.run({on: true, value: true});
+    expect(attempts).toMatchObject([
+      {label: 'first', result: {value: 'first'}},
+      {type: 'SequenceEffect', result: {step: 1}},
+    ]);
+    expect(first.setState).toHaveBeenCalledWith({on: true, value: true});
+    expect(second.setState).not.toHaveBeenCalled();
+
+    await sleep(100);
+    expect(second.setState).toHaveBeenCalledWith({on: true, value: true});
+    expect(sequence.context.engine.clearSequence).toHaveBeenCalledWith('1');
+  });
+
+  it('should save the step in progress', async () => {
+    const sequence = makeSequence([
+      makeEffect('first'),
+      {type: 'DelayStep', delay: 600},
+    ]);
+    const engine = makeEngine();
+    await sequence.start({engine, key: '2.0'});
+
+    const before = Date.now();
+    await sequence.run({on: true, value: 1});
+    expect(engine.saveSequence).toHaveBeenLastCalledWith('2.0', {
+      step: 1,
+      value: 1,
+      deadline: expect.any(Number),
+      on: true,
+    });
+    const {deadline} = engine.saveSequence.mock.calls.slice(-1)[0][1];
+    expect(deadline).toBeGreaterThanOrEqual(before + 600000);
+
+    await sequence.stop();
+    expect(engine.clearSequence).toHaveBeenCalledWith('2.0');
+  });
+
+  it('should cancel the steps when the trigger deactivates', async () => {
+    const last = makeEffect('last');
+    const sequence = makeSequence([
+      {type: 'DelayStep', delay: 0.05},
+      last,
+    ], true);
+
+    await sequence.run({on: true});
+    expect(await sequence.run({on: false})).toMatchObject([
+      {type: 'SequenceEffect', result: {cancelled: 0}},
+    ]);
+
+    await sleep(100);
+    expect(last.setState).not.toHaveBeenCalled();
+  });
+
+  it('should carry on when the trigger deactivates by default', async () => {
+    const last = makeEffect('last');
+    const sequence = makeSequence([
+      {type: 'DelayStep', delay: 0.05},
+      last,
+    ]);
+
+    await sequence.run({on: true});
+    expect(await sequence.run({on: false})).toEqual([]);
+
+    await sleep(100);
+    expect(last.setState).toHaveBeenCalled();
+  });
+
+  it('should wait for a condition', async () => {
+    const condition = new Condition({});
+    condition.evaluate = jest.fn(async () => true);
+    const last = makeEffect('last');
+    const sequence = makeSequence([
+      {type: 'WaitStep', condition, onTimeout: 'stop'},
+      last,
+    ]);
+
+    await sequence.run({on: true});
+    await sleep(10);
+    expect(condition.evaluate).toHaveBeenCalled();
+    expect(last.setState).toHaveBeenCalled();
+  });
+
+  it('should stop or continue when a wait times out', async () => {
+    const condition = new Condition({});
+    const skipped = makeEffect('skipped');
+    const stopping = makeSequence([
+      {type: 'WaitStep', condition, timeout: 0.05, onTimeout: 'stop'},
+      skipped,
+    ]);
+    const continued = makeEffect('continued');
+    const continuing = makeSequence([
+      {type: 'WaitStep', condition, timeout: 0.05, onTimeout: 'continue'},
+      continued,
+    ]);
+
+    await stopping.run({on: true});
+    await continuing.run({on: true});
+    await sleep(100);
+    expect(skipped.setState).not.toHaveBeenCalled();
+    expect(continued.setState).toHaveBeenCalled();
+  });
+
+  it('should run effect steps on every activation', async () => {
+    const sequence = effects.fromDescription({
+      type: 'SequenceEffect',
+      steps: [{
+        type: 'SetEffect',
+        property: porchLight,
+        value: true,
+      }, {
+        type: 'SetEffect',
+        property: porchLight,
+        value: false,
+      }],
+    });
+    const [turnOn, turnOff] = sequence.steps;
+    turnOn.property.set = jest.fn(async () => {});
+    turnOff.property.set = jest.fn(async () => {});
+
+    await sequence.run({on: true});
+    await sequence.run({on: false});
+    await sequence.run({on: true});
+    await sleep(10);
+
+    expect(turnOn.property.set.mock.calls).toEqual([[true], [true]]);
+    expect(turnOff.property.set.mock.calls).toEqual([[false], [false]]);
+  });
+
+  it('should only start over when the trigger turns on', async () => {
+    const first = makeEffect('first');
+    const sequence = makeSequence([
+      first,
+      {type: 'DelayStep', delay: 600},
+    ]);
+
+    await sequence.run({on: true, value: 1});
+    expect(await sequence.run({on: true, value: 2})).toEqual([]);
+    expect(first.setState).not.toHaveBeenCalledWith({on: true, value: 2});
+    expect(sequence.execution).toMatchObject({step: 1, value: 1});
+
+    await sequence.run({on: false});
+    await sequence.run({on: true, value: 3});
+    expect(first.setState).toHaveBeenCalledWith({on: true, value: 3});
+    await sequence.stop();
+  });
+
+  it('should keep a resumed sequence while the trigger is on', async () => {
+    const first = makeEffect('first');
+    const last = makeEffect('last');
+    const sequence = makeSequence([
+      first,
+      {type: 'DelayStep', delay: 0.05},
+      last,
+    ]);
+    const engine = makeEngine({
+      step: 1,
+      value: true,
+      deadline: Date.now() + 50,
+      on: true,
+    });
+
+    await sequence.start({engine, key: '4'});
+    expect(await sequence.run({on: true, value: true})).toEqual([]);
+    expect(first.setState).not.toHaveBeenCalled();
+
+    await sleep(100);
+    expect(last.setState).toHaveBeenCalledWith({on: true, value: true});
+    expect(first.setState).not.toHaveBeenCalled();
+  });
+
+  it('should resume the saved step after a restart', async () => {
+    const first = makeEffect('first');
+    const last = makeEffect('last');
+    const sequence = makeSequence([
+      first,
+      {type: 'DelayStep', delay: 600},
+      last,
+    ]);
+    const engine = makeEngine({
+      step: 1,
+      value: 30,
+      deadline: Date.now() - 1000,
+    });
+
+    await sequence.start({engine, key: '3'});
+    await sleep(10);
+    expect(engine.loadSequence).toHaveBeenCalledWith('3');
+    expect(first.setState).not.toHaveBeenCalled();
+    expect(last.setState).toHaveBeenCalledWith({on: true, value: 30});
+    expect(engine.clearSequence).toHaveBeenCalledWith('3');
+  });
+});
@@ -1,3 +1,5 @@
+const Events = require('../../rules-engine/Events');
+const Settings = require('../../models/settings');
 const triggers = require('../../rules-engine/triggers');
 
 const booleanTrigger = {
@@ -31,6 +33,20 @@ const equalityTrigger = {
   value: '#ff7700',
 };
 
+const weekdayTrigger = {
+  type: 'TimeTrigger',
+  time: '07:00',
+  days: [1, 2, 3, 4, 5],
+  localized: true,
+};
+
+const sunsetTrigger = {
+  type: 'TimeTrigger',
+  event: 'sunset',
+  offset: 30,
+  localized: true,
+};
+
 const andTrigger = {
   triggers: [
     booleanTrigger,
@@ -130,5 +146,265 @@ describe('triggers', () => {
     }
     expect(err).toBeTruthy();
   });
-});
 
+  it('should parse a TimeTrigger with days of the week', () => {
+    const trigger = triggers.fromDescription(weekdayTrigger);
+    expect(trigger.toDescription()).toEqual(weekdayTrigger);
+  });
+
+  it('should parse a TimeTrigger on a sun event', () => {
+    const trigger = triggers.fromDescription(sunsetTrigger);
+    expect(trigger.toDescription()).toEqual(sunsetTrigger);
+  });
+
+  it('should reject a TimeTrigger with an invalid schedule', () => {
+    for (const desc of [
+      {type: 'TimeTrigger', time: '25:00'},
+      {type: 'TimeTrigger', cron: '0 7 * *'},
+      {type: 'TimeTrigger', event: 'noon'},
+      {type: 'TimeTrigger', time: '07:00', cron: '0 7 * * *'},
+      {type: 'TimeTrigger', time: '07:00', days: [7]},
+      {type: 'TimeTrigger', time: '07:00', startDate: '2026-02-30'},
+    ]) {
+      expect(() => triggers.fromDescription(desc)).toThrow();
+    }
+  });
+
+  it('should schedule a TimeTrigger on weekdays only', () => {
+    const trigger = triggers.fromDescription(weekdayTrigger);
+    // Friday at 8:00
+    const friday = new Date(2026, 9, 16, 8, 0);
+    expect(trigger.nextTime(friday)).toEqual(new Date(2026, 9, 19, 7, 0));
+  });
+
+  it('should schedule a TimeTrigger from a cron expression', () => {
+    const trigger = triggers.fromDescription({
+      type: 'TimeTrigger',
+      cron: '*/15 9-10 1,15 * sun',
+    });
+    const monday = new Date(2026, 9, 19, 9, 7);
+    expect(trigger.nextTime(monday)).toEqual(new Date(2026, 9, 25, 9, 0));
+    expect(trigger.nextTime(new Date(2026, 9, 25, 10, 45)))
+      .toEqual(new Date(2026, 10, 1, 9, 0));
+  });
+
+  it('should schedule a TimeTrigger within its dates', () => {
+    const trigger = triggers.fromDescription({
+      type: 'TimeTrigger',
+      time: '12:30',
+      startDate: '2026-12-24',
+      endDate: '2026-12-26',
+    });
+    expect(trigger.nextTime(new Date(2026, 9, 19)))
+      .toEqual(new Date(2026, 11, 24, 12, 30));
+    expect(trigger.nextTime(new Date(2026, 11, 26, 12, 0)))
+      .toEqual(new Date(2026, 11, 26, 12, 30));
+    expect(trigger.nextTime(new Date(2026, 11, 26, 13, 0))).toBeNull();
+  });
+
+  it('should schedule a TimeTrigger relative to sunset', () => {
+    const trigger = triggers.fromDescription(sunsetTrigger);
+    trigger.location = {latitude: 51.5, longitude: -0.13};
+    // Sunset in London on the summer solstice is at about 21:21 BST
+    const next = trigger.nextTime(new Date(Date.UTC(2026, 5, 21, 12)));
+    const expected = Date.UTC(2026, 5, 21, 20, 51);
+    expect(Math.abs(next.getTime() - expected)).toBeLessThan(3 * 60 * 1000);
+  });
+
+  it('should skip days on which a sun event doesn\'t occur', () => {
+    const trigger = triggers.fromDescription(sunsetTrigger);
+    trigger.location = {latitude: 89, longitude: 0};
+    // The sun doesn't set near the pole around the summer solstice
+    const next = trigger.nextTime(new Date(Date.UTC(2026, 5, 21, 12)));
+    expect(next.getTime()).toBeGreaterThan(Date.UTC(2026, 8, 1));
+  });
+
+  describe('sun events', () => {
+    let location;
+
+    /**
+     * Let the trigger read the location
+     * @return {Promise}
+     */
+    async function settle() {
+      for (let i = 0; i < 5; i++) {
+        await Promise.resolve();
+      }
+    }
+
+    beforeEach(() => {
+      location = null;
+      jest.useFakeTimers();
+      jest.spyOn(Settings, 'get').mockImplementation(async () => location);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      jest.useRealTimers();
+    });
+
+    it('should wait for the location to be set', async () => {
+      const trigger = triggers.fromDescription(sunsetTrigger);
+      await trigger.start();
+      expect(trigger.next).toBeNull();
+      expect(console.error).toHaveBeenCalledTimes(1);
+
+      location = {latitude: 51.5, longitude: -0.13};
+      jest.advanceTimersByTime(60 * 60 * 1000);
+      await settle();
+      expect(trigger.next).not.toBeNull();
+      expect(console.error).toHaveBeenCalledTimes(1);
+      trigger.stop();
+    });
+
+    it('should follow the location changing', async () => {
+      location = {latitude: 51.5, longitude: -0.13};
+      const trigger = triggers.fromDescription(sunsetTrigger);
+      await trigger.start();
+      const next = trigger.next;
+
+      location = {latitude: 51.5, longitude: 10};
+      jest.advanceTimersByTime(60 * 60 * 1000);
+      await settle();
+      expect(trigger.location).toEqual(location);
+      expect(trigger.next).not.toEqual(next);
+      expect(trigger.next).toEqual(trigger.nextTime(new Date()));
+      trigger.stop();
+    });
+  });
+
+  describe('timing options', () => {
+    let states;
+
+    /**
+     * @param {TriggerDescription} desc
+     * @return {Trigger} A trigger recording its states in `states`.
+     */
+    function makeTrigger(desc) {
+      const trigger = triggers.fromDescription(desc);
+      trigger.on(Events.STATE_CHANGED, (state) => states.push(state));
+      return trigger;
+    }
+
+    beforeEach(() => {
+      states = [];
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should keep the options in the description', () => {
+      const desc = Object.assign({}, levelTrigger,
+                                 {debounce: 2, holdFor: 60, hysteresis: 5});
+      expect(triggers.fromDescription(desc).toDescription()).toEqual(desc);
+    });
+
+    it('should reject invalid options', () => {
+      for (const options of [
+        {holdFor: -1},
+        {debounce: '5'},
+        {hysteresis: -1},
+      ]) {
+        expect(() => triggers.fromDescription(
+          Object.assign({}, levelTrigger, options)
+        )).toThrow();
+      }
+      expect(() => triggers.fromDescription(Object.assign(
+        {}, levelTrigger, {levelType: 'EQUAL', hysteresis: 1}
+      ))).toThrow();
+    });
+
+    it('should turn on once the value has held for holdFor', () => {
+      const trigger = makeTrigger(Object.assign({}, booleanTrigger,
+                                                {holdFor: 60}));
+      trigger.onValueChanged(true);
+      jest.advanceTimersByTime(59 * 1000);
+      expect(states).toEqual([]);
+
+      trigger.onValueChanged(false);
+      trigger.onValueChanged(true);
+      jest.advanceTimersByTime(59 * 1000);
+      expect(states).toEqual([{on: false, value: false}]);
+
+      jest.advanceTimersByTime(1000);
+      expect(states).toEqual([
+        {on: false, value: false},
+        {on: true, value: true},
+      ]);
+    });
+
+    it('should only compare values which stayed for debounce', () => {
+      const trigger = makeTrigger(Object.assign({}, levelTrigger,
+                                                {debounce: 2}));
+      trigger.onValueChanged(100);
+      jest.advanceTimersByTime(1000);
+      trigger.onValueChanged(130);
+      jest.advanceTimersByTime(1000);
+      expect(states).toEqual([]);
+
+      jest.advanceTimersByTime(1000);
+      expect(states).toEqual([{on: false, value: 130}]);
+    });
+
+    it('should not flap within the hysteresis', () => {
+      const trigger = makeTrigger(Object.assign({}, levelTrigger,
+                                                {hysteresis: 5}));
+      for (const value of [119, 121, 124, 125, 121]) {
+        trigger.onValueChanged(value);
+      }
+      expect(states.map((state) => state.on))
+        .toEqual([true, true, true, false, false]);
+    });
+
+    it('should turn an InactivityTrigger on when nothing changes', () => {
+      const trigger = makeTrigger({
+        type: 'InactivityTrigger',
+        property: booleanTrigger.property,
+        timeout: 300,
+      });
+      trigger.onValueChanged(true);
+      jest.advanceTimersByTime(299 * 1000);
+      trigger.onValueChanged(false);
+      jest.advanceTimersByTime(299 * 1000);
+      expect(states).toEqual([]);
+
+      jest.advanceTimersByTime(1000);
+      expect(states).toEqual([{on: true, value: false}]);
+
+      trigger.onValueChanged(true);
+      expect(states[1]).toEqual({on: false, value: true});
+      trigger.stop();
+      jest.advanceTimersByTime(300 * 1000);
+      expect(states.length).toEqual(2);
+    });
+
+    it('should not count the same value as a change', () => {
+      const trigger = makeTrigger({
+        type: 'InactivityTrigger',
+        property: booleanTrigger.property,
+        timeout: 300,
+      });
+      trigger.onValueChanged(true);
+      jest.advanceTimersByTime(200 * 1000);
+      trigger.onValueChanged(true);
+      jest.advanceTimersByTime(100 * 1000);
+      expect(states).toEqual([{on: true, value: true}]);
+
+      trigger.onValueChanged(true);
+      expect(states.length).toEqual(1);
+    });
+
+    it('should reject timing options for an InactivityTrigger', () => {
+      for (const options of [{debounce: 2}, {holdFor: 60}]) {
+        expect(() => triggers.fromDescription(Object.assign({
+          type: 'InactivityTrigger',
+          property: booleanTrigger.property,
+          timeout: 300,
+        }, options))).toThrow();
+      }
+    });
+  });
+});
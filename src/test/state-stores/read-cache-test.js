@@ -0,0 +1,67 @@
+const ReadCache = require('../../state-stores/read-cache');
+
+describe('ReadCache', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new ReadCache(2);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('serves values until they are too old', () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    cache.set('device-1', 'on', true);
+    expect(cache.get('device-1', 'on', 1000)).toEqual({value: true});
+
+    Date.now.mockReturnValue(now + 1001);
+    expect(cache.get('device-1', 'on', 1000)).toBeNull();
+    expect(cache.size).toEqual(0);
+  });
+
+  it('evicts the least recently used values', () => {
+    cache.set('device-1', 'on', true);
+    cache.set('device-1', 'level', 1);
+    cache.get('device-1', 'on', 1000);
+    cache.set('device-2', 'on', false);
+
+    expect(cache.get('device-1', 'on', 1000)).toEqual({value: true});
+    expect(cache.get('device-1', 'level', 1000)).toBeNull();
+  });
+
+  it('shares concurrent loads', async () => {
+    const loader = jest.fn().mockResolvedValue(3);
+    const values = await Promise.all([
+      cache.load('device-1', 'level', loader),
+      cache.load('device-1', 'level', loader),
+    ]);
+    expect(values).toEqual([3, 3]);
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(cache.get('device-1', 'level', 1000)).toEqual({value: 3});
+  });
+
+  it('does not cache values loaded before a change', async () => {
+    let resolve;
+    const loading = cache.load('device-1', 'level', () => {
+      return new Promise((r) => {
+        resolve = r;
+      });
+    });
+    cache.invalidate('device-1', 'level');
+    resolve(3);
+
+    expect(await loading).toEqual(3);
+    expect(cache.get('device-1', 'level', 1000)).toBeNull();
+  });
+
+  it('forgets every value of a device', () => {
+    cache.set('device-1', 'on', true);
+    cache.set('device-10', 'on', true);
+    cache.invalidateDevice('device-1');
+    expect(cache.get('device-1', 'on', 1000)).toBeNull();
+    expect(cache.get('device-10', 'on', 1000)).toEqual({value: true});
+  });
+});
@@ -0,0 +1,51 @@
+const MemoryStateStore = require('../../state-stores/memory-state-store');
+const SQLiteStateStore = require('../../state-stores/sqlite-state-store');
+
+const properties = {
+  on: {type: 'boolean', value: false},
+  level: {type: 'number', value: 42},
+  color: {type: 'string', value: '#ff0000'},
+};
+
+for (const StateStoreClass of [MemoryStateStore, SQLiteStateStore]) {
+  describe(StateStoreClass.name, () => {
+    let store;
+
+    beforeEach(() => {
+      store = new StateStoreClass();
+    });
+
+    it('reads initial values after initDevice', async () => {
+      await store.initDevice('test-device', properties);
+      expect(await store.read('test-device', 'on')).toBe(false);
+      expect(await store.read('test-device', 'level')).toBe(42);
+      expect(await store.read('test-device', 'color')).toBe('#ff0000');
+    });
+
+    it('reads back written values', async () => {
+      await store.initDevice('test-device', properties);
+      await store.write('test-device', 'on', true);
+      await store.write('test-device', 'level', 12.5);
+      expect(await store.read('test-device', 'on')).toBe(true);
+      expect(await store.read('test-device', 'level')).toBe(12.5);
+    });
+
+    it('keeps devices separate', async () => {
+      await store.initDevice('device-a', properties);
+      await store.initDevice('device-b', properties);
+      await store.write('device-a', 'on', true);
+      expect(await store.read('device-a', 'on')).toBe(true);
+      expect(await store.read('device-b', 'on')).toBe(false);
+    });
+
+    it('forgets removed devices', async () => {
+      await store.initDevice('test-device', properties);
+      await store.removeDevice('test-device');
+      expect(await store.read('test-device', 'on')).toBeUndefined();
+    });
+
+    it('returns undefined for unknown properties', async () => {
+      expect(await store.read('no-such-device', 'on')).toBeUndefined();
+    });
+  });
+}
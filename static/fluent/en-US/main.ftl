@@ -154,6 +154,9 @@ localization-settings-units = Units
 localization-settings-units-temperature = Temperature
 localization-settings-units-temperature-celsius = Celsius (°C)
 localization-settings-units-temperature-fahrenheit = Fahrenheit (°F)
+localization-settings-location = Location
+localization-settings-latitude = Latitude
+localization-settings-longitude = Longitude
 
 ## Update Settings
 
@@ -193,6 +196,7 @@ rules-delete-icon =
     .alt = Delete
 rules-drag-hint = Drag your devices here to start creating a rule
 rules-drag-input-hint = Add device as input
+rules-drag-condition-hint = Add as condition
 rules-drag-output-hint = Add device as output
 rules-scroll-left =
     .alt = Scroll Left
@@ -204,6 +208,15 @@ rules-delete-cancel =
     .value = Cancel
 rules-delete-confirm =
     .value = Remove Rule
+rules-history-button = History
+rules-history-title = Rule History
+rules-history-empty = This rule hasn't been triggered yet.
+rules-history-close =
+    .value = Close
+rules-history-on = Activated
+rules-history-off = Deactivated
+rules-history-condition-failed = Condition not met, effects skipped
+rules-history-failed = Failed
 rule-invalid = Invalid
 rule-delete-prompt = Are you sure you want to remove this rule permanently?
 rule-delete-cancel-button =
@@ -215,7 +228,25 @@ rule-not = Not
 rule-event = Event
 rule-action = Action
 rule-configure = Configure…
+rule-trigger-holdFor = Hold for (s)
+rule-trigger-debounce = Debounce (s)
+rule-trigger-hysteresis = Hysteresis
+rule-inactive = unchanged for
+rule-inactive-minutes = Minutes
 rule-time-title = Time of day
+rule-time-mode-time = At a time of day
+rule-time-mode-sunrise = Around sunrise
+rule-time-mode-sunset = Around sunset
+rule-time-mode-cron = On a cron schedule
+rule-time-offset = Minutes after the event, or before if negative
+rule-time-start-date = First day
+rule-time-end-date = Last day
+rule-time-condition-title = Time window
+rule-time-condition-start = From
+rule-time-condition-end = To
+rule-rule-condition-title = Rule state
+rule-rule-condition-active = Is active
+rule-rule-condition-inactive = Is not active
 rule-notification = Notification
 notification-title = Title
 notification-message = Message
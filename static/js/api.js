@@ -432,6 +432,14 @@ const API = {
     return this.getJson(`/rules/${encodeURIComponent(ruleId)}`);
   },
 
+  getRuleHistory(ruleId, limit) {
+    let url = `/rules/${encodeURIComponent(ruleId)}/history`;
+    if (typeof limit === 'number') {
+      url += `?limit=${limit}`;
+    }
+    return this.getJson(url);
+  },
+
   addRule(description) {
     return this.postJson('/rules', description);
   },
@@ -656,6 +664,15 @@ const API = {
   setUnits(units) {
     return this.putJson('/settings/localization/units', units);
   },
+
+  getLocation() {
+    return this.getJson('/settings/localization/location');
+  },
+
+  setLocation(latitude, longitude) {
+    return this.putJson('/settings/localization/location',
+                        {latitude, longitude});
+  },
 };
 
 // Elevate this to the window level.
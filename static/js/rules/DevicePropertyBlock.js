@@ -1,6 +1,15 @@
+const BlockConfigureDropdown = require('./BlockConfigureDropdown');
 const PropertySelect = require('./PropertySelect');
 const RulePartBlock = require('./RulePartBlock');
 const RuleUtils = require('./RuleUtils');
+const fluent = require('../fluent');
+
+/**
+ * Options, in seconds except for the hysteresis, which apply to the
+ * triggers comparing a property to a value
+ */
+const TRIGGER_OPTIONS = ['holdFor', 'debounce', 'hysteresis'];
+const OPTION_TRIGGERS = ['BooleanTrigger', 'EqualityTrigger', 'LevelTrigger'];
 
 /**
  * An element representing a device (`thing`) and a property. Can be
@@ -18,8 +27,61 @@ class DevicePropertyBlock extends RulePartBlock {
           RuleUtils.icon(thing));
     this.thing = thing;
 
+    // Apply the trigger options to whichever option gets selected
+    this.onRuleChange = () => {
+      this.applyTriggerOptions();
+      onRuleChange();
+    };
+
     const propertyInfo = this.elt.querySelector('.rule-part-info');
     this.propertySelect = new PropertySelect(this, propertyInfo, thing);
+
+    this.triggerOptions = {};
+    this.updateValues = this.updateValues.bind(this);
+    this.dropdown = new BlockConfigureDropdown(this, propertyInfo);
+    for (const id of TRIGGER_OPTIONS) {
+      this.dropdown.addValue({
+        id,
+        title: fluent.getMessage(`rule-trigger-${id}`),
+        type: 'number',
+        minimum: 0,
+        value: 0,
+      });
+    }
+    this.dropdown.elt.classList.add('hidden');
+  }
+
+  /**
+   * Set the trigger options from the configure dropdown
+   * @param {Object} values
+   */
+  updateValues(values) {
+    this.triggerOptions = {};
+    for (const id of TRIGGER_OPTIONS) {
+      const value = parseFloat(values[id]);
+      if (value > 0) {
+        this.triggerOptions[id] = value;
+      }
+    }
+    this.onRuleChange();
+  }
+
+  /**
+   * Copy the trigger options onto the selected trigger, if it has them
+   */
+  applyTriggerOptions() {
+    const trigger = this.rulePart && this.rulePart.trigger;
+    if (!trigger || !OPTION_TRIGGERS.includes(trigger.type)) {
+      return;
+    }
+
+    for (const id of TRIGGER_OPTIONS) {
+      delete trigger[id];
+    }
+    Object.assign(trigger, this.triggerOptions);
+    if (trigger.type !== 'LevelTrigger' || trigger.levelType === 'EQUAL') {
+      delete trigger.hysteresis;
+    }
   }
 
   /**
@@ -30,6 +92,7 @@ class DevicePropertyBlock extends RulePartBlock {
     super.onUp(clientX, clientY);
     if (this.role !== originalRole) {
       this.propertySelect.updateOptionsForRole(this.role);
+      this.dropdown.elt.classList.toggle('hidden', this.role !== 'trigger');
       this.rulePart = null;
       this.onRuleChange();
     }
@@ -43,11 +106,23 @@ class DevicePropertyBlock extends RulePartBlock {
 
     this.propertySelect.updateOptionsForRole(this.role);
     this.propertySelect.selectByRuleFragment(rulePart);
+
+    this.dropdown.elt.classList.toggle('hidden', this.role !== 'trigger');
+    if (rulePart.trigger) {
+      this.triggerOptions = {};
+      for (const id of TRIGGER_OPTIONS) {
+        if (rulePart.trigger[id]) {
+          this.triggerOptions[id] = rulePart.trigger[id];
+        }
+        this.dropdown.setValue(id, rulePart.trigger[id] || 0);
+      }
+    }
   }
 
   remove() {
     super.remove();
     this.propertySelect.remove();
+    this.dropdown.remove();
   }
 }
 
@@ -62,14 +62,14 @@ class NotificationEffectBlock extends RulePartBlock {
       this.messageInput.value = rulePart.effect.message;
     }
 
-    if (rulePart.trigger) {
+    if (rulePart.trigger || rulePart.condition) {
       throw new Error('NotificationEffectBlock can only be an effect');
     }
   }
 
   onUp(clientX, clientY) {
     super.onUp(clientX, clientY);
-    if (this.role === 'trigger') {
+    if (this.role === 'trigger' || this.role === 'condition') {
       this.remove();
     }
     if (this.role === 'effect') {
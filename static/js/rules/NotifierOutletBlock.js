@@ -71,7 +71,7 @@ class NotifierOutletBlock extends RulePartBlock {
 
   setRulePart(rulePart) {
     this.rulePart = rulePart;
-    if (rulePart.trigger) {
+    if (rulePart.trigger || rulePart.condition) {
       throw new Error('NotifierOutletBlock can only be an effect');
     }
     if (!rulePart.effect) {
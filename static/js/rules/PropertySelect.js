@@ -14,10 +14,13 @@ function propertyEqual(a, b) {
     a.thing === b.thing;
 }
 
+function getPart(ruleFragment) {
+  return ruleFragment.trigger || ruleFragment.condition ||
+    ruleFragment.effect;
+}
+
 function getProperty(ruleFragment) {
-  return ruleFragment.trigger ?
-    ruleFragment.trigger.property :
-    ruleFragment.effect.property;
+  return getPart(ruleFragment).property;
 }
 
 function ruleFragmentEqual(a, b) {
@@ -30,9 +33,12 @@ function ruleFragmentEqual(a, b) {
   if (a.effect && !b.effect) {
     return false;
   }
+  if (a.condition && !b.condition) {
+    return false;
+  }
 
-  const aPart = a.trigger || a.effect;
-  const bPart = b.trigger || b.effect;
+  const aPart = getPart(a);
+  const bPart = getPart(b);
 
   const aProperty = getProperty(a);
   const bProperty = getProperty(b);
@@ -49,6 +55,9 @@ function ruleFragmentEqual(a, b) {
     return false;
   }
 
+  if (aPart.type === 'InactivityTrigger') {
+    return true;
+  }
   if (aProperty && aProperty.type === 'boolean') {
     if (a.trigger) {
       return aPart.onValue === bPart.onValue;
@@ -146,9 +155,33 @@ class PropertySelect {
       e.stopPropagation();
     };
 
-    if (property.type === 'number' || property.type === 'integer') {
+    if (ruleFragment.trigger &&
+        ruleFragment.trigger.type === 'InactivityTrigger') {
+      const minutesInput = document.createElement('input');
+      minutesInput.classList.add('value-input');
+      minutesInput.type = 'number';
+      minutesInput.min = '1';
+      minutesInput.step = '1';
+      minutesInput.title = fluent.getMessage('rule-inactive-minutes');
+      minutesInput.addEventListener('click', stopPropagation);
+      elt.appendChild(minutesInput);
+
+      elt.addEventListener('change', () => {
+        const minutes = Math.max(parseInt(minutesInput.value, 10) || 1, 1);
+        minutesInput.value = minutes;
+        ruleFragment.trigger.timeout = minutes * 60;
+        elt.dataset.ruleFragment = JSON.stringify(ruleFragment);
+
+        const dpbRulePart = this.devicePropertyBlock.rulePart;
+        if (!dpbRulePart || (dpbRulePart.trigger &&
+            ruleFragmentEqual(dpbRulePart, ruleFragment))) {
+          this.devicePropertyBlock.rulePart = ruleFragment;
+          this.devicePropertyBlock.onRuleChange();
+        }
+      });
+    } else if (property.type === 'number' || property.type === 'integer') {
       let ltOption, gtOption, eqOption;
-      if (ruleFragment.trigger) {
+      if (ruleFragment.trigger || ruleFragment.condition) {
         ltOption = document.createElement('option');
         ltOption.textContent = '<';
         ltOption.classList.add('lt-option');
@@ -246,6 +279,15 @@ class PropertySelect {
             ruleFragment.trigger.levelType = 'EQUAL';
           }
           ruleFragment.trigger.value = value;
+        } else if (ruleFragment.condition) {
+          if (ltOption.selected) {
+            ruleFragment.condition.comparison = 'LESS';
+          } else if (gtOption.selected) {
+            ruleFragment.condition.comparison = 'GREATER';
+          } else if (property.type === 'integer' && eqOption.selected) {
+            ruleFragment.condition.comparison = 'EQUAL';
+          }
+          ruleFragment.condition.value = value;
         } else {
           ruleFragment.effect.value = value;
         }
@@ -294,6 +336,11 @@ class PropertySelect {
           ruleFragment.trigger.value = value;
           selected = selected || (dpbRulePart.trigger &&
             dpbRulePart.trigger.type === ruleFragment.trigger.type);
+        } else if (ruleFragment.condition) {
+          ruleFragment.condition.value = value;
+          selected = selected || (dpbRulePart.condition &&
+            propertyEqual(dpbRulePart.condition.property,
+                          ruleFragment.condition.property));
         } else {
           ruleFragment.effect.value = value;
           selected = selected || (dpbRulePart.effect &&
@@ -328,9 +375,14 @@ class PropertySelect {
       return;
     }
 
-    const fragmentValue = ruleFragment.trigger ?
-      ruleFragment.trigger.value :
-      ruleFragment.effect.value;
+    if (ruleFragment.trigger &&
+        ruleFragment.trigger.type === 'InactivityTrigger') {
+      optionElt.querySelector('.value-input').value =
+        Math.round(ruleFragment.trigger.timeout / 60);
+      return;
+    }
+
+    const fragmentValue = getPart(ruleFragment).value;
 
     const input = optionElt.querySelector('.value-input') ||
       optionElt.querySelector('.value-select');
@@ -345,6 +397,15 @@ class PropertySelect {
         } else {
           optionElt.querySelector('.lt-option').setAttribute('selected', '');
         }
+      } else if (ruleFragment.condition) {
+        const comparison = ruleFragment.condition.comparison;
+        if (comparison === 'GREATER') {
+          optionElt.querySelector('.gt-option').setAttribute('selected', '');
+        } else if (property.type === 'integer' && comparison === 'EQUAL') {
+          optionElt.querySelector('.eq-option').setAttribute('selected', '');
+        } else {
+          optionElt.querySelector('.lt-option').setAttribute('selected', '');
+        }
       }
       input.value = Units.convert(fragmentValue, property.unit).value;
     } else if (property.name === 'color' || property.type === 'string') {
@@ -355,7 +416,7 @@ class PropertySelect {
   /**
    * Updates available options based on the PropertySelector's
    * DevicePropertyBlock's role.
-   * @param {'trigger'|'effect'} role
+   * @param {'trigger'|'condition'|'effect'} role
    */
   updateOptionsForRole(role) {
     if (this.role === role) {
@@ -435,6 +496,17 @@ class PropertySelect {
             },
           });
         }
+
+        this.addOption(`${name} ${fluent.getMessage('rule-inactive')}`, {
+          trigger: {
+            type: 'InactivityTrigger',
+            property,
+            timeout: 5 * 60,
+            label: name,
+          },
+        });
+      } else if (role === 'condition') {
+        this.addConditionOptions(property, name);
       } else if (role === 'effect') {
         if (property.readOnly) {
           continue;
@@ -502,6 +574,52 @@ class PropertySelect {
     }
   }
 
+  /**
+   * Add the options comparing a property's value when the rule activates
+   * @param {Object} property
+   * @param {String} name
+   */
+  addConditionOptions(property, name) {
+    const condition = {
+      type: 'PropertyCondition',
+      property,
+      comparison: 'EQUAL',
+      label: name,
+    };
+
+    if (property.type === 'boolean') {
+      let onName = name;
+      let offName = `${fluent.getMessage('rule-not')} ${onName}`;
+      if (property.name === 'on') {
+        onName = fluent.getMessage('on');
+        offName = fluent.getMessage('off');
+      }
+      this.addOption(onName, {
+        condition: Object.assign({}, condition, {value: true}),
+      });
+      this.addOption(offName, {
+        condition: Object.assign({}, condition, {value: false}),
+      });
+    } else if (property.type === 'string') {
+      let value = '';
+      if (property.name === 'color') {
+        value = '#ffffff';
+      }
+      this.addOption(name, {
+        condition: Object.assign(condition, {value}),
+      });
+    } else if (property.type === 'number' || property.type === 'integer') {
+      const max = property.maximum || 0;
+      const min = property.minimum || 0;
+      this.addOption(name, {
+        condition: Object.assign(condition, {
+          comparison: 'LESS',
+          value: Math.round((max + min) / 2),
+        }),
+      });
+    }
+  }
+
   addEventOptions() {
     for (const name of Object.keys(this.thing.events)) {
       const label =
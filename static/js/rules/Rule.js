@@ -31,6 +31,7 @@ class Rule {
       }
       this.trigger = desc.trigger;
       this.effect = desc.effect;
+      this.condition = desc.condition;
     } else {
       this.enabled = true;
     }
@@ -81,12 +82,80 @@ class Rule {
     if (!this.trigger || !this.effect) {
       return null;
     }
-    return {
+    const desc = {
       enabled: this.enabled,
       name: this.name,
       trigger: this.trigger,
       effect: this.effect,
     };
+    if (this.condition) {
+      desc.condition = this.condition;
+    }
+    return desc;
+  }
+
+  /**
+   * Convert a TimeTrigger's description to a human-readable string
+   * @param {Trigger} trigger
+   * @return {String}
+   */
+  timeTriggerToHumanRepresentation(trigger) {
+    let str;
+    if (trigger.cron) {
+      str = `the time matches "${trigger.cron}"`;
+    } else if (trigger.event) {
+      const offset = trigger.offset || 0;
+      if (offset === 0) {
+        str = `it is ${trigger.event}`;
+      } else {
+        const direction = offset > 0 ? 'after' : 'before';
+        str = `it is ${Math.abs(offset)} min ${direction} ${trigger.event}`;
+      }
+    } else {
+      const d = new Date();
+      const parts = trigger.time.split(':');
+      d.setHours(parseInt(parts[0], 10), parseInt(parts[1], 10), 0, 0);
+      const formatted = d.toLocaleTimeString(
+        // eslint-disable-next-line no-undefined
+        App.LANGUAGE,
+        {
+          hour: '2-digit',    // only show hour and minute
+          minute: '2-digit',  // am/pm is added automatically
+        }
+      );
+      str = `the time of day is ${formatted}`;
+    }
+
+    if (trigger.days) {
+      str += ` on ${Rule.daysToHumanRepresentation(trigger.days)}`;
+    }
+
+    const formatDate = (date) => {
+      const parts = date.split('-').map((part) => parseInt(part, 10));
+      return new Date(parts[0], parts[1] - 1, parts[2])
+        .toLocaleDateString(App.LANGUAGE);
+    };
+    if (trigger.startDate) {
+      str += ` from ${formatDate(trigger.startDate)}`;
+    }
+    if (trigger.endDate) {
+      str += ` until ${formatDate(trigger.endDate)}`;
+    }
+    return str;
+  }
+
+  /**
+   * @param {number[]} days - Days of the week, 0 being Sunday
+   * @return {String}
+   */
+  static daysToHumanRepresentation(days) {
+    // 2021-01-03 was a Sunday
+    return days.map((day) => {
+      return new Date(2021, 0, 3 + day).toLocaleDateString(
+        App.LANGUAGE,
+        {weekday: 'long'}
+      );
+    }).join(', ');
   }
 
   /**
@@ -138,18 +207,7 @@ class Rule {
     }
 
     if (trigger.type === 'TimeTrigger') {
-      const d = new Date();
-      const parts = trigger.time.split(':');
-      d.setHours(parseInt(parts[0], 10), parseInt(parts[1], 10), 0, 0);
-      const formatted = d.toLocaleTimeString(
-        // eslint-disable-next-line no-undefined
-        App.LANGUAGE,
-        {
-          hour: '2-digit',    // only show hour and minute
-          minute: '2-digit',  // am/pm is added automatically
-        }
-      );
-      return `the time of day is ${formatted}`;
+      return this.timeTriggerToHumanRepresentation(trigger);
     }
 
     if (trigger.type === 'EventTrigger') {
@@ -203,14 +261,157 @@ class Rule {
       triggerStr += `${convertedValue}`;
     } else if (trigger.type === 'EqualityTrigger') {
       triggerStr += `${trigger.label} is ${convertedValue}`;
+    } else if (trigger.type === 'InactivityTrigger') {
+      triggerStr += `${trigger.label} has not changed for ${
+        Rule.durationToHumanRepresentation(trigger.timeout)}`;
     } else {
       console.error('Unknown trigger type', trigger);
       return null;
     }
 
+    if (trigger.holdFor) {
+      triggerStr +=
+        ` for ${Rule.durationToHumanRepresentation(trigger.holdFor)}`;
+    }
+
     return triggerStr;
   }
 
+  /**
+   * Convert a condition's description to a human-readable string
+   * @param {Condition} condition
+   * @return {String?}
+   */
+  singleConditionToHumanRepresentation(condition) {
+    if (!condition) {
+      return null;
+    }
+
+    if (condition.type === 'MultiCondition') {
+      const strs = [];
+      for (const part of condition.conditions) {
+        const singleStr = this.singleConditionToHumanRepresentation(part);
+        if (!singleStr) {
+          return null;
+        }
+        strs.push(singleStr);
+      }
+      const op = condition.op === 'OR' ? 'or' : 'and';
+      if (strs.length <= 2) {
+        return strs.join(` ${op} `);
+      }
+      return `${strs.slice(0, -1).join(', ')}, ${op} ${strs[strs.length - 1]}`;
+    }
+
+    if (condition.type === 'TimeCondition') {
+      const bound = (time, offset) => {
+        if (time !== 'sunrise' && time !== 'sunset') {
+          return time;
+        }
+        if (!offset) {
+          return time;
+        }
+        const direction = offset > 0 ? 'after' : 'before';
+        return `${Math.abs(offset)} min ${direction} ${time}`;
+      };
+      let conditionStr = `it is between ${
+        bound(condition.start, condition.startOffset)} and ${
+        bound(condition.end, condition.endOffset)}`;
+      if (condition.days) {
+        conditionStr +=
+          ` on ${Rule.daysToHumanRepresentation(condition.days)}`;
+      }
+      return conditionStr;
+    }
+
+    if (condition.type === 'RuleCondition') {
+      const active = condition.active === false ? 'not active' : 'active';
+      return `rule "${condition.label || condition.rule}" is ${active}`;
+    }
+
+    if (condition.type !== 'PropertyCondition') {
+      console.error('Unknown condition type', condition);
+      return null;
+    }
+
+    const conditionThing = this.gateway.things.filter(
+      RuleUtils.byProperty(condition.property)
+    )[0];
+    if (!conditionThing) {
+      return null;
+    }
+
+    const conditionProp = conditionThing.properties[condition.property.id];
+    if (!conditionProp) {
+      return null;
+    }
+
+    let conditionStr = `${conditionThing.title} `;
+    if (typeof condition.value === 'boolean') {
+      const value = condition.comparison === 'NOT_EQUAL' ?
+        !condition.value :
+        condition.value;
+      conditionStr += value ? 'is ' : 'is not ';
+      if (condition.property.id === 'on' || conditionProp.name === 'on') {
+        conditionStr += 'on';
+      } else {
+        conditionStr += condition.label;
+      }
+      return conditionStr;
+    }
+
+    const comparisons = {
+      EQUAL: '',
+      NOT_EQUAL: 'not ',
+      LESS: 'less than ',
+      GREATER: 'greater than ',
+    };
+    const convertedValue =
+      Units.convert(condition.value, conditionProp.unit).value;
+    conditionStr += `${condition.label} is ${
+      comparisons[condition.comparison]}${convertedValue}`;
+    return conditionStr;
+  }
+
+  /**
+   * @param {number} seconds
+   * @return {String} The duration in the largest whole unit.
+   */
+  static durationToHumanRepresentation(seconds) {
+    if (seconds % 3600 === 0) {
+      return `${seconds / 3600} h`;
+    }
+    if (seconds % 60 === 0) {
+      return `${seconds / 60} min`;
+    }
+    return `${seconds} s`;
+  }
+
+  /**
+   * Convert a step of an effect sequence to a human-readable string
+   * @param {Object} step
+   * @return {String?}
+   */
+  singleStepToHumanRepresentation(step) {
+    if (step.type === 'DelayStep') {
+      return `wait ${Rule.durationToHumanRepresentation(step.delay)}`;
+    }
+    if (step.type === 'WaitStep') {
+      const conditionStr =
+        this.singleConditionToHumanRepresentation(step.condition);
+      if (!conditionStr) {
+        return null;
+      }
+      let stepStr = `wait until ${conditionStr}`;
+      if (step.timeout) {
+        stepStr += ` for at most ${
+          Rule.durationToHumanRepresentation(step.timeout)}`;
+      }
+      return stepStr;
+    }
+    return this.singleEffectToHumanRepresentation(step);
+  }
+
   /**
    * Convert an effect's description to a human-readable string
    * @param {Effect} effect
@@ -242,6 +443,18 @@ class Rule {
       return effectStr;
     }
 
+    if (effect.type === 'SequenceEffect') {
+      const strs = [];
+      for (const step of effect.steps) {
+        const singleStr = this.singleStepToHumanRepresentation(step);
+        if (!singleStr) {
+          return null;
+        }
+        strs.push(singleStr);
+      }
+      return strs.join(', then ');
+    }
+
     if (effect.type === 'NotificationEffect') {
       return `send a browser notification`;
     }
@@ -318,6 +531,7 @@ class Rule {
    */
   toHumanRepresentation(html) {
     let triggerStr = '???';
+    let conditionStr = '';
     let effectStr = '???';
 
     if (this.trigger) {
@@ -325,6 +539,11 @@ class Rule {
         this.singleTriggerToHumanRepresentation(this.trigger, html) ||
         triggerStr;
     }
+    if (this.hasCondition()) {
+      conditionStr = ` only if ${
+        this.singleConditionToHumanRepresentation(this.condition) ||
+        '???'},`;
+    }
     if (this.effect) {
       effectStr =
         this.singleEffectToHumanRepresentation(this.effect) ||
@@ -358,7 +577,15 @@ class Rule {
       </span>`;
     }
 
-    return `${predicate} ${triggerStr}, ${effectStr}`;
+    return `${predicate} ${triggerStr},${conditionStr} ${effectStr}`;
+  }
+
+  /**
+   * @return {boolean} Whether the rule has a condition to check
+   */
+  hasCondition() {
+    return !!this.condition && !(this.condition.type === 'MultiCondition' &&
+      this.condition.conditions.length === 0);
   }
 
   /**
@@ -385,7 +612,9 @@ class Rule {
    */
   valid() {
     return !!(this.singleTriggerToHumanRepresentation(this.trigger, false) &&
-      this.singleEffectToHumanRepresentation(this.effect, false));
+      this.singleEffectToHumanRepresentation(this.effect, false) &&
+      (!this.hasCondition() ||
+       this.singleConditionToHumanRepresentation(this.condition)));
   }
 }
 
@@ -0,0 +1,100 @@
+const RulePartBlock = require('./RulePartBlock');
+const TimeTriggerBlock = require('./TimeTriggerBlock');
+const fluent = require('../fluent');
+
+/**
+ * An element representing a condition on whether another rule is active
+ *
+ * @constructor
+ * @param {Element} ruleArea
+ * @param {Function} onPresentationChange
+ * @param {Function} onRuleChange
+ * @param {RuleDescription[]} rules - The rules which can be chosen
+ */
+class RuleConditionBlock extends RulePartBlock {
+  constructor(ruleArea, onPresentationChange, onRuleUpdate, rules) {
+    super(ruleArea, onPresentationChange, onRuleUpdate,
+          fluent.getMessage('rule-rule-condition-title'),
+          '/images/rules-icon.png');
+    this.rules = rules;
+
+    const rulePartInfo = this.elt.querySelector('.rule-part-info');
+    const onChange = () => {
+      this.rulePart = this.toRulePart();
+      this.onRuleChange();
+    };
+
+    this.ruleSelect = document.createElement('select');
+    this.ruleSelect.classList.add('time-input');
+    for (const rule of rules) {
+      const option = document.createElement('option');
+      option.value = rule.id;
+      option.innerText = rule.name;
+      this.ruleSelect.appendChild(option);
+    }
+
+    this.activeSelect = document.createElement('select');
+    this.activeSelect.classList.add('time-input');
+    for (const active of ['active', 'inactive']) {
+      const option = document.createElement('option');
+      option.value = active;
+      option.innerText = fluent.getMessage(`rule-rule-condition-${active}`);
+      this.activeSelect.appendChild(option);
+    }
+
+    for (const elt of [this.ruleSelect, this.activeSelect]) {
+      TimeTriggerBlock.disableDragging(elt);
+      elt.addEventListener('change', onChange);
+      rulePartInfo.appendChild(elt);
+    }
+  }
+
+  /**
+   * @return {Object?} The partial rule described by the inputs, null if
+   *                   there is no rule to choose
+   */
+  toRulePart() {
+    const id = parseInt(this.ruleSelect.value, 10);
+    const rule = this.rules.find((rule) => rule.id === id);
+    if (!rule) {
+      return null;
+    }
+    return {
+      condition: {
+        type: 'RuleCondition',
+        rule: rule.id,
+        active: this.activeSelect.value === 'active',
+        label: rule.name,
+      },
+    };
+  }
+
+  /**
+   * Initialize based on an existing partial rule
+   */
+  setRulePart(rulePart) {
+    if (rulePart.trigger || rulePart.effect) {
+      throw new Error('RuleConditionBlock can only be a condition');
+    }
+    super.setRulePart(rulePart);
+
+    const condition = rulePart.condition;
+    this.ruleSelect.value = condition.rule;
+    this.activeSelect.value = condition.active === false ?
+      'inactive' :
+      'active';
+  }
+
+  onUp(clientX, clientY) {
+    super.onUp(clientX, clientY);
+    if (this.role === 'trigger' || this.role === 'effect') {
+      this.remove();
+    }
+    if (this.role === 'condition') {
+      this.rulePart = this.toRulePart();
+      this.onRuleChange();
+    }
+  }
+}
+
+module.exports = RuleConditionBlock;
@@ -1,6 +1,12 @@
 const Draggable = require('./Draggable');
 const Utils = require('../utils');
 
+/**
+ * The roles a block can take, in the order of their areas within the rule
+ * area, each taking a third of it
+ */
+const ROLES = ['trigger', 'condition', 'effect'];
+
 class RulePartBlock {
   /**
    * An element representing a component of a rule.  Drag-and-dropped within
@@ -77,29 +83,26 @@ class RulePartBlock {
     const deleteArea = document.getElementById('delete-area');
     const deleteAreaHeight = deleteArea.getBoundingClientRect().height;
     if (clientY > window.innerHeight - deleteAreaHeight) {
-      this.rulePartBlock.classList.remove('trigger');
-      this.rulePartBlock.classList.remove('effect');
+      this.showRole('');
     } else if (this.flexDir === 'row') {
-      if (relX < ruleAreaRect.width / 2) {
-        this.rulePartBlock.classList.add('trigger');
-        this.rulePartBlock.classList.remove('effect');
-      } else {
-        this.rulePartBlock.classList.remove('trigger');
-        this.rulePartBlock.classList.add('effect');
-      }
+      this.showRole(RulePartBlock.roleAt(relX / ruleAreaRect.width));
     } else if (this.flexDir === 'column') {
-      if (relY < ruleAreaRect.height / 2) {
-        this.rulePartBlock.classList.add('trigger');
-        this.rulePartBlock.classList.remove('effect');
-      } else {
-        this.rulePartBlock.classList.remove('trigger');
-        this.rulePartBlock.classList.add('effect');
-      }
+      this.showRole(RulePartBlock.roleAt(relY / ruleAreaRect.height));
     }
 
     this.snapToGrid(relX, relY);
   }
 
+  /**
+   * Style the block for a role, or none
+   * @param {string} role
+   */
+  showRole(role) {
+    for (const r of ROLES) {
+      this.rulePartBlock.classList.toggle(r, r === role);
+    }
+  }
+
   /**
    * Snap coordinates to a grid
    * @param {number} relX - x coordinate relative to ruleArea
@@ -126,10 +129,10 @@ class RulePartBlock {
     deleteArea.classList.remove('delete-active');
     this.ruleArea.classList.remove('drag-location-hint');
 
-    if (this.rulePartBlock.classList.contains('trigger')) {
-      this.role = 'trigger';
-    } else if (this.rulePartBlock.classList.contains('effect')) {
-      this.role = 'effect';
+    for (const role of ROLES) {
+      if (this.rulePartBlock.classList.contains(role)) {
+        this.role = role;
+      }
     }
 
     if (clientY > window.innerHeight - deleteAreaHeight) {
@@ -144,12 +147,8 @@ class RulePartBlock {
    */
   reset() {
     this.elt.style.transform = this.resetState.transform;
-    if (this.role === 'trigger') {
-      this.rulePartBlock.classList.add('trigger');
-      this.rulePartBlock.classList.remove('effect');
-    } else if (this.role === 'effect') {
-      this.rulePartBlock.classList.remove('trigger');
-      this.rulePartBlock.classList.add('effect');
+    if (ROLES.includes(this.role)) {
+      this.showRole(this.role);
     } else {
       this.remove();
     }
@@ -160,12 +159,11 @@ class RulePartBlock {
    */
   setRulePart(rulePart) {
     this.rulePart = rulePart;
-    if (rulePart.trigger) {
-      this.role = 'trigger';
-      this.rulePartBlock.classList.add('trigger');
-    } else if (rulePart.effect) {
-      this.role = 'effect';
-      this.rulePartBlock.classList.add('effect');
+    for (const role of ROLES) {
+      if (rulePart[role]) {
+        this.role = role;
+        this.showRole(role);
+      }
     }
   }
 
@@ -193,25 +191,16 @@ class RulePartBlock {
       length = 1;
     }
     const ratio = (index + 1) / (length + 1);
-
+    // The center of the role's third of the area
+    const roleRatio = (ROLES.indexOf(this.role) * 2 + 1) / 6;
 
     if (flexDir === 'row') {
       const centerY = areaRect.height * ratio - rect.height / 2;
-
-      let roleX = areaRect.width / 4 - rect.width / 2;
-      if (this.role === 'effect') {
-        roleX = areaRect.width * 3 / 4 - rect.width / 2;
-      }
-
+      const roleX = areaRect.width * roleRatio - rect.width / 2;
       this.snapToGrid(roleX, centerY);
     } else if (flexDir === 'column') {
       const centerX = areaRect.width * ratio - rect.width / 2;
-
-      let roleY = areaRect.height / 4 - rect.height / 2;
-      if (this.role === 'effect') {
-        roleY = areaRect.height * 3 / 4 - rect.height / 2;
-      }
-
+      const roleY = areaRect.height * roleRatio - rect.height / 2;
       this.snapToGrid(centerX, roleY);
     }
 
@@ -229,4 +218,13 @@ class RulePartBlock {
   }
 }
 
+/**
+ * @param {number} ratio - Position along the rule area, from 0 to 1
+ * @return {string} The role of a block dropped there
+ */
+RulePartBlock.roleAt = (ratio) => {
+  const index = Math.floor(ratio * ROLES.length);
+  return ROLES[Math.min(Math.max(index, 0), ROLES.length - 1)];
+};
+
 module.exports = RulePartBlock;
@@ -0,0 +1,161 @@
+const RulePartBlock = require('./RulePartBlock');
+const TimeTriggerBlock = require('./TimeTriggerBlock');
+const fluent = require('../fluent');
+
+const MODES = ['time', 'sunrise', 'sunset'];
+
+/**
+ * An element representing a window of time in which a rule may activate
+ *
+ * @constructor
+ * @param {Element} ruleArea
+ * @param {Function} onPresentationChange
+ * @param {Function} onRuleChange
+ */
+class TimeConditionBlock extends RulePartBlock {
+  constructor(ruleArea, onPresentationChange, onRuleUpdate) {
+    super(ruleArea, onPresentationChange, onRuleUpdate,
+          fluent.getMessage('rule-time-condition-title'),
+          '/images/thing-icons/clock.svg');
+
+    const rulePartInfo = this.elt.querySelector('.rule-part-info');
+    const onChange = () => {
+      this.updateInputs();
+      this.rulePart = this.toRulePart();
+      this.onRuleChange();
+    };
+
+    this.bounds = {
+      start: this.makeBoundInputs('start', '22:00'),
+      end: this.makeBoundInputs('end', '06:00'),
+    };
+
+    this.daysContainer = document.createElement('div');
+    this.daysContainer.classList.add('time-input', 'time-days');
+    this.dayInputs = TimeTriggerBlock.makeDayInputs(this.daysContainer);
+
+    const inputs = [];
+    for (const key of ['start', 'end']) {
+      const {mode, time, offset} = this.bounds[key];
+      inputs.push(mode, time, offset);
+    }
+    inputs.push(this.daysContainer);
+    for (const elt of inputs) {
+      TimeTriggerBlock.disableDragging(elt);
+      elt.addEventListener('change', onChange);
+      rulePartInfo.appendChild(elt);
+    }
+
+    this.updateInputs();
+  }
+
+  /**
+   * Create the inputs for the start or end of the window
+   * @param {'start'|'end'} key
+   * @param {string} time - The default time of day
+   * @return {Object} {mode, time, offset}
+   */
+  makeBoundInputs(key, time) {
+    const mode = document.createElement('select');
+    mode.classList.add('time-input');
+    mode.title = fluent.getMessage(`rule-time-condition-${key}`);
+    for (const value of MODES) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.innerText = `${fluent.getMessage(`rule-time-condition-${key}`)}: ${
+        fluent.getMessage(`rule-time-mode-${value}`)}`;
+      mode.appendChild(option);
+    }
+
+    const timeInput = document.createElement('input');
+    timeInput.type = 'time';
+    timeInput.value = time;
+    timeInput.classList.add('time-input');
+
+    const offset = document.createElement('input');
+    offset.type = 'number';
+    offset.step = 1;
+    offset.value = 0;
+    offset.title = fluent.getMessage('rule-time-offset');
+    offset.classList.add('time-input');
+
+    return {mode, time: timeInput, offset};
+  }
+
+  /**
+   * Show only the inputs which apply to the selected modes
+   */
+  updateInputs() {
+    for (const key of ['start', 'end']) {
+      const {mode, time, offset} = this.bounds[key];
+      time.classList.toggle('hidden', mode.value !== 'time');
+      offset.classList.toggle('hidden', mode.value === 'time');
+    }
+  }
+
+  /**
+   * @return {Object} The partial rule described by the inputs
+   */
+  toRulePart() {
+    const condition = {type: 'TimeCondition'};
+    for (const key of ['start', 'end']) {
+      const {mode, time, offset} = this.bounds[key];
+      if (mode.value === 'time') {
+        condition[key] = time.value;
+      } else {
+        condition[key] = mode.value;
+        condition[`${key}Offset`] = parseInt(offset.value, 10) || 0;
+      }
+    }
+
+    const days = this.dayInputs.filter((input) => input.checked)
+      .map((input) => parseInt(input.value, 10));
+    if (days.length > 0 && days.length < 7) {
+      condition.days = days;
+    }
+    return {condition};
+  }
+
+  /**
+   * Initialize based on an existing partial rule
+   */
+  setRulePart(rulePart) {
+    if (rulePart.trigger || rulePart.effect) {
+      throw new Error('TimeConditionBlock can only be a condition');
+    }
+    super.setRulePart(rulePart);
+
+    const condition = rulePart.condition;
+    for (const key of ['start', 'end']) {
+      const {mode, time, offset} = this.bounds[key];
+      const value = condition[key];
+      if (MODES.includes(value)) {
+        mode.value = value;
+        offset.value = condition[`${key}Offset`] || 0;
+      } else {
+        mode.value = 'time';
+        setTimeout(() => {
+          time.value = value;
+        }, 0);
+      }
+    }
+    for (const input of this.dayInputs) {
+      input.checked = !condition.days ||
+        condition.days.includes(parseInt(input.value, 10));
+    }
+    this.updateInputs();
+  }
+
+  onUp(clientX, clientY) {
+    super.onUp(clientX, clientY);
+    if (this.role === 'trigger' || this.role === 'effect') {
+      this.remove();
+    }
+    if (this.role === 'condition') {
+      this.rulePart = this.toRulePart();
+      this.onRuleChange();
+    }
+  }
+}
+
+module.exports = TimeConditionBlock;
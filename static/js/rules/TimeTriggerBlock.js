@@ -1,6 +1,49 @@
+const App = require('../app');
 const RulePartBlock = require('./RulePartBlock');
 const fluent = require('../fluent');
 
+const MODES = ['time', 'sunrise', 'sunset', 'cron'];
+
+/**
+ * Stop a control from starting a drag of its block when clicked
+ * @param {Element} elt
+ */
+function disableDragging(elt) {
+  elt.addEventListener('mousedown', (e) => {
+    e.stopPropagation();
+  });
+  elt.addEventListener('touchstart', (e) => {
+    e.stopPropagation();
+  });
+}
+
+/**
+ * Fill a container with a checkbox for each day of the week, all checked
+ * @param {Element} container
+ * @return {Element[]} The checkboxes, from Sunday to Saturday
+ */
+function makeDayInputs(container) {
+  const inputs = [];
+  const sunday = new Date(2021, 0, 3);
+  for (let day = 0; day < 7; day++) {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = true;
+    input.value = day;
+    label.appendChild(input);
+
+    const weekday = new Date(sunday.getTime());
+    weekday.setDate(sunday.getDate() + day);
+    label.appendChild(document.createTextNode(
+      weekday.toLocaleDateString(App.LANGUAGE, {weekday: 'narrow'})
+    ));
+    container.appendChild(label);
+    inputs.push(input);
+  }
+  return inputs;
+}
+
 /**
  * An element representing a time-based trigger
  *
@@ -16,6 +59,20 @@ class TimeTriggerBlock extends RulePartBlock {
           '/images/thing-icons/clock.svg');
 
     const rulePartInfo = this.elt.querySelector('.rule-part-info');
+    const onChange = () => {
+      this.updateInputs();
+      this.rulePart = this.toRulePart();
+      this.onRuleChange();
+    };
+
+    this.modeSelect = document.createElement('select');
+    this.modeSelect.classList.add('time-input');
+    for (const mode of MODES) {
+      const option = document.createElement('option');
+      option.value = mode;
+      option.innerText = fluent.getMessage(`rule-time-mode-${mode}`);
+      this.modeSelect.appendChild(option);
+    }
 
     this.timeInput = document.createElement('input');
     this.timeInput.type = 'time';
@@ -25,24 +82,98 @@ class TimeTriggerBlock extends RulePartBlock {
     this.timeInput.value = `${hours}:${minutes}`;
     this.timeInput.classList.add('time-input');
 
-    // Disable dragging started by clicking time input
-    this.timeInput.addEventListener('mousedown', (e) => {
-      e.stopPropagation();
-    });
-    this.timeInput.addEventListener('touchstart', (e) => {
-      e.stopPropagation();
-    });
-
-    this.timeInput.addEventListener('change', () => {
-      this.rulePart = {trigger: {
-        type: 'TimeTrigger',
-        time: this.timeInput.value,
-        localized: true,
-      }};
-      this.onRuleChange();
-    });
+    this.offsetInput = document.createElement('input');
+    this.offsetInput.type = 'number';
+    this.offsetInput.step = 1;
+    this.offsetInput.value = 0;
+    this.offsetInput.title = fluent.getMessage('rule-time-offset');
+    this.offsetInput.classList.add('time-input');
+
+    this.cronInput = document.createElement('input');
+    this.cronInput.type = 'text';
+    this.cronInput.value = '0 7 * * 1-5';
+    this.cronInput.placeholder = 'm h dom mon dow';
+    this.cronInput.classList.add('time-input');
+
+    this.daysContainer = document.createElement('div');
+    this.daysContainer.classList.add('time-input', 'time-days');
+    this.dayInputs = makeDayInputs(this.daysContainer);
+
+    this.startDateInput = document.createElement('input');
+    this.startDateInput.type = 'date';
+    this.startDateInput.title = fluent.getMessage('rule-time-start-date');
+    this.startDateInput.classList.add('time-input');
+
+    this.endDateInput = document.createElement('input');
+    this.endDateInput.type = 'date';
+    this.endDateInput.title = fluent.getMessage('rule-time-end-date');
+    this.endDateInput.classList.add('time-input');
 
-    rulePartInfo.appendChild(this.timeInput);
+    const inputs = [
+      this.modeSelect,
+      this.timeInput,
+      this.offsetInput,
+      this.cronInput,
+      this.daysContainer,
+      this.startDateInput,
+      this.endDateInput,
+    ];
+    for (const elt of inputs) {
+      disableDragging(elt);
+      elt.addEventListener('change', onChange);
+      rulePartInfo.appendChild(elt);
+    }
+
+    this.updateInputs();
+  }
+
+  /**
+   * Show only the inputs which apply to the selected mode
+   */
+  updateInputs() {
+    const mode = this.modeSelect.value;
+    const sun = mode === 'sunrise' || mode === 'sunset';
+    this.timeInput.classList.toggle('hidden', mode !== 'time');
+    this.offsetInput.classList.toggle('hidden', !sun);
+    this.cronInput.classList.toggle('hidden', mode !== 'cron');
+    // Cron expressions have their own days of the week
+    this.daysContainer.classList.toggle('hidden', mode === 'cron');
+  }
+
+  /**
+   * @return {Object} The partial rule described by the inputs
+   */
+  toRulePart() {
+    const trigger = {type: 'TimeTrigger'};
+    const mode = this.modeSelect.value;
+    if (mode === 'time') {
+      trigger.time = this.timeInput.value;
+    } else if (mode === 'cron') {
+      trigger.cron = this.cronInput.value.trim();
+    } else {
+      trigger.event = mode;
+      trigger.offset = parseInt(this.offsetInput.value, 10) || 0;
+    }
+
+    const days = this.dayInputs.filter((input) => input.checked)
+      .map((input) => parseInt(input.value, 10));
+    if (mode !== 'cron' && days.length > 0 && days.length < 7) {
+      trigger.days = days;
+    }
+    if (this.startDateInput.value) {
+      trigger.startDate = this.startDateInput.value;
+    }
+    if (this.endDateInput.value) {
+      trigger.endDate = this.endDateInput.value;
+    }
+
+    // Keep what the block has no input for
+    const previous = this.rulePart && this.rulePart.trigger;
+    if (previous && previous.hasOwnProperty('duration')) {
+      trigger.duration = previous.duration;
+    }
+    trigger.localized = true;
+    return {trigger};
   }
 
   /**
@@ -55,27 +186,39 @@ class TimeTriggerBlock extends RulePartBlock {
       this.role = 'trigger';
       this.rulePartBlock.classList.add('trigger');
 
-      setTimeout(() => {
-        this.timeInput.value = rulePart.trigger.time;
-      }, 0);
+      const trigger = rulePart.trigger;
+      this.modeSelect.value = trigger.cron ? 'cron' : trigger.event || 'time';
+      if (trigger.cron) {
+        this.cronInput.value = trigger.cron;
+      }
+      this.offsetInput.value = trigger.offset || 0;
+      for (const input of this.dayInputs) {
+        input.checked = !trigger.days ||
+          trigger.days.includes(parseInt(input.value, 10));
+      }
+      this.startDateInput.value = trigger.startDate || '';
+      this.endDateInput.value = trigger.endDate || '';
+      this.updateInputs();
+
+      if (trigger.time) {
+        setTimeout(() => {
+          this.timeInput.value = trigger.time;
+        }, 0);
+      }
     }
 
-    if (rulePart.effect) {
+    if (rulePart.effect || rulePart.condition) {
       throw new Error('TimeTriggerBlock can only be a trigger');
     }
   }
 
   onUp(clientX, clientY) {
     super.onUp(clientX, clientY);
-    if (this.role === 'effect') {
+    if (this.role === 'effect' || this.role === 'condition') {
       this.remove();
     }
     if (this.role === 'trigger') {
-      this.rulePart = {trigger: {
-        type: 'TimeTrigger',
-        time: this.timeInput.value,
-        localized: true,
-      }};
+      this.rulePart = this.toRulePart();
       this.onRuleChange();
     }
   }
@@ -85,4 +228,7 @@ class TimeTriggerBlock extends RulePartBlock {
   }
 }
 
+TimeTriggerBlock.disableDragging = disableDragging;
+TimeTriggerBlock.makeDayInputs = makeDayInputs;
+
 module.exports = TimeTriggerBlock;
@@ -16,7 +16,10 @@ const Rule = require('../rules/Rule');
 const RuleUtils = require('../rules/RuleUtils');
 const NotificationEffectBlock = require('../rules/NotificationEffectBlock');
 const NotifierOutletBlock = require('../rules/NotifierOutletBlock');
+const RuleConditionBlock = require('../rules/RuleConditionBlock');
+const TimeConditionBlock = require('../rules/TimeConditionBlock');
 const TimeTriggerBlock = require('../rules/TimeTriggerBlock');
+const fluent = require('../fluent');
 const page = require('page');
 
 // eslint-disable-next-line no-unused-vars
@@ -32,6 +35,11 @@ const RuleScreen = {
     this.animateDelay = 1000;
     this.rule = null;
     this.partBlocks = [];
+    this.otherRules = [];
+    // Conditions and effect sequences which have no block to edit them
+    // with, kept as they are
+    this.extraConditions = [];
+    this.extraEffects = [];
     this.ruleEffectType = 'SetEffect';
 
     this.view = document.getElementById('rule-view');
@@ -96,6 +104,20 @@ const RuleScreen = {
       });
     });
 
+    this.historyOverlay = document.getElementById('rule-history-overlay');
+    this.historyButton = this.view.querySelector('.rule-history-button');
+    this.historyList = this.view.querySelector('.rule-history-list');
+    this.historyEmpty = this.view.querySelector('.rule-history-empty');
+    const historyClose = this.view.querySelector('.rule-history-close-button');
+
+    this.historyButton.addEventListener('click', () => {
+      this.showHistory();
+    });
+
+    historyClose.addEventListener('click', () => {
+      this.historyOverlay.classList.remove('active');
+    });
+
     this.onScrollLeftClick = this.onScrollLeftClick.bind(this);
     this.onScrollRightClick = this.onScrollRightClick.bind(this);
 
@@ -204,14 +226,21 @@ const RuleScreen = {
 
   /**
    * Instantiate a DevicePropertyBlock
-   * @param {'trigger'|'effect'} role
+   * @param {'trigger'|'condition'|'effect'} role
    * @param {Object} part
+   * @return {RulePartBlock?} null if the part can't be shown
    */
   makeRulePartBlock: function(role, part) {
     let block = null;
     if (part.type === 'TimeTrigger') {
       block = new TimeTriggerBlock(this.ruleArea, this.onPresentationChange,
                                    this.onRuleChange);
+    } else if (part.type === 'TimeCondition') {
+      block = new TimeConditionBlock(this.ruleArea, this.onPresentationChange,
+                                     this.onRuleChange);
+    } else if (part.type === 'RuleCondition') {
+      block = new RuleConditionBlock(this.ruleArea, this.onPresentationChange,
+                                     this.onRuleChange, this.otherRules);
     } else if (part.type === 'NotificationEffect') {
       block = new NotificationEffectBlock(this.ruleArea,
                                           this.onPresentationChange,
@@ -220,12 +249,12 @@ const RuleScreen = {
       const notifier = this.gateway.notifiers
         .filter((notifier) => notifier.id === part.notifier)[0];
       if (!notifier) {
-        return;
+        return null;
       }
       const outlet = notifier.outlets
         .filter((outlet) => outlet.id === part.outlet)[0];
       if (!outlet) {
-        return;
+        return null;
       }
 
       block = new NotifierOutletBlock(
@@ -243,7 +272,7 @@ const RuleScreen = {
     } else {
       const thing = RuleUtils.thingFromPart(this.gateway, part);
       if (!thing) {
-        return;
+        return null;
       }
       block = new DevicePropertyBlock(this.ruleArea, this.onPresentationChange,
                                       this.onRuleChange, thing);
@@ -253,6 +282,7 @@ const RuleScreen = {
     block.setRulePart(rulePart);
     block.snapToCenter();
     this.partBlocks.push(block);
+    return block;
   },
 
   showConnection: function() {
@@ -418,6 +448,7 @@ const RuleScreen = {
 
   partBlocksByRole: function() {
     const triggerBlocks = [];
+    const conditionBlocks = [];
     const effectBlocks = [];
 
     for (const partBlock of this.partBlocks) {
@@ -427,6 +458,9 @@ const RuleScreen = {
       if (partBlock.rulePart.trigger) {
         triggerBlocks.push(partBlock);
       }
+      if (partBlock.rulePart.condition) {
+        conditionBlocks.push(partBlock);
+      }
       if (partBlock.rulePart.effect) {
         effectBlocks.push(partBlock);
       }
@@ -434,6 +468,7 @@ const RuleScreen = {
 
     return {
       triggerBlocks,
+      conditionBlocks,
       effectBlocks,
     };
   },
@@ -447,7 +482,8 @@ const RuleScreen = {
       return partBlock.role !== 'removed';
     });
 
-    const {triggerBlocks, effectBlocks} = this.partBlocksByRole();
+    const {triggerBlocks, conditionBlocks, effectBlocks} =
+      this.partBlocksByRole();
 
     const triggers = triggerBlocks.map((triggerBlock) => {
       return triggerBlock.rulePart.trigger;
@@ -464,9 +500,22 @@ const RuleScreen = {
       triggers,
     };
 
+    const conditions = conditionBlocks.map((conditionBlock) => {
+      return conditionBlock.rulePart.condition;
+    }).concat(this.extraConditions);
+    if (conditions.length > 0) {
+      this.rule.condition = {
+        type: 'MultiCondition',
+        op: 'AND',
+        conditions,
+      };
+    } else {
+      delete this.rule.condition;
+    }
+
     const effects = effectBlocks.map((effectBlock) => {
       return effectBlock.rulePart.effect;
-    });
+    }).concat(this.extraEffects);
     this.rule.effect = {
       type: 'MultiEffect',
       effects,
@@ -485,6 +534,8 @@ const RuleScreen = {
 
   onPresentationChange: function() {
     this.ruleName.textContent = this.rule.name || 'Rule Name';
+    this.historyButton.classList.toggle('hidden',
+                                        typeof this.rule.id === 'undefined');
     this.ruleDescription.innerHTML = this.rule.toHumanInterface();
     const ruleEffectSelect =
       this.ruleDescription.querySelector('.rule-effect-select');
@@ -516,8 +567,79 @@ const RuleScreen = {
     }
   },
 
+  /**
+   * Fetch the history of the rule and show it, most recent entry first
+   */
+  showHistory: async function() {
+    if (!this.rule || typeof this.rule.id === 'undefined') {
+      return;
+    }
+
+    const entries = await API.getRuleHistory(this.rule.id);
+    this.historyList.innerHTML = '';
+    for (const entry of entries) {
+      this.historyList.appendChild(this.makeHistoryItem(entry));
+    }
+    this.historyEmpty.classList.toggle('hidden', entries.length > 0);
+    this.historyOverlay.classList.add('active');
+  },
+
+  /**
+   * @param {Object} entry - An entry of the rule's history
+   * @return {Element} The list item describing what happened
+   */
+  makeHistoryItem: function(entry) {
+    const item = document.createElement('li');
+    item.classList.add('rule-history-item');
+
+    const addLine = (className, text) => {
+      const line = document.createElement('div');
+      line.classList.add(className);
+      line.textContent = text;
+      item.appendChild(line);
+      return line;
+    };
+    const describe = (part) => part.label || part.type;
+    const stringify = (value) => {
+      return typeof value === 'string' ? value : JSON.stringify(value);
+    };
+
+    const state = fluent.getMessage(
+      entry.state.on ? 'rules-history-on' : 'rules-history-off');
+    addLine('rule-history-header',
+            `${new Date(entry.timestamp).toLocaleString()} \u2014 ${state}`);
+
+    for (const input of entry.inputs) {
+      let text = describe(input);
+      if (input.hasOwnProperty('value')) {
+        text += `: ${stringify(input.value)}`;
+      }
+      addLine('rule-history-input', text);
+    }
+
+    if (entry.condition === false) {
+      addLine('rule-history-condition',
+              fluent.getMessage('rules-history-condition-failed'));
+    }
+
+    for (const effect of entry.effects) {
+      if (effect.hasOwnProperty('error')) {
+        addLine('rule-history-error', `${describe(effect)}: ${
+          fluent.getMessage('rules-history-failed')} (${effect.error})`);
+      } else {
+        addLine('rule-history-effect',
+                `${describe(effect)}: ${stringify(effect.result)}`);
+      }
+    }
+
+    return item;
+  },
+
   show: async function(ruleId) {
     this.rule = null;
+    this.historyOverlay.classList.remove('active');
+    this.extraConditions = [];
+    this.extraEffects = [];
     this.ruleEffectType = 'SetEffect';
 
     // Fetch the rule description from the Engine or default to null
@@ -537,6 +659,7 @@ const RuleScreen = {
     this.rulePartsList.querySelectorAll('.rule-part').forEach(remove);
 
     this.showSimpleBlocks();
+    await this.showRuleConditionBlock(ruleId);
     await this.showNotifierOutletBlocks();
     await this.showDeviceBlocks();
     this.onWindowResize();
@@ -608,16 +731,34 @@ const RuleScreen = {
         };
       }
 
+      if (this.rule.condition) {
+        let conditions = [this.rule.condition];
+        if (this.rule.condition.type === 'MultiCondition' &&
+            this.rule.condition.op === 'AND') {
+          conditions = this.rule.condition.conditions;
+        }
+        for (const condition of conditions) {
+          if (!this.makeRulePartBlock('condition', condition)) {
+            this.extraConditions.push(condition);
+          }
+        }
+      }
+
       const effects = this.rule.effect.effects;
       for (let i = 0; i < effects.length; i++) {
+        let block;
         if (flexDir === 'column') {
-          this.makeRulePartBlock('effect', effects[i], centerX,
-                                 areaRect.height * 3 / 4 - dpbRect.height /
-                                 2);
+          block = this.makeRulePartBlock('effect', effects[i], centerX,
+                                         areaRect.height * 3 / 4 -
+                                         dpbRect.height / 2);
         } else {
-          this.makeRulePartBlock('effect', effects[i],
-                                 areaRect.width * 3 / 4 - dpbRect.width / 2,
-                                 centerY);
+          block = this.makeRulePartBlock('effect', effects[i],
+                                         areaRect.width * 3 / 4 -
+                                         dpbRect.width / 2,
+                                         centerY);
+        }
+        if (!block && effects[i].type === 'SequenceEffect') {
+          this.extraEffects.push(effects[i]);
         }
       }
     }
@@ -634,6 +775,10 @@ const RuleScreen = {
       return new TimeTriggerBlock(
         this.ruleArea, this.onPresentationChange, this.onRuleChange);
     };
+    const createTimeConditionBlock = () => {
+      return new TimeConditionBlock(
+        this.ruleArea, this.onPresentationChange, this.onRuleChange);
+    };
 
     const ttBlock = this.makeBlock('time-trigger-block',
                                    '/images/thing-icons/clock.svg',
@@ -644,6 +789,15 @@ const RuleScreen = {
     ttBlock.addEventListener('touchstart', onTimeTriggerBlockDown);
     this.rulePartsList.appendChild(ttBlock);
 
+    const tcBlock = this.makeBlock('time-condition-block',
+                                   '/images/thing-icons/clock.svg',
+                                   'Time Window');
+    const onTimeConditionBlockDown =
+      this.onBlockDown.bind(this, createTimeConditionBlock);
+    tcBlock.addEventListener('mousedown', onTimeConditionBlockDown);
+    tcBlock.addEventListener('touchstart', onTimeConditionBlockDown);
+    this.rulePartsList.appendChild(tcBlock);
+
     const neBlock = this.makeBlock(
       'notification-effect-block',
       '/images/thing-icons/notification.svg',
@@ -655,6 +809,32 @@ const RuleScreen = {
     this.rulePartsList.appendChild(neBlock);
   },
 
+  /**
+   * Show a block for conditions on the other rules, if there are any
+   * @param {string} ruleId - The id of the rule being edited or 'new'
+   */
+  showRuleConditionBlock: async function(ruleId) {
+    const rules = await API.getRules();
+    this.otherRules = rules.filter((rule) => `${rule.id}` !== `${ruleId}`);
+    if (this.otherRules.length === 0) {
+      return;
+    }
+
+    const createRuleConditionBlock = () => {
+      return new RuleConditionBlock(
+        this.ruleArea, this.onPresentationChange, this.onRuleChange,
+        this.otherRules);
+    };
+    const rcBlock = this.makeBlock('rule-condition-block',
+                                   '/images/rules-icon.png',
+                                   'Rule State');
+    const onRuleConditionBlockDown =
+      this.onBlockDown.bind(this, createRuleConditionBlock);
+    rcBlock.addEventListener('mousedown', onRuleConditionBlockDown);
+    rcBlock.addEventListener('touchstart', onRuleConditionBlockDown);
+    this.rulePartsList.appendChild(rcBlock);
+  },
+
   showNotifierOutletBlocks: async function() {
     const notifiers = await this.gateway.readNotifiers();
     const createNotifierOutletBlock = (notifier, outlet) => {
@@ -710,12 +890,17 @@ const RuleScreen = {
     }
 
     if (this.rule) {
-      const {triggerBlocks, effectBlocks} = this.partBlocksByRole();
+      const {triggerBlocks, conditionBlocks, effectBlocks} =
+        this.partBlocksByRole();
 
       triggerBlocks.forEach((triggerBlock, index) => {
         triggerBlock.snapToCenter(index, triggerBlocks.length);
       });
 
+      conditionBlocks.forEach((conditionBlock, index) => {
+        conditionBlock.snapToCenter(index, conditionBlocks.length);
+      });
+
       effectBlocks.forEach((effectBlock, index) => {
         effectBlock.snapToCenter(index, effectBlocks.length);
       });
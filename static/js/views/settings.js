@@ -787,6 +787,8 @@ const SettingsScreen = {
       units: {
         temperature: document.getElementById('localization-settings-units-temperature'),
       },
+      latitude: document.getElementById('localization-settings-latitude'),
+      longitude: document.getElementById('localization-settings-longitude'),
     };
 
     this.elements.localization.country.addEventListener(
@@ -823,6 +825,18 @@ const SettingsScreen = {
           .catch(console.error);
       }
     );
+
+    const onLocationChange = () => {
+      const latitude = this.elements.localization.latitude.valueAsNumber;
+      const longitude = this.elements.localization.longitude.valueAsNumber;
+      if (isNaN(latitude) || isNaN(longitude)) {
+        return;
+      }
+
+      API.setLocation(latitude, longitude).catch(console.error);
+    };
+    this.elements.localization.latitude.addEventListener('change', onLocationChange);
+    this.elements.localization.longitude.addEventListener('change', onLocationChange);
   },
   /* eslint-enable max-len */
 
@@ -1803,6 +1817,13 @@ const SettingsScreen = {
     API.getUnits().then((response) => {
       temperatureSelect.value = response.temperature;
     }).catch(console.error);
+
+    API.getLocation().then((response) => {
+      if (response.latitude !== null) {
+        this.elements.localization.latitude.value = response.latitude;
+        this.elements.localization.longitude.value = response.longitude;
+      }
+    }).catch(console.error);
   },
 
   showUpdateSettings: function() {
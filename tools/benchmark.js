@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * Run a consistency benchmark on a running gateway and print its report.
+ *
+ * Usage: node tools/benchmark.js --token TOKEN [options]
+ *
+ *   --url URL            Gateway URL (default: https://localhost:4443)
+ *   --insecure           Accept a self-signed certificate
+ *   --properties a,b     Properties to set (default: level)
+ *   --values FROM..TO[:STEP] or --values v1,v2,...
+ *                        Values to set each property to, in order
+ *                        (default: 0..99)
+ *   --rate N             Requests per second, 0 for no limit (default: 10)
+ *   --concurrency N      Requests in flight at most (default: 1)
+ *   --bypass-cache       Read notified values from the cluster rather than
+ *                        the gateway's read cache
+ *   --output FILE        Write the full report, with its timelines, as JSON
+ *
+ * The token can be created under Settings > Developer. The gateway must have
+ * the mock-adapter add-on loaded.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const fetch = require('node-fetch');
+const fs = require('fs');
+const https = require('https');
+
+const POLL_INTERVAL = 1000;
+
+function option(name, defaultValue) {
+  const index = process.argv.indexOf(`--${name}`);
+  if (index < 0 || index + 1 >= process.argv.length) {
+    return defaultValue;
+  }
+  return process.argv[index + 1];
+}
+
+/**
+ * @param {string} text Either a FROM..TO[:STEP] range or a list of values
+ * @returns {Array|Object} The values, or a {from, to, step} range.
+ */
+function parseValues(text) {
+  const range = /^(-?[\d.]+)\.\.(-?[\d.]+)(?::([\d.]+))?$/.exec(text);
+  if (range) {
+    return {
+      from: Number(range[1]),
+      to: Number(range[2]),
+      step: range[3] ? Number(range[3]) : 1,
+    };
+  }
+
+  return text.split(',').map((value) => {
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return value;
+    }
+  });
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function main() {
+  const token = option('token');
+  if (!token) {
+    console.error('Usage: node tools/benchmark.js --token TOKEN [options]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const url = `${option('url', 'https://localhost:4443')}/metrics/benchmark`;
+  const fetchOptions = {
+    headers: {
+      Accept: 'application/json',
+      Authorization: `Bearer ${token}`,
+      'Content-Type': 'application/json',
+    },
+  };
+  if (process.argv.includes('--insecure')) {
+    fetchOptions.agent = new https.Agent({rejectUnauthorized: false});
+  }
+
+  const started = await fetch(url, Object.assign({
+    method: 'POST',
+    body: JSON.stringify({
+      properties: option('properties', 'level').split(','),
+      values: parseValues(option('values', '0..99')),
+      rate: Number(option('rate', 10)),
+      concurrency: Number(option('concurrency', 1)),
+      bypassCache: process.argv.includes('--bypass-cache'),
+    }),
+  }, fetchOptions));
+  if (!started.ok) {
+    throw new Error(`Failed to start the benchmark: ${
+      started.status} ${await started.text()}`);
+  }
+
+  let report = await started.json();
+  while (['starting', 'running'].includes(report.state)) {
+    console.log(`${report.state}: ${report.requests.completed} of ${
+      report.requests.total} requests done`);
+    await sleep(POLL_INTERVAL);
+    report = await (await fetch(url, fetchOptions)).json();
+  }
+
+  console.log(`Benchmark ${report.state}`);
+  if (report.error) {
+    console.log('Error:', report.error);
+  }
+  if (report.incomplete) {
+    console.log('Some writes were dropped by the instrumentation, so lost ' +
+                'requests are overcounted');
+  }
+  for (const name of Object.keys(report.properties || {})) {
+    const {requests, notifications, reads} = report.properties[name];
+    console.log(`${name}:`);
+    console.log(`  requests: ${requests.count}, lost: ${requests.lost}, ` +
+                `average processing time: ${
+                  requests.averageProcessingTime} ms`);
+    console.log(`  notifications: ${notifications.count}, wrong value: ${
+      notifications.wrongValue}`);
+    console.log(`  wrong values read: ${reads.wrongValue}`);
+  }
+
+  const output = option('output');
+  if (output) {
+    fs.writeFileSync(output, JSON.stringify(report, null, 2));
+    console.log('Report written to', output);
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
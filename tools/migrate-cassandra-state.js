@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * Copy device state from the per-device Cassandra tables used by earlier
+ * versions of the gateway into the shared device_state table.
+ *
+ * Usage: node tools/migrate-cassandra-state.js [--drop]
+ *
+ *   --drop  Drop each old table once its state has been copied.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const UserProfile = require('../src/user-profile');
+UserProfile.init();
+
+const Database = require('../src/db');
+Database.open();
+
+const cassie = require('../src/cassie');
+cassie.useAsTool();
+
+async function migrate(drop) {
+  const things = await Database.getThings();
+  const migrated = new Set();
+
+  for (const thing of things) {
+    try {
+      const count =
+        await cassie.migrateLegacyTable(thing.id, thing.properties, drop);
+      if (count === null) {
+        console.log(`${thing.id}: no table to migrate`);
+        continue;
+      }
+
+      migrated.add(cassie.legacyTableName(thing.id));
+      console.log(`${thing.id}: copied ${count} properties`);
+    } catch (err) {
+      console.error(`${thing.id}: failed to migrate:`, err.message);
+      process.exitCode = 1;
+    }
+  }
+
+  const unknown = (await cassie.getLegacyTables())
+    .filter((table) => !migrated.has(table));
+  if (unknown.length > 0) {
+    console.log('Tables not belonging to any thing:', unknown.join(', '));
+  }
+}
+
+migrate(process.argv.includes('--drop')).catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+}).then(() => cassie.disconnect());